@@ -1,30 +1,216 @@
 // Responsibilities:
 //  - Track tab editor activity and submission results
+//  - Keep the local attempt log shown by dashboard.html (lib/attempt-log.js)
+//  - Schedule reviews of problems solved with help and remind about them daily (lib/review-queue.js)
+//  - Run interview mode: per-problem countdowns, delayed and capped hints, scores (lib/interview.js)
+//  - Keep hint ratings with the request each hint came from, optionally sent to /feedback (lib/feedback.js)
 //  - Detect "stuck" (1 fail OR 3 minutes idle) aggressively
-//  - Handle popup messages: request_hint, request_code_snippet, reset_hints
-//  - Maintain per-problem hint counters (max 3 hints)
+//  - Handle popup messages: request_hint, request_code_snippet, request_complexity, ask_mentor, reset_hints,
+//    start_interview, end_interview, get_interview, rate_hint
+//  - Maintain per-problem hint counters (one per level of the hint ladder in settings, 3 by default)
 //  - Optionally send code to server if user allows (sendCodeToServer)
 //  - Persist hint counts and settings in chrome.storage.local
 
 // extension/background.js — server-first background service worker
 
+importScripts('lib/hintpack.js', 'lib/snippet.js', 'lib/complexity.js', 'lib/ladder.js', 'lib/settings.js', 'lib/hint-progress.js', 'lib/attempt-log.js', 'lib/review-queue.js', 'lib/interview.js', 'lib/feedback.js');
+const HintPack = self.LeetMentorHintPack;
+const Snippet = self.LeetMentorSnippet;
+const Complexity = self.LeetMentorComplexity;
+const Ladder = self.LeetMentorLadder;
+const Settings = self.LeetMentorSettings;
+const AttemptLog = self.LeetMentorAttemptLog;
+const ReviewQueue = self.LeetMentorReviewQueue;
+const Interview = self.LeetMentorInterview;
+const Feedback = self.LeetMentorFeedback;
+const { normalizeProblemId, problemSlugFromContext, nextHintStep, bumpHintCount, appendHintHistory, appendChatTurns, conversationFor } = self.LeetMentorHintProgress;
+
 const LOG_PREFIX = '[LeetMentor:BG]';
 function LOG(...args) { console.log(LOG_PREFIX, ...args); }
 
-const hintsGivenMap = new Map(); // tabId -> number (hints shown)
-const DEFAULT_SERVER = 'http://localhost:3000/hint';
+const SERVER_API_VERSION = 1; // see server/API.md
+// keep in sync with content_scripts in manifest.json (used when re-injecting)
+const CONTENT_SCRIPT_FILES = ['lib/result-parser.js', 'lib/hint-panel.js', 'lib/feedback.js', 'lib/hint-history.js', 'content-script.js'];
+
+// hint progress, keyed by normalized problem slug so it survives worker restarts and is shared across tabs
+const HINTS_MAP_KEY = 'leetmentor_hints_map';   // { [slug]: { count, firstAt, updatedAt } }
+const HINT_CACHE_KEY = 'leetmentor_hint_cache'; // { [slug]: [{ level, text, source, at }] }
+const HINT_HISTORY_LIMIT = 20;
+const CHAT_KEY = 'leetmentor_chat';             // { [slug]: [{ role, text, at }] } follow-up questions and answers
+const CHAT_HISTORY_LIMIT = 20;
+const CHAT_CONTEXT_TURNS = 12;                   // hints + follow-ups sent with each question
+const CHAT_QUESTION_MAX = 500;                   // server/API.md limit
+const HINT_PACKS_KEY = 'leetmentor_hint_packs';  // { [name]: pack } imported by the user
+const BUNDLED_HINT_PACK = 'hintpacks/core.json';
+
+// stuck detection (thresholds live in leetmentor_settings; 0 disables a trigger)
+const STUCK_ALARM = 'leetmentor_stuck_check';
+const ACTIVITY_KEY = 'leetmentor_activity';
+const ACTIVITY_TTL_MS = 6 * 60 * 60 * 1000; // forget problems untouched for 6h
+
+// review queue (reminder time lives in leetmentor_settings)
+const REVIEW_ALARM = 'leetmentor_review_reminder';
+const REVIEW_NOTIFICATION = 'leetmentor_reviews_due';
+
+// interview mode (countdowns, hint delay and cap live in leetmentor_settings)
+const INTERVIEW_ALARM = 'leetmentor_interview_deadline';
+
+// Serialize read-modify-write cycles on a storage key so bursts of events
+// (editor_input fires on every debounce tick) don't overwrite each other.
+let storageQueue = Promise.resolve();
+function updateStored(key, mutate) {
+  const run = storageQueue.then(() => new Promise(res => {
+    chrome.storage.local.get([key], data => {
+      const current = (data && data[key]) || {};
+      const next = mutate(current) || current;
+      chrome.storage.local.set({ [key]: next }, () => res(next));
+    });
+  }));
+  storageQueue = run.catch(() => {});
+  return run;
+}
+
+function getStored(key) {
+  return new Promise(res => {
+    chrome.storage.local.get([key], data => res((data && data[key]) || {}));
+  });
+}
+
+async function getHintCount(slug) {
+  const all = await getStored(HINTS_MAP_KEY);
+  return (all[slug] && all[slug].count) || 0;
+}
+
+// where the problem is on the ladder: during an interview only the session's own hints count
+async function hintsSoFar(slug, session) {
+  if (session) return Interview.hintTotal(session.problems[slug]);
+  return getHintCount(slug);
+}
+
+async function getHintHistory(slug) {
+  const all = await getStored(HINT_CACHE_KEY);
+  return Array.isArray(all[slug]) ? all[slug] : [];
+}
+
+// the history as the popup and the panel show it: each hint with its rating
+async function getRatedHintHistory(slug) {
+  return Feedback.withRatings(await getHintHistory(slug), slug, await getStored(Feedback.FEEDBACK_KEY));
+}
+
+async function getChatHistory(slug) {
+  const all = await getStored(CHAT_KEY);
+  return Array.isArray(all[slug]) ? all[slug] : [];
+}
+
+// Persist the counter and, for real hints, the text that was shown. Returns the hint's `at`.
+async function recordHintShown(slug, count, hint) {
+  const now = Date.now();
+  await updateStored(HINTS_MAP_KEY, all => bumpHintCount(all, slug, count, now));
+  if (!hint || !hint.text) return 0;
+  await updateStored(HINT_CACHE_KEY, all => appendHintHistory(all, slug, hint, now, HINT_HISTORY_LIMIT));
+  return now;
+}
+
+// Hint packs: the bundled core pack plus any imported ones, indexed by slug.
+// Imported packs override bundled entries for the same slug.
+let hintPackIndex = null;
+
+async function loadBundledPack() {
+  try {
+    const resp = await fetch(chrome.runtime.getURL(BUNDLED_HINT_PACK));
+    const result = HintPack.validatePack(await resp.json());
+    if (!result.ok) LOG('bundled hint pack invalid', result.errors);
+    return result.pack;
+  } catch (e) {
+    LOG('bundled hint pack failed to load', e && e.message ? e.message : e);
+    return null;
+  }
+}
+
+async function loadHintPackIndex() {
+  if (hintPackIndex) return hintPackIndex;
+  const bundled = await loadBundledPack();
+  const imported = Object.values((await getStored(HINT_PACKS_KEY)) || {});
+  hintPackIndex = HintPack.buildIndex([bundled, ...imported]);
+  return hintPackIndex;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[HINT_PACKS_KEY]) hintPackIndex = null;
+});
 
-// Minimal local fallback (tiny, intentionally limited)
-function localFallbackHint(problemId = '', failure = '', level = 1) {
+// Local fallback: problem-specific hints from the hint packs, generic pattern hints otherwise.
+// levelCount is the ladder length; longer ladders are spread over the offline hints.
+async function localFallbackHint(problemId = '', failure = '', level = 1, levelCount = 3) {
+  const entry = HintPack.lookupProblem(await loadHintPackIndex(), problemId);
+  if (entry) return HintPack.packHint(entry, Ladder.offlineLevel(level, levelCount, entry.hints.length));
+  level = Ladder.offlineLevel(level, levelCount);
   if (level === 1) return 'Think about the high-level pattern (array vs. map vs. two-pointers).';
   if (level === 2) return 'Consider an algorithmic pattern (hash map for complements or two pointers after sort).';
   return 'Try recording seen values (map) and checking complements in a single pass.';
 }
 
-function localFallbackSnippet(snippetRaw = '') {
-  if (!snippetRaw) return '';
-  const lines = snippetRaw.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  return (lines.length <= 3 ? lines : lines.slice(0,3)).join('\n');
+// With no code yet, offer a starter in the editor language (hint pack first, then generic);
+// otherwise a few of the user's own lines near the cursor, indentation kept.
+async function localFallbackSnippet(snippetRaw = '', problemId = '', language = '', cursor = null) {
+  if (!snippetRaw.trim()) {
+    const entry = HintPack.lookupProblem(await loadHintPackIndex(), problemId);
+    return Snippet.starterFor(entry, language);
+  }
+  return Snippet.codeExcerpt(snippetRaw, { aroundLine: (cursor && cursor.line) || 0 });
+}
+
+// Server errors follow the contract in server/API.md: { ok:false, error:{ code, message, field } }.
+// Network failures and timeouts get the codes server_unreachable / server_timeout.
+class ServerError extends Error {
+  constructor(code, message, field = '', status = 0) {
+    super(message || code);
+    this.name = 'ServerError';
+    this.code = code;
+    this.field = field;
+    this.status = status;
+  }
+}
+
+async function serverErrorFromResponse(resp) {
+  const txt = await resp.text().catch(() => '');
+  try {
+    const body = JSON.parse(txt);
+    if (body && body.error && body.error.code) {
+      return new ServerError(body.error.code, body.error.message, body.error.field, resp.status);
+    }
+  } catch (e) { }
+  return new ServerError(`http_${resp.status}`, txt.slice(0, 200) || resp.statusText, '', resp.status);
+}
+
+function toServerError(err, timeoutMs) {
+  if (err instanceof ServerError) return err;
+  if (err && err.name === 'AbortError') return new ServerError('server_timeout', `no reply within ${Math.round(timeoutMs / 1000)}s`);
+  return new ServerError('server_unreachable', err && err.message ? err.message : String(err));
+}
+
+// One line for the popup explaining why an offline result is shown instead of the server's.
+function serverErrorNotice(err, what = 'hint') {
+  const offline = `showing an offline ${what} instead.`;
+  switch (err.code) {
+    case 'rate_limited': return `The server is rate limiting requests (try again in a minute) — ${offline}`;
+    case 'invalid_request':
+    case 'payload_too_large': return `The server rejected the request${err.field ? ` (${err.field})` : ''}: ${err.message} — ${offline}`;
+    case 'unsupported_api_version': return `The server speaks a different API version; update the server or the extension — ${offline}`;
+    case 'server_timeout': return `The server did not answer in time (${err.message}) — ${offline}`;
+    case 'server_unreachable': return `Could not reach the server; is it running? — ${offline}`;
+    default: return `Server error (${err.code}${err.message && err.message !== err.code ? `: ${err.message}` : ''}) — ${offline}`;
+  }
+}
+
+// POST /chat lives next to /hint: http://localhost:3000/hint -> http://localhost:3000/chat
+function chatUrl(serverUrl) {
+  return new URL('chat', serverUrl).href;
+}
+
+// POST /feedback, same place: http://localhost:3000/hint -> http://localhost:3000/feedback
+function feedbackUrl(serverUrl) {
+  return new URL('feedback', serverUrl).href;
 }
 
 // POST helper with timeout
@@ -35,29 +221,80 @@ async function postToServer(serverUrl, payload, timeoutMs = 8000) {
     const resp = await fetch(serverUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
+      body: JSON.stringify({ apiVersion: SERVER_API_VERSION, ...payload }),
       signal: controller.signal
     });
+    if (!resp.ok) throw await serverErrorFromResponse(resp);
+    return await resp.json();
+  } catch (err) {
+    throw toServerError(err, timeoutMs);
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+// Streaming POST: the server answers with NDJSON ({type:'delta',text}* then {type:'done',...}).
+// The timeout is an idle timeout — it restarts on every chunk, so slow models can keep going.
+// Servers that don't stream just return JSON, which is passed through unchanged.
+async function postToServerStream(serverUrl, payload, onDelta, idleTimeoutMs = 9000) {
+  const controller = new AbortController();
+  let id = setTimeout(() => controller.abort(), idleTimeoutMs);
+  const bump = () => {
     clearTimeout(id);
-    if (!resp.ok) {
-      const txt = await resp.text().catch(() => '');
-      throw new Error(`server_http_${resp.status}: ${txt}`);
+    id = setTimeout(() => controller.abort(), idleTimeoutMs);
+  };
+  try {
+    const resp = await fetch(serverUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ apiVersion: SERVER_API_VERSION, ...payload, stream: true }),
+      signal: controller.signal
+    });
+    if (!resp.ok) throw await serverErrorFromResponse(resp);
+    const contentType = (resp.headers.get('content-type') || '').toLowerCase();
+    if (!contentType.includes('ndjson') || !resp.body) return await resp.json();
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let final = null;
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let evt;
+      try { evt = JSON.parse(line); } catch (e) { return; }
+      if (evt.type === 'delta') onDelta(evt.text || '');
+      else if (evt.type === 'done') final = evt;
+      else if (evt.type === 'error') {
+        const e = evt.error || {};
+        throw new ServerError(e.code || 'internal_error', e.message || 'stream failed');
+      }
+    };
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bump();
+      buffer += decoder.decode(value, { stream: true });
+      let idx;
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        handleLine(buffer.slice(0, idx));
+        buffer = buffer.slice(idx + 1);
+      }
     }
-    return await resp.json();
+    handleLine(buffer);
+    if (!final) throw new ServerError('server_stream_incomplete', 'the stream ended without a final hint');
+    return final;
   } catch (err) {
+    throw toServerError(err, idleTimeoutMs);
+  } finally {
     clearTimeout(id);
-    throw err;
   }
 }
 
 // read settings
 function loadSettings() {
   return new Promise(res => {
-    chrome.storage.local.get(['leetmentor_settings'], data => {
-      const s = (data && data.leetmentor_settings) || {};
-      s.allowSendCodeToServer = !!s.allowSendCodeToServer;
-      s.serverUrl = s.serverUrl || DEFAULT_SERVER;
-      res(s);
+    chrome.storage.local.get([Settings.SETTINGS_KEY], data => {
+      res(Settings.normalizeSettings(data && data[Settings.SETTINGS_KEY]));
     });
   });
 }
@@ -70,7 +307,7 @@ function collectContextWithRetry(tabId, timeoutMs = 700) {
         if (resp) return res(resp);
 
         LOG('collect_context: no response, injecting content-script and retrying for tab', tabId);
-        chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['content-script.js'] }, (results) => {
+        chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: CONTENT_SCRIPT_FILES }, (results) => {
           if (chrome.runtime.lastError) {
             LOG('collect_context: executeScript error:', chrome.runtime.lastError.message);
           } else {
@@ -97,6 +334,409 @@ function collectContextWithRetry(tabId, timeoutMs = 700) {
   });
 }
 
+// --- Activity tracking / stuck detection ---
+// leetmentor_activity: { [slug]: { tabId, lastEditAt, lastRunAt, failStreak, fails, passes, lastFailAt, solvedAt, nudgedAt, updatedAt } }
+
+function recordActivity(problemId, tabId, kind, time) {
+  const slug = normalizeProblemId(problemId);
+  if (!slug) return Promise.resolve(null);
+  const at = time || Date.now();
+  return updateStored(ACTIVITY_KEY, all => {
+    const now = Date.now();
+    const a = all[slug] || { lastEditAt: 0, failStreak: 0, fails: 0, passes: 0, lastFailAt: 0, solvedAt: 0, nudgedAt: 0 };
+    if (tabId) a.tabId = tabId;
+    a.updatedAt = now;
+
+    if (kind === 'edit') a.lastEditAt = at;
+    if (kind === 'run') a.lastRunAt = at;
+    if (kind === 'fail') {
+      a.fails += 1;
+      a.failStreak += 1;
+      a.lastFailAt = at;
+    }
+    if (kind === 'pass') {
+      a.passes += 1;
+      a.failStreak = 0;
+      a.solvedAt = at;
+    }
+    all[slug] = a;
+
+    for (const k of Object.keys(all)) {
+      if (now - (all[k].updatedAt || 0) > ACTIVITY_TTL_MS) delete all[k];
+    }
+    return all;
+  });
+}
+
+// practice history for the dashboard; survives reset_hints (the dashboard clears it)
+function logAttempt(slug, event, time) {
+  if (!slug || slug === 'unknown') return Promise.resolve(null);
+  return updateStored(AttemptLog.ATTEMPTS_KEY, all => AttemptLog.recordAttemptEvent(all, slug, event, time || Date.now()));
+}
+
+// an accepted submission (re)schedules the problem from what the attempt log says it took
+async function scheduleReview(record) {
+  if (!record) return;
+  const { maxHints } = await loadSettings();
+  await updateStored(ReviewQueue.REVIEWS_KEY, all => ReviewQueue.recordSolve(all, record, { now: Date.now(), maxHints }));
+}
+
+async function scheduleReviewReminder() {
+  const settings = await loadSettings();
+  if (!settings.reviewReminders) {
+    chrome.alarms.clear(REVIEW_ALARM);
+    return;
+  }
+  chrome.alarms.create(REVIEW_ALARM, {
+    when: ReviewQueue.nextReminderAt(Date.now(), settings.reviewReminderHour),
+    periodInMinutes: 24 * 60
+  });
+}
+
+async function runReviewReminder() {
+  const due = ReviewQueue.dueReviews(await getStored(ReviewQueue.REVIEWS_KEY), Date.now());
+  if (!due.length) return;
+  const names = due.slice(0, 3).map(e => e.title || e.slug).join(', ');
+  chrome.notifications.create(REVIEW_NOTIFICATION, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `LeetMentor: ${due.length} problem${due.length === 1 ? '' : 's'} to review today`,
+    message: due.length > 3 ? `${names} and ${due.length - 3} more` : names
+  });
+}
+
+// clicking the reminder opens the most overdue problem
+chrome.notifications.onClicked.addListener(id => {
+  if (id !== REVIEW_NOTIFICATION) return;
+  chrome.notifications.clear(id);
+  getStored(ReviewQueue.REVIEWS_KEY).then(all => {
+    const [first] = ReviewQueue.dueReviews(all, Date.now());
+    if (first) chrome.tabs.create({ url: ReviewQueue.problemUrl(first.slug) });
+  });
+});
+
+// --- Interview mode ---
+// Events only count while a session is active; the first one for a problem starts its clock.
+async function noteInterview(slug, event, time) {
+  if (!slug || slug === 'unknown' || !(await getStored(Interview.INTERVIEW_KEY)).active) return null;
+  const session = await updateStored(Interview.INTERVIEW_KEY, s => Interview.recordEvent(s, slug, event, time || Date.now()));
+  await scheduleInterviewAlarm(session);
+  return session;
+}
+
+// one alarm for the earliest countdown that has not run out yet
+async function scheduleInterviewAlarm(session) {
+  const when = Interview.nextDeadline(session, await loadSettings());
+  if (when) chrome.alarms.create(INTERVIEW_ALARM, { when: Math.max(when, Date.now() + 1000) });
+  else chrome.alarms.clear(INTERVIEW_ALARM);
+}
+
+// nudge every problem whose countdown ran out, in the tab it was last worked on
+async function runInterviewDeadline() {
+  const settings = await loadSettings();
+  const now = Date.now();
+  const due = [];
+  const session = await updateStored(Interview.INTERVIEW_KEY, s => {
+    if (!s.active) return s;
+    for (const p of Object.values(s.problems || {})) {
+      if (p.solvedAt || p.timeUpAt || Interview.deadlineOf(p, settings) > now) continue;
+      p.timeUpAt = now;
+      due.push(p);
+    }
+    return s;
+  });
+  for (const p of due) {
+    const minutes = Interview.minutesFor(p.difficulty, settings);
+    if (p.tabId) sendNudge(p.slug, p.tabId, `Time is up: ${minutes} minutes on this problem. Finish your submission or end the interview from the popup.`);
+  }
+  await scheduleInterviewAlarm(session);
+}
+
+function interviewNotice(gate) {
+  if (gate.error === 'interview_locked') {
+    const minutes = Math.max(1, Math.ceil((gate.unlocksAt - Date.now()) / 60_000));
+    return `Interview mode: hints unlock in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  }
+  return 'Interview mode: no hints left for this problem.';
+}
+
+// the session and, when the tab shows a problem, that problem's clock (started by this call)
+async function interviewState(tabId) {
+  let session = await getStored(Interview.INTERVIEW_KEY);
+  const settings = await loadSettings();
+  let problem = null;
+  if (session.active && tabId) {
+    const tab = await new Promise(r => chrome.tabs.get(tabId, t => r(chrome.runtime.lastError ? null : t)));
+    const path = tab && tab.url ? new URL(tab.url).pathname : '';
+    if (/^\/problems\//.test(path)) {
+      const slug = normalizeProblemId(path);
+      const ctx = session.problems[slug] && session.problems[slug].difficulty ? null : await collectContextWithRetry(tabId, settings.contextTimeoutMs);
+      session = (await noteInterview(slug, { kind: 'view', meta: ctx ? problemMetaFromContext(ctx) : null, tabId })) || session;
+      if (session.problems[slug]) problem = Interview.problemStatus(session.problems[slug], settings, Date.now());
+    }
+  }
+  return {
+    ok: true,
+    active: !!session.active,
+    startedAt: session.startedAt || 0,
+    problem,
+    summary: session.summary || null,
+    penalties: Interview.PENALTIES
+  };
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[Settings.SETTINGS_KEY]) return;
+  scheduleReviewReminder();
+  getStored(Interview.INTERVIEW_KEY).then(scheduleInterviewAlarm);
+});
+
+scheduleReviewReminder();
+
+function problemMetaFromContext(ctx) {
+  const p = (ctx && ctx.problem) || {};
+  return { title: p.title, difficulty: p.difficulty, tags: p.tags, language: ctx && ctx.language };
+}
+
+// returns 'fail' | 'idle' | null
+function stuckReason(a, settings, now) {
+  const failThreshold = settings.stuckFailThreshold;
+  if (failThreshold > 0 && a.failStreak >= failThreshold) return 'fail';
+
+  const idleMs = settings.stuckIdleMinutes * 60_000;
+  const quietSince = Math.max(a.nudgedAt || 0, a.solvedAt || 0);
+  if (idleMs > 0 && a.lastEditAt > quietSince && now - a.lastEditAt >= idleMs) return 'idle';
+  return null;
+}
+
+function stuckNudgeText(reason, fails, settings) {
+  if (reason === 'fail') {
+    return `${fails} failed attempt${fails === 1 ? '' : 's'} on this problem — stuck? Open LeetMentor for a hint.`;
+  }
+  return `No edits for ${settings.stuckIdleMinutes} minute${settings.stuckIdleMinutes === 1 ? '' : 's'} — stuck? Open LeetMentor for a hint.`;
+}
+
+function ensureStuckAlarm() {
+  chrome.alarms.get(STUCK_ALARM, existing => {
+    if (!existing) chrome.alarms.create(STUCK_ALARM, { periodInMinutes: 1 });
+  });
+}
+
+function sendNudge(slug, tabId, text) {
+  chrome.tabs.get(tabId, tab => {
+    if (chrome.runtime.lastError || !tab) {
+      LOG('stuck: tab gone for', slug);
+      return;
+    }
+    // the tab may have navigated to another problem since the activity was recorded
+    if (tab.url && normalizeProblemId(new URL(tab.url).pathname) !== slug) return;
+    chrome.tabs.sendMessage(tabId, {
+      type: 'show_hint_in_page',
+      payload: { hintText: text, level: 0, nudge: true }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        LOG('stuck: sendMessage error', chrome.runtime.lastError.message);
+      }
+    });
+  });
+}
+
+async function runStuckCheck() {
+  // no nudges towards hints during an interview
+  if ((await getStored(Interview.INTERVIEW_KEY)).active) return;
+  const settings = await loadSettings();
+  const now = Date.now();
+  const nudges = [];
+  const all = await updateStored(ACTIVITY_KEY, all => {
+    for (const [slug, a] of Object.entries(all)) {
+      if (!a.tabId) continue;
+      const reason = stuckReason(a, settings, now);
+      if (!reason) continue;
+      nudges.push({ slug, tabId: a.tabId, text: stuckNudgeText(reason, a.failStreak, settings) });
+      a.nudgedAt = now;
+      a.failStreak = 0;
+    }
+    return all;
+  });
+
+  for (const n of nudges) {
+    LOG('stuck: nudging', n.slug, 'in tab', n.tabId);
+    sendNudge(n.slug, n.tabId, n.text);
+  }
+  if (!Object.keys(all).length) chrome.alarms.clear(STUCK_ALARM);
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm && alarm.name === STUCK_ALARM) runStuckCheck();
+  if (alarm && alarm.name === REVIEW_ALARM) runReviewReminder();
+  if (alarm && alarm.name === INTERVIEW_ALARM) runInterviewDeadline();
+});
+
+// Returns an onDelta callback that forwards the growing hint text to the page,
+// throttled so a fast model doesn't flood the tab with messages.
+function streamToPage(tabId, level, minIntervalMs = 80) {
+  let text = '';
+  let lastSent = 0;
+  return (piece) => {
+    text += piece;
+    const now = Date.now();
+    if (now - lastSent < minIntervalMs) return;
+    lastSent = now;
+    chrome.tabs.sendMessage(tabId, { type: 'hint_stream', payload: { text, level } }, () => {
+      if (chrome.runtime.lastError) {
+        LOG('hint_stream: sendMessage error', chrome.runtime.lastError.message);
+      }
+    });
+  };
+}
+
+// Next hint for the problem open in tabId: shown in the page and returned for the popup.
+async function requestHint(targetTabId) {
+  const settings = await loadSettings();
+
+  const ctx = await collectContextWithRetry(targetTabId, settings.contextTimeoutMs);
+  if (!ctx) {
+    LOG('request_hint: no context for tab', targetTabId);
+    return { ok: false, error: 'no_context' };
+  }
+
+  const slug = problemSlugFromContext(ctx);
+  // interview mode: hints wait for the delay and stop at the cap
+  const session = await noteInterview(slug, { kind: 'view', meta: problemMetaFromContext(ctx), tabId: targetTabId });
+  if (session) {
+    const gate = Interview.hintGate(session.problems[slug], settings, Date.now());
+    if (!gate.ok) return gate;
+  }
+
+  const prev = await hintsSoFar(slug, session);
+  // newCount: number of hints *after* this one
+  const { count: newCount, level: hintLevel, exhausted, askForCode } = nextHintStep(prev, settings.maxHints, settings.ladder);
+
+  // the /hint request body; also stored with the hint for ratings
+  const context = {
+    problemId: ctx.problemId,
+    snippet: ctx.snippet,
+    url: ctx.url,
+    failure: ctx.failure,
+    problem: ctx.problem,
+    language: ctx.language,
+    cursor: ctx.cursor,
+    hintLevel,
+    ladder: settings.ladder
+  };
+
+  // helper to send hint to page and popup
+  // source: 'llm' | 'cache' | 'local' as reported by the server, or 'offline' for the extension's own fallback
+  const deliverHint = async (rawHintText, source, notice = '') => {
+    // For the popup:
+    //   - past the last level, we want resp.hint to be empty
+    //     so popup.js shows "Reached Maximum hint limit."
+    const hintForPopup = exhausted ? '' : (rawHintText || '');
+
+    // For the in-page panel:
+    //   - past the last level, we show the "Reached Maximum hint limit." text directly
+    const hintForPage = exhausted
+      ? 'Reached Maximum hint limit.'
+      : (rawHintText || '');
+
+    // persist the counter (and the hint itself) before delivering, so the history includes it
+    const shownAt = await recordHintShown(slug, newCount, exhausted ? null : {
+      level: hintLevel,
+      text: rawHintText || '',
+      source: source === 'offline' ? 'local' : 'server'
+    });
+    if (!exhausted) {
+      logAttempt(slug, { kind: 'hint', level: hintLevel, meta: problemMetaFromContext(ctx) });
+      await noteInterview(slug, { kind: 'hint', level: hintLevel });
+    }
+    // kept for ratings: what this hint was generated from (lib/feedback.js)
+    if (shownAt) await updateStored(Feedback.CONTEXTS_KEY, all => Feedback.rememberContext(all, Feedback.hintId(slug, shownAt), context, shownAt));
+    const history = await getRatedHintHistory(slug);
+
+    // send to content script (in-page panel)
+    chrome.tabs.sendMessage(targetTabId, {
+      type: 'show_hint_in_page',
+      payload: { hintText: hintForPage, level: hintLevel, askForCode, exhausted, history }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        LOG('deliverHint: sendMessage error', chrome.runtime.lastError.message);
+      }
+    });
+
+    // respond to popup so it can render
+    const resp = { ok: true, hint: hintForPopup, history, source };
+    if (notice) resp.notice = notice;
+    if (askForCode) resp.action = 'ask_for_code';
+    return resp;
+  };
+
+  let notice = '';
+  if (settings.allowSendCodeToServer) {
+    try {
+      LOG('request_hint: calling server', settings.serverUrl, 'payload hintLevel=', hintLevel);
+      // past the last level the page shows the limit notice, so there is nothing to stream
+      const serverResp = settings.streamHints && !exhausted
+        ? await postToServerStream(settings.serverUrl, context, streamToPage(targetTabId, hintLevel), settings.serverTimeoutMs)
+        : await postToServer(settings.serverUrl, context, settings.serverTimeoutMs);
+      LOG('request_hint: server reply', serverResp);
+
+      const rawHint = (serverResp && serverResp.hint) || '';
+      return deliverHint(rawHint, serverResp.source || 'llm');
+    } catch (err) {
+      LOG('request_hint: server call failed, falling back to local', err.code, err.message);
+      notice = serverErrorNotice(err);
+    }
+  }
+
+  // fallback: small local hint
+  const localHint = await localFallbackHint(ctx.problemId, ctx.failure, hintLevel, settings.maxHints);
+  return deliverHint(localHint, 'offline', notice);
+}
+
+// Code excerpt for the problem open in tabId. afterLastHint: only once the hints are used up,
+// which the popup and the panel enforce by only offering the excerpt then.
+async function requestCodeSnippet(tabId, { afterLastHint = false } = {}) {
+  const settings = await loadSettings();
+  if (!settings.ladder.offerSnippet) return { ok: false, error: 'snippets_off' };
+  const ctx = await collectContextWithRetry(tabId, settings.contextTimeoutMs);
+  if (!ctx) {
+    return { ok: false, error: 'no_context' };
+  }
+
+  const slug = problemSlugFromContext(ctx);
+  // interview mode: excerpts wait for the hint delay and stop at the hint cap
+  const session = await noteInterview(slug, { kind: 'view', meta: problemMetaFromContext(ctx), tabId });
+  if (session) {
+    const gate = Interview.hintGate(session.problems[slug], settings, Date.now());
+    if (!gate.ok) return gate;
+  }
+
+  const prev = await hintsSoFar(slug, session);
+  const levelCount = settings.ladder.levels.length;
+  if (afterLastHint && prev < levelCount) return { ok: false, error: 'hints_left' };
+  const hintLevel = nextHintStep(prev, levelCount, settings.ladder).level;
+  logAttempt(slug, { kind: 'snippet', meta: problemMetaFromContext(ctx) });
+  await noteInterview(slug, { kind: 'snippet' });
+
+  let notice = '';
+  if (settings.allowSendCodeToServer) {
+    try {
+      const payload = { problemId: ctx.problemId, snippet: ctx.snippet, url: ctx.url, failure: ctx.failure, problem: ctx.problem, language: ctx.language, cursor: ctx.cursor, request: 'snippet', hintLevel, ladder: settings.ladder };
+      const serverResp = await postToServer(settings.serverUrl, payload, settings.serverTimeoutMs);
+      return { ok: true, snippet: serverResp.snippet || '', source: serverResp.source || 'llm' };
+    } catch (err) {
+      LOG('request_code_snippet: server call failed', err.code, err.message);
+      notice = serverErrorNotice(err, 'excerpt');
+    }
+  }
+
+  // fallback: local snippet
+  const localSnippet = await localFallbackSnippet(ctx.snippet || '', ctx.problemId, ctx.language, ctx.cursor);
+  const resp = { ok: true, snippet: localSnippet, source: 'offline' };
+  if (notice) resp.notice = notice;
+  return resp;
+}
+
 // message handling
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (!msg || !msg.type) return;
@@ -104,129 +744,210 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 if (msg.type === 'request_hint') {
   (async () => {
-    const tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
-    if (!tabId) {
+    let targetTabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+    if (!targetTabId) {
       const tabs = await new Promise(r => chrome.tabs.query({ active: true, currentWindow: true }, r));
       if (!tabs || !tabs[0]) {
         sendResponse({ ok: false, error: 'no_tab' });
         return;
       }
-      msg.tabId = tabs[0].id;
-    }
-    const targetTabId = msg.tabId;
-
-    const ctx = await collectContextWithRetry(targetTabId);
-    if (!ctx) {
-      LOG('request_hint: no context for tab', targetTabId);
-      sendResponse({ ok: false, error: 'no_context' });
-      return;
+      targetTabId = tabs[0].id;
     }
+    sendResponse(await requestHint(targetTabId));
+  })();
+  return true;
+}
 
-    const prev = hintsGivenMap.get(targetTabId) || 0;
-    const newCount = prev + 1;             // number of hints *after* this one
-    const hintLevel = Math.min(newCount, 3);
-
-    const settings = await loadSettings();
 
-    // helper to send hint to page and popup
-    const deliverHint = (rawHintText, usedServer = false) => {
-      const askForCode = newCount > 3;
 
-      // For the popup:
-      //   - when askForCode is true, we want resp.hint to be empty
-      //     so popup.js shows "Reached Maximum hint limit."
-      const hintForPopup = askForCode ? '' : (rawHintText || '');
+  if (msg.type === 'request_code_snippet') {
+    const tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+    if (!tabId) {
+      sendResponse({ ok: false, error: 'no_tab' });
+      return;
+    }
+    requestCodeSnippet(tabId).then(sendResponse);
+    return true;
+  }
 
-      // For the in-page bubble:
-      //   - when askForCode is true, we show the "Reached Maximum hint limit." text directly
-      const hintForPage = askForCode
-        ? 'Reached Maximum hint limit.'
-        : (rawHintText || '');
+  // time/space estimate of the current code; the static analysis runs here when the server can't be used
+  if (msg.type === 'request_complexity') {
+    (async () => {
+      const tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+      if (!tabId) {
+        sendResponse({ ok: false, error: 'no_tab' });
+        return;
+      }
+      const settings = await loadSettings();
+      const ctx = await collectContextWithRetry(tabId, settings.contextTimeoutMs);
+      if (!ctx) {
+        sendResponse({ ok: false, error: 'no_context' });
+        return;
+      }
 
-      // send to content script (in-page bubble)
-      chrome.tabs.sendMessage(targetTabId, {
-        type: 'show_hint_in_page',
-        payload: { hintText: hintForPage, level: hintLevel, askForCode }
-      }, () => {
-        if (chrome.runtime.lastError) {
-          LOG('deliverHint: sendMessage error', chrome.runtime.lastError.message);
+      let notice = '';
+      if (settings.allowSendCodeToServer) {
+        try {
+          const payload = { problemId: ctx.problemId, snippet: ctx.snippet, url: ctx.url, failure: ctx.failure, problem: ctx.problem, language: ctx.language, request: 'complexity' };
+          const serverResp = await postToServer(settings.serverUrl, payload, settings.serverTimeoutMs);
+          if (serverResp && serverResp.complexity) {
+            sendResponse({ ok: true, complexity: serverResp.complexity, source: serverResp.source || 'llm' });
+            return;
+          }
+        } catch (err) {
+          LOG('request_complexity: server call failed', err.code, err.message);
+          notice = serverErrorNotice(err, 'analysis');
         }
-      });
-
-      // increment in-memory counter now that the hint was delivered
-      hintsGivenMap.set(targetTabId, newCount);
+      }
 
-      // respond to popup so it can render
-      const resp = { ok: true, hint: hintForPopup };
-      if (askForCode) resp.action = 'ask_for_code';
-      return resp;
-    };
+      const complexity = Complexity.analyzeComplexity(ctx.snippet || '', {
+        language: ctx.language,
+        constraints: (ctx.problem && ctx.problem.constraints) || []
+      });
+      const resp = { ok: true, complexity, source: 'offline' };
+      if (notice) resp.notice = notice;
+      sendResponse(resp);
+    })();
+    return true;
+  }
 
-    if (settings.allowSendCodeToServer) {
-      try {
-        const payload = {
-          problemId: ctx.problemId,
-          snippet: ctx.snippet,
-          url: ctx.url,
-          failure: ctx.failure,
-          hintLevel
-        };
-        LOG('request_hint: calling server', settings.serverUrl, 'payload hintLevel=', hintLevel);
-        const serverResp = await postToServer(settings.serverUrl, payload, 9000);
-        LOG('request_hint: server reply', serverResp);
-
-        const rawHint = (serverResp && (serverResp.hint || serverResp.snippet)) || '';
-        const responseToPopup = deliverHint(rawHint, true);
-        sendResponse(responseToPopup);
+  if (msg.type === 'get_hint_history') {
+    const tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+    if (!tabId) {
+      sendResponse({ ok: false, error: 'no_tab' });
+      return;
+    }
+    chrome.tabs.get(tabId, async tab => {
+      if (chrome.runtime.lastError || !tab || !tab.url) {
+        sendResponse({ ok: false, error: 'no_tab' });
         return;
-      } catch (err) {
-        LOG('request_hint: server call failed, falling back to local', err && err.message ? err.message : err);
-        // fall through to local fallback
       }
-    }
+      const path = new URL(tab.url).pathname;
+      if (!/^\/problems\//.test(path)) {
+        sendResponse({ ok: true, problemId: '', hints: [] });
+        return;
+      }
+      const slug = normalizeProblemId(path);
+      sendResponse({ ok: true, problemId: slug, hints: await getRatedHintHistory(slug) });
+    });
+    return true;
+  }
 
-    // fallback: small local hint
-    const localHint = localFallbackHint(ctx.problemId, ctx.failure, hintLevel);
-    const responseToPopup = deliverHint(localHint, false);
-    sendResponse(responseToPopup);
-  })();
-  return true;
-}
+  // a rating of a hint in the history (msg.at is its `at`), from the popup or the in-page panel;
+  // an empty rating takes it back. Shared with the server's /feedback log when the settings allow.
+  if (msg.type === 'rate_hint') {
+    (async () => {
+      const rating = msg.rating || '';
+      if (rating && !Feedback.isRating(rating)) {
+        sendResponse({ ok: false, error: 'invalid_rating' });
+        return;
+      }
+      const tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+      const tab = tabId ? await new Promise(r => chrome.tabs.get(tabId, t => r(chrome.runtime.lastError ? null : t))) : null;
+      if (!tab || !tab.url) {
+        sendResponse({ ok: false, error: 'no_tab' });
+        return;
+      }
+      const slug = normalizeProblemId(new URL(tab.url).pathname);
+      const hint = (await getHintHistory(slug)).find(h => h.at === msg.at);
+      if (!hint) {
+        sendResponse({ ok: false, error: 'no_such_hint' });
+        return;
+      }
 
+      const id = Feedback.hintId(slug, hint.at);
+      const remembered = (await getStored(Feedback.CONTEXTS_KEY))[id];
+      const all = await updateStored(Feedback.FEEDBACK_KEY, all => Feedback.recordRating(all, slug, hint, rating, {
+        context: remembered && remembered.context,
+        now: Date.now()
+      }));
 
+      const resp = { ok: true, rating, sent: false };
+      const settings = await loadSettings();
+      if (rating && settings.shareFeedback && settings.allowSendCodeToServer) {
+        try {
+          await postToServer(feedbackUrl(settings.serverUrl), Feedback.feedbackPayload(all[id]), settings.serverTimeoutMs);
+          resp.sent = true;
+        } catch (err) {
+          LOG('rate_hint: server call failed', err.code, err.message);
+          resp.notice = `Rating saved here; the server did not take it (${err.code}).`;
+        }
+      }
+      sendResponse(resp);
+    })();
+    return true;
+  }
 
-  if (msg.type === 'request_code_snippet') {
+  // follow-up question about the current hint, from the popup or the in-page panel
+  if (msg.type === 'ask_mentor') {
     (async () => {
-      const tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+      const question = String(msg.question || '').trim().slice(0, CHAT_QUESTION_MAX);
+      if (!question) {
+        sendResponse({ ok: false, error: 'empty_question' });
+        return;
+      }
+      let tabId = msg.tabId || (sender && sender.tab && sender.tab.id);
+      if (!tabId) {
+        const tabs = await new Promise(r => chrome.tabs.query({ active: true, currentWindow: true }, r));
+        tabId = tabs && tabs[0] && tabs[0].id;
+      }
       if (!tabId) {
         sendResponse({ ok: false, error: 'no_tab' });
         return;
       }
-      const ctx = await collectContextWithRetry(tabId);
+      const settings = await loadSettings();
+      const ctx = await collectContextWithRetry(tabId, settings.contextTimeoutMs);
       if (!ctx) {
         sendResponse({ ok: false, error: 'no_context' });
         return;
       }
 
-      const prev = hintsGivenMap.get(tabId) || 0;
-      const hintLevel = Math.min(prev + 1, 3);
+      const slug = problemSlugFromContext(ctx);
+      const hints = await getHintHistory(slug);
+      if (!hints.length) {
+        sendResponse({ ok: false, error: 'no_hint_yet' });
+        return;
+      }
 
-      const settings = await loadSettings();
+      let notice = '';
       if (settings.allowSendCodeToServer) {
         try {
-          const payload = { problemId: ctx.problemId, snippet: ctx.snippet, url: ctx.url, failure: ctx.failure, request: 'snippet', hintLevel };
-          const serverResp = await postToServer(settings.serverUrl, payload, 9000);
-          const snippetText = serverResp.snippet || '';
-          sendResponse({ ok: true, snippet: snippetText });
-          return;
+          const payload = {
+            problemId: ctx.problemId,
+            snippet: ctx.snippet,
+            url: ctx.url,
+            failure: ctx.failure,
+            problem: ctx.problem,
+            language: ctx.language,
+            hintLevel: Math.min(settings.maxHints, Math.max(...hints.map(h => h.level || 1))),
+            ladder: settings.ladder,
+            history: conversationFor(hints, await getChatHistory(slug), CHAT_CONTEXT_TURNS),
+            question
+          };
+          const serverResp = await postToServer(chatUrl(settings.serverUrl), payload, settings.serverTimeoutMs);
+          const answer = (serverResp && serverResp.answer) || '';
+          if (answer) {
+            await updateStored(CHAT_KEY, all => appendChatTurns(all, slug, [
+              { role: 'user', text: question },
+              { role: 'mentor', text: answer }
+            ], Date.now(), CHAT_HISTORY_LIMIT));
+            sendResponse({ ok: true, answer, source: serverResp.source || 'llm' });
+            return;
+          }
         } catch (err) {
-          LOG('request_code_snippet: server call failed', err && err.message ? err.message : err);
+          LOG('ask_mentor: server call failed', err.code, err.message);
+          notice = serverErrorNotice(err, 'answer');
         }
       }
 
-      // fallback: local snippet
-      const localSnippet = localFallbackSnippet(ctx.snippet || '');
-      sendResponse({ ok: true, snippet: localSnippet });
+      // questions need the server; offline answers are not kept in the conversation
+      const resp = {
+        ok: true,
+        answer: 'Follow-up questions are answered by the LeetMentor server — turn on "Allow send code to server" and make sure it is running.',
+        source: 'offline'
+      };
+      if (notice) resp.notice = notice;
+      sendResponse(resp);
     })();
     return true;
   }
@@ -249,13 +970,99 @@ if (msg.type === 'request_hint') {
     }
   }
 
+  if (msg.type === 'import_hint_pack') {
+    (async () => {
+      const result = HintPack.validatePack(msg.pack);
+      if (!result.ok) {
+        sendResponse({ ok: false, error: 'invalid_pack', details: result.errors });
+        return;
+      }
+      const pack = result.pack;
+      await updateStored(HINT_PACKS_KEY, packs => ({ ...(packs || {}), [pack.name]: pack }));
+      LOG('hint pack imported', pack.name, Object.keys(pack.problems).length, 'problems');
+      sendResponse({ ok: true, name: pack.name, problems: Object.keys(pack.problems).length });
+    })();
+    return true;
+  }
+
+  if (msg.type === 'list_hint_packs') {
+    getStored(HINT_PACKS_KEY).then(packs => {
+      const list = Object.values(packs || {}).map(p => ({
+        name: p.name,
+        packVersion: p.packVersion,
+        description: p.description,
+        problems: Object.keys(p.problems).length
+      }));
+      sendResponse({ ok: true, packs: list });
+    });
+    return true;
+  }
+
+  if (msg.type === 'remove_hint_pack') {
+    updateStored(HINT_PACKS_KEY, packs => {
+      const next = { ...(packs || {}) };
+      delete next[msg.name];
+      return next;
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (msg.type === 'get_reviews') {
+    getStored(ReviewQueue.REVIEWS_KEY).then(all => {
+      const due = ReviewQueue.dueReviews(all, Date.now()).map(e => ({
+        slug: e.slug,
+        title: e.title,
+        difficulty: e.difficulty,
+        due: e.due,
+        url: ReviewQueue.problemUrl(e.slug)
+      }));
+      sendResponse({ ok: true, due, queued: Object.keys(all).length });
+    });
+    return true;
+  }
+
+  if (msg.type === 'remove_review') {
+    updateStored(ReviewQueue.REVIEWS_KEY, all => {
+      delete all[msg.slug];
+      return all;
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (msg.type === 'get_interview') {
+    interviewState(msg.tabId).then(sendResponse);
+    return true;
+  }
+
+  // a new session drops the last summary; the popup's tab starts its clock right away
+  if (msg.type === 'start_interview') {
+    (async () => {
+      await updateStored(Interview.INTERVIEW_KEY, () => Interview.startSession(Date.now()));
+      sendResponse(await interviewState(msg.tabId));
+    })();
+    return true;
+  }
+
+  if (msg.type === 'end_interview') {
+    (async () => {
+      const settings = await loadSettings();
+      const session = await updateStored(Interview.INTERVIEW_KEY, s => Interview.endSession(s, settings, Date.now()));
+      chrome.alarms.clear(INTERVIEW_ALARM);
+      sendResponse({ ok: true, summary: session.summary });
+    })();
+    return true;
+  }
+
+  if (msg.type === 'dismiss_interview_summary') {
+    updateStored(Interview.INTERVIEW_KEY, s => ({ ...s, summary: null })).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
   if (msg.type === 'reset_hints') {
     (async () => {
       try {
-        chrome.storage.local.remove(['leetmentor_hints_map', 'leetmentor_hint_cache'], () => {
-          LOG('persisted hints and settings removed from storage');
-        });
-        hintsGivenMap.clear();
+        await new Promise(r => chrome.storage.local.remove([HINTS_MAP_KEY, HINT_CACHE_KEY, CHAT_KEY], r));
+        LOG('persisted hint progress removed from storage');
         sendResponse && sendResponse({ ok: true });
       } catch (e) {
         LOG('reset_hints error', e && e.message ? e.message : e);
@@ -265,6 +1072,27 @@ if (msg.type === 'request_hint') {
     return true;
   }
 
+  if (msg.type === 'editor_input' || msg.type === 'run_or_submit_clicked' || msg.type === 'submission_result') {
+    const p = msg.payload || {};
+    const tabId = sender && sender.tab && sender.tab.id;
+    const kind = msg.type === 'editor_input'
+      ? 'edit'
+      : msg.type === 'run_or_submit_clicked'
+        ? 'run'
+        : (p.status === 'pass' ? 'pass' : 'fail');
+    const attemptKind = kind === 'run' && p.action === 'submit' ? 'submit' : kind;
+    const slug = normalizeProblemId(p.problemId);
+    const logged = logAttempt(slug, { kind: attemptKind, verdict: p.verdict, action: p.action, meta: p.meta }, p.time);
+    if (attemptKind === 'pass' && p.action !== 'run') logged.then(all => all && scheduleReview(all[slug]));
+    noteInterview(slug, { kind, action: p.action, meta: p.meta, tabId }, p.time);
+    recordActivity(p.problemId, tabId, kind, p.time).then(() => {
+      ensureStuckAlarm();
+      // a failed attempt can make the user stuck right away; don't wait for the next alarm tick
+      if (kind === 'fail') runStuckCheck();
+    });
+    return;
+  }
+
   if (msg.type === 'ping_for_leetmentor') {
     sendResponse({ ok: true, version: 'bg-1.0' });
     return;
@@ -273,5 +1101,50 @@ if (msg.type === 'request_hint') {
   return;
 });
 
+// --- Keyboard shortcuts ---
+// Declared under "commands" in manifest.json; users rebind them at chrome://extensions/shortcuts.
+// Everything a shortcut produces is shown in the page's hint panel.
+const LEETCODE_TAB = /^https?:\/\/([\w-]+\.)?leetcode\.com\//;
+
+function tellTab(tabId, msg) {
+  chrome.tabs.sendMessage(tabId, msg, () => {
+    if (chrome.runtime.lastError) {
+      LOG(msg.type + ': sendMessage error', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+async function commandTab(tab) {
+  if (tab && tab.id) return tab;
+  const tabs = await new Promise(r => chrome.tabs.query({ active: true, currentWindow: true }, r));
+  return (tabs && tabs[0]) || null;
+}
+
+async function runCommand(command, tab) {
+  const target = await commandTab(tab);
+  if (!target || !LEETCODE_TAB.test(target.url || '')) {
+    LOG('command', command, 'ignored: not a LeetCode tab');
+    return;
+  }
+  if (command === 'next-hint') {
+    const resp = await requestHint(target.id);
+    if (!resp.ok) LOG('next-hint:', resp.error);
+    if (/^interview_/.test(resp.error || '')) {
+      tellTab(target.id, { type: 'show_hint_in_page', payload: { hintText: interviewNotice(resp), level: 0, nudge: true } });
+    }
+  } else if (command === 'show-snippet') {
+    tellTab(target.id, { type: 'show_snippet_in_page', payload: await requestCodeSnippet(target.id, { afterLastHint: true }) });
+  } else if (command === 'toggle-hint-panel') {
+    tellTab(target.id, { type: 'toggle_hint_panel' });
+  } else if (command === 'hide-hint') {
+    tellTab(target.id, { type: 'hide_hint_in_page' });
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  LOG('command', command, 'in tab', tab && tab.id);
+  runCommand(command, tab);
+});
+
 // initialization
 LOG('background initialized');
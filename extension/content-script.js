@@ -1,44 +1,54 @@
 // content-script.js — Robust content script with reliable messaging and debug API
-// - Injects styles.css
+// - Shows hints in the shadow-DOM panel from lib/hint-panel.js (position kept in leetmentor_panel)
 // - Detects editors (Monaco/CodeMirror/ACE/textarea/contenteditable) with iframe support
+// - Reads Monaco through page-bridge.js (full model text, language, cursor), DOM scraping as fallback
 // - Sends editor_input with timestamp
 // - Handles collect_context and show_hint_in_page (responds and returns true)
+// - Sends follow-up questions typed in the hint panel as ask_mentor, and its
+//   Next hint / Show snippet buttons as request_hint / request_code_snippet
+// - Handles toggle_hint_panel and show_snippet_in_page from the keyboard shortcuts
+// - Sends the rating buttons under each hint as rate_hint
 // - Exposes window.__leetMentorDebug for testing
 
 (() => {
   const LOG = (...args) => { try { console.log('[LeetMentor]', ...args); } catch (e) { } };
   LOG('content script initializing');
 
-  // Inject extension stylesheet (styles.css) into page (web_accessible_resources)
-  (function injectStyles() {
+  // Monaco lives in the page's main world; page-bridge.js reads it there and posts back
+  (function injectPageBridge() {
     try {
-      if (document.getElementById('leetmentor-styles')) return;
-      const link = document.createElement('link');
-      link.id = 'leetmentor-styles';
-      link.rel = 'stylesheet';
-      link.href = chrome.runtime.getURL('styles.css');
-      (document.head || document.documentElement).appendChild(link);
-      LOG('styles injected');
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL('page-bridge.js');
+      script.onload = () => script.remove();
+      (document.head || document.documentElement).appendChild(script);
     } catch (e) {
-      console.warn('[LeetMentor] injectStyles error', e);
+      console.warn('[LeetMentor] injectPageBridge error', e);
     }
   })();
 
   // State
   let latestSnippet = '';
-  let lastFailureMessage = '';
+  let lastFailure = null; // structured, see lib/result-parser.js
   let editorAttached = false;
   let mutationObservers = [];
-  const SNIPPET_LIMIT = 3000;
+  let lastReportedResult = '';
+  let lastAction = '';       // 'run' | 'submit': the button behind the next result
+  let monacoState = null;    // { text, languageId, cursor, lineCount } from page-bridge.js
+  let bridgeActive = false;  // true once the bridge has reported a Monaco model
+  const SNIPPET_LIMIT = 3000;   // editor_input payload
+  const CODE_LIMIT = 20000;     // code kept for collect_context
+  const CONTEXT_SNIPPET_LIMIT = 8000;
+
+  const currentProblemId = () => location.pathname.replace(/\/+$/, '');
 
   // Helper: send editor_input with time + snippet
   function sendEditorInput(snippet) {
-    const payloadSnippet = (snippet || '').slice(0, SNIPPET_LIMIT);
-    latestSnippet = payloadSnippet;
+    latestSnippet = (snippet || '').slice(0, CODE_LIMIT);
+    const payloadSnippet = latestSnippet.slice(0, SNIPPET_LIMIT);
     try {
       chrome.runtime.sendMessage({
         type: 'editor_input',
-        payload: { snippet: payloadSnippet, time: Date.now() }
+        payload: { snippet: payloadSnippet, problemId: currentProblemId(), time: Date.now() }
       });
     } catch (e) {
       // ignore
@@ -53,6 +63,40 @@
     };
   }
 
+  // --- page-bridge.js messaging ---
+  let bridgeRequestId = 0;
+  const pendingBridgeReads = new Map(); // id -> resolve
+
+  window.addEventListener('message', e => {
+    if (e.source !== window || !e.data || e.data.source !== 'leetmentor-bridge') return;
+    const { type, state, id } = e.data;
+    if (type === 'editor_changed' && state) {
+      bridgeActive = true;
+      monacoState = state;
+      sendEditorInput(state.text);
+    }
+    if (type === 'editor_state' && pendingBridgeReads.has(id)) {
+      pendingBridgeReads.get(id)(state || null);
+      pendingBridgeReads.delete(id);
+    }
+  });
+
+  // fresh read of the Monaco model; resolves null when there is no bridge/Monaco in time
+  function readMonacoViaBridge(timeoutMs = 300) {
+    return new Promise(resolve => {
+      const id = ++bridgeRequestId;
+      const timer = setTimeout(() => {
+        pendingBridgeReads.delete(id);
+        resolve(null);
+      }, timeoutMs);
+      pendingBridgeReads.set(id, state => {
+        clearTimeout(timer);
+        resolve(state);
+      });
+      window.postMessage({ source: 'leetmentor-cs', type: 'read_editor', id }, location.origin);
+    });
+  }
+
   // Attach logic
   function attachToNode(rootDoc, selector, node) {
     if (editorAttached) return;
@@ -60,8 +104,11 @@
 
     try {
       if (selector === '.view-line' || selector === '.monaco-editor') {
+        // Fallback only: .view-line holds just the rendered (visible) lines, so once
+        // page-bridge.js reports the full model this scraping is skipped.
         const collect = () => {
-          const lines = Array.from(rootDoc.querySelectorAll('.view-line')).map(l => l.textContent || '');
+          if (bridgeActive) return;
+          const lines = Array.from(rootDoc.querySelectorAll('.view-line')).map(l => (l.textContent || '').replace(/\u00a0/g, ' '));
           const text = lines.join('\n');
           sendEditorInput(text);
         };
@@ -200,7 +247,8 @@
         if (!b.__leetMentorAttached) {
           b.__leetMentorAttached = true;
           b.addEventListener('click', () => {
-            try { chrome.runtime.sendMessage({ type: 'run_or_submit_clicked', payload: { time: Date.now() } }); } catch (e) { }
+            lastAction = txt.includes('submit') ? 'submit' : 'run';
+            try { chrome.runtime.sendMessage({ type: 'run_or_submit_clicked', payload: { problemId: currentProblemId(), action: lastAction, meta: problemMeta(), time: Date.now() } }); } catch (e) { }
             setTimeout(parseSubmissionResult, 1500);
           });
         }
@@ -210,35 +258,182 @@
   }
   bindRunSubmit();
 
+  // Problem scraping (LeetCode DOM; several selector generations are tried in order)
+  const STATEMENT_LIMIT = 1500;
+  const KNOWN_LANGUAGES = ['C++', 'Java', 'Python', 'Python3', 'C', 'C#', 'JavaScript', 'TypeScript', 'PHP', 'Swift', 'Kotlin', 'Dart', 'Go', 'Ruby', 'Scala', 'Rust', 'Racket', 'Erlang', 'Elixir'];
+
+  function firstText(selectors, root = document) {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const txt = el && (el.innerText || el.textContent || '').trim();
+      if (txt) return txt;
+    }
+    return '';
+  }
+
+  function scrapeTitle() {
+    const raw = firstText(['[data-cy="question-title"]', '.text-title-large a', '.text-title-large', 'a[href^="/problems/"].no-underline']);
+    if (raw) return raw.replace(/^\d+\.\s*/, '');
+    return (document.title || '').replace(/\s*-\s*LeetCode.*$/i, '').trim();
+  }
+
+  function scrapeDifficulty() {
+    const el = document.querySelector('[class*="text-difficulty-"], [diff]');
+    const txt = el ? (el.innerText || el.textContent || el.getAttribute('diff') || '').trim() : '';
+    const m = txt.match(/\b(easy|medium|hard)\b/i);
+    return m ? m[1][0].toUpperCase() + m[1].slice(1).toLowerCase() : '';
+  }
+
+  function statementElement() {
+    return document.querySelector('[data-track-load="description_content"]') ||
+      document.querySelector('.question-content__JfgR') ||
+      document.querySelector('[class*="question-content"]') ||
+      document.querySelector('.content__u3I1');
+  }
+
+  // "Example 1: Input: nums = [2,7] Output: [0,1] Explanation: ..." -> { input, output, explanation }
+  function parseExamples(text) {
+    const blocks = text.split(/Example\s*\d+\s*:/i).slice(1);
+    return blocks.slice(0, 3).map(block => {
+      const body = block.split(/Constraints\s*:/i)[0];
+      const grab = (label, next) => {
+        const re = new RegExp(label + '\\s*:\\s*([\\s\\S]*?)(?=' + next + '|$)', 'i');
+        const m = body.match(re);
+        return m ? m[1].trim().slice(0, 300) : '';
+      };
+      return {
+        input: grab('Input', 'Output\\s*:'),
+        output: grab('Output', 'Explanation\\s*:'),
+        explanation: grab('Explanation', 'Example\\s*\\d')
+      };
+    }).filter(e => e.input || e.output);
+  }
+
+  // text with <sup> exponents kept: "10<sup>4</sup>" -> "10^4" (innerText would give "104")
+  function textWithPowers(node) {
+    let out = '';
+    node.childNodes.forEach(c => {
+      if (c.nodeType === 3) out += c.textContent;
+      else if (c.nodeName === 'SUP') out += '^' + c.textContent;
+      else if (c.nodeType === 1) out += textWithPowers(c);
+    });
+    return out;
+  }
+
+  // LeetCode renders constraints as a <ul> after a "Constraints:" paragraph
+  function constraintItems(el) {
+    const label = Array.from(el.querySelectorAll('strong, b')).find(n => /^Constraints\s*:?$/i.test(n.textContent.trim()));
+    let node = label ? (label.closest('p') || label) : null;
+    while (node && node.nodeName !== 'UL') node = node.nextElementSibling;
+    if (!node) return [];
+    return Array.from(node.querySelectorAll('li'))
+      .map(li => textWithPowers(li).replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .slice(0, 12);
+  }
+
+  function parseConstraints(text) {
+    const m = text.match(/Constraints\s*:\s*([\s\S]*?)(?=Follow[\s-]*up|$)/i);
+    if (!m) return [];
+    return m[1].split(/\n+/).map(l => l.trim()).filter(Boolean).slice(0, 12);
+  }
+
+  function scrapeTags() {
+    const tags = Array.from(document.querySelectorAll('a[href^="/tag/"]'))
+      .map(a => (a.innerText || a.textContent || '').trim())
+      .filter(Boolean);
+    return Array.from(new Set(tags)).slice(0, 10);
+  }
+
+  function detectEditorLanguage() {
+    const candidates = Array.from(document.querySelectorAll('button, [role="combobox"], [data-cy="lang-select"]')).slice(0, 400);
+    for (const el of candidates) {
+      const txt = (el.innerText || el.textContent || '').trim();
+      if (KNOWN_LANGUAGES.includes(txt)) return txt;
+    }
+    // LeetCode remembers the last language in localStorage, e.g. "\"python3\""
+    try {
+      const stored = localStorage.getItem('global_lang');
+      if (stored) return JSON.parse(stored);
+    } catch (e) { }
+    return '';
+  }
+
+  // the few details the attempt log keeps (see lib/attempt-log.js)
+  function problemMeta() {
+    return {
+      title: scrapeTitle(),
+      difficulty: scrapeDifficulty(),
+      tags: scrapeTags(),
+      language: detectEditorLanguage() || (monacoState && monacoState.languageId) || ''
+    };
+  }
+
+  function scrapeProblem() {
+    const el = statementElement();
+    const fullText = el ? (el.innerText || el.textContent || '') : '';
+    const statement = fullText.split(/Example\s*1\s*:/i)[0].trim().slice(0, STATEMENT_LIMIT);
+    const listed = el ? constraintItems(el) : [];
+    return {
+      slug: (currentProblemId().match(/\/problems\/([^/]+)/) || [])[1] || '',
+      title: scrapeTitle(),
+      difficulty: scrapeDifficulty(),
+      statement,
+      constraints: listed.length ? listed : parseConstraints(fullText),
+      examples: parseExamples(fullText),
+      tags: scrapeTags()
+    };
+  }
+
   // Parse submission
-  function getFailureText() {
-    const selectors = ['.submission-result', '.result-status', '.status', '.status__text', '.error__2FtR', '.error', '.ant-message', '.execution-result'];
-    for (const s of selectors) {
-      const el = document.querySelector(s);
-      if (el && el.innerText && /wrong answer|runtime error|time limit|error/i.test(el.innerText)) {
-        return el.innerText.trim();
+  const { parseResultText, detectVerdict } = window.LeetMentorResultParser;
+  const RESULT_SELECTORS = ['[data-e2e-locator="console-result"]', '[data-e2e-locator="submission-result"]', '.submission-result', '.result-status', '.status', '.status__text', '.error__2FtR', '.error', '.ant-message', '.execution-result'];
+  const RESULT_TEXT_LIMIT = 4000;
+
+  // Text of the run/submit result panel: starts from the verdict element and climbs to the
+  // nearest ancestor that also holds the Input/Output/Expected sections or the error details.
+  function resultPanelText() {
+    for (const sel of RESULT_SELECTORS) {
+      const el = document.querySelector(sel);
+      const verdictText = el && (el.innerText || '').trim();
+      if (!verdictText || !detectVerdict(verdictText)) continue;
+      let node = el;
+      for (let i = 0; i < 6 && node.parentElement; i++) {
+        node = node.parentElement;
+        const txt = node.innerText || '';
+        if (txt.length > RESULT_TEXT_LIMIT) break;
+        if (/\n\s*(?:input|last executed input|expected|stdout)\b/i.test(txt) || /\bline\s+\d+/i.test(txt)) return txt;
       }
+      return verdictText;
     }
+    // older layouts: text following "wrong answer" anywhere on the page
     const body = document.body.innerText || '';
     const idx = body.toLowerCase().indexOf('wrong answer');
-    if (idx >= 0) return body.slice(Math.max(0, idx - 200), idx + 400).trim();
-    return '';
-  }
-  function getPassText() {
-    const body = document.body.innerText || '';
-    if (/\baccepted\b/i.test(body) || /\bpassed\b/i.test(body)) return 'accepted';
+    if (idx >= 0) return body.slice(idx, idx + 600).trim();
     return '';
   }
 
+  // Polled every 2.5s, so only report a result when it differs from the last one
+  // reported; otherwise a single failure would be counted over and over.
   function parseSubmissionResult() {
-    const fail = getFailureText();
-    const pass = getPassText();
-    if (fail) {
-      lastFailureMessage = fail;
-      try { chrome.runtime.sendMessage({ type: 'submission_result', payload: { status: 'fail', raw: fail, time: Date.now() } }); } catch (e) { }
-    } else if (pass) {
-      try { chrome.runtime.sendMessage({ type: 'submission_result', payload: { status: 'pass', raw: pass, time: Date.now() } }); } catch (e) { }
+    const text = resultPanelText();
+    const result = text ? parseResultText(text) : null;
+    if (!result || !result.verdict) {
+      lastReportedResult = ''; // result panel cleared; the next identical result is a new attempt
+      return;
     }
+    const key = result.verdict + ':' + result.raw;
+    if (key === lastReportedResult) return;
+    lastReportedResult = key;
+
+    const status = result.verdict === 'accepted' ? 'pass' : 'fail';
+    lastFailure = status === 'fail' ? result : null;
+    try {
+      chrome.runtime.sendMessage({
+        type: 'submission_result',
+        payload: { status, verdict: result.verdict, raw: result.raw, failure: lastFailure, problemId: currentProblemId(), action: lastAction, meta: problemMeta(), time: Date.now() }
+      });
+    } catch (e) { }
   }
   setInterval(parseSubmissionResult, 2500);
 
@@ -251,14 +446,22 @@
     if (!msg || !msg.type) return;
 
     if (msg.type === 'collect_context') {
-      const problemId = location.pathname.replace(/\/+$/, '');
-      sendResponse({
-        problemId,
-        snippet: latestSnippet ? latestSnippet.slice(0, 2000) : '',
-        url: location.href,
-        failure: lastFailureMessage || ''
+      const problemId = currentProblemId();
+      readMonacoViaBridge().then(state => {
+        if (state) monacoState = state;
+        const code = state ? state.text : latestSnippet;
+        sendResponse({
+          problemId,
+          snippet: code ? code.slice(0, CONTEXT_SNIPPET_LIMIT) : '',
+          url: location.href,
+          failure: lastFailure || '',
+          problem: scrapeProblem(),
+          // the model's language id comes from the editor itself; the toolbar label is the fallback
+          language: (state && state.languageId) || detectEditorLanguage() || (monacoState && monacoState.languageId) || '',
+          cursor: (monacoState && monacoState.cursor) || null
+        });
       });
-      return; // synchronous
+      return true; // async: waits for the page bridge
     }
 
     if (msg.type === 'ping_for_leetmentor') {
@@ -276,8 +479,15 @@
         (msg.payload && (msg.payload.hintText || msg.payload.hint)) ||
         msg.hint ||
         '';
+      const history = (msg.payload && Array.isArray(msg.payload.history)) ? msg.payload.history : [];
+      const askForCode = !!(msg.payload && msg.payload.askForCode);
+      // past the last level; without a code excerpt when the hint ladder turns them off
+      const exhausted = askForCode || !!(msg.payload && msg.payload.exhausted);
+      const level = (msg.payload && msg.payload.level) || 0;
+      // nudges are not hints, so there is nothing to ask about yet
+      const withQuestions = history.length > 0 && !(msg.payload && msg.payload.nudge);
       try {
-        showHintBubble(hintText);
+        showHintPanel(hintText, { history, level, askForCode, exhausted, withQuestions });
         sendResponse({ ok: true });
       } catch (e) {
         console.error('[LeetMentor] show_hint_in_page handler error', e);
@@ -285,52 +495,266 @@
       }
       return true; // signal async/steady response (we already responded synchronously but keep safe)
     }
-    // hide hint bubble
+    // partial hint text while the server is still generating; the final
+    // show_hint_in_page replaces it with the truncated hint
+    if (msg.type === 'hint_stream') {
+      try {
+        updateStreamingPanel((msg.payload && msg.payload.text) || '', (msg.payload && msg.payload.level) || 0);
+        sendResponse({ ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e) });
+      }
+      return true;
+    }
+    if (msg.type === 'toggle_hint_panel') {
+      try {
+        sendResponse({ ok: true, visible: toggleHintPanel() });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e) });
+      }
+      return true;
+    }
+    if (msg.type === 'show_snippet_in_page') {
+      try {
+        showSnippetInPanel(msg.payload);
+        sendResponse({ ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e) });
+      }
+      return true;
+    }
+    // hide hint panel
     if (msg.type === 'hide_hint_in_page') {
-      const b = document.getElementById('leetmentor-hint-bubble');
-      if (b) b.remove();
+      hideHintPanel();
       sendResponse({ ok: true });
       return true;
     }
   });
   
-  // show hint bubble
-  function showHintBubble(hintText) {
+  // ordered list of the hints already received for this problem (oldest first)
+  function buildHistoryList(history, open) {
+    const details = document.createElement('details');
+    details.className = 'lm-hint-history';
+    details.open = !!open;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Hints so far (${history.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'lm-history-list';
+    history.forEach(h => {
+      const li = HintHistory.buildHistoryItem(document, h);
+      li.appendChild(buildRatingRow(h));
+      list.appendChild(li);
+    });
+    details.appendChild(list);
+    return details;
+  }
+
+  const CHAT_ERRORS = {
+    no_hint_yet: 'Ask for a hint first.',
+    no_context: 'Could not read the problem page; reload it and try again.'
+  };
+
+  function appendChatTurn(log, role, text) {
+    const turn = document.createElement('div');
+    turn.className = `lm-chat-turn lm-chat-${role}`;
+    turn.textContent = text;
+    log.appendChild(turn);
+    return turn;
+  }
+
+  // follow-up questions about the hint; background.js forwards them to the server's /chat
+  function buildAskForm() {
+    const wrap = document.createElement('div');
+    wrap.className = 'lm-hint-chat';
+
+    const log = document.createElement('div');
+    log.className = 'lm-chat-log';
+
+    const form = document.createElement('form');
+    form.className = 'lm-chat-form';
+    const input = document.createElement('input');
+    input.className = 'lm-chat-input';
+    input.type = 'text';
+    input.maxLength = 500;
+    input.placeholder = 'Ask about this hint…';
+    const send = document.createElement('button');
+    send.className = 'lm-chat-send';
+    send.type = 'submit';
+    send.textContent = 'Ask';
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const question = input.value.trim();
+      if (!question) return;
+      appendChatTurn(log, 'user', question);
+      const pending = appendChatTurn(log, 'mentor', '…');
+      input.value = '';
+      send.disabled = true;
+      try {
+        chrome.runtime.sendMessage({ type: 'ask_mentor', question }, resp => {
+          send.disabled = false;
+          if (chrome.runtime.lastError || !resp || resp.ok === false) {
+            pending.textContent = CHAT_ERRORS[resp && resp.error] || 'No answer from LeetMentor; try again.';
+            pending.classList.add('lm-chat-error');
+            return;
+          }
+          pending.textContent = resp.answer;
+          if (resp.notice) pending.title = resp.notice;
+        });
+      } catch (err) {
+        send.disabled = false;
+        pending.textContent = 'No answer from LeetMentor; try again.';
+        pending.classList.add('lm-chat-error');
+      }
+    };
+
+    form.appendChild(input);
+    form.appendChild(send);
+    wrap.appendChild(log);
+    wrap.appendChild(form);
+    return wrap;
+  }
+
+  // The panel remembers where it was dragged/docked and whether it was minimized
+  const PANEL_KEY = 'leetmentor_panel';
+  const HintPanel = window.LeetMentorHintPanel;
+  const HintHistory = window.LeetMentorHintHistory;
+  let hintPanel = null;
+  let panelState = null;
+
+  chrome.storage.local.get(PANEL_KEY, res => {
+    panelState = (res && res[PANEL_KEY]) || null;
+    if (hintPanel && panelState) hintPanel.applyState(panelState);
+  });
+
+  const PANEL_ERRORS = {
+    no_context: 'Could not read the problem page; reload it and try again.',
+    hints_left: 'The code excerpt unlocks after the last hint.',
+    snippets_off: 'Code excerpts are turned off in the hint ladder settings.',
+    interview_locked: 'Interview mode: hints are still locked; the popup shows when they open.',
+    interview_hint_limit: 'Interview mode: no hints left for this problem.',
+    no_such_hint: 'That hint is no longer in the history.'
+  };
+  const PANEL_EMPTY_TEXT = 'No hint yet for this problem. Press Next hint when you want one.';
+  let lastShown = null; // arguments of the last showHintPanel call, for toggle_hint_panel
+
+  // request/response to background.js for the panel buttons; rejects with a readable message
+  function askBackground(msg) {
+    return new Promise((resolve, reject) => {
+      try {
+        chrome.runtime.sendMessage(msg, resp => {
+          if (chrome.runtime.lastError || !resp || resp.ok === false) {
+            reject(new Error(PANEL_ERRORS[resp && resp.error] || 'LeetMentor did not answer; try again.'));
+            return;
+          }
+          resolve(resp);
+        });
+      } catch (e) {
+        reject(new Error('LeetMentor did not answer; try again.'));
+      }
+    });
+  }
+
+  function ensurePanel() {
+    if (hintPanel && hintPanel.host.isConnected) return hintPanel;
+    hintPanel = HintPanel.createHintPanel(document, {
+      stylesheet: chrome.runtime.getURL('panel.css'),
+      state: panelState,
+      onStateChange: state => {
+        panelState = state;
+        try { chrome.storage.local.set({ [PANEL_KEY]: state }); } catch (e) { }
+      },
+      actions: {
+        // background.js answers by sending show_hint_in_page back to this tab
+        nextHint: () => askBackground({ type: 'request_hint' }),
+        showSnippet: () => askBackground({ type: 'request_code_snippet' })
+      }
+    });
+    return hintPanel;
+  }
+
+  // rating buttons for one hint of the history (lib/hint-history.js); every row of the same hint
+  // (current hint and history) shows the change
+  function buildRatingRow(hint) {
+    return HintHistory.renderRatingRow(document.createElement('div'), hint, async rating => {
+      try {
+        const resp = await askBackground({ type: 'rate_hint', at: hint.at, rating });
+        hint.rating = rating;
+        HintHistory.showRating(hintPanel ? hintPanel.root : document, hint.at, rating);
+        if (hintPanel) hintPanel.showStatus(resp.notice || '');
+      } catch (err) {
+        if (hintPanel) hintPanel.showStatus(err.message, true);
+      }
+    });
+  }
+
+  function hideHintPanel() {
+    if (hintPanel) hintPanel.destroy();
+    hintPanel = null;
+    const stray = document.getElementById(HintPanel.PANEL_ID);
+    if (stray) stray.remove();
+  }
+
+  // show a hint (or nudge) in the panel; opts: { history, level, askForCode, exhausted, withQuestions }
+  function showHintPanel(hintText, { history = [], level = 0, askForCode = false, exhausted = askForCode, withQuestions = false } = {}) {
+    lastShown = [hintText, { history, level, askForCode, exhausted, withQuestions }];
     try {
-      const old = document.getElementById('leetmentor-hint-bubble');
-      if (old) old.remove();
-
-      const bubble = document.createElement('div');
-      bubble.id = 'leetmentor-hint-bubble';
-      bubble.className = 'lm-hint-bubble';
-
-      const closeBtn = document.createElement('button');
-      closeBtn.className = 'lm-hint-close';
-      closeBtn.textContent = '✕';
-      closeBtn.onclick = () => bubble.remove();
-
-      const content = document.createElement('div');
-      content.className = 'lm-hint-text';
-      content.textContent = hintText;
-
-      bubble.appendChild(closeBtn);
-      bubble.appendChild(content);
-      document.body.appendChild(bubble);
-      LOG('Hint bubble shown');
+      const extras = [];
+      // the hint on show is the newest one in the history; nudges and notices are not rated
+      const current = history[history.length - 1];
+      if (level > 0 && !exhausted && current && current.text === hintText) extras.push(buildRatingRow(current));
+      // the limit notice opens the history so all hints are in view
+      if (history.length) extras.push(buildHistoryList(history, exhausted));
+      if (withQuestions) extras.push(buildAskForm());
+      ensurePanel().render({ text: hintText, level, canNextHint: !exhausted, canSnippet: askForCode, extras });
+      LOG('Hint panel shown');
     } catch (e) {
-      console.warn('[LeetMentor] showHintBubble error', e);
+      console.warn('[LeetMentor] showHintPanel error', e);
+    }
+  }
+
+  // keyboard shortcut: hide the panel, or bring back the last hint
+  function toggleHintPanel() {
+    if (hintPanel && hintPanel.host.isConnected) {
+      hideHintPanel();
+      return false;
+    }
+    if (lastShown) showHintPanel(...lastShown);
+    else showHintPanel(PANEL_EMPTY_TEXT);
+    return true;
+  }
+
+  // excerpt asked for with the keyboard shortcut (the panel's button shows its own result)
+  function showSnippetInPanel(resp) {
+    if (!hintPanel || !hintPanel.host.isConnected) {
+      if (lastShown) showHintPanel(...lastShown);
+      else showHintPanel(PANEL_EMPTY_TEXT);
+    }
+    if (resp && resp.ok) hintPanel.showSnippet(resp);
+    else hintPanel.showStatus(PANEL_ERRORS[resp && resp.error] || 'No code excerpt available; try again.', true);
+  }
+
+  function updateStreamingPanel(text, level) {
+    if (hintPanel && hintPanel.host.isConnected && hintPanel.isStreaming()) {
+      hintPanel.setText(text);
+      return;
     }
+    ensurePanel().render({ text, level, streaming: true });
   }
 
   // Debug API (exposed in content-script isolated world)
   window.__leetMentorDebug = {
-    getContext: () => ({ snippet: latestSnippet, failure: lastFailureMessage }),
-    simulateFail: (msg = 'Wrong Answer on test 3') => {
-      lastFailureMessage = msg;
-      try { chrome.runtime.sendMessage({ type: 'submission_result', payload: { status: 'fail', raw: msg, time: Date.now() } }); } catch (e) { }
+    getContext: () => ({ snippet: latestSnippet, monaco: monacoState, failure: lastFailure, problem: scrapeProblem(), language: detectEditorLanguage() }),
+    simulateFail: (msg = 'Wrong Answer\nInput\n[1,2]\nOutput\n[0]\nExpected\n[1]') => {
+      lastFailure = parseResultText(msg);
+      if (!lastFailure.verdict) lastFailure.verdict = 'wrong_answer';
+      try { chrome.runtime.sendMessage({ type: 'submission_result', payload: { status: 'fail', verdict: lastFailure.verdict, raw: msg, failure: lastFailure, problemId: currentProblemId(), time: Date.now() } }); } catch (e) { }
     },
     simulateHint: (text = 'Test hint') => {
-      try { showHintBubble(text); } catch (e) { console.warn(e); }
+      try { showHintPanel(text); } catch (e) { console.warn(e); }
     }
   };
 
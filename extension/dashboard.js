@@ -0,0 +1,172 @@
+// dashboard.js — renders the practice dashboard from the local attempt log (lib/attempt-log.js)
+const AttemptLog = window.LeetMentorAttemptLog;
+const Settings = window.LeetMentorSettings;
+const { VERDICT_LABELS } = window.LeetMentorResultParser;
+
+const totalsEl = document.getElementById('totals');
+const topicRows = document.getElementById('topicRows');
+const dependencyRows = document.getElementById('dependencyRows');
+const solveTimesEl = document.getElementById('solveTimes');
+const failureList = document.getElementById('failureList');
+const recentRows = document.getElementById('recentRows');
+const emptyState = document.getElementById('emptyState');
+const clearLogBtn = document.getElementById('clearLogBtn');
+const statusEl = document.getElementById('status');
+
+function readStorage(keys) {
+  return new Promise(res => chrome.storage.local.get(keys, res));
+}
+
+function formatDuration(ms) {
+  if (!ms) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '< 1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+const oneDecimal = n => (Math.round(n * 10) / 10).toString();
+
+function cell(row, content) {
+  const td = document.createElement('td');
+  if (content instanceof Node) td.appendChild(content);
+  else td.textContent = content;
+  row.appendChild(td);
+  return td;
+}
+
+// share is 0..1
+function bar(share, label) {
+  const wrap = document.createElement('span');
+  wrap.className = 'lm-bar';
+  const fill = document.createElement('span');
+  fill.className = 'lm-bar-fill';
+  fill.style.width = Math.round(Math.max(0, Math.min(1, share)) * 100) + '%';
+  wrap.appendChild(fill);
+  if (label) wrap.title = label;
+  return wrap;
+}
+
+function renderStats(el, stats) {
+  el.innerHTML = '';
+  for (const [label, value] of stats) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    el.appendChild(dt);
+    el.appendChild(dd);
+  }
+}
+
+function emptyRow(tbody, columns, text) {
+  const tr = document.createElement('tr');
+  const td = cell(tr, text);
+  td.colSpan = columns;
+  td.className = 'lm-small';
+  tbody.appendChild(tr);
+}
+
+function renderTopics(topics) {
+  topicRows.innerHTML = '';
+  if (!topics.length) return emptyRow(topicRows, 6, 'No topics yet.');
+  for (const t of topics) {
+    const tr = document.createElement('tr');
+    cell(tr, t.tag);
+    cell(tr, String(t.problems));
+    cell(tr, String(t.solved));
+    cell(tr, String(t.failures));
+    cell(tr, oneDecimal(t.hintsPerProblem));
+    cell(tr, bar(t.weakness, oneDecimal(t.weakness)));
+    topicRows.appendChild(tr);
+  }
+}
+
+function renderDependency(weeks, maxHints) {
+  dependencyRows.innerHTML = '';
+  for (const w of weeks.slice().reverse()) {
+    const tr = document.createElement('tr');
+    cell(tr, w.week);
+    cell(tr, String(w.solved));
+    cell(tr, w.solved ? `${w.withHints} of ${w.solved}` : '—');
+    cell(tr, w.solved ? oneDecimal(w.avgHints) : '—');
+    cell(tr, bar(w.avgHints / maxHints, `${oneDecimal(w.avgHints)} hints per problem`));
+    dependencyRows.appendChild(tr);
+  }
+}
+
+function renderFailures(failures) {
+  failureList.innerHTML = '';
+  const entries = Object.entries(failures).sort((a, b) => b[1] - a[1]);
+  if (!entries.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No failed runs or submissions recorded.';
+    failureList.appendChild(li);
+    return;
+  }
+  for (const [verdict, n] of entries) {
+    const li = document.createElement('li');
+    li.textContent = `${VERDICT_LABELS[verdict] || verdict}: ${n}`;
+    failureList.appendChild(li);
+  }
+}
+
+function renderRecent(records, maxHints) {
+  recentRows.innerHTML = '';
+  if (!records.length) return emptyRow(recentRows, 6, 'No problems yet.');
+  for (const r of records) {
+    const tr = document.createElement('tr');
+    const link = document.createElement('a');
+    link.href = `https://leetcode.com/problems/${encodeURIComponent(r.slug)}/`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = r.title || r.slug;
+    cell(tr, link);
+    cell(tr, r.language || '—');
+    cell(tr, `${r.runs} runs, ${r.submits} submits`);
+    const levels = [];
+    for (let level = 1; level <= maxHints; level++) levels.push(r.hints[level] || 0);
+    cell(tr, levels.join(' / '));
+    cell(tr, String(r.snippets));
+    cell(tr, r.acceptedAt ? `${new Date(r.acceptedAt).toLocaleDateString()} (${formatDuration(r.timeToAcceptMs)})` : 'not yet');
+    recentRows.appendChild(tr);
+  }
+}
+
+async function render() {
+  const data = await readStorage([AttemptLog.ATTEMPTS_KEY, Settings.SETTINGS_KEY]);
+  const all = data[AttemptLog.ATTEMPTS_KEY] || {};
+  const { maxHints } = Settings.normalizeSettings(data[Settings.SETTINGS_KEY]);
+  const summary = AttemptLog.summarizeAttempts(all, { maxHints });
+
+  emptyState.classList.toggle('hidden', summary.totals.problems > 0);
+  renderStats(totalsEl, [
+    ['Problems', String(summary.totals.problems)],
+    ['Solved', String(summary.totals.solved)],
+    ['Runs / submits', `${summary.totals.runs} / ${summary.totals.submits}`],
+    ['Hints', String(summary.totals.hints)],
+    ['Code excerpts', String(summary.totals.snippets)],
+    ['Avg time to solve', formatDuration(summary.timeToSolve.avgMs)]
+  ]);
+  renderTopics(summary.topics);
+  renderDependency(summary.dependency, maxHints);
+  renderStats(solveTimesEl, summary.timeToSolve.byDifficulty.map(g => [
+    g.difficulty,
+    g.solved ? `${formatDuration(g.avgMs)} (${g.solved} solved)` : '—'
+  ]));
+  renderFailures(summary.failures);
+  renderRecent(summary.recent, maxHints);
+}
+
+clearLogBtn.addEventListener('click', async () => {
+  if (!confirm('Clear the attempt log? Hint counters are kept.')) return;
+  await new Promise(res => chrome.storage.local.remove(AttemptLog.ATTEMPTS_KEY, res));
+  statusEl.textContent = 'Attempt log cleared';
+});
+
+// keep up with attempts made in other tabs while the dashboard is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes[AttemptLog.ATTEMPTS_KEY] || changes[Settings.SETTINGS_KEY])) render();
+});
+
+render();
@@ -0,0 +1,203 @@
+// attempt-log.js — the local practice log behind dashboard.html.
+// Shared: importScripts()'d by background.js, loaded by dashboard.html (self.LeetMentorAttemptLog)
+// and required by the tests. Pure; background.js owns the chrome.storage writes.
+//
+// leetmentor_attempts: { [slug]: {
+//   slug, title, difficulty, tags, language,
+//   firstAt, lastAt, activeMs,                 // activeMs: time between events, idle gaps left out
+//   runs, submits, failures: { [verdict]: n },
+//   hints: { [level]: n }, snippets,
+//   acceptedAt, timeToAcceptMs, hintsAtAccept, maxLevelAtAccept   // first accepted submission
+// } }
+//
+// Nothing here leaves the browser.
+
+(function (root) {
+  const ATTEMPTS_KEY = 'leetmentor_attempts';
+  const ATTEMPT_LOG_LIMIT = 500;          // problems kept; the least recently touched go first
+  const IDLE_GAP_MS = 10 * 60 * 1000;     // a longer pause between events is not solving time
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function emptyRecord(slug, now) {
+    return {
+      slug,
+      title: '',
+      difficulty: '',
+      tags: [],
+      language: '',
+      firstAt: now,
+      lastAt: now,
+      activeMs: 0,
+      runs: 0,
+      submits: 0,
+      failures: {},
+      hints: {},
+      snippets: 0,
+      acceptedAt: 0,
+      timeToAcceptMs: 0,
+      hintsAtAccept: 0,
+      maxLevelAtAccept: 0
+    };
+  }
+
+  const hintTotal = r => Object.values(r.hints || {}).reduce((a, b) => a + b, 0);
+  const maxHintLevel = r => Object.keys(r.hints || {}).reduce((m, l) => (r.hints[l] > 0 ? Math.max(m, Number(l)) : m), 0);
+  const failureTotal = r => Object.values(r.failures || {}).reduce((a, b) => a + b, 0);
+
+  // problem details seen with the event (from collect_context or the run/submit payload)
+  function mergeMeta(r, meta) {
+    if (!meta) return;
+    if (meta.title) r.title = String(meta.title);
+    if (meta.difficulty) r.difficulty = String(meta.difficulty);
+    if (Array.isArray(meta.tags) && meta.tags.length) r.tags = meta.tags.map(String);
+    if (meta.language) r.language = String(meta.language);
+  }
+
+  // event: { kind: 'edit' | 'run' | 'submit' | 'fail' | 'pass' | 'hint' | 'snippet', verdict, level, action, meta }
+  // A pass only counts as accepted when it came from Submit (action 'submit') or the action is unknown.
+  function recordAttemptEvent(all, slug, event, now) {
+    if (!slug || !event) return all;
+    const r = all[slug] || emptyRecord(slug, now);
+    const gap = now - (r.lastAt || now);
+    if (gap > 0 && gap <= IDLE_GAP_MS) r.activeMs += gap;
+    r.lastAt = Math.max(r.lastAt || 0, now);
+    mergeMeta(r, event.meta);
+
+    switch (event.kind) {
+      case 'run':
+        r.runs += 1;
+        break;
+      case 'submit':
+        r.submits += 1;
+        break;
+      case 'fail': {
+        const verdict = event.verdict || 'unknown';
+        r.failures[verdict] = (r.failures[verdict] || 0) + 1;
+        break;
+      }
+      case 'pass':
+        if (!r.acceptedAt && event.action !== 'run') {
+          r.acceptedAt = now;
+          r.timeToAcceptMs = r.activeMs;
+          r.hintsAtAccept = hintTotal(r);
+          r.maxLevelAtAccept = maxHintLevel(r);
+        }
+        break;
+      case 'hint': {
+        const level = Number(event.level) || 1;
+        r.hints[level] = (r.hints[level] || 0) + 1;
+        break;
+      }
+      case 'snippet':
+        r.snippets += 1;
+        break;
+      default:
+        break;
+    }
+    all[slug] = r;
+
+    const slugs = Object.keys(all);
+    if (slugs.length > ATTEMPT_LOG_LIMIT) {
+      slugs.sort((a, b) => (all[a].lastAt || 0) - (all[b].lastAt || 0))
+        .slice(0, slugs.length - ATTEMPT_LOG_LIMIT)
+        .forEach(s => { delete all[s]; });
+    }
+    return all;
+  }
+
+  const average = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+  // 0..1, higher is weaker: the share of the problem left unsolved, how deep the hints went
+  // (of maxHints) and failed attempts (capped at 5), averaged
+  function weaknessOf(r, maxHints) {
+    const unsolved = r.acceptedAt ? 0 : 1;
+    const hintDepth = Math.min(maxHintLevel(r), maxHints) / maxHints;
+    const failures = Math.min(failureTotal(r), 5) / 5;
+    return (unsolved + hintDepth + failures) / 3;
+  }
+
+  function byTopic(records, maxHints) {
+    const topics = new Map();
+    for (const r of records) {
+      for (const tag of (r.tags && r.tags.length ? r.tags : ['Untagged'])) {
+        if (!topics.has(tag)) topics.set(tag, []);
+        topics.get(tag).push(r);
+      }
+    }
+    return [...topics.entries()].map(([tag, rs]) => ({
+      tag,
+      problems: rs.length,
+      solved: rs.filter(r => r.acceptedAt).length,
+      failures: rs.reduce((n, r) => n + failureTotal(r), 0),
+      hintsPerProblem: average(rs.map(hintTotal)),
+      weakness: average(rs.map(r => weaknessOf(r, maxHints)))
+    })).sort((a, b) => b.weakness - a.weakness || b.problems - a.problems || a.tag.localeCompare(b.tag));
+  }
+
+  // Monday of the (UTC) week, as YYYY-MM-DD
+  function weekOf(at) {
+    const d = new Date(at);
+    const day = (d.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day)).toISOString().slice(0, 10);
+  }
+
+  // solved problems per week: how many hints they took and how many needed any
+  function hintDependency(records, weeks, now) {
+    const since = Date.parse(weekOf(now - (weeks - 1) * 7 * DAY_MS));
+    const buckets = new Map();
+    for (let i = 0; i < weeks; i++) buckets.set(weekOf(since + i * 7 * DAY_MS), []);
+    for (const r of records) {
+      if (!r.acceptedAt || r.acceptedAt < since) continue;
+      const bucket = buckets.get(weekOf(r.acceptedAt));
+      if (bucket) bucket.push(r);
+    }
+    return [...buckets.entries()].map(([week, rs]) => ({
+      week,
+      solved: rs.length,
+      withHints: rs.filter(r => r.hintsAtAccept > 0).length,
+      avgHints: average(rs.map(r => r.hintsAtAccept))
+    }));
+  }
+
+  function timeToSolve(records) {
+    const solved = records.filter(r => r.acceptedAt);
+    const groups = ['Easy', 'Medium', 'Hard'].map(difficulty => {
+      const rs = solved.filter(r => r.difficulty === difficulty);
+      return { difficulty, solved: rs.length, avgMs: average(rs.map(r => r.timeToAcceptMs)) };
+    });
+    return { solved: solved.length, avgMs: average(solved.map(r => r.timeToAcceptMs)), byDifficulty: groups };
+  }
+
+  // everything dashboard.html shows
+  function summarizeAttempts(all, { now = Date.now(), weeks = 8, maxHints = 3 } = {}) {
+    const records = Object.values(all || {});
+    const failures = {};
+    for (const r of records) {
+      for (const [verdict, n] of Object.entries(r.failures || {})) failures[verdict] = (failures[verdict] || 0) + n;
+    }
+    const hintsByLevel = {};
+    for (const r of records) {
+      for (const [level, n] of Object.entries(r.hints || {})) hintsByLevel[level] = (hintsByLevel[level] || 0) + n;
+    }
+    return {
+      totals: {
+        problems: records.length,
+        solved: records.filter(r => r.acceptedAt).length,
+        runs: records.reduce((n, r) => n + r.runs, 0),
+        submits: records.reduce((n, r) => n + r.submits, 0),
+        hints: records.reduce((n, r) => n + hintTotal(r), 0),
+        snippets: records.reduce((n, r) => n + r.snippets, 0)
+      },
+      failures,
+      hintsByLevel,
+      topics: byTopic(records, maxHints),
+      dependency: hintDependency(records, weeks, now),
+      timeToSolve: timeToSolve(records),
+      recent: records.slice().sort((a, b) => b.lastAt - a.lastAt).slice(0, 20)
+    };
+  }
+
+  const api = { ATTEMPTS_KEY, ATTEMPT_LOG_LIMIT, IDLE_GAP_MS, recordAttemptEvent, weaknessOf, weekOf, summarizeAttempts };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorAttemptLog = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,347 @@
+// complexity.js — static estimate of the time/space complexity of the user's code, and the
+// target complexity implied by the problem constraints.
+// Shared: importScripts()'d by background.js after lib/hintpack.js (self.LeetMentorComplexity)
+// and required by the server, which uses it when the model is unavailable.
+//
+// This is a heuristic, not a parser. Nesting is read from indentation (LeetCode code is
+// formatted), loops are classified as constant / logarithmic / linear, and recursion is
+// detected per function. Results are phrased as "about O(...)" to the user.
+
+(function (root) {
+  const HintPack = (typeof module !== 'undefined' && module.exports) ? require('./hintpack') : root.LeetMentorHintPack;
+
+  // largest n for which each complexity fits in a typical time limit (~10^8 simple steps)
+  const TARGETS = [
+    { maxN: 11, time: 'O(n!)', term: { poly: 0, log: 0, exp: 2 } },
+    { maxN: 25, time: 'O(2^n)', term: { poly: 0, log: 0, exp: 1 } },
+    { maxN: 500, time: 'O(n^3)', term: { poly: 3, log: 0, exp: 0 } },
+    { maxN: 1e4, time: 'O(n^2)', term: { poly: 2, log: 0, exp: 0 } },
+    { maxN: 1e6, time: 'O(n log n)', term: { poly: 1, log: 1, exp: 0 } },
+    { maxN: 1e8, time: 'O(n)', term: { poly: 1, log: 0, exp: 0 } },
+    { maxN: Infinity, time: 'O(log n)', term: { poly: 0, log: 1, exp: 0 } }
+  ];
+
+  const ONE = { poly: 0, log: 0, exp: 0 };
+  const LINEAR = { poly: 1, log: 0, exp: 0 };
+  const LOG = { poly: 0, log: 1, exp: 0 };
+
+  const times = (a, b) => ({ poly: a.poly + b.poly, log: a.log + b.log, exp: Math.max(a.exp, b.exp) });
+  const rank = t => t.exp * 100 + t.poly + t.log * 0.1;
+
+  function formatTerm(t) {
+    if (t.exp >= 2) return 'O(n!)';
+    if (t.exp) return 'O(2^n)';
+    const parts = [];
+    if (t.poly === 1) parts.push('n');
+    else if (t.poly > 1) parts.push(`n^${t.poly}`);
+    if (t.log === 1) parts.push('log n');
+    else if (t.log > 1) parts.push(`log^${t.log} n`);
+    return `O(${parts.join(' ') || '1'})`;
+  }
+
+  // --- target from the constraints ---
+
+  // "2 * 10^5", "10^4", "1e5", "5 x 10^4", "100,000" -> number
+  const NUMBER = String.raw`(?:\d+(?:\.\d+)?\s*[*x×]\s*)?10\s*\^\s*\d+|\d+(?:\.\d+)?e\d+|\d[\d,]*`;
+
+  function parseNumber(raw) {
+    const s = String(raw).replace(/\s+/g, '').replace(/,/g, '');
+    let m = s.match(/^(?:(\d+(?:\.\d+)?)[*x×])?10\^(\d+)$/);
+    if (m) return (m[1] ? Number(m[1]) : 1) * Math.pow(10, Number(m[2]));
+    m = s.match(/^(\d+(?:\.\d+)?)e(\d+)$/);
+    if (m) return Number(m[1]) * Math.pow(10, Number(m[2]));
+    return Number(s);
+  }
+
+  function formatN(n) {
+    const exp = Math.floor(Math.log10(n));
+    if (n < 1e4 || !Number.isFinite(exp)) return String(n);
+    const lead = n / Math.pow(10, exp);
+    return Number.isInteger(lead) ? `${lead === 1 ? '' : `${lead} * `}10^${exp}` : String(n);
+  }
+
+  // Only sizes count: "nums.length <= 10^4", "1 <= n <= 10^5", "The number of nodes is in the
+  // range [0, 10^4]". Value bounds such as "-10^9 <= nums[i] <= 10^9" are ignored.
+  const SIZE_VAR = /(?:\.length|\.size\(\)|\blen\b|\blength\b|\bsize\b|^[nm]$|^[nm]\s*,\s*[nm]$|^[nm]\s*==)/;
+
+  function sizeBounds(constraint) {
+    const text = String(constraint || '')
+      .replace(/[≤⩽]/g, '<=')
+      .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, d => '^' + [...d].map(c => '⁰¹²³⁴⁵⁶⁷⁸⁹'.indexOf(c)).join(''));
+    const out = [];
+    const upper = new RegExp(String.raw`([\w.\[\]()]+(?:\s*,\s*[\w.\[\]()]+)*)\s*<=?\s*(${NUMBER})`, 'g');
+    for (const m of text.matchAll(upper)) {
+      const lhs = m[1].trim();
+      if (/\[\s*\w+\s*\]$/.test(lhs) && !/\.length|\.size/.test(lhs)) continue; // element values
+      if (SIZE_VAR.test(lhs)) out.push(parseNumber(m[2]));
+    }
+    const range = new RegExp(String.raw`number of[^[]*\[\s*[^,\]]+,\s*(${NUMBER})\s*\]`, 'i');
+    const r = text.match(range);
+    if (r) out.push(parseNumber(r[1]));
+    return out.filter(n => Number.isFinite(n) && n > 0);
+  }
+
+  // Returns { n, nLabel, time, term } for the largest input size, or null when none is found.
+  function targetComplexity(constraints) {
+    const sizes = (Array.isArray(constraints) ? constraints : []).flatMap(sizeBounds);
+    if (!sizes.length) return null;
+    const n = Math.max(...sizes);
+    const target = TARGETS.find(t => n <= t.maxN);
+    return { n, nLabel: formatN(n), time: target.time, term: target.term };
+  }
+
+  // --- estimate from the code ---
+
+  const LOOP_HEADER = /^(?:for|while|foreach)\b|^do\s*\{?$|^\}\s*while\b/;
+  const INLINE_LOOP = /\bfor\s+[\w\s,()]+\s+in\s|\.(?:forEach|map|filter|reduce|some|every|findIndex)\s*\(|\bstream\(\)/g;
+  const LINEAR_SCAN = /\.(?:index|count|indexOf|lastIndexOf|includes|remove|shift|unshift|splice)\s*\(|\.insert\(\s*0\s*,|\.pop\(\s*0\s*\)|\b(?:sum|max|min|any|all|list|sorted)\(\s*\w+(?:\[[^\]]*\])?\s*\)|\[\s*\w*\s*:\s*\w*\s*\]|\bnew\s+(?:ArrayList|HashSet|HashMap)<[^>]*>\(\s*\w+\s*\)/;
+  const SORT = /\.sort\(|\bsorted\(|\bsort\(|Arrays\.sort|Collections\.sort|sort\.(?:Ints|Slice|Strings)\(/;
+  const HALVING = /(?:\*|\/\/|\/|>>|<<)=\s*[12]\b|\b(\w+)\s*=\s*\1\s*(?:\*|\/\/|\/|>>|<<)\s*[12]\b/;
+  const BINARY_SEARCH = /\b(?:lo|low|left|l|start|i)\b\s*<=?\s*\b(?:hi|high|right|r|end|j)\b/;
+  const CONSTANT_BOUND = /\brange\(\s*-?\d+\s*(?:,\s*-?\d+\s*)?(?:,\s*-?\d+\s*)?\)|(?:<|<=|>|>=)\s*\d+\s*;|\bin\s+""|\bin\s+\[[^\]\w]*\]/;
+
+  const FUNCTION_DEFS = [
+    /^def\s+(\w+)\s*\(/,
+    /^(?:async\s+)?function\s*\*?\s*(\w+)\s*\(/,
+    /^(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/,
+    /^func\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/,
+    /^(\w+)\s*:?=\s*func\s*\(/,
+    /^(?:fun|fn)\s+(\w+)\s*[<(]/,
+    /^(?:(?:public|private|protected|static|final|virtual|inline|override)\s+)*[\w<>[\],*&:]+\s+[*&]?(\w+)\s*\([^;]*\)\s*(?:const\s*)?(?:throws\s+[\w.,\s]+)?\{?$/
+  ];
+  const NOT_A_FUNCTION = new Set(['if', 'for', 'while', 'switch', 'return', 'else', 'new', 'catch', 'sizeof']);
+  const MEMO = /@(?:functools\.)?(?:cache|lru_cache)\b|\b(?:memo\w*|cache\w*|dp|visited|seen)\b/i;
+
+  function isPython(language, lines) {
+    const lang = HintPack.normalizeLanguage(language);
+    if (lang) return lang === 'python';
+    return lines.some(l => /^\s*def\s+\w+\s*\(.*\)\s*(?:->[^:]*)?:\s*$/.test(l));
+  }
+
+  // strips strings and comments; keeps the line numbering
+  function cleanLines(code, python) {
+    const lines = String(code || '').split(/\r?\n/);
+    let inBlock = false;
+    return lines.map((raw, i) => {
+      let text = raw.replace(/\t/g, '    ');
+      if (!python) {
+        if (inBlock) {
+          const end = text.indexOf('*/');
+          if (end < 0) return { line: i + 1, indent: 0, text: '' };
+          text = ' '.repeat(end + 2) + text.slice(end + 2);
+          inBlock = false;
+        }
+        text = text.replace(/\/\*.*?\*\//g, '');
+        const start = text.indexOf('/*');
+        if (start >= 0) {
+          text = text.slice(0, start);
+          inBlock = true;
+        }
+      }
+      text = text.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g, '""');
+      text = python ? text.replace(/#.*$/, '') : text.replace(/\/\/.*$/, '');
+      return { line: i + 1, indent: text.match(/^ */)[0].length, text: text.trim(), raw: raw.trim() };
+    }).filter(l => l.text && l.text !== '}' && l.text !== '};' && l.text !== ')' && l.text !== '});');
+  }
+
+  // lines after `index` that are indented deeper (the block it opens)
+  function blockOf(lines, index) {
+    const out = [];
+    for (let i = index + 1; i < lines.length && lines[i].indent > lines[index].indent; i++) out.push(lines[i]);
+    return out;
+  }
+
+  function loopKind(lines, index) {
+    const header = lines[index].text;
+    if (CONSTANT_BOUND.test(header)) return ONE;
+    const body = blockOf(lines, index);
+    if (HALVING.test(header) || body.some(l => HALVING.test(l.text) && !/\bmid\b/.test(l.text))) return LOG;
+    if (/^(?:while|\}\s*while)\b/.test(header) && BINARY_SEARCH.test(header) && body.some(l => /\bmid\b/.test(l.text))) return LOG;
+    return LINEAR;
+  }
+
+  function inlineTerm(text, insideLoop) {
+    let term = ONE;
+    let kind = '';
+    const loops = (text.match(INLINE_LOOP) || []).length;
+    for (let i = 0; i < loops; i++) term = times(term, LINEAR);
+    if (loops) kind = 'inline';
+    if (insideLoop && LINEAR_SCAN.test(text)) {
+      term = times(term, LINEAR);
+      kind = 'scan';
+    }
+    if (SORT.test(text)) {
+      term = times(term, { poly: 1, log: 1, exp: 0 });
+      kind = 'sort';
+    }
+    return { term, kind, loops };
+  }
+
+  function findFunctions(lines) {
+    const out = [];
+    lines.forEach((l, index) => {
+      for (const re of FUNCTION_DEFS) {
+        const m = l.text.match(re);
+        if (m && !NOT_A_FUNCTION.has(m[1])) {
+          out.push({ name: m[1], index });
+          break;
+        }
+      }
+    });
+    return out.map(f => {
+      const body = blockOf(lines, f.index);
+      const call = String.raw`\b${f.name}\s*\(`;
+      const calls = body.flatMap(l => l.text.match(new RegExp(call, 'g')) || []).length;
+      const callLines = body.filter(l => new RegExp(call).test(l.text));
+      const before = f.index > 0 ? lines[f.index - 1].text : '';
+      return {
+        ...f,
+        body,
+        calls,
+        memo: MEMO.test(before) || body.some(l => MEMO.test(l.text)),
+        halving: callLines.some(l => /\bmid\b|\/\/\s*2|\/\s*2|>>\s*1|\bn\s*-\s*\w+\s*\/\s*2/.test(l.text))
+      };
+    }).filter(f => f.calls > 0);
+  }
+
+  // Returns { time, space, term, spaceTerm, bottleneck: { line, text, kind, depth?, calls?, name? } | null }.
+  function estimateComplexity(code, { language = '' } = {}) {
+    const rawLines = String(code || '').split(/\r?\n/);
+    const python = isPython(language, rawLines);
+    const lines = cleanLines(code, python);
+    if (!lines.length) return null;
+
+    let best = { term: ONE, bottleneck: null };
+    const lineTerms = new Map(); // line -> heaviest term on it
+    const consider = (term, bottleneck) => {
+      const prev = lineTerms.get(bottleneck.line);
+      if (!prev || rank(term) > rank(prev)) lineTerms.set(bottleneck.line, term);
+      if (rank(term) > rank(best.term)) best = { term, bottleneck };
+    };
+
+    // loops: the enclosing loops are the ones with a smaller indent
+    const open = [];
+    let anyLoop = false;
+    lines.forEach((l, index) => {
+      while (open.length && open[open.length - 1].indent >= l.indent) open.pop();
+      let factor = open.reduce((t, o) => times(t, o.kind), ONE);
+      const depth = open.filter(o => o.kind === LINEAR).length;
+
+      const header = LOOP_HEADER.test(l.text) && !/^\}\s*while\b.*;$/.test(l.text);
+      if (header) {
+        const kind = loopKind(lines, index);
+        anyLoop = true;
+        factor = times(factor, kind);
+        open.push({ indent: l.indent, kind });
+        consider(factor, { line: l.line, text: l.raw, kind: 'loops', depth: depth + (kind === LINEAR ? 1 : 0) });
+      }
+      // a loop header's own `for x in ...` is not an inline loop
+      const inline = inlineTerm(header ? l.text.replace(/^(?:for|while|foreach)\b[^:{]*[:{]?/, '') : l.text, open.length > 0);
+      if (inline.kind) {
+        if (inline.kind === 'inline') anyLoop = true;
+        consider(times(factor, inline.term), { line: l.line, text: l.raw, kind: inline.kind, depth: inline.kind === 'inline' ? depth + inline.loops : depth });
+      }
+      // a callback loop that opens a block (`nums.forEach(x => {`) encloses the lines below it, like a loop header
+      if (!header && inline.kind === 'inline' && /\{$/.test(l.text)) open.push({ indent: l.indent, kind: LINEAR });
+    });
+
+    // recursion multiplies the work done per call
+    let stack = ONE;
+    for (const f of findFunctions(lines)) {
+      const bodyTerm = f.body.reduce((t, l) => {
+        const m = lineTerms.get(l.line) || ONE;
+        return rank(m) > rank(t) ? m : t;
+      }, ONE);
+      let term;
+      if (f.halving) term = f.calls > 1 ? times(bodyTerm.poly ? bodyTerm : LINEAR, LOG) : times(bodyTerm, LOG);
+      else if (f.calls > 1 && !f.memo) term = { poly: 0, log: 0, exp: 1 };
+      else term = times(bodyTerm, LINEAR);
+      const depthTerm = f.halving ? LOG : LINEAR;
+      if (rank(depthTerm) > rank(stack)) stack = depthTerm;
+      consider(term, { line: lines[f.index].line, text: lines[f.index].raw, kind: 'recursion', name: f.name, calls: f.calls, memo: f.memo, halving: f.halving });
+    }
+
+    // space: allocations sized by the input, growing containers, the recursion stack
+    let space = stack;
+    const grow = (t) => { if (rank(t) > rank(space)) space = t; };
+    for (const l of lines) {
+      const t = l.text;
+      if (/\[\s*\[[^\]]*\]\s*\*\s*[a-zA-Z_(]|\[\s*\[[^\]]*\]\s*\*\s*\w+\s+for\b|\bnew\s+\w+\s*\[\s*[a-zA-Z_][^\]]*\]\s*\[|vector<\s*vector<|make\(\s*\[\]\[\]/.test(t) && !/\[\s*\d+\s*\]\s*\[\s*\d+\s*\]/.test(t)) {
+        grow({ poly: 2, log: 0, exp: 0 });
+      } else if (/\[[^\]]*\]\s*\*\s*\(?[a-zA-Z_]|\bnew\s+\w+\s*\[\s*[a-zA-Z_][^\]]*\]|\bvector<[^>]*>\s*\w+\s*\(\s*[a-zA-Z_]|\bmake\(\s*\[\]\w+\s*,\s*[a-zA-Z_]|\bnew\s+Array\(\s*[a-zA-Z_]/.test(t)) {
+        grow(LINEAR);
+      } else if (anyLoop && /=\s*(?:\[\s*\]|\{\s*\}|(?:dict|set|list|defaultdict|Counter|deque|collections\.\w+)\(|new\s+(?:Map|Set|Array|HashMap|HashSet|ArrayList|LinkedList|ArrayDeque|TreeMap|PriorityQueue)\b|make\(\s*(?:map|\[\]))|\b(?:unordered_map|unordered_set|map|set|vector|deque|queue|stack|priority_queue)<[^;]*>\s+\w+\s*;/.test(t)) {
+        grow(LINEAR);
+      } else if (/\bsorted\(|\[\s*:\s*\]|\.slice\(\s*\)|\.copy\(\)|\.clone\(\)/.test(t)) {
+        grow(LINEAR);
+      }
+    }
+
+    return {
+      time: formatTerm(best.term),
+      space: formatTerm(space),
+      term: best.term,
+      spaceTerm: space,
+      bottleneck: best.bottleneck
+    };
+  }
+
+  function describeBottleneck(b) {
+    if (!b) return '';
+    if (b.kind === 'recursion') {
+      if (b.halving) return `the divide-and-conquer recursion in ${b.name}() (line ${b.line})`;
+      if (b.calls > 1 && !b.memo) return `${b.calls} recursive calls per ${b.name}() call without memoization (line ${b.line})`;
+      return `the recursion in ${b.name}() (line ${b.line})`;
+    }
+    if (b.kind === 'sort') return `the sort at line ${b.line}${b.depth ? ' inside a loop' : ''}`;
+    if (b.kind === 'scan') return `a linear scan inside a loop at line ${b.line}`;
+    if (b.depth > 1) return `${b.depth} nested loops (innermost at line ${b.line})`;
+    return `the loop at line ${b.line}`;
+  }
+
+  function adviceFor(b) {
+    if (!b) return 'look for repeated work you can avoid';
+    if (b.kind === 'recursion' && b.halving) return 'do less work per call, or split the input without copying it';
+    if (b.kind === 'recursion') return 'cache results of repeated subproblems (memoization or a DP table)';
+    if (b.kind === 'sort') return 'sort once, outside the loop';
+    if (b.kind === 'scan') return 'keep the values in a set or map so each lookup is O(1)';
+    return 'avoid re-scanning the input in the inner loop (hash map, sorting with two pointers, prefix sums)';
+  }
+
+  // One line for the user: the estimate, what drives it and how it compares to the target.
+  function complexityNote(estimate, target) {
+    if (!estimate) return 'No code to analyze yet.';
+    const where = describeBottleneck(estimate.bottleneck);
+    if (!target) return `About ${estimate.time}${where ? `, driven by ${where}` : ''}.`;
+    if (rank(estimate.term) > rank(target.term)) {
+      return `About ${estimate.time}${where ? ` because of ${where}` : ''}, but n up to ${target.nLabel} needs ${target.time} or better — ${adviceFor(estimate.bottleneck)}.`;
+    }
+    return `About ${estimate.time}, within the ${target.time} that n up to ${target.nLabel} allows${where ? `; the heaviest part is ${where}` : ''}.`;
+  }
+
+  // Returns { time, space, target: { n, nLabel, time } | null, note, bottleneck, method: 'heuristic' };
+  // time and space are '' when there is no code.
+  function analyzeComplexity(code, { language = '', constraints = [] } = {}) {
+    const estimate = estimateComplexity(code, { language });
+    const target = targetComplexity(constraints);
+    return {
+      time: estimate ? estimate.time : '',
+      space: estimate ? estimate.space : '',
+      target: target ? { n: target.n, nLabel: target.nLabel, time: target.time } : null,
+      note: complexityNote(estimate, target),
+      bottleneck: estimate && estimate.bottleneck ? { line: estimate.bottleneck.line, text: estimate.bottleneck.text, kind: estimate.bottleneck.kind } : null,
+      method: 'heuristic'
+    };
+  }
+
+  const api = {
+    TARGETS,
+    formatTerm,
+    targetComplexity,
+    estimateComplexity,
+    complexityNote,
+    analyzeComplexity
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorComplexity = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,111 @@
+// feedback.js — ratings of the hints shown, and the request each hint was generated from.
+// Shared: importScripts()'d by background.js, loaded by the popup and the content script
+// (self.LeetMentorFeedback) and required by the server, which validates /feedback against RATINGS.
+// Pure; background.js owns the chrome.storage writes and the optional POST /feedback.
+//
+// leetmentor_feedback: { [hintId]: {
+//   hintId, slug, at,                   // at: when the hint was shown (its hint-history `at`)
+//   level, hint, source,                // the hint as it is in the hint history
+//   rating, ratedAt,
+//   context                             // the /hint request body it came from, when still known
+// } }
+//
+// leetmentor_hint_contexts: { [hintId]: { at, context } } — the last CONTEXT_LIMIT hint requests,
+// kept so a rating given later still knows what the hint was generated from.
+
+(function (root) {
+  const FEEDBACK_KEY = 'leetmentor_feedback';
+  const CONTEXTS_KEY = 'leetmentor_hint_contexts';
+  const FEEDBACK_LIMIT = 200;
+  const CONTEXT_LIMIT = 50;
+
+  // in the order the buttons are shown
+  const RATINGS = [
+    { value: 'up', label: '👍', title: 'This hint helped' },
+    { value: 'down', label: '👎', title: 'This hint did not help' },
+    { value: 'too_revealing', label: 'Too revealing', title: 'This hint gave too much away' },
+    { value: 'too_vague', label: 'Too vague', title: 'This hint was too vague to act on' }
+  ];
+  const RATING_VALUES = RATINGS.map(r => r.value);
+  const isRating = value => RATING_VALUES.includes(value);
+
+  const hintId = (slug, at) => `${slug}@${at}`;
+
+  // keeps the newest `limit` entries by `field`
+  function keepNewest(all, field, limit) {
+    const ids = Object.keys(all);
+    if (ids.length <= limit) return all;
+    ids.sort((a, b) => (all[b][field] || 0) - (all[a][field] || 0))
+      .slice(limit)
+      .forEach(id => { delete all[id]; });
+    return all;
+  }
+
+  function rememberContext(all, id, context, at, limit = CONTEXT_LIMIT) {
+    if (!id || !context) return all;
+    all[id] = { at, context };
+    return keepNewest(all, 'at', limit);
+  }
+
+  // hint: the hint-history entry { level, text, source, at }. An empty rating takes it back.
+  function recordRating(all, slug, hint, rating, { context = null, now = Date.now(), limit = FEEDBACK_LIMIT } = {}) {
+    if (!slug || !hint) return all;
+    const id = hintId(slug, hint.at);
+    if (!rating) {
+      delete all[id];
+      return all;
+    }
+    all[id] = {
+      hintId: id,
+      slug,
+      at: hint.at,
+      level: hint.level,
+      hint: hint.text,
+      source: hint.source,
+      rating,
+      ratedAt: now,
+      context: context || (all[id] && all[id].context) || null
+    };
+    return keepNewest(all, 'ratedAt', limit);
+  }
+
+  // hint history with each entry's rating ('' when unrated), for the popup and the panel
+  function withRatings(history, slug, all) {
+    return (history || []).map(h => {
+      const entry = all && all[hintId(slug, h.at)];
+      return { ...h, rating: entry ? entry.rating : '' };
+    });
+  }
+
+  // POST /feedback body for a stored rating (see server/API.md)
+  function feedbackPayload(entry) {
+    const context = entry.context || {};
+    return {
+      problemId: context.problemId || entry.slug,
+      url: context.url || '',
+      hintLevel: entry.level,
+      hint: entry.hint,
+      source: entry.source,
+      rating: entry.rating,
+      ratedAt: entry.ratedAt,
+      context: entry.context || undefined
+    };
+  }
+
+  const api = {
+    FEEDBACK_KEY,
+    CONTEXTS_KEY,
+    FEEDBACK_LIMIT,
+    CONTEXT_LIMIT,
+    RATINGS,
+    RATING_VALUES,
+    isRating,
+    hintId,
+    rememberContext,
+    recordRating,
+    withRatings,
+    feedbackPayload
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorFeedback = api;
+})(typeof self !== 'undefined' ? self : this);
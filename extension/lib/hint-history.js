@@ -0,0 +1,76 @@
+// hint-history.js — the hint history rows and their rating buttons, as the popup and the in-page
+// panel both show them. Shared: loaded by the popup and the content script after lib/feedback.js
+// (self.LeetMentorHintHistory) and required by the tests. Builds DOM only; the caller sends
+// rate_hint and then calls showRating with what was saved.
+//
+//   const li = buildHistoryItem(document, hint);
+//   li.appendChild(renderRatingRow(document.createElement('div'), hint, rating => { /* rate_hint, showRating */ }));
+
+(function (root) {
+  const Feedback = (typeof module !== 'undefined' && module.exports) ? require('./feedback') : root.LeetMentorFeedback;
+
+  // the time for a hint from today, else the date
+  function formatHintTime(at, now = Date.now()) {
+    const d = new Date(at);
+    if (d.toDateString() === new Date(now).toDateString()) {
+      return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return d.toLocaleDateString();
+  }
+
+  // 👍 👎 Too revealing / Too vague for one hint, drawn into `row` (its old buttons are replaced).
+  // onRate(rating) gets the pressed rating, or '' when the chosen one is pressed again to take it back.
+  function renderRatingRow(row, hint, onRate) {
+    const doc = row.ownerDocument;
+    row.textContent = '';
+    row.classList.add('lm-rating');
+    row.dataset.at = String(hint.at);
+    for (const r of Feedback.RATINGS) {
+      const b = doc.createElement('button');
+      b.type = 'button';
+      b.className = 'lm-rate';
+      b.dataset.rating = r.value;
+      b.textContent = r.label;
+      b.title = r.title;
+      b.setAttribute('aria-label', r.title);
+      b.setAttribute('aria-pressed', String(hint.rating === r.value));
+      b.addEventListener('click', () => onRate(hint.rating === r.value ? '' : r.value));
+      row.appendChild(b);
+    }
+    return row;
+  }
+
+  // a saved rating, on every row of that hint under `container` (the current hint and its history entry)
+  function showRating(container, at, rating) {
+    container.querySelectorAll(`.lm-rating[data-at="${at}"] .lm-rate`).forEach(el => {
+      el.setAttribute('aria-pressed', String(el.dataset.rating === rating));
+    });
+  }
+
+  // <li> with the level badge, the time and the text of one history entry
+  function buildHistoryItem(doc, hint) {
+    const li = doc.createElement('li');
+    li.className = 'lm-history-item';
+
+    const badge = doc.createElement('span');
+    badge.className = 'lm-level-badge';
+    badge.textContent = 'L' + hint.level;
+
+    const time = doc.createElement('span');
+    time.className = 'lm-history-time';
+    time.textContent = formatHintTime(hint.at);
+
+    const text = doc.createElement('div');
+    text.className = 'lm-history-text';
+    text.textContent = hint.text;
+
+    li.appendChild(badge);
+    li.appendChild(time);
+    li.appendChild(text);
+    return li;
+  }
+
+  const api = { formatHintTime, renderRatingRow, showRating, buildHistoryItem };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorHintHistory = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,366 @@
+// hint-panel.js — the in-page hint panel: a shadow-DOM host so LeetCode's CSS can't reach it.
+// Shared: loaded as a content script (window.LeetMentorHintPanel); the layout helpers are
+// also required by the tests.
+//
+//   const panel = createHintPanel(document, { stylesheet, state, onStateChange, actions })
+//   panel.render({ text, level, streaming, canNextHint, canSnippet, extras: [historyNode] })
+//
+// state is { dock: 'left' | 'right' | null, x, y, minimized }; x/y are null until the panel
+// is dragged, which keeps the default bottom-right corner.
+
+(function (root) {
+  const PANEL_ID = 'leetmentor-hint-panel';
+  const SNAP_DISTANCE = 24; // px from a viewport edge at which a dropped panel docks there
+  const DOCKS = ['left', 'right'];
+  const DEFAULT_STATE = { dock: null, x: null, y: null, minimized: false };
+
+  // LeetCode marks dark mode on <html>: class="dark", and color-scheme: dark on newer pages
+  function detectTheme(doc) {
+    const html = doc && doc.documentElement;
+    if (!html) return 'light';
+    const dark = html.classList.contains('dark') ||
+      html.getAttribute('data-theme') === 'dark' ||
+      /dark/.test(html.style.colorScheme || '');
+    return dark ? 'dark' : 'light';
+  }
+
+  const CODE_LINE = /^(\s{2,}|\t)\S|[;{}]\s*$|^\s*[\w.[\]]+\s*[-+*/]?=\s*[^=\s]/;
+  const KEYWORD_LINE = /^\s*(for|while|if|elif|else|def|return|class|func|function|var|let|const|int|long|public|private|vector|auto)\b.*[()[\]{}=<>:;]/;
+  const looksLikeCode = line => CODE_LINE.test(line) || KEYWORD_LINE.test(line);
+
+  // [{ type: 'text' | 'code', text }]: ``` fences first, then runs of lines that look like code
+  // (level-3 hints and excerpts arrive without fences)
+  function splitCodeBlocks(text) {
+    const blocks = [];
+    const push = (type, lines) => {
+      const body = lines.join('\n');
+      if (!body.trim()) return;
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === type) last.text += '\n' + body;
+      else blocks.push({ type, text: body });
+    };
+    const parts = String(text || '').split(/^\s*```[\w+#-]*\s*$/m);
+    parts.forEach((part, i) => {
+      const lines = part.replace(/^\n+|\n+$/g, '').split('\n');
+      if (i % 2 === 1) return push('code', lines);
+      // a single line is prose unless it was fenced: "Use i = 0." should not turn into a code block
+      if (lines.length < 2) return push('text', lines);
+      let run = [];
+      let runType = null;
+      for (const line of lines) {
+        const type = looksLikeCode(line) ? 'code' : 'text';
+        if (runType && type !== runType) {
+          push(runType, run);
+          run = [];
+        }
+        runType = type;
+        run.push(line);
+      }
+      if (runType) push(runType, run);
+    });
+    return blocks;
+  }
+
+  // text with `inline code` and code blocks as <pre><code>; everything goes through textContent
+  function renderRichText(container, text) {
+    const doc = container.ownerDocument;
+    container.textContent = '';
+    for (const block of splitCodeBlocks(text)) {
+      if (block.type === 'code') {
+        const pre = doc.createElement('pre');
+        pre.className = 'lm-code-block';
+        const code = doc.createElement('code');
+        code.textContent = block.text;
+        pre.appendChild(code);
+        container.appendChild(pre);
+        continue;
+      }
+      const p = doc.createElement('p');
+      p.className = 'lm-text-block';
+      block.text.split(/`([^`\n]+)`/).forEach((piece, i) => {
+        if (!piece) return;
+        if (i % 2 === 0) {
+          p.appendChild(doc.createTextNode(piece));
+          return;
+        }
+        const code = doc.createElement('code');
+        code.textContent = piece;
+        p.appendChild(code);
+      });
+      container.appendChild(p);
+    }
+  }
+
+  // keeps the whole panel on screen
+  function clampPosition(pos, size, viewport) {
+    const maxX = Math.max(0, viewport.width - size.width);
+    const maxY = Math.max(0, viewport.height - size.height);
+    return {
+      x: Math.round(Math.min(Math.max(0, pos.x), maxX)),
+      y: Math.round(Math.min(Math.max(0, pos.y), maxY))
+    };
+  }
+
+  // where a drag ends: docked when dropped against the left/right edge, otherwise floating there
+  function dropPosition(rect, viewport) {
+    if (rect.x <= SNAP_DISTANCE) return { dock: 'left', x: null, y: null };
+    if (rect.x + rect.width >= viewport.width - SNAP_DISTANCE) return { dock: 'right', x: null, y: null };
+    return { dock: null, ...clampPosition(rect, rect, viewport) };
+  }
+
+  function normalizeState(state) {
+    const s = { ...DEFAULT_STATE, ...(state || {}) };
+    if (!DOCKS.includes(s.dock)) s.dock = null;
+    if (!Number.isFinite(s.x) || !Number.isFinite(s.y)) {
+      s.x = null;
+      s.y = null;
+    }
+    s.minimized = !!s.minimized;
+    return s;
+  }
+
+  function button(doc, className, label, title) {
+    const b = doc.createElement('button');
+    b.type = 'button';
+    b.className = className;
+    b.textContent = label;
+    if (title) {
+      b.title = title;
+      b.setAttribute('aria-label', title);
+    }
+    return b;
+  }
+
+  // actions.nextHint() / actions.showSnippet() return promises; showSnippet resolves to
+  // { snippet, notice } and both reject with an Error whose message is shown in the panel
+  function createHintPanel(doc, { stylesheet, state, onStateChange, actions = {} } = {}) {
+    const win = doc.defaultView;
+    const old = doc.getElementById(PANEL_ID);
+    if (old) old.remove();
+
+    const host = doc.createElement('div');
+    host.id = PANEL_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    if (stylesheet) {
+      const link = doc.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = stylesheet;
+      shadow.appendChild(link);
+    }
+
+    const panel = doc.createElement('section');
+    panel.className = 'lm-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'LeetMentor hints');
+
+    const header = doc.createElement('header');
+    header.className = 'lm-panel-header';
+    const title = doc.createElement('span');
+    title.className = 'lm-panel-title';
+    title.textContent = 'LeetMentor';
+    const badge = doc.createElement('span');
+    badge.className = 'lm-level-badge';
+    const dockLeft = button(doc, 'lm-panel-dock', '⇤', 'Dock left');
+    dockLeft.dataset.dock = 'left';
+    const dockRight = button(doc, 'lm-panel-dock', '⇥', 'Dock right');
+    dockRight.dataset.dock = 'right';
+    const minimize = button(doc, 'lm-panel-minimize', '–', 'Minimize');
+    const close = button(doc, 'lm-hint-close', '✕', 'Close');
+    const tools = doc.createElement('span');
+    tools.className = 'lm-panel-tools';
+    [dockLeft, dockRight, minimize, close].forEach(b => tools.appendChild(b));
+    [title, badge, tools].forEach(el => header.appendChild(el));
+
+    const body = doc.createElement('div');
+    body.className = 'lm-panel-body';
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    shadow.appendChild(panel);
+
+    let current = normalizeState(state);
+
+    function viewport() {
+      return { width: win.innerWidth, height: win.innerHeight };
+    }
+
+    function applyLayout() {
+      panel.dataset.dock = current.dock || 'none';
+      panel.dataset.minimized = String(current.minimized);
+      minimize.textContent = current.minimized ? '▢' : '–';
+      minimize.title = current.minimized ? 'Expand' : 'Minimize';
+      minimize.setAttribute('aria-label', minimize.title);
+      dockLeft.setAttribute('aria-pressed', String(current.dock === 'left'));
+      dockRight.setAttribute('aria-pressed', String(current.dock === 'right'));
+      const placed = !current.dock && current.x != null;
+      panel.dataset.placed = String(placed);
+      if (!placed) {
+        panel.style.left = '';
+        panel.style.top = '';
+        return;
+      }
+      const rect = panel.getBoundingClientRect();
+      const pos = clampPosition(current, { width: rect.width, height: rect.height }, viewport());
+      panel.style.left = pos.x + 'px';
+      panel.style.top = pos.y + 'px';
+    }
+
+    function setState(patch, save = true) {
+      current = normalizeState({ ...current, ...patch });
+      applyLayout();
+      if (save && onStateChange) onStateChange({ ...current });
+    }
+
+    function applyTheme() {
+      panel.dataset.theme = detectTheme(doc);
+    }
+
+    dockLeft.onclick = () => setState({ dock: current.dock === 'left' ? null : 'left', x: null, y: null });
+    dockRight.onclick = () => setState({ dock: current.dock === 'right' ? null : 'right', x: null, y: null });
+    minimize.onclick = () => setState({ minimized: !current.minimized });
+    close.onclick = () => destroy();
+
+    // dragging by the header; a docked panel comes loose as soon as it moves
+    let drag = null;
+    header.addEventListener('pointerdown', e => {
+      if (e.button !== 0 || e.target.closest('button')) return;
+      const rect = panel.getBoundingClientRect();
+      drag = { dx: e.clientX - rect.left, dy: e.clientY - rect.top, width: rect.width, height: rect.height, moved: false };
+      if (header.setPointerCapture) header.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+    header.addEventListener('pointermove', e => {
+      if (!drag) return;
+      drag.moved = true;
+      setState({ dock: null, ...clampPosition({ x: e.clientX - drag.dx, y: e.clientY - drag.dy }, drag, viewport()) }, false);
+    });
+    const endDrag = () => {
+      if (!drag) return;
+      const { moved, width, height } = drag;
+      drag = null;
+      if (moved) setState(dropPosition({ x: current.x, y: current.y, width, height }, viewport()));
+    };
+    header.addEventListener('pointerup', endDrag);
+    header.addEventListener('pointercancel', endDrag);
+
+    const themeObserver = new win.MutationObserver(applyTheme);
+    themeObserver.observe(doc.documentElement, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] });
+    const onResize = () => applyLayout();
+    win.addEventListener('resize', onResize);
+
+    function destroy() {
+      themeObserver.disconnect();
+      win.removeEventListener('resize', onResize);
+      host.remove();
+    }
+
+    const showStatus = (text, isError) => {
+      const el = body.querySelector('.lm-panel-status');
+      if (!el) return;
+      el.textContent = text || '';
+      el.classList.toggle('lm-panel-error', !!isError);
+    };
+
+    async function runAction(btn, action) {
+      btn.disabled = true;
+      showStatus('');
+      try {
+        return await action();
+      } catch (err) {
+        showStatus(err.message, true);
+        return null;
+      } finally {
+        btn.disabled = false;
+      }
+    }
+
+    function showSnippet(result) {
+      const slot = body.querySelector('.lm-panel-snippet');
+      if (!slot) return;
+      slot.textContent = '';
+      const pre = doc.createElement('pre');
+      pre.className = 'lm-code-block';
+      const code = doc.createElement('code');
+      code.textContent = result.snippet || 'No code excerpt available.';
+      pre.appendChild(code);
+      slot.appendChild(pre);
+      if (result.notice) {
+        const note = doc.createElement('div');
+        note.className = 'lm-panel-note';
+        note.textContent = result.notice;
+        slot.appendChild(note);
+      }
+      slot.hidden = false;
+    }
+
+    // replaces the body; the shell (position, dock, minimized) stays as it is
+    function render({ text = '', level = 0, streaming = false, canNextHint = true, canSnippet = false, extras = [] } = {}) {
+      badge.textContent = level > 0 ? 'L' + level : '';
+      badge.hidden = !(level > 0);
+      panel.dataset.streaming = String(!!streaming);
+      body.textContent = '';
+
+      const content = doc.createElement('div');
+      content.className = 'lm-hint-text';
+      renderRichText(content, text);
+      body.appendChild(content);
+
+      const row = doc.createElement('div');
+      row.className = 'lm-panel-actions';
+      const next = button(doc, 'lm-next-hint', 'Next hint');
+      next.disabled = streaming || !canNextHint;
+      if (!canNextHint) next.title = 'No hints left for this problem';
+      const snippet = button(doc, 'lm-show-snippet', 'Show snippet');
+      snippet.disabled = streaming || !canSnippet;
+      if (!canSnippet) snippet.title = 'Available after the last hint';
+      next.onclick = () => runAction(next, () => actions.nextHint());
+      snippet.onclick = async () => {
+        const result = await runAction(snippet, () => actions.showSnippet());
+        if (result) showSnippet(result);
+      };
+      row.appendChild(next);
+      row.appendChild(snippet);
+      body.appendChild(row);
+
+      const statusLine = doc.createElement('div');
+      statusLine.className = 'lm-panel-status';
+      statusLine.setAttribute('role', 'status');
+      body.appendChild(statusLine);
+
+      const slot = doc.createElement('div');
+      slot.className = 'lm-panel-snippet';
+      slot.hidden = true;
+      body.appendChild(slot);
+
+      extras.filter(Boolean).forEach(node => body.appendChild(node));
+    }
+
+    // streaming deltas only touch the text
+    function setText(text) {
+      const content = body.querySelector('.lm-hint-text');
+      if (content) renderRichText(content, text);
+    }
+
+    applyTheme();
+    (doc.body || doc.documentElement).appendChild(host);
+    applyLayout();
+
+    return {
+      host,
+      root: shadow,
+      render,
+      setText,
+      showSnippet,
+      showStatus,
+      isStreaming: () => panel.dataset.streaming === 'true',
+      applyState: s => setState(s, false),
+      getState: () => ({ ...current }),
+      destroy
+    };
+  }
+
+  const api = { PANEL_ID, SNAP_DISTANCE, detectTheme, splitCodeBlocks, renderRichText, clampPosition, dropPosition, normalizeState, createHintPanel };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorHintPanel = api;
+})(typeof self !== 'undefined' ? self : this);
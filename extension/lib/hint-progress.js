@@ -0,0 +1,75 @@
+// hint-progress.js — per-problem hint counting and history rules.
+// Shared: importScripts()'d by background.js (self.LeetMentorHintProgress) and required by the tests.
+// Everything here is pure; background.js owns the chrome.storage reads and writes.
+
+(function (root) {
+  // "/problems/two-sum/description/" -> "two-sum"
+  function normalizeProblemId(raw = '') {
+    const s = String(raw || '').trim();
+    const m = s.match(/\/problems\/([^/?#]+)/i);
+    if (m) return m[1].toLowerCase();
+    return s.replace(/^\/+|\/+$/g, '').toLowerCase();
+  }
+
+  function problemSlugFromContext(ctx) {
+    return normalizeProblemId((ctx && (ctx.problemId || ctx.url)) || '') || 'unknown';
+  }
+
+  // prevCount hints were shown so far; the next request is hint number `count`.
+  // Past maxHints the level stays at the last one (exhausted) and a code excerpt is offered
+  // instead, unless the hint ladder turns excerpts off.
+  function nextHintStep(prevCount, maxHints, { offerSnippet = true } = {}) {
+    const count = (Number(prevCount) || 0) + 1;
+    const exhausted = count > maxHints;
+    return { count, level: Math.min(count, maxHints), exhausted, askForCode: exhausted && offerSnippet };
+  }
+
+  // leetmentor_hints_map: { [slug]: { count, firstAt, updatedAt } } — the count never goes backwards
+  function bumpHintCount(all, slug, count, now) {
+    const entry = all[slug] || { count: 0, firstAt: now };
+    entry.count = Math.max(entry.count || 0, count);
+    entry.updatedAt = now;
+    all[slug] = entry;
+    return all;
+  }
+
+  // leetmentor_hint_cache: { [slug]: [{ level, text, source, at }] }, oldest first, capped at `limit`
+  function appendHintHistory(all, slug, hint, now, limit) {
+    const list = Array.isArray(all[slug]) ? all[slug] : [];
+    list.push({ level: hint.level, text: hint.text, source: hint.source, at: now });
+    all[slug] = list.slice(-limit);
+    return all;
+  }
+
+  // leetmentor_chat: { [slug]: [{ role: 'user' | 'mentor', text, at }] }, oldest first, capped at `limit`
+  function appendChatTurns(all, slug, turns, now, limit) {
+    const list = Array.isArray(all[slug]) ? all[slug] : [];
+    for (const t of turns) list.push({ role: t.role, text: t.text, at: now });
+    all[slug] = list.slice(-limit);
+    return all;
+  }
+
+  // Hints and follow-ups merged by time into the `history` of POST /chat (server/API.md),
+  // keeping the most recent `limit` turns.
+  function conversationFor(hints, chat, limit) {
+    const turns = [
+      ...(hints || []).map(h => ({ role: 'hint', level: h.level, text: h.text, at: h.at })),
+      ...(chat || []).map(c => ({ role: c.role, text: c.text, at: c.at }))
+    ];
+    // stable sort: a question and its answer share a timestamp
+    turns.sort((a, b) => (a.at || 0) - (b.at || 0));
+    return turns.slice(-limit).map(({ at, ...turn }) => turn);
+  }
+
+  const api = {
+    normalizeProblemId,
+    problemSlugFromContext,
+    nextHintStep,
+    bumpHintCount,
+    appendHintHistory,
+    appendChatTurns,
+    conversationFor
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorHintProgress = api;
+})(typeof self !== 'undefined' ? self : this);
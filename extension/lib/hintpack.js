@@ -0,0 +1,155 @@
+// hintpack.js — offline, problem-specific hints for the no-AI mode.
+// Shared: importScripts()'d by background.js (self.LeetMentorHintPack) and required by the server.
+//
+// Pack format (see hintpacks/core.json):
+//   {
+//     "format": "leetmentor-hintpack", "version": 1, "name": "core", "packVersion": "1.0.0",
+//     "problems": {
+//       "two-sum": {
+//         "title": "Two Sum",
+//         "patterns": ["hash-map"],
+//         "hints": ["level 1", "level 2", "level 3"],
+//         "starters": { "python": "...", "java": "...", "cpp": "...", "javascript": "...", "go": "..." }
+//       }
+//     }
+//   }
+
+(function (root) {
+  const HINTPACK_FORMAT = 'leetmentor-hintpack';
+  const HINTPACK_VERSION = 1;
+  const MAX_HINTS = 10;
+  const MAX_HINT_CHARS = 400;
+  const MAX_STARTER_CHARS = 800;
+  const MAX_ERRORS = 10;
+
+  const LANGUAGE_ALIASES = {
+    python: 'python', python3: 'python', python2: 'python', py: 'python',
+    java: 'java',
+    'c++': 'cpp', cpp: 'cpp',
+    c: 'c',
+    'c#': 'csharp', csharp: 'csharp',
+    javascript: 'javascript', js: 'javascript',
+    typescript: 'typescript', ts: 'typescript',
+    go: 'go', golang: 'go',
+    rust: 'rust', kotlin: 'kotlin', swift: 'swift', ruby: 'ruby', scala: 'scala', php: 'php', dart: 'dart'
+  };
+
+  // "Python3" / "python" / "C++" -> canonical key used in "starters"
+  function normalizeLanguage(lang) {
+    const key = String(lang || '').trim().toLowerCase();
+    return LANGUAGE_ALIASES[key] || key;
+  }
+
+  // "/problems/two-sum/description/" or "two-sum" -> "two-sum"
+  function normalizeSlug(raw) {
+    const s = String(raw || '').trim();
+    const m = s.match(/\/problems\/([^/?#]+)/i);
+    return (m ? m[1] : s.replace(/^\/+|\/+$/g, '')).toLowerCase();
+  }
+
+  const isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.length <= max;
+
+  // Returns { ok, errors, pack } — pack is a cleaned copy containing only known fields.
+  function validatePack(input) {
+    const errors = [];
+    const fail = (msg) => { if (errors.length < MAX_ERRORS) errors.push(msg); };
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { ok: false, errors: ['pack must be a JSON object'], pack: null };
+    }
+    if (input.format !== HINTPACK_FORMAT) fail(`format must be "${HINTPACK_FORMAT}"`);
+    if (input.version !== HINTPACK_VERSION) fail(`unsupported version ${JSON.stringify(input.version)} (expected ${HINTPACK_VERSION})`);
+    if (!isText(input.name, 64)) fail('name must be a non-empty string (max 64 chars)');
+    if (!input.problems || typeof input.problems !== 'object' || Array.isArray(input.problems)) {
+      fail('problems must be an object keyed by problem slug');
+      return { ok: false, errors, pack: null };
+    }
+
+    const problems = {};
+    for (const [slug, entry] of Object.entries(input.problems)) {
+      if (!/^[a-z0-9][a-z0-9-]*$/.test(slug)) { fail(`invalid slug "${slug}"`); continue; }
+      if (!entry || typeof entry !== 'object') { fail(`${slug}: entry must be an object`); continue; }
+
+      const hints = Array.isArray(entry.hints) ? entry.hints : [];
+      if (!hints.length || hints.length > MAX_HINTS || !hints.every(h => isText(h, MAX_HINT_CHARS))) {
+        fail(`${slug}: hints must be 1-${MAX_HINTS} non-empty strings (max ${MAX_HINT_CHARS} chars)`);
+        continue;
+      }
+      const patterns = Array.isArray(entry.patterns) ? entry.patterns.filter(p => isText(p, 40)) : [];
+      const starters = {};
+      if (entry.starters != null) {
+        if (typeof entry.starters !== 'object' || Array.isArray(entry.starters)) {
+          fail(`${slug}: starters must be an object keyed by language`);
+          continue;
+        }
+        for (const [lang, code] of Object.entries(entry.starters)) {
+          if (!isText(code, MAX_STARTER_CHARS)) { fail(`${slug}: starter for ${lang} must be a non-empty string (max ${MAX_STARTER_CHARS} chars)`); continue; }
+          starters[normalizeLanguage(lang)] = code;
+        }
+      }
+      problems[slug] = {
+        title: isText(entry.title, 200) ? entry.title : slug,
+        patterns,
+        hints: hints.slice(),
+        starters
+      };
+    }
+
+    const ok = errors.length === 0;
+    return {
+      ok,
+      errors,
+      pack: ok ? {
+        format: HINTPACK_FORMAT,
+        version: HINTPACK_VERSION,
+        name: input.name.trim(),
+        packVersion: isText(input.packVersion, 32) ? input.packVersion : '',
+        description: isText(input.description, 500) ? input.description : '',
+        problems
+      } : null
+    };
+  }
+
+  // slug -> entry (with the pack name); later packs override earlier ones
+  function buildIndex(packs) {
+    const index = {};
+    for (const pack of packs || []) {
+      if (!pack || !pack.problems) continue;
+      for (const [slug, entry] of Object.entries(pack.problems)) {
+        index[slug] = { ...entry, slug, pack: pack.name };
+      }
+    }
+    return index;
+  }
+
+  function lookupProblem(index, problemId) {
+    if (!index) return null;
+    return index[normalizeSlug(problemId)] || null;
+  }
+
+  // hint for a 1-based level; levels past the last hint reuse the last one
+  function packHint(entry, level = 1) {
+    if (!entry || !entry.hints || !entry.hints.length) return '';
+    const i = Math.max(1, Math.min(Number(level) || 1, entry.hints.length)) - 1;
+    return entry.hints[i];
+  }
+
+  function packStarter(entry, language) {
+    if (!entry || !entry.starters) return '';
+    return entry.starters[normalizeLanguage(language)] || '';
+  }
+
+  const api = {
+    HINTPACK_FORMAT,
+    HINTPACK_VERSION,
+    normalizeLanguage,
+    normalizeSlug,
+    validatePack,
+    buildIndex,
+    lookupProblem,
+    packHint,
+    packStarter
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorHintPack = api;
+})(typeof self !== 'undefined' ? self : this);
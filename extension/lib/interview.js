@@ -0,0 +1,185 @@
+// interview.js — interview mode: a timed session where hints are delayed, capped and cost points.
+// Shared: importScripts()'d by background.js and required by the tests (self.LeetMentorInterview).
+// Pure; background.js owns the chrome.storage writes, the deadline alarm and the popup messages.
+//
+// leetmentor_interview: {
+//   active, startedAt,
+//   problems: { [slug]: {
+//     slug, title, difficulty, tabId,
+//     startedAt,                          // first edit, run or hint during the session
+//     hints: { [level]: n }, snippets, failures,   // failures: rejected submissions only
+//     solvedAt, timeUpAt                  // timeUpAt: when the "time is up" nudge was sent
+//   } },
+//   summary                               // summarizeSession() of the last finished session
+// }
+//
+// Times per difficulty, the hint delay and the hint cap live in leetmentor_settings.
+
+(function (root) {
+  const INTERVIEW_KEY = 'leetmentor_interview';
+  const FULL_SCORE = 100;
+  // points taken off a solved problem
+  const PENALTIES = {
+    hintLevel: 10,   // per level of each hint: L1 costs 10, L2 20, L3 30
+    snippet: 25,     // per code excerpt
+    failure: 5,      // per rejected submission
+    overtime: 20     // solved after the countdown ran out
+  };
+
+  const MINUTES_SETTING = { easy: 'interviewEasyMinutes', medium: 'interviewMediumMinutes', hard: 'interviewHardMinutes' };
+
+  // hints shown for the problem during the session, all levels together
+  const hintTotal = p => Object.values(p.hints || {}).reduce((a, b) => a + b, 0);
+
+  function startSession(now) {
+    return { active: true, startedAt: now, problems: {} };
+  }
+
+  // countdown length for a difficulty; unknown difficulties get the Medium time
+  function minutesFor(difficulty, settings) {
+    const key = MINUTES_SETTING[String(difficulty || '').toLowerCase()] || MINUTES_SETTING.medium;
+    return settings[key];
+  }
+
+  function deadlineOf(problem, settings) {
+    return problem.startedAt + minutesFor(problem.difficulty, settings) * 60_000;
+  }
+
+  // event: { kind: 'view' | 'edit' | 'run' | 'hint' | 'snippet' | 'fail' | 'pass', level, action, meta, tabId }
+  // ('view': the popup was opened on the problem, or a hint was asked for.)
+  // The first event of a problem starts its clock; nothing counts once it is solved.
+  function recordEvent(session, slug, event, now) {
+    if (!session || !session.active || !slug || slug === 'unknown' || !event) return session;
+    const p = session.problems[slug] || (session.problems[slug] = {
+      slug, title: '', difficulty: '', tabId: 0, startedAt: now, hints: {}, snippets: 0, failures: 0, solvedAt: 0, timeUpAt: 0
+    });
+    const meta = event.meta || {};
+    if (meta.title) p.title = String(meta.title);
+    if (meta.difficulty) p.difficulty = String(meta.difficulty);
+    if (event.tabId) p.tabId = event.tabId;
+    if (p.solvedAt) return session;
+
+    if (event.kind === 'hint') {
+      const level = Number(event.level) || 1;
+      p.hints[level] = (p.hints[level] || 0) + 1;
+    } else if (event.kind === 'snippet') {
+      p.snippets += 1;
+    } else if (event.kind === 'fail' && event.action === 'submit') {
+      p.failures += 1;
+    } else if (event.kind === 'pass' && event.action !== 'run') {
+      p.solvedAt = now;
+    }
+    return session;
+  }
+
+  const hintsUnlockAt = (problem, settings) => problem.startedAt + settings.interviewHintDelayMinutes * 60_000;
+
+  // Whether another hint (or a code excerpt) may be shown: { ok: true } or { ok: false, error, unlocksAt }
+  function hintGate(problem, settings, now) {
+    const unlocksAt = hintsUnlockAt(problem, settings);
+    if (now < unlocksAt) return { ok: false, error: 'interview_locked', unlocksAt };
+    if (hintTotal(problem) >= settings.interviewMaxHints) return { ok: false, error: 'interview_hint_limit' };
+    return { ok: true };
+  }
+
+  // points lost so far and the resulting score; unsolved problems score 0
+  function scoreProblem(problem, settings, now) {
+    const deadline = deadlineOf(problem, settings);
+    const overtime = (problem.solvedAt || now) > deadline;
+    const deductions = {
+      hints: Object.entries(problem.hints || {}).reduce((sum, [level, n]) => sum + Number(level) * n * PENALTIES.hintLevel, 0),
+      snippets: problem.snippets * PENALTIES.snippet,
+      failures: problem.failures * PENALTIES.failure,
+      overtime: overtime ? PENALTIES.overtime : 0
+    };
+    const lost = deductions.hints + deductions.snippets + deductions.failures + deductions.overtime;
+    return {
+      solved: !!problem.solvedAt,
+      overtime,
+      deductions,
+      score: problem.solvedAt ? Math.max(0, FULL_SCORE - lost) : 0
+    };
+  }
+
+  // what the popup shows while the problem's clock runs
+  function problemStatus(problem, settings, now) {
+    const { solved, overtime, deductions } = scoreProblem(problem, settings, now);
+    return {
+      slug: problem.slug,
+      title: problem.title,
+      difficulty: problem.difficulty,
+      startedAt: problem.startedAt,
+      deadline: deadlineOf(problem, settings),
+      solvedAt: problem.solvedAt,
+      hintsUnlockAt: hintsUnlockAt(problem, settings),
+      hintsLeft: Math.max(0, settings.interviewMaxHints - hintTotal(problem)),
+      solved,
+      overtime,
+      deductions
+    };
+  }
+
+  // end-of-session summary, problems in the order they were started
+  function summarizeSession(session, settings, now) {
+    const problems = Object.values(session.problems || {})
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map(p => {
+        const s = scoreProblem(p, settings, now);
+        return {
+          slug: p.slug,
+          title: p.title,
+          difficulty: p.difficulty,
+          solved: s.solved,
+          overtime: s.overtime,
+          timeMs: (p.solvedAt || now) - p.startedAt,
+          limitMs: minutesFor(p.difficulty, settings) * 60_000,
+          hints: hintTotal(p),
+          snippets: p.snippets,
+          failures: p.failures,
+          deductions: s.deductions,
+          score: s.score
+        };
+      });
+    return {
+      startedAt: session.startedAt,
+      endedAt: now,
+      problems,
+      solved: problems.filter(p => p.solved).length,
+      score: problems.reduce((sum, p) => sum + p.score, 0),
+      maxScore: problems.length * FULL_SCORE
+    };
+  }
+
+  function endSession(session, settings, now) {
+    if (!session || !session.active) return { active: false, summary: (session && session.summary) || null };
+    return { active: false, summary: summarizeSession(session, settings, now) };
+  }
+
+  // earliest countdown still running without a "time is up" nudge, or 0
+  function nextDeadline(session, settings) {
+    if (!session || !session.active) return 0;
+    const pending = Object.values(session.problems || {})
+      .filter(p => !p.solvedAt && !p.timeUpAt)
+      .map(p => deadlineOf(p, settings));
+    return pending.length ? Math.min(...pending) : 0;
+  }
+
+  const api = {
+    INTERVIEW_KEY,
+    FULL_SCORE,
+    PENALTIES,
+    startSession,
+    minutesFor,
+    deadlineOf,
+    recordEvent,
+    hintTotal,
+    hintGate,
+    scoreProblem,
+    problemStatus,
+    summarizeSession,
+    endSession,
+    nextDeadline
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorInterview = api;
+})(typeof self !== 'undefined' ? self : this);
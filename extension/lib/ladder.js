@@ -0,0 +1,143 @@
+// ladder.js — the hint ladder: how many hint levels a problem gets, what each level may say,
+// and whether a code excerpt is offered after the last one.
+// Shared: importScripts()'d by background.js before lib/settings.js, loaded by the extension pages
+// (self.LeetMentorLadder) and required by the server, which builds prompts, shaping and the
+// anti-spoiler rules from it. The extension sends its ladder with every /hint and /chat request.
+//
+// {
+//   offerSnippet: true,
+//   levels: [{
+//     name,          // shown in the prompt and on the settings page
+//     instruction,   // what the model is told to produce at this level
+//     code,          // 'none' | 'pseudo' (one pseudo-line) | 'lines' (a few code lines)
+//     maxSentences,  // prose levels are cut to this many sentences
+//     maxLines,      // 'lines' levels are cut to this many lines
+//     temperature    // 0..1
+//   }]
+// }
+
+(function (root) {
+  const MAX_LEVELS = 6;
+  const CODE_POLICIES = ['none', 'pseudo', 'lines'];
+  const MAX_LIMIT = 5;             // sentences or lines per hint
+  const MAX_NAME_CHARS = 40;
+  const MAX_INSTRUCTION_CHARS = 400;
+
+  const DEFAULT_LADDER = {
+    offerSnippet: true,
+    levels: [
+      {
+        name: 'Conceptual',
+        instruction: 'Output 1 short sentence that points to the high-level idea (no code).',
+        code: 'none',
+        maxSentences: 1,
+        maxLines: 1,
+        temperature: 0
+      },
+      {
+        name: 'Algorithmic',
+        instruction: 'Output 1–2 short sentences describing the approach; you may include a single short pseudo-line (not runnable code).',
+        code: 'pseudo',
+        maxSentences: 2,
+        maxLines: 1,
+        temperature: 0.2
+      },
+      {
+        name: 'Near-fix',
+        instruction: 'Output up to 2–3 short lines of code or concise pseudo-code pointing to the likely fix; do NOT output the full solution.',
+        code: 'lines',
+        maxSentences: 3,
+        maxLines: 3,
+        temperature: 0.2
+      }
+    ]
+  };
+
+  const isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.length <= max;
+  const isIntIn = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+  // Returns { ok, errors, ladder } like hintpack.js validatePack(); missing limits and
+  // temperature are filled in from the default level of the same code policy.
+  function validateLadder(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { ok: false, errors: ['ladder must be a JSON object'], ladder: null };
+    }
+    if (input.offerSnippet != null && typeof input.offerSnippet !== 'boolean') errors.push('offerSnippet must be true or false');
+    const levels = Array.isArray(input.levels) ? input.levels : [];
+    if (!levels.length || levels.length > MAX_LEVELS) {
+      errors.push(`levels must be a list of 1-${MAX_LEVELS} levels`);
+      return { ok: false, errors, ladder: null };
+    }
+
+    const out = levels.map((level, i) => {
+      const at = `level ${i + 1}`;
+      if (!level || typeof level !== 'object' || Array.isArray(level)) {
+        errors.push(`${at} must be an object`);
+        return null;
+      }
+      const code = level.code == null ? 'none' : level.code;
+      if (!CODE_POLICIES.includes(code)) errors.push(`${at}: code must be one of ${CODE_POLICIES.join(', ')}`);
+      const base = DEFAULT_LADDER.levels.find(l => l.code === code) || DEFAULT_LADDER.levels[0];
+      if (!isText(level.instruction, MAX_INSTRUCTION_CHARS)) errors.push(`${at}: instruction must be a non-empty string (max ${MAX_INSTRUCTION_CHARS} chars)`);
+      if (level.name != null && !isText(level.name, MAX_NAME_CHARS)) errors.push(`${at}: name must be a non-empty string (max ${MAX_NAME_CHARS} chars)`);
+      for (const key of ['maxSentences', 'maxLines']) {
+        if (level[key] != null && !isIntIn(level[key], 1, MAX_LIMIT)) errors.push(`${at}: ${key} must be an integer between 1 and ${MAX_LIMIT}`);
+      }
+      if (level.temperature != null && !(typeof level.temperature === 'number' && level.temperature >= 0 && level.temperature <= 1)) {
+        errors.push(`${at}: temperature must be a number between 0 and 1`);
+      }
+      return {
+        name: level.name == null ? `Level ${i + 1}` : String(level.name).trim(),
+        instruction: String(level.instruction || '').trim(),
+        code,
+        maxSentences: level.maxSentences == null ? base.maxSentences : level.maxSentences,
+        maxLines: level.maxLines == null ? base.maxLines : level.maxLines,
+        temperature: level.temperature == null ? base.temperature : level.temperature
+      };
+    });
+
+    const ok = errors.length === 0;
+    return { ok, errors, ladder: ok ? { offerSnippet: input.offerSnippet !== false, levels: out } : null };
+  }
+
+  // The stored ladder if it is valid, else the default (cut to `levelCount` levels when given,
+  // which is how the older maxHints setting maps onto the ladder).
+  function normalizeLadder(raw, { levelCount } = {}) {
+    const checked = raw == null ? null : validateLadder(raw);
+    if (checked && checked.ok) return checked.ladder;
+    const n = isIntIn(levelCount, 1, DEFAULT_LADDER.levels.length) ? levelCount : DEFAULT_LADDER.levels.length;
+    return { offerSnippet: DEFAULT_LADDER.offerSnippet, levels: DEFAULT_LADDER.levels.slice(0, n).map(l => ({ ...l })) };
+  }
+
+  // level is 1-based; out-of-range levels get the nearest one
+  function levelSpec(ladder, level) {
+    const levels = ladder.levels;
+    return levels[Math.max(1, Math.min(Number(level) || 1, levels.length)) - 1];
+  }
+
+  // Offline hints come in fixed sets (`available` hints per pack entry, three generic ones);
+  // a longer ladder spreads its levels over them.
+  function offlineLevel(level, levelCount, available = 3) {
+    if (levelCount <= available) return Math.min(level, available);
+    return Math.max(1, Math.ceil(level * available / levelCount));
+  }
+
+  // compact fingerprint of one level, for cache keys
+  function levelKey(spec) {
+    return [spec.code, spec.maxSentences, spec.maxLines, spec.temperature, spec.instruction].join('|');
+  }
+
+  const api = {
+    MAX_LEVELS,
+    CODE_POLICIES,
+    DEFAULT_LADDER,
+    validateLadder,
+    normalizeLadder,
+    levelSpec,
+    offlineLevel,
+    levelKey
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorLadder = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,122 @@
+// result-parser.js — turns LeetCode's run/submit result text into a structured failure object.
+// Shared: loaded as a content script (window.LeetMentorResultParser) and required by the server.
+//
+//   parseResultText('Wrong Answer\nInput\nnums =\n[3,3]\nOutput\n[0,0]\nExpected\n[0,1]')
+//   -> { verdict: 'wrong_answer', input: 'nums = [3,3]', output: '[0,0]', expected: '[0,1]', ... }
+
+(function (root) {
+  const VERDICTS = [
+    ['compile_error', /\bcompil(?:e|ation) error\b/i],
+    ['runtime_error', /\bruntime error\b/i],
+    ['time_limit_exceeded', /\btime limit exceeded\b/i],
+    ['memory_limit_exceeded', /\bmemory limit exceeded\b/i],
+    ['output_limit_exceeded', /\boutput limit exceeded\b/i],
+    ['wrong_answer', /\bwrong answer\b/i],
+    ['accepted', /\baccepted\b/i]
+  ];
+
+  const VERDICT_LABELS = {
+    compile_error: 'Compile Error',
+    runtime_error: 'Runtime Error',
+    time_limit_exceeded: 'Time Limit Exceeded',
+    memory_limit_exceeded: 'Memory Limit Exceeded',
+    output_limit_exceeded: 'Output Limit Exceeded',
+    wrong_answer: 'Wrong Answer',
+    accepted: 'Accepted'
+  };
+
+  // section headings in the result panel -> field name
+  const LABELS = [
+    [/^(?:last executed input|your input|input)$/i, 'input'],
+    [/^(?:output|your answer)$/i, 'output'],
+    [/^(?:expected|expected answer)$/i, 'expected'],
+    [/^stdout$/i, 'stdout']
+  ];
+  const FIELD_LIMIT = 400;
+
+  function detectVerdict(text) {
+    for (const [verdict, re] of VERDICTS) {
+      if (re.test(text)) return verdict;
+    }
+    return '';
+  }
+
+  function matchLabel(line) {
+    // "Input" on its own line (current UI) or "Input: [1,2]" inline (older UI)
+    const m = line.match(/^([A-Za-z ]{5,22}?)\s*(?::\s*(.*))?$/);
+    if (!m) return null;
+    for (const [re, field] of LABELS) {
+      if (re.test(m[1].trim())) return { field, rest: (m[2] || '').trim() };
+    }
+    return null;
+  }
+
+  function parseResultText(text) {
+    const raw = String(text || '').trim();
+    const result = {
+      verdict: detectVerdict(raw),
+      input: '',
+      output: '',
+      expected: '',
+      stdout: '',
+      errorMessage: '',
+      errorLine: null,
+      testsPassed: null,
+      testsTotal: null,
+      raw: raw.slice(0, 1500)
+    };
+    if (!raw) return result;
+
+    const sections = {};
+    let current = null;
+    const preamble = [];
+    for (const line of raw.split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+      const label = matchLabel(line);
+      if (label) {
+        current = label.field;
+        sections[current] = sections[current] || [];
+        if (label.rest) sections[current].push(label.rest);
+        continue;
+      }
+      if (current) sections[current].push(line);
+      else preamble.push(line);
+    }
+    for (const field of ['input', 'output', 'expected', 'stdout']) {
+      if (sections[field]) result[field] = sections[field].join(field === 'stdout' ? '\n' : ' ').slice(0, FIELD_LIMIT);
+    }
+
+    const passed = raw.match(/(\d+)\s*\/\s*(\d+)\s*test ?cases passed/i);
+    if (passed) {
+      result.testsPassed = Number(passed[1]);
+      result.testsTotal = Number(passed[2]);
+    }
+
+    if (result.verdict === 'runtime_error' || result.verdict === 'compile_error') {
+      // "Line 4: Char 12: runtime error: index 5 out of bounds" (C++/Java) or
+      // "IndexError: list index out of range ... Line 5 in twoSum (Solution.py)" (Python)
+      const lineMatch = raw.match(/\bLine\s+(\d+)/i);
+      if (lineMatch) result.errorLine = Number(lineMatch[1]);
+      const msgLine = preamble.find(l => /error|exception|line\s+\d+/i.test(l) && !/^(?:runtime|compile) error$/i.test(l));
+      if (msgLine) {
+        result.errorMessage = msgLine
+          .replace(/^Line\s+\d+:\s*(?:Char\s+\d+:\s*)?/i, '')
+          .slice(0, FIELD_LIMIT);
+      }
+    }
+    return result;
+  }
+
+  // one-line summary used in logs and older payloads
+  function describeFailure(f) {
+    if (!f) return '';
+    if (typeof f === 'string') return f;
+    const parts = [VERDICT_LABELS[f.verdict] || f.verdict || 'Failure'];
+    if (f.testsPassed != null && f.testsTotal != null) parts.push(`(${f.testsPassed}/${f.testsTotal} tests passed)`);
+    if (f.errorMessage) parts.push(`— ${f.errorLine ? `line ${f.errorLine}: ` : ''}${f.errorMessage}`);
+    return parts.join(' ');
+  }
+
+  const api = { VERDICT_LABELS, detectVerdict, parseResultText, describeFailure };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorResultParser = api;
+})(typeof self !== 'undefined' ? self : this);
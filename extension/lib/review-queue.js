@@ -0,0 +1,142 @@
+// review-queue.js — spaced-repetition (SM-2) schedule for problems that needed help.
+// Shared: importScripts()'d by background.js and required by the tests (self.LeetMentorReviewQueue).
+// Pure; background.js owns the chrome.storage writes, the reminder alarm and the notification.
+//
+// leetmentor_reviews: { [slug]: {
+//   slug, title, difficulty,
+//   ease, interval, repetitions,       // SM-2 state; interval in days
+//   due,                               // local midnight of the day the problem is due
+//   addedAt, reviewedAt, quality,      // quality (0..5) of the last scored solve
+//   baseline: { hints, snippets, failures }   // attempt-log counters when it was last scored
+// } }
+//
+// A problem enters the queue when it is accepted after hints, a code excerpt or failed
+// attempts, and is rescheduled each time it is accepted again on or after its due day.
+// reset_hints leaves the queue alone.
+
+(function (root) {
+  const REVIEWS_KEY = 'leetmentor_reviews';
+  const INITIAL_EASE = 2.5;
+  const MIN_EASE = 1.3;
+
+  const failureTotal = r => Object.values(r.failures || {}).reduce((a, b) => a + b, 0);
+
+  // local midnight of the day `at` falls on
+  function dayStart(at) {
+    const d = new Date(at);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+
+  // local midnight `days` days after the day of `at` (setDate keeps DST days right)
+  function addDays(at, days) {
+    const d = new Date(dayStart(at));
+    d.setDate(d.getDate() + days);
+    return d.getTime();
+  }
+
+  // the next `hour`:00 local time after `now`
+  function nextReminderAt(now, hour) {
+    const d = new Date(now);
+    d.setHours(hour, 0, 0, 0);
+    if (d.getTime() <= now) d.setDate(d.getDate() + 1);
+    return d.getTime();
+  }
+
+  // What a solve took since `baseline`, from the attempt-log record (lib/attempt-log.js):
+  // the deepest hint level asked for again, new code excerpts and new failed attempts.
+  function usageSince(record, baseline) {
+    const b = baseline || {};
+    const seen = b.hints || {};
+    let maxLevel = 0;
+    for (const [level, n] of Object.entries(record.hints || {})) {
+      if (n > (seen[level] || 0)) maxLevel = Math.max(maxLevel, Number(level));
+    }
+    return {
+      maxLevel,
+      snippets: Math.max(0, (record.snippets || 0) - (b.snippets || 0)),
+      failures: Math.max(0, failureTotal(record) - (b.failures || 0))
+    };
+  }
+
+  function baselineOf(record) {
+    return { hints: { ...(record.hints || {}) }, snippets: record.snippets || 0, failures: failureTotal(record) };
+  }
+
+  // SM-2 response quality, 0..5: 5 is a clean solve. Hints cost up to 3 by depth (of maxHints)
+  // and a code excerpt costs the full 3; failed attempts cost 1, or 2 from the third one.
+  function solveQuality({ maxLevel = 0, snippets = 0, failures = 0 }, maxHints) {
+    const hintPenalty = snippets > 0 ? 3 : Math.round(3 * Math.min(maxLevel, maxHints) / maxHints);
+    const failurePenalty = failures >= 3 ? 2 : failures > 0 ? 1 : 0;
+    return Math.max(0, 5 - hintPenalty - failurePenalty);
+  }
+
+  // one SM-2 step; below 3 the problem starts over with a one-day interval
+  function sm2({ ease, interval, repetitions }, quality) {
+    if (quality < 3) {
+      repetitions = 0;
+      interval = 1;
+    } else {
+      repetitions += 1;
+      interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+    }
+    ease = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    return { ease, interval, repetitions };
+  }
+
+  // Called with the attempt-log record after an accepted submission. A clean first solve is not
+  // queued; a solve before the due day only moves the baseline.
+  function recordSolve(all, record, { now = Date.now(), maxHints = 3 } = {}) {
+    if (!record || !record.slug) return all;
+    const existing = all[record.slug];
+    if (existing && now < existing.due) {
+      existing.baseline = baselineOf(record);
+      return all;
+    }
+    const quality = solveQuality(usageSince(record, existing && existing.baseline), maxHints);
+    if (!existing && quality === 5) return all;
+
+    const entry = existing || {
+      slug: record.slug,
+      ease: INITIAL_EASE,
+      interval: 0,
+      repetitions: 0,
+      addedAt: now
+    };
+    Object.assign(entry, sm2(entry, quality), {
+      title: record.title || entry.title || '',
+      difficulty: record.difficulty || entry.difficulty || '',
+      reviewedAt: now,
+      quality,
+      baseline: baselineOf(record)
+    });
+    entry.due = addDays(now, entry.interval);
+    all[record.slug] = entry;
+    return all;
+  }
+
+  // problems due today or overdue, most overdue first
+  function dueReviews(all, now = Date.now()) {
+    const endOfToday = addDays(now, 1);
+    return Object.values(all || {})
+      .filter(e => e.due < endOfToday)
+      .sort((a, b) => a.due - b.due || a.slug.localeCompare(b.slug));
+  }
+
+  const problemUrl = slug => `https://leetcode.com/problems/${encodeURIComponent(slug)}/`;
+
+  const api = {
+    REVIEWS_KEY,
+    dayStart,
+    addDays,
+    nextReminderAt,
+    usageSince,
+    solveQuality,
+    sm2,
+    recordSolve,
+    dueReviews,
+    problemUrl
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorReviewQueue = api;
+})(typeof self !== 'undefined' ? self : this);
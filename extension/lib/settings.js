@@ -0,0 +1,103 @@
+// settings.js — defaults and normalization for `leetmentor_settings`.
+// Shared: importScripts()'d by background.js after lib/ladder.js and loaded by the extension pages
+// (self.LeetMentorSettings).
+
+(function (root) {
+  const Ladder = (typeof module !== 'undefined' && module.exports) ? require('./ladder') : root.LeetMentorLadder;
+  const SETTINGS_KEY = 'leetmentor_settings';
+
+  const DEFAULTS = {
+    allowSendCodeToServer: false,
+    serverUrl: 'http://localhost:3000/hint',
+    streamHints: true,
+    shareFeedback: false,    // also send hint ratings to the server's /feedback (needs allowSendCodeToServer)
+    serverTimeoutMs: 9000,   // full response, or silence between streamed chunks
+    contextTimeoutMs: 700,   // waiting for the content script before injecting it
+    ladder: Ladder.DEFAULT_LADDER,   // hint levels per problem and the code-excerpt policy (lib/ladder.js)
+    stuckFailThreshold: 1,
+    stuckIdleMinutes: 3,
+    reviewReminders: true,   // daily notification when reviews are due
+    reviewReminderHour: 9,   // local hour of that notification
+    // interview mode (lib/interview.js): countdown per difficulty, then hint delay and cap per problem
+    interviewEasyMinutes: 20,
+    interviewMediumMinutes: 35,
+    interviewHardMinutes: 50,
+    interviewHintDelayMinutes: 10,
+    interviewMaxHints: 2
+  };
+
+  // [min, max] for the numeric settings; out-of-range values fall back to the default
+  const LIMITS = {
+    serverTimeoutMs: [1000, 120000],
+    contextTimeoutMs: [100, 10000],
+    stuckFailThreshold: [0, 20],
+    stuckIdleMinutes: [0, 120],
+    reviewReminderHour: [0, 23],
+    interviewEasyMinutes: [1, 180],
+    interviewMediumMinutes: [1, 180],
+    interviewHardMinutes: [1, 180],
+    interviewHintDelayMinutes: [0, 180],
+    interviewMaxHints: [0, 6]
+  };
+
+  function numberIn(value, [min, max], fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  }
+
+  function isHttpUrl(value) {
+    try {
+      const u = new URL(value);
+      return u.protocol === 'http:' || u.protocol === 'https:';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Fill in defaults and drop invalid values; unknown keys are kept so newer
+  // settings survive a round trip through an older options page.
+  function normalizeSettings(raw) {
+    const s = { ...((raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {}) };
+    s.allowSendCodeToServer = !!s.allowSendCodeToServer;
+    s.streamHints = s.streamHints !== false;
+    s.shareFeedback = !!s.shareFeedback;
+    s.reviewReminders = s.reviewReminders !== false;
+    s.serverUrl = typeof s.serverUrl === 'string' && isHttpUrl(s.serverUrl.trim()) ? s.serverUrl.trim() : DEFAULTS.serverUrl;
+    for (const [key, range] of Object.entries(LIMITS)) {
+      s[key] = numberIn(s[key], range, DEFAULTS[key]);
+    }
+    // maxHints (hints before the code excerpt) follows the ladder; older settings only had maxHints
+    s.ladder = Ladder.normalizeLadder(s.ladder, { levelCount: Math.round(Number(s.maxHints)) });
+    s.maxHints = s.ladder.levels.length;
+    s.reviewReminderHour = Math.round(s.reviewReminderHour);
+    s.interviewMaxHints = Math.round(s.interviewMaxHints);
+    return s;
+  }
+
+  // Returns a list of human-readable problems with an imported settings object ([] when valid).
+  function validateSettings(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['settings must be a JSON object'];
+    if (raw.serverUrl != null && !(typeof raw.serverUrl === 'string' && isHttpUrl(raw.serverUrl.trim()))) {
+      errors.push('serverUrl must be an http(s) URL');
+    }
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      if (raw[key] == null) continue;
+      const n = Number(raw[key]);
+      if (!Number.isFinite(n) || n < min || n > max) errors.push(`${key} must be a number between ${min} and ${max}`);
+    }
+    if (raw.ladder != null) errors.push(...Ladder.validateLadder(raw.ladder).errors.map(e => `ladder: ${e}`));
+    return errors;
+  }
+
+  const api = {
+    SETTINGS_KEY,
+    DEFAULTS,
+    LIMITS,
+    isHttpUrl,
+    normalizeSettings,
+    validateSettings
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorSettings = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,130 @@
+// snippet.js — code excerpts and generic starters in the user's editor language.
+// Shared: importScripts()'d by background.js after lib/hintpack.js (self.LeetMentorSnippet)
+// and required by the server. Languages are normalized with hintpack.js normalizeLanguage().
+
+(function (root) {
+  const HintPack = (typeof module !== 'undefined' && module.exports) ? require('./hintpack') : root.LeetMentorHintPack;
+
+  const EXCERPT_LINES = 3;
+  const EXCERPT_CHARS = 500;
+
+  const LANGUAGE_LABELS = {
+    python: 'Python 3', java: 'Java', cpp: 'C++', c: 'C', csharp: 'C#', javascript: 'JavaScript',
+    typescript: 'TypeScript', go: 'Go', rust: 'Rust', kotlin: 'Kotlin', swift: 'Swift', ruby: 'Ruby',
+    scala: 'Scala', php: 'PHP', dart: 'Dart'
+  };
+
+  // used when no hint pack covers the problem; 'c' also stands in for unknown languages
+  const GENERIC_STARTERS = {
+    python: [
+      'class Solution:',
+      '    def solve(self, nums: List[int]) -> int:',
+      '        # pick the structure first: list, dict, set or heapq'
+    ],
+    java: [
+      'public int solve(int[] nums) {',
+      '    // pick the structure first: array, HashMap, HashSet or PriorityQueue',
+      '    // implement main algorithm here'
+    ],
+    cpp: [
+      'int solve(vector<int>& nums) {',
+      '    // pick the structure first: vector, unordered_map, unordered_set or priority_queue',
+      '    // implement main algorithm here'
+    ],
+    javascript: [
+      'var solve = function(nums) {',
+      '    // pick the structure first: array, Map, Set or a sorted copy',
+      '    // implement main algorithm here'
+    ],
+    typescript: [
+      'function solve(nums: number[]): number {',
+      '    // pick the structure first: array, Map, Set or a sorted copy',
+      '    // implement main algorithm here'
+    ],
+    go: [
+      'func solve(nums []int) int {',
+      '\t// pick the structure first: slice, map or container/heap',
+      '\t// implement main algorithm here'
+    ],
+    csharp: [
+      'public int Solve(int[] nums) {',
+      '    // pick the structure first: array, Dictionary, HashSet or PriorityQueue',
+      '    // implement main algorithm here'
+    ],
+    c: [
+      'int solve() {',
+      '    // parse input and choose the data structure you need (array/list/hash map)',
+      '    // implement main algorithm here'
+    ]
+  };
+
+  // "Python3" -> "Python 3"; unknown languages keep their own name
+  function languageLabel(lang) {
+    const key = HintPack.normalizeLanguage(lang);
+    return LANGUAGE_LABELS[key] || String(lang || '').trim();
+  }
+
+  function genericStarter(lang) {
+    const key = HintPack.normalizeLanguage(lang);
+    return (GENERIC_STARTERS[key] || GENERIC_STARTERS.c).join('\n');
+  }
+
+  // Hint-pack starter for the language, else the generic one. An unknown language falls
+  // back to the pack's C starter, then to the generic C starter.
+  function starterFor(entry, lang) {
+    const key = HintPack.normalizeLanguage(lang) || 'c';
+    return HintPack.packStarter(entry, key) ||
+      (GENERIC_STARTERS[key] ? genericStarter(key) : '') ||
+      HintPack.packStarter(entry, 'c') ||
+      genericStarter('c');
+  }
+
+  // Removes the indentation shared by all non-blank lines; relative indentation is kept.
+  function dedentLines(lines) {
+    const nonBlank = lines.filter(l => l.trim());
+    if (!nonBlank.length) return [];
+    let prefix = nonBlank[0].match(/^[ \t]*/)[0];
+    for (const l of nonBlank) {
+      let i = 0;
+      while (i < prefix.length && l[i] === prefix[i]) i++;
+      prefix = prefix.slice(0, i);
+    }
+    return lines.map(l => (l.trim() ? l.slice(prefix.length) : '').replace(/\s+$/, ''));
+  }
+
+  // Up to maxLines non-blank lines of the user's code with their indentation, starting one line
+  // above the cursor when aroundLine (1-based) is given, else at the top.
+  function codeExcerpt(code, { maxLines = EXCERPT_LINES, aroundLine = 0, maxChars = EXCERPT_CHARS } = {}) {
+    const all = String(code || '').split(/\r?\n/);
+    const numbered = all.map((text, i) => ({ text, line: i + 1 })).filter(l => l.text.trim());
+    if (!numbered.length) return '';
+
+    let start = 0;
+    if (aroundLine > 0) {
+      start = numbered.findIndex(l => l.line >= aroundLine - 1);
+      if (start < 0) start = Math.max(0, numbered.length - maxLines);
+    }
+    const picked = dedentLines(numbered.slice(start, start + maxLines).map(l => l.text));
+
+    const out = [];
+    let used = 0;
+    for (const l of picked) {
+      if (out.length && used + l.length + 1 > maxChars) break;
+      out.push(l.slice(0, maxChars));
+      used += l.length + 1;
+    }
+    return out.join('\n');
+  }
+
+  const api = {
+    LANGUAGE_LABELS,
+    GENERIC_STARTERS,
+    languageLabel,
+    genericStarter,
+    starterFor,
+    dedentLines,
+    codeExcerpt
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.LeetMentorSnippet = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -1,19 +1,42 @@
 
 // options.js — handles saving / loading settings for LeetMentor
+const Settings = window.LeetMentorSettings;
+const Ladder = window.LeetMentorLadder;
 const allowEl = document.getElementById('allowSendCode');
 const serverEl = document.getElementById('serverUrl');
+const streamEl = document.getElementById('streamHints');
+const shareFeedbackEl = document.getElementById('shareFeedback');
+const reviewRemindersEl = document.getElementById('reviewReminders');
+const numberEls = {
+  serverTimeoutMs: document.getElementById('serverTimeoutMs'),
+  contextTimeoutMs: document.getElementById('contextTimeoutMs'),
+  stuckFailThreshold: document.getElementById('stuckFailThreshold'),
+  stuckIdleMinutes: document.getElementById('stuckIdleMinutes'),
+  reviewReminderHour: document.getElementById('reviewReminderHour'),
+  interviewEasyMinutes: document.getElementById('interviewEasyMinutes'),
+  interviewMediumMinutes: document.getElementById('interviewMediumMinutes'),
+  interviewHardMinutes: document.getElementById('interviewHardMinutes'),
+  interviewHintDelayMinutes: document.getElementById('interviewHintDelayMinutes'),
+  interviewMaxHints: document.getElementById('interviewMaxHints')
+};
 const saveBtn = document.getElementById('saveBtn');
 const resetBtn = document.getElementById('resetBtn');
 const statusEl = document.getElementById('status');
 const testServerBtn = document.getElementById('testServerBtn');
 const clearHintsBtn = document.getElementById('clearHintsBtn');
 const exportBtn = document.getElementById('exportBtn');
+const importSettingsInput = document.getElementById('importSettingsInput');
 const testOutput = document.getElementById('testOutput');
+const importPackInput = document.getElementById('importPackInput');
+const hintPacksList = document.getElementById('hintPacksList');
+const shortcutsList = document.getElementById('shortcutsList');
+const editShortcutsBtn = document.getElementById('editShortcutsBtn');
+const ladderLevels = document.getElementById('ladderLevels');
+const addLevelBtn = document.getElementById('addLevelBtn');
+const defaultLadderBtn = document.getElementById('defaultLadderBtn');
+const offerSnippetEl = document.getElementById('offerSnippet');
 
-const DEFAULTS = {
-  allowSendCodeToServer: false,
-  serverUrl: 'http://localhost:3000/hint'
-};
+const DEFAULTS = Settings.DEFAULTS;
 
 function setStatus(txt, timeout = 2500) {
   statusEl.textContent = txt;
@@ -22,39 +45,175 @@ function setStatus(txt, timeout = 2500) {
   }
 }
 
-async function loadSettings() {
-  const r = await new Promise(res => chrome.storage.local.get(['leetmentor_settings'], res));
-  const s = r.leetmentor_settings || {};
-  allowEl.checked = !!s.allowSendCodeToServer;
-  serverEl.value = s.serverUrl || DEFAULTS.serverUrl;
-  setStatus('Loaded settings');
+function readStoredSettings() {
+  return new Promise(res => chrome.storage.local.get([Settings.SETTINGS_KEY], r => res(r[Settings.SETTINGS_KEY] || {})));
 }
 
-async function saveSettings() {
+// Hint ladder editor: edits a copy of the ladder, saved with the other settings
+let ladderDraft = Ladder.normalizeLadder(null);
+
+const CODE_LABELS = { none: 'no code', pseudo: 'one pseudo-line', lines: 'code lines' };
+
+function ladderInput(type, value, onChange, attrs = {}) {
+  const el = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+  if (type !== 'textarea') el.type = type;
+  el.className = 'lm-input';
+  el.value = String(value);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  el.addEventListener('input', () => onChange(type === 'number' ? Number(el.value) : el.value));
+  return el;
+}
+
+function labelled(text, el) {
+  const label = document.createElement('label');
+  label.appendChild(document.createTextNode(text));
+  label.appendChild(el);
+  return label;
+}
+
+function renderLadder() {
+  ladderLevels.innerHTML = '';
+  ladderDraft.levels.forEach((level, i) => {
+    const li = document.createElement('li');
+    li.className = 'lm-ladder-level';
+
+    const head = document.createElement('div');
+    head.className = 'lm-ladder-row';
+    head.appendChild(ladderInput('text', level.name, v => { level.name = v; }, { 'aria-label': `Level ${i + 1} name`, maxlength: '40' }));
+    const code = document.createElement('select');
+    code.className = 'lm-input';
+    code.setAttribute('aria-label', `Level ${i + 1} code`);
+    for (const policy of Ladder.CODE_POLICIES) {
+      const option = document.createElement('option');
+      option.value = policy;
+      option.textContent = CODE_LABELS[policy];
+      code.appendChild(option);
+    }
+    code.value = level.code;
+    code.addEventListener('change', () => { level.code = code.value; });
+    head.appendChild(code);
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'lm-btn-ghost';
+    removeBtn.textContent = 'Remove';
+    removeBtn.disabled = ladderDraft.levels.length === 1;
+    removeBtn.addEventListener('click', () => {
+      ladderDraft.levels.splice(i, 1);
+      renderLadder();
+    });
+    head.appendChild(removeBtn);
+
+    const limits = document.createElement('div');
+    limits.className = 'lm-ladder-row';
+    limits.appendChild(labelled('sentences', ladderInput('number', level.maxSentences, v => { level.maxSentences = v; }, { min: '1', max: '5' })));
+    limits.appendChild(labelled('lines', ladderInput('number', level.maxLines, v => { level.maxLines = v; }, { min: '1', max: '5' })));
+    limits.appendChild(labelled('temperature', ladderInput('number', level.temperature, v => { level.temperature = v; }, { min: '0', max: '1', step: '0.1' })));
+
+    li.appendChild(head);
+    li.appendChild(ladderInput('textarea', level.instruction, v => { level.instruction = v; }, { 'aria-label': `Level ${i + 1} instruction`, rows: '2', maxlength: '400' }));
+    li.appendChild(limits);
+    ladderLevels.appendChild(li);
+  });
+  addLevelBtn.disabled = ladderDraft.levels.length >= Ladder.MAX_LEVELS;
+}
+
+function fillLadder(ladder) {
+  ladderDraft = JSON.parse(JSON.stringify(ladder));
+  offerSnippetEl.checked = ladderDraft.offerSnippet;
+  renderLadder();
+}
+
+function fillForm(s) {
+  allowEl.checked = s.allowSendCodeToServer;
+  serverEl.value = s.serverUrl;
+  streamEl.checked = s.streamHints;
+  shareFeedbackEl.checked = s.shareFeedback;
+  reviewRemindersEl.checked = s.reviewReminders;
+  fillLadder(s.ladder);
+  for (const [key, el] of Object.entries(numberEls)) el.value = String(s[key]);
+}
+
+function readForm() {
   const s = {
     allowSendCodeToServer: !!allowEl.checked,
-    serverUrl: serverEl.value && serverEl.value.trim() ? serverEl.value.trim() : DEFAULTS.serverUrl
+    serverUrl: serverEl.value && serverEl.value.trim() ? serverEl.value.trim() : DEFAULTS.serverUrl,
+    streamHints: !!streamEl.checked,
+    shareFeedback: !!shareFeedbackEl.checked,
+    reviewReminders: !!reviewRemindersEl.checked,
+    ladder: { ...ladderDraft, offerSnippet: !!offerSnippetEl.checked }
   };
-  await new Promise(res => chrome.storage.local.set({ leetmentor_settings: s }, res));
-  setStatus('Saved settings');
+  for (const [key, el] of Object.entries(numberEls)) s[key] = el.value === '' ? DEFAULTS[key] : Number(el.value);
+  return s;
+}
+
+// A server outside host_permissions needs an optional host permission; must run inside the click gesture.
+function requestServerAccess(serverUrl) {
+  if (!Settings.isHttpUrl(serverUrl)) return Promise.resolve(true);
+  const origins = [new URL(serverUrl).origin + '/*'];
+  return chrome.permissions.request({ origins }).catch(() => false);
+}
+
+async function loadSettings() {
+  fillForm(Settings.normalizeSettings(await readStoredSettings()));
+  setStatus('Loaded settings');
+}
+
+// merge over the stored object so keys this page doesn't edit are kept
+async function writeSettings(values) {
+  const s = Settings.normalizeSettings({ ...(await readStoredSettings()), ...values });
+  await new Promise(res => chrome.storage.local.set({ [Settings.SETTINGS_KEY]: s }, res));
+  fillForm(s);
+  return s;
+}
+
+async function saveSettings() {
+  const values = readForm();
+  const granted = requestServerAccess(values.serverUrl);
+  const errors = Settings.validateSettings(values);
+  if (errors.length) {
+    setStatus('Not saved: ' + errors.join('; '), 6000);
+    return;
+  }
+  await writeSettings(values);
+  setStatus(await granted ? 'Saved settings' : 'Saved settings (no access to the server origin; hints stay offline)', 5000);
+}
+
+// Accepts the export format ({ leetmentor_settings: {...} }) or a bare settings object.
+async function importSettings(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    setStatus('Not a JSON file: ' + file.name, 4000);
+    return;
+  }
+  const values = data && data[Settings.SETTINGS_KEY] ? data[Settings.SETTINGS_KEY] : data;
+  const errors = Settings.validateSettings(values);
+  if (errors.length) {
+    setStatus('Import failed: ' + errors.join('; '), 6000);
+    return;
+  }
+  await writeSettings(values);
+  setStatus('Imported settings from ' + file.name);
 }
 
 async function resetSettings() {
-  await new Promise(res => chrome.storage.local.set({ leetmentor_settings: DEFAULTS }, res));
-  await new Promise(res => chrome.storage.local.remove(['leetmentor_hints_map','leetmentor_hint_cache'], res));
+  await new Promise(res => chrome.storage.local.set({ [Settings.SETTINGS_KEY]: DEFAULTS }, res));
+  const cleared = await resetHintProgress();
   await loadSettings();
-  setStatus('Reset to defaults');
+  if (cleared) setStatus('Reset to defaults');
+  else setStatus('Reset to defaults; hint counters could not be cleared', 4000);
 }
 
 // Test server by POSTing a small sample
 async function testServer() {
-  const url = serverEl.value && serverEl.value.trim() ? serverEl.value.trim() : DEFAULTS.serverUrl;
-  testOutput.style.display = 'block';
+  const { serverUrl: url, serverTimeoutMs } = readForm();
+  testOutput.classList.remove('hidden');
   testOutput.textContent = 'Testing ' + url + ' ...';
   try {
     const resp = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      signal: AbortSignal.timeout(serverTimeoutMs || DEFAULTS.serverTimeoutMs),
       body: JSON.stringify({
         problemId: 'test-problem',
         snippet: 'def test():\n  return 42',
@@ -71,14 +230,20 @@ async function testServer() {
   }
 }
 
+// The background owns the hint progress keys (counters, hint history, follow-up chats) and clears them all
+async function resetHintProgress() {
+  const resp = await sendMessage({ type: 'reset_hints' });
+  return !!(resp && resp.ok);
+}
+
 async function clearHints() {
-  await new Promise(res => chrome.storage.local.remove(['leetmentor_hints_map','leetmentor_hint_cache'], res));
-  setStatus('Hint counters cleared');
+  if (await resetHintProgress()) setStatus('Hint counters cleared');
+  else setStatus('Could not clear hint counters', 4000);
 }
 
 // Export current settings as JSON for teammates
 async function exportSettings() {
-  const r = await new Promise(res => chrome.storage.local.get(['leetmentor_settings','leetmentor_hints_map'], res));
+  const r = await new Promise(res => chrome.storage.local.get([Settings.SETTINGS_KEY, 'leetmentor_hints_map'], res));
   const blob = new Blob([JSON.stringify(r, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -91,6 +256,73 @@ async function exportSettings() {
   setStatus('Exported settings');
 }
 
+// Hint packs: extra offline hints imported from a JSON file
+function sendMessage(msg) {
+  return new Promise(res => chrome.runtime.sendMessage(msg, res));
+}
+
+async function renderHintPacks() {
+  const resp = await sendMessage({ type: 'list_hint_packs' });
+  hintPacksList.innerHTML = '';
+  const packs = (resp && resp.packs) || [];
+  if (!packs.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No imported packs (the bundled core pack is always used).';
+    hintPacksList.appendChild(li);
+    return;
+  }
+  for (const p of packs) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${p.name}${p.packVersion ? ' v' + p.packVersion : ''} — ${p.problems} problems`;
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      await sendMessage({ type: 'remove_hint_pack', name: p.name });
+      await renderHintPacks();
+      setStatus('Removed hint pack ' + p.name);
+    });
+    li.appendChild(label);
+    li.appendChild(removeBtn);
+    hintPacksList.appendChild(li);
+  }
+}
+
+async function importHintPack(file) {
+  let pack;
+  try {
+    pack = JSON.parse(await file.text());
+  } catch (err) {
+    setStatus('Not a JSON file: ' + file.name, 4000);
+    return;
+  }
+  const resp = await sendMessage({ type: 'import_hint_pack', pack });
+  if (!resp || !resp.ok) {
+    const details = resp && resp.details ? resp.details.join('; ') : 'unknown error';
+    setStatus('Invalid hint pack: ' + details, 6000);
+    return;
+  }
+  await renderHintPacks();
+  setStatus(`Imported ${resp.name} (${resp.problems} problems)`);
+}
+
+// manifest "commands"; Chrome only lets the user change them on its own shortcuts page
+async function renderShortcuts() {
+  const commands = await new Promise(res => chrome.commands.getAll(res));
+  shortcutsList.innerHTML = '';
+  for (const c of commands || []) {
+    if (!c.description) continue;
+    const li = document.createElement('li');
+    const key = document.createElement('code');
+    key.textContent = c.shortcut || 'not set';
+    const label = document.createElement('span');
+    label.textContent = c.description;
+    li.appendChild(key);
+    li.appendChild(label);
+    shortcutsList.appendChild(li);
+  }
+}
+
 // events
 saveBtn.addEventListener('click', async () => {
   await saveSettings();
@@ -112,5 +344,34 @@ clearHintsBtn.addEventListener('click', async () => {
 
 exportBtn.addEventListener('click', exportSettings);
 
+importSettingsInput.addEventListener('change', async () => {
+  const file = importSettingsInput.files && importSettingsInput.files[0];
+  if (file) await importSettings(file);
+  importSettingsInput.value = '';
+});
+
+addLevelBtn.addEventListener('click', () => {
+  const last = ladderDraft.levels[ladderDraft.levels.length - 1];
+  ladderDraft.levels.push({ ...last, name: `Level ${ladderDraft.levels.length + 1}` });
+  renderLadder();
+});
+
+defaultLadderBtn.addEventListener('click', () => {
+  fillLadder(Ladder.DEFAULT_LADDER);
+  setStatus('Default ladder restored; save to apply');
+});
+
+editShortcutsBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+importPackInput.addEventListener('change', async () => {
+  const file = importPackInput.files && importPackInput.files[0];
+  if (file) await importHintPack(file);
+  importPackInput.value = '';
+});
+
 // initial load
-loadSettings();
\ No newline at end of file
+loadSettings();
+renderHintPacks();
+renderShortcuts();
\ No newline at end of file
@@ -0,0 +1,85 @@
+// page-bridge.js — runs in the page's main world (injected by content-script.js as a <script>)
+// so it can reach window.monaco, which the isolated content script cannot see.
+// - Answers { source: 'leetmentor-cs', type: 'read_editor', id } with 'editor_state'
+// - Pushes 'editor_changed' when the solution model's content changes
+// All communication goes through window.postMessage.
+
+(() => {
+  if (window.__leetMentorBridge) return;
+  window.__leetMentorBridge = true;
+
+  const FROM_CS = 'leetmentor-cs';
+  const FROM_BRIDGE = 'leetmentor-bridge';
+
+  function monacoEditor() {
+    const m = window.monaco;
+    return m && m.editor ? m.editor : null;
+  }
+
+  // prefer the focused editor, then any editor with a model
+  function activeEditor() {
+    const api = monacoEditor();
+    if (!api || typeof api.getEditors !== 'function') return null;
+    const editors = api.getEditors();
+    return editors.find(e => e.hasTextFocus && e.hasTextFocus()) ||
+      editors.find(e => e.getModel && e.getModel()) ||
+      null;
+  }
+
+  function activeModel(editor) {
+    if (editor && editor.getModel()) return editor.getModel();
+    const api = monacoEditor();
+    if (!api) return null;
+    // without editor instances, the solution is the largest live model
+    return api.getModels()
+      .filter(model => !model.isDisposed())
+      .sort((a, b) => b.getValueLength() - a.getValueLength())[0] || null;
+  }
+
+  function readState() {
+    const editor = activeEditor();
+    const model = activeModel(editor);
+    if (!model) return null;
+    const pos = editor && editor.getPosition ? editor.getPosition() : null;
+    return {
+      text: model.getValue(),
+      languageId: typeof model.getLanguageId === 'function' ? model.getLanguageId() : '',
+      cursor: pos ? { line: pos.lineNumber, column: pos.column } : null,
+      lineCount: model.getLineCount()
+    };
+  }
+
+  function post(type, extra = {}) {
+    window.postMessage({ source: FROM_BRIDGE, type, ...extra }, window.location.origin);
+  }
+
+  window.addEventListener('message', e => {
+    if (e.source !== window || !e.data || e.data.source !== FROM_CS) return;
+    if (e.data.type === 'read_editor') {
+      let state = null;
+      try { state = readState(); } catch (err) { }
+      post('editor_state', { id: e.data.id, state });
+    }
+  });
+
+  // LeetCode swaps models when the language or the problem changes, so keep re-checking which one
+  // to watch; the old model's listener is disposed so stale models stop posting changes
+  let watched = null;
+  let subscription = null;
+  let timer = null;
+  function watch() {
+    try {
+      const model = activeModel(activeEditor());
+      if (!model || model === watched) return;
+      if (subscription) subscription.dispose();
+      watched = model;
+      subscription = model.onDidChangeContent(() => {
+        clearTimeout(timer);
+        timer = setTimeout(() => post('editor_changed', { state: readState() }), 200);
+      });
+      post('editor_changed', { state: readState() });
+    } catch (err) { }
+  }
+  setInterval(watch, 1500);
+  watch();
+})();
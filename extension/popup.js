@@ -1,27 +1,75 @@
 const showBtn = document.getElementById('showHintBtn');
 const resetBtn = document.getElementById('resetBtn');
 const statusEl = document.getElementById('status');
+const noticeEl = document.getElementById('notice');
 const hintArea = document.getElementById('hintArea');
 const hintBox = document.getElementById('hintBox');
+const hintRating = document.getElementById('hintRating');
 const askCode = document.getElementById('askCode');
 const showCodeYes = document.getElementById('showCodeYes');
 const showCodeNo = document.getElementById('showCodeNo');
 const snippetArea = document.getElementById('snippetArea');
 const snippetBox = document.getElementById('snippetBox');
+const historyArea = document.getElementById('historyArea');
+const historyList = document.getElementById('historyList');
+const askForm = document.getElementById('askForm');
+const askInput = document.getElementById('askInput');
+const askBtn = document.getElementById('askBtn');
+const askAnswer = document.getElementById('askAnswer');
+const complexityBtn = document.getElementById('complexityBtn');
+const complexityArea = document.getElementById('complexityArea');
+const complexityTime = document.getElementById('complexityTime');
+const complexitySpace = document.getElementById('complexitySpace');
+const complexityTarget = document.getElementById('complexityTarget');
+const complexityNote = document.getElementById('complexityNote');
+const reviewArea = document.getElementById('reviewArea');
+const reviewList = document.getElementById('reviewList');
+const maxHintsText = document.getElementById('maxHintsText');
+const interviewToggle = document.getElementById('interviewToggle');
+const interviewClock = document.getElementById('interviewClock');
+const interviewInfo = document.getElementById('interviewInfo');
+const interviewSummary = document.getElementById('interviewSummary');
+const interviewTotal = document.getElementById('interviewTotal');
+const interviewRows = document.getElementById('interviewRows');
+const interviewDismiss = document.getElementById('interviewDismiss');
+const Settings = window.LeetMentorSettings;
+const HintHistory = window.LeetMentorHintHistory;
 
 // Menu + toggle
 const menuBtn = document.getElementById('menuBtn');
 const menu = document.getElementById('menu');
 const menuWrapper = document.getElementById('menuWrapper');
 const allowSendCodePopup = document.getElementById('allowSendCodePopup');
+const openOptionsBtn = document.getElementById('openOptionsBtn');
+const openDashboardBtn = document.getElementById('openDashboardBtn');
 
 function setStatus(txt) { statusEl.textContent = txt; }
+
+// server problems (rate limit, rejected request, unreachable) reported by the background
+function setNotice(txt) {
+  noticeEl.textContent = txt || '';
+  noticeEl.classList.toggle('hidden', !txt);
+}
+
+const SOURCE_LABELS = {
+  llm: '',
+  cache: ' (cached)',
+  local: ' (server built-in hints)',
+  offline: ' (offline)'
+};
+
 function hideAll() {
   hintArea.classList.add('hidden');
   askCode.classList.add('hidden');
   snippetArea.classList.add('hidden');
   hintBox.textContent = '';
+  hintRating.classList.add('hidden');
+  hintRating.textContent = '';
   snippetBox.textContent = '';
+  askAnswer.classList.add('hidden');
+  askAnswer.textContent = '';
+  complexityArea.classList.add('hidden');
+  setNotice('');
 }
 
 // utility to get active tab
@@ -33,12 +81,206 @@ function getActiveTab() {
   });
 }
 
+// rating buttons under a hint (lib/hint-history.js); pressing the chosen one again takes the rating back
+function ratingRow(row, hint) {
+  return HintHistory.renderRatingRow(row, hint, rating => rateHint(hint, rating));
+}
+
+async function rateHint(hint, rating) {
+  const tab = await getActiveTab();
+  if (!tab) return;
+  chrome.runtime.sendMessage({ type: 'rate_hint', tabId: tab.id, at: hint.at, rating }, resp => {
+    if (chrome.runtime.lastError || !resp || resp.ok === false) {
+      setStatus('Could not save the rating.');
+      return;
+    }
+    hint.rating = rating;
+    // the current hint and its history entry show the same rating
+    HintHistory.showRating(document, hint.at, rating);
+    setStatus(!rating ? 'Rating removed.' : resp.sent ? 'Thanks, rating saved and sent to the server.' : 'Thanks, rating saved.');
+    setNotice(resp.notice);
+  });
+}
+
+// render the ordered hint history (oldest first) for the current problem;
+// follow-up questions are offered once there is a hint to ask about
+function renderHistory(hints) {
+  historyList.textContent = '';
+  askForm.classList.toggle('hidden', !hints || !hints.length);
+  if (!hints || !hints.length) {
+    historyArea.classList.add('hidden');
+    return;
+  }
+  hints.forEach(h => {
+    const li = HintHistory.buildHistoryItem(document, h);
+    li.appendChild(ratingRow(document.createElement('div'), h));
+    historyList.appendChild(li);
+  });
+  historyArea.classList.remove('hidden');
+}
+
+async function loadHistory() {
+  const tab = await getActiveTab();
+  if (!tab) return;
+  chrome.runtime.sendMessage({ type: 'get_hint_history', tabId: tab.id }, resp => {
+    if (chrome.runtime.lastError || !resp || resp.ok === false) return;
+    renderHistory(resp.hints);
+  });
+}
+
+// problems the review queue (lib/review-queue.js) says are due today or overdue
+function formatDue(due) {
+  const days = Math.round((new Date().setHours(0, 0, 0, 0) - due) / 86400000);
+  if (days <= 0) return 'today';
+  return days === 1 ? '1 day overdue' : `${days} days overdue`;
+}
+
+function renderReviews(due) {
+  reviewList.textContent = '';
+  if (!due || !due.length) {
+    reviewArea.classList.add('hidden');
+    return;
+  }
+  due.forEach(r => {
+    const li = document.createElement('li');
+    li.className = 'lm-review-item';
+
+    const link = document.createElement('a');
+    link.href = r.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = r.title || r.slug;
+
+    const meta = document.createElement('span');
+    meta.className = 'lm-review-meta';
+    meta.textContent = [r.difficulty, formatDue(r.due)].filter(Boolean).join(' · ');
+
+    const remove = document.createElement('button');
+    remove.className = 'lm-review-remove';
+    remove.title = 'Remove from the review queue';
+    remove.setAttribute('aria-label', 'Remove ' + (r.title || r.slug) + ' from the review queue');
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'remove_review', slug: r.slug }, () => loadReviews());
+    });
+
+    li.appendChild(link);
+    li.appendChild(meta);
+    li.appendChild(remove);
+    reviewList.appendChild(li);
+  });
+  reviewArea.classList.remove('hidden');
+}
+
+function loadReviews() {
+  chrome.runtime.sendMessage({ type: 'get_reviews' }, resp => {
+    if (chrome.runtime.lastError || !resp || resp.ok === false) return;
+    renderReviews(resp.due);
+  });
+}
+
+// --- Interview mode (lib/interview.js in the background) ---
+// The background sends the deadline and unlock time; the countdown ticks here while the popup is open.
+let interview = null;
+let interviewTimer = null;
+
+function formatClock(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function tickInterview() {
+  const p = interview && interview.active ? interview.problem : null;
+  interviewClock.classList.toggle('hidden', !p);
+  interviewInfo.classList.toggle('hidden', !p);
+  if (!p) return;
+  const now = Date.now();
+  if (p.solvedAt) {
+    interviewClock.textContent = 'Solved in ' + formatClock(p.solvedAt - p.startedAt);
+    interviewClock.classList.toggle('lm-interview-over', p.solvedAt > p.deadline);
+  } else {
+    const left = p.deadline - now;
+    interviewClock.textContent = left >= 0 ? formatClock(left) + ' left' : formatClock(-left) + ' over';
+    interviewClock.classList.toggle('lm-interview-over', left < 0);
+  }
+  const what = [p.title, p.difficulty].filter(Boolean).join(' · ');
+  const hints = now < p.hintsUnlockAt
+    ? `hints unlock in ${formatClock(p.hintsUnlockAt - now)}`
+    : p.hintsLeft ? `${p.hintsLeft} hint${p.hintsLeft === 1 ? '' : 's'} left (−${interview.penalties.hintLevel} points per level)` : 'no hints left';
+  interviewInfo.textContent = (what ? what + ': ' : '') + hints;
+}
+
+function renderInterviewSummary(summary) {
+  interviewRows.textContent = '';
+  interviewSummary.classList.toggle('hidden', !summary);
+  if (!summary) return;
+  interviewTotal.textContent = summary.problems.length
+    ? `${summary.score} / ${summary.maxScore} points · ${summary.solved} of ${summary.problems.length} solved · ${formatClock(summary.endedAt - summary.startedAt)}`
+    : 'No problems were attempted.';
+  summary.problems.forEach(p => {
+    const tr = document.createElement('tr');
+    const help = [
+      p.hints ? `${p.hints} hint${p.hints === 1 ? '' : 's'}` : '',
+      p.snippets ? `${p.snippets} excerpt${p.snippets === 1 ? '' : 's'}` : '',
+      p.failures ? `${p.failures} rejected` : ''
+    ].filter(Boolean).join(', ') || 'none';
+    const cells = [
+      p.title || p.slug,
+      (p.solved ? formatClock(p.timeMs) : 'unsolved') + (p.overtime ? ' (over)' : ''),
+      help,
+      String(p.score)
+    ];
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    interviewRows.appendChild(tr);
+  });
+}
+
+function renderInterview(state) {
+  interview = state;
+  interviewToggle.checked = !!state.active;
+  renderInterviewSummary(state.active ? null : state.summary);
+  clearInterval(interviewTimer);
+  tickInterview();
+  if (state.active && state.problem && !state.problem.solvedAt) interviewTimer = setInterval(tickInterview, 1000);
+}
+
+async function loadInterview() {
+  const tab = await getActiveTab();
+  chrome.runtime.sendMessage({ type: 'get_interview', tabId: tab && tab.id }, resp => {
+    if (chrome.runtime.lastError || !resp || resp.ok === false) return;
+    renderInterview(resp);
+  });
+}
+
+const HINT_ERRORS = {
+  interview_hint_limit: 'Interview mode: no hints left for this problem.',
+  no_context: 'Could not read the problem page.'
+};
+
+function hintErrorText(resp) {
+  if (resp.error === 'interview_locked') return `Interview mode: hints unlock in ${formatClock(resp.unlocksAt - Date.now())}.`;
+  return HINT_ERRORS[resp.error] || 'Error: ' + (resp.error || 'unknown');
+}
+
+// the hint ladder sets how many hints a problem gets
+function showMaxHints(s) {
+  maxHintsText.textContent = String(Settings.normalizeSettings(s).maxHints);
+}
+
 // load allowSendCode setting into the popup toggle
 function loadAllowSendToggle() {
   return new Promise(res => {
     chrome.storage.local.get(['leetmentor_settings'], d => {
       const s = (d && d.leetmentor_settings) || {};
       allowSendCodePopup.checked = !!s.allowSendCodeToServer;
+      showMaxHints(s);
       res(s);
     });
   });
@@ -64,6 +306,7 @@ chrome.storage.onChanged.addListener((changes) => {
   if (changes.leetmentor_settings && changes.leetmentor_settings.newValue) {
     const s = changes.leetmentor_settings.newValue;
     allowSendCodePopup.checked = !!s.allowSendCodeToServer;
+    showMaxHints(s);
   }
 });
 
@@ -98,6 +341,35 @@ allowSendCodePopup.addEventListener('change', async (e) => {
   setStatus(e.target.checked ? 'Send-to-server enabled' : 'Send-to-server disabled');
 });
 
+openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+interviewToggle.addEventListener('change', async () => {
+  if (interviewToggle.checked) {
+    const tab = await getActiveTab();
+    chrome.runtime.sendMessage({ type: 'start_interview', tabId: tab && tab.id }, resp => {
+      if (!resp || resp.ok === false) return;
+      renderInterview(resp);
+      setStatus('Interview started; the clock runs per problem.');
+    });
+    return;
+  }
+  chrome.runtime.sendMessage({ type: 'end_interview' }, resp => {
+    if (!resp || resp.ok === false) return;
+    renderInterview({ active: false, summary: resp.summary });
+    setStatus('Interview ended.');
+  });
+});
+
+interviewDismiss.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'dismiss_interview_summary' }, () => renderInterviewSummary(null));
+});
+
+openDashboardBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+});
+
 // Show hint flow
 showBtn.addEventListener('click', async () => {
   hideAll();
@@ -118,16 +390,23 @@ showBtn.addEventListener('click', async () => {
       return;
     }
     if (resp.ok === false) {
-      setStatus('Error: ' + (resp.error || 'unknown'));
+      setStatus(hintErrorText(resp));
       showBtn.disabled = false;
       return;
     }
 
-    setStatus('Hint delivered (in-page).');
+    setStatus('Hint delivered (in-page)' + (SOURCE_LABELS[resp.source] || '') + '.');
+    setNotice(resp.notice);
 
     if (resp.hint) {
       hintArea.classList.remove('hidden');
       hintBox.textContent = resp.hint;
+      // the hint just shown is the newest entry of the history
+      const shown = resp.history && resp.history[resp.history.length - 1];
+      if (shown && shown.text === resp.hint) {
+        ratingRow(hintRating, shown);
+        hintRating.classList.remove('hidden');
+      }
     } else {
       hintArea.classList.remove('hidden');
       hintBox.textContent = 'Reached Maximum hint limit.';
@@ -137,6 +416,9 @@ showBtn.addEventListener('click', async () => {
       askCode.classList.remove('hidden');
     }
 
+    if (resp.history) renderHistory(resp.history);
+    if (interview && interview.active) loadInterview();
+
     showBtn.disabled = false;
   });
 });
@@ -149,13 +431,15 @@ showCodeYes.addEventListener('click', async () => {
   setStatus('Requesting code snippet...');
   chrome.runtime.sendMessage({ type: 'request_code_snippet', tabId: tab.id }, resp => {
     if (!resp || resp.ok === false) {
-      setStatus('Failed to get code snippet.');
+      setStatus(resp && /^interview_/.test(resp.error || '') ? hintErrorText(resp) : 'Failed to get code snippet.');
       return;
     }
     snippetArea.classList.remove('hidden');
     snippetBox.textContent = resp.snippet || '(no snippet)';
     askCode.classList.add('hidden');
-    setStatus('Snippet displayed.');
+    setStatus('Snippet displayed' + (SOURCE_LABELS[resp.source] || '') + '.');
+    setNotice(resp.notice);
+    if (interview && interview.active) loadInterview();
   });
 });
 
@@ -164,22 +448,77 @@ showCodeNo.addEventListener('click', () => {
   setStatus('Continuing without code snippet.');
 });
 
+// complexity flow: the server's estimate, or the static analysis from lib/complexity.js
+function renderComplexity(c) {
+  complexityTime.textContent = c.time || '—';
+  complexitySpace.textContent = c.space || '—';
+  complexityTarget.textContent = c.target ? `${c.target.time} (n ≤ ${c.target.nLabel})` : 'unknown';
+  complexityNote.textContent = c.note || '';
+  complexityArea.classList.remove('hidden');
+}
+
+complexityBtn.addEventListener('click', async () => {
+  const tab = await getActiveTab();
+  if (!tab) { setStatus('No active tab'); return; }
+
+  complexityBtn.disabled = true;
+  setStatus('Analyzing complexity...');
+  chrome.runtime.sendMessage({ type: 'request_complexity', tabId: tab.id }, resp => {
+    complexityBtn.disabled = false;
+    if (!resp || resp.ok === false) {
+      setStatus('Failed to analyze the code.');
+      return;
+    }
+    renderComplexity(resp.complexity);
+    setStatus('Complexity estimated' + (resp.complexity.method === 'heuristic' ? ' (static analysis)' : SOURCE_LABELS[resp.source] || '') + '.');
+    setNotice(resp.notice);
+  });
+});
+
+const ASK_ERRORS = {
+  no_hint_yet: 'Ask for a hint first.',
+  no_context: 'Could not read the problem page.'
+};
+
+// follow-up question flow (answered by the server's /chat through the background)
+askForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const question = askInput.value.trim();
+  if (!question) return;
+  const tab = await getActiveTab();
+  if (!tab) { setStatus('No active tab'); return; }
+
+  askBtn.disabled = true;
+  setStatus('Asking the mentor...');
+  chrome.runtime.sendMessage({ type: 'ask_mentor', tabId: tab.id, question }, resp => {
+    askBtn.disabled = false;
+    if (!resp || resp.ok === false) {
+      setStatus(ASK_ERRORS[resp && resp.error] || 'Failed to get an answer.');
+      return;
+    }
+    askInput.value = '';
+    askAnswer.textContent = resp.answer;
+    askAnswer.classList.remove('hidden');
+    setStatus('Answered' + (SOURCE_LABELS[resp.source] || '') + '.');
+    setNotice(resp.notice);
+  });
+});
+
 async function fullResetAll() {
 
   try {
-    // 1) Reset storage keys: settings -> defaults, remove hints caches
-    const defaultSettings = {
-      allowSendCodeToServer: true,
-      serverUrl: 'http://localhost:3000/hint'
-    };
+    // 1) Reset storage keys: settings -> defaults (code sharing on, as the popup toggle shows), remove hints caches
+    const defaultSettings = { ...Settings.DEFAULTS, allowSendCodeToServer: true };
 
     // Set defaults and remove hint maps/cache
     await new Promise(res => chrome.storage.local.set({ leetmentor_settings: defaultSettings }, res));
-    await new Promise(res => chrome.storage.local.remove(['leetmentor_hints_map', 'leetmentor_hint_cache'], res));
+    await new Promise(res => chrome.storage.local.remove(['leetmentor_hints_map', 'leetmentor_hint_cache', 'leetmentor_chat'], res));
 
     // 2) Update popup UI to initial state
     allowSendCodePopup.checked = true;
+    showMaxHints(defaultSettings);
     hideAll();
+    renderHistory([]);
     setStatus('Reset to defaults');
 
     // 3) Tell background to reset its persisted hint state (if any)
@@ -188,7 +527,7 @@ async function fullResetAll() {
       console.log('reset_hints sent to background');
     });
 
-    // 4) Ask the active tab to hide any in-page hint bubble (best-effort)
+    // 4) Ask the active tab to hide the in-page hint panel (best-effort)
     const tab = await getActiveTab();
     if (tab && tab.id) {
       chrome.tabs.sendMessage(tab.id, { type: 'hide_hint_in_page' }, resp => {
@@ -215,3 +554,6 @@ resetBtn.addEventListener('click', fullResetAll);
 // initialize popup UI
 hideAll();
 setStatus('Ready');
+loadHistory();
+loadReviews();
+loadInterview();
@@ -1,91 +1,177 @@
 
 const express = require('express');
 const cors = require('cors');
-
-const app = express();
-app.use(cors());
-app.use(express.json({ limit: '1mb' }));
-
-// Config via env
+const { createProvider } = require('./providers');
+const { parseResultText, describeFailure, VERDICT_LABELS } = require('../extension/lib/result-parser');
+const { lookupProblem, packHint } = require('../extension/lib/hintpack');
+const { languageLabel, starterFor, dedentLines, codeExcerpt } = require('../extension/lib/snippet');
+const { analyzeComplexity } = require('../extension/lib/complexity');
+const Ladder = require('../extension/lib/ladder');
+const { loadHintPacks } = require('./lib/hintpacks');
+const { loadLadder } = require('./lib/ladder');
+const { cacheKey, createResponseCacheFromEnv } = require('./lib/cache');
+const { createFeedbackLogFromEnv } = require('./lib/feedback');
+const { API_VERSION, errorBody, sendError, validateHintRequest, validateChatRequest, validateFeedbackRequest, jsonErrorHandler } = require('./lib/schema');
+const { createOutputGuard, guardOutput } = require('./lib/guard');
+
+// Config via env (provider, hint packs, cache and rate limit are per app, see createApp)
 const PORT = process.env.PORT || 3000;
-const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'ollama').toLowerCase(); // 'ollama' or ''
-const OLLAMA_BASE = process.env.OLLAMA_BASE || 'http://localhost:11434';
-const LLM_MODEL = process.env.LLM_MODEL || 'llama3.2:3b';
-const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || '120', 10); // per minute per ip
 
 // --- Simple in-memory rate limiter (per-ip, minute window) ---
-const rateMap = new Map();
-function isRateLimited(ip) {
-  try {
-    const now = Date.now();
-    const windowStart = now - 60_000;
-    const entry = rateMap.get(ip) || { calls: [] };
-    entry.calls = (entry.calls || []).filter(t => t >= windowStart);
-    if (entry.calls.length >= RATE_LIMIT_MAX) {
+function createRateLimiter(max) {
+  const rateMap = new Map();
+  return function isRateLimited(ip) {
+    try {
+      const now = Date.now();
+      const windowStart = now - 60_000;
+      const entry = rateMap.get(ip) || { calls: [] };
+      entry.calls = (entry.calls || []).filter(t => t >= windowStart);
+      if (entry.calls.length >= max) {
+        rateMap.set(ip, entry);
+        return true;
+      }
+      entry.calls.push(now);
       rateMap.set(ip, entry);
-      return true;
+      return false;
+    } catch (e) {
+      return false; // fail open
     }
-    entry.calls.push(now);
-    rateMap.set(ip, entry);
-    return false;
-  } catch (e) {
-    return false; // fail open
+  };
+}
+
+function clientIp(req) {
+  return req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown';
+}
+
+// `guard` in a response says when the anti-spoiler guard stepped in: 'regenerated', 'degraded' or 'fallback'
+const guardField = (action) => (action && action !== 'pass' ? { guard: action } : {});
+
+// --- Failure details ---
+// The extension sends a structured failure (see extension/lib/result-parser.js); older
+// clients send the raw result text, which is parsed the same way.
+function normalizeFailure(failure) {
+  if (!failure) return null;
+  if (typeof failure === 'string') {
+    const parsed = parseResultText(failure);
+    return parsed.verdict || parsed.raw ? parsed : null;
   }
+  if (typeof failure !== 'object') return null;
+  const clip = (v, n = 400) => (v == null ? '' : String(v).slice(0, n));
+  const num = (v) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : null);
+  return {
+    verdict: VERDICT_LABELS[failure.verdict] ? failure.verdict : '',
+    input: clip(failure.input),
+    output: clip(failure.output),
+    expected: clip(failure.expected),
+    stdout: clip(failure.stdout),
+    errorMessage: clip(failure.errorMessage),
+    errorLine: num(failure.errorLine),
+    testsPassed: num(failure.testsPassed),
+    testsTotal: num(failure.testsTotal),
+    raw: clip(failure.raw, 1500)
+  };
+}
+
+function formatFailureBlock(f, emptyText = 'none provided') {
+  if (!f) return `FAILURE: ${emptyText}`;
+  if (!f.verdict) return `FAILURE: ${f.raw.slice(0, 400) || emptyText}`;
+  const out = [`FAILURE: ${describeFailure({ ...f, errorMessage: '' })}`];
+  if (f.input) out.push(`FAILING INPUT: ${f.input}`);
+  if (f.expected) out.push(`EXPECTED OUTPUT: ${f.expected}`);
+  if (f.output) out.push(`ACTUAL OUTPUT: ${f.output}`);
+  if (f.stdout) out.push(`STDOUT: ${f.stdout.slice(0, 200)}`);
+  if (f.errorMessage) out.push(`ERROR${f.errorLine ? ` (line ${f.errorLine})` : ''}: ${f.errorMessage}`);
+  return out.join('\n');
 }
 
 // --- Local fallback hint/snippet generators ---
-function localGenerateHint({ problemId = '', failure = '', level = 1 }) {
+// `level` is on a ladder of `levelCount` levels; the generic hints below come in three steps
+// and pack entries in as many as they list, so longer ladders are spread over them.
+// packIndex is the app's hint-pack index (lib/hintpacks.js); without one only the generic hints are used.
+function localGenerateHint({ problemId = '', failure = null, level: ladderLevel = 1, levelCount = 3, packIndex = null }) {
+  const level = Ladder.offlineLevel(ladderLevel, levelCount);
   const pid = (problemId || '').toLowerCase();
-  const fail = (failure || '').toLowerCase();
-
-  // quick tailored heuristics
-  if (pid.includes('two-sum') || pid.includes('two_sum')) {
-    if (level === 1) return 'Think about using a data structure that allows constant-time lookups to avoid nested loops.';
-    if (level === 2) return 'Consider using a hash map to store seen numbers and check complements in a single pass.';
-    return 'Track seen numbers in a hash map; when you find a complement, return indices (ensure 0-based indexing).';
+  const f = normalizeFailure(failure);
+  const verdict = f ? f.verdict : '';
+  const fail = f ? `${f.errorMessage} ${f.raw}`.toLowerCase() : '';
+  const clip = (v) => (v.length > 60 ? v.slice(0, 57) + '...' : v);
+
+  // code that doesn't compile needs fixing before anything else
+  if (verdict === 'compile_error') {
+    const where = f.errorLine ? `line ${f.errorLine}` : 'the line the compiler reports';
+    if (level === 1) return `Your code does not compile yet — start with ${where}.`;
+    if (level === 2) return `The compiler says "${f.errorMessage || 'compile error'}"; check syntax, types and missing declarations around ${where}.`;
+    return `Fix ${where} first (${f.errorMessage || 'compile error'}), then re-run before changing the algorithm.`;
   }
 
-  if (fail.includes('index') || fail.includes('range')) {
+  // problem-specific hints from the loaded hint packs
+  const entry = lookupProblem(packIndex, pid);
+  if (entry) return packHint(entry, Ladder.offlineLevel(ladderLevel, levelCount, entry.hints.length));
+
+  if (fail.includes('index') || fail.includes('range') || fail.includes('out of bounds')) {
     if (level === 1) return 'Check array index boundaries — arrays are usually 0-indexed.';
     if (level === 2) return 'Verify index calculations and off-by-one errors; confirm loop bounds.';
     return 'Inspect index arithmetic and ensure loop end conditions use < not <= and indices are within [0, n-1].';
   }
 
-  if (fail.includes('time limit') || fail.includes('tle')) {
+  if (verdict === 'runtime_error') {
+    if (/null|none|undefined|nil pointer|segmentation/.test(fail)) {
+      if (level === 1) return 'Something is null/None when you use it — which inputs leave a node or value empty?';
+      if (level === 2) return 'Guard the empty cases (empty input, missing child, end of list) before dereferencing.';
+      return `Add a check for the empty/None case right before${f.errorLine ? ` line ${f.errorLine}` : ' the failing access'} and return early.`;
+    }
+    if (/recursion|stack overflow|maximum recursion/.test(fail)) {
+      if (level === 1) return 'Your recursion never stops on some input — check the base case.';
+      if (level === 2) return 'Make sure every recursive call moves toward the base case, or switch to an explicit stack.';
+      return 'Verify the base case covers the smallest inputs and the arguments shrink on every call.';
+    }
+    if (level === 1) return `Your code crashes${f.input ? ` on input ${clip(f.input)}` : ''} — find the operation that can fail there.`;
+    if (level === 2) return `Read the error${f.errorLine ? ` at line ${f.errorLine}` : ''}: ${f.errorMessage || 'runtime error'}; check divisions, casts and container accesses.`;
+    return 'Reproduce the crash with the last executed input and print the values used on the failing line.';
+  }
+
+  if (verdict === 'time_limit_exceeded' || fail.includes('time limit') || fail.includes('tle')) {
     if (level === 1) return 'Consider whether your approach is doing repeated work — can it be reduced?';
     if (level === 2) return 'Try optimizing to O(n) or O(n log n) by using a hash map or sorting instead of nested loops.';
     return 'Replace nested loops with a single-pass approach using a hash map to record and lookup values.';
   }
 
+  if (verdict === 'memory_limit_exceeded') {
+    if (level === 1) return 'You are storing more than you need — which data can be discarded as you go?';
+    if (level === 2) return 'Avoid building large intermediate copies or full tables; keep only the state the next step needs.';
+    return 'Replace the full table/copy with a rolling buffer or in-place updates.';
+  }
+
+  if (verdict === 'wrong_answer' && f.input && f.expected) {
+    if (level === 1) return `Trace your code by hand on the failing input (${clip(f.input)}) — where does it stop matching ${clip(f.expected)}?`;
+    if (level === 2) return `For ${clip(f.input)} you return ${clip(f.output || '(nothing)')} but ${clip(f.expected)} is expected — which case (duplicates, negatives, empty, boundaries) does your logic miss?`;
+    return `Print your intermediate state for ${clip(f.input)} and compare each step against what should lead to ${clip(f.expected)}.`;
+  }
+
   // generic fallback
   if (level === 1) return 'Break the problem into smaller parts and think about the data structure that fits best.';
   if (level === 2) return 'Identify the algorithmic pattern (two pointers, hash map, BFS/DFS, dynamic programming) and consider its complexity.';
   return 'Focus on the core invariant — can you record seen states (in a set/map) and check complements in O(1)?';
 }
 
-function localGenerateSnippet(snippetRaw) {
-  if (!snippetRaw) return '';
-  const lines = snippetRaw.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  if (!lines.length) return '';
-  return (lines.length <= 3 ? lines : lines.slice(0, 3)).join('\n').slice(0, 500);
+// The user's own lines (indentation kept), starting near the cursor when it is known
+function localGenerateSnippet(snippetRaw, cursor = null) {
+  return codeExcerpt(snippetRaw, { aroundLine: cursor && Number(cursor.line) > 0 ? Number(cursor.line) : 0 });
 }
 
-// Starter template used only when LLM is NOT enabled or LLM fails
-function starterTemplate(problemId) {
-  const pid = (problemId || '').toLowerCase();
-  if (pid.includes('two-sum') || pid.includes('two_sum')) {
-    return [
-      'int twoSum(int* nums, int numsSize, int target) {',
-      '    // prepare a map/hashtable to record seen numbers and their indices',
-      '    // iterate and check complements'
-    ].join('\n');
-  }
-  // generic starter (C-style)
-  return [
-    'int solve() {',
-    '    // parse input and choose the data structure you need (array/list/hash map)',
-    '    // implement main algorithm here'
-  ].join('\n');
+// Follow-up questions need a model; without one, point back at the hints and the problem's patterns
+function localChatAnswer({ problemId = '', packIndex = null }) {
+  const entry = lookupProblem(packIndex, (problemId || '').toLowerCase());
+  const patterns = entry && entry.patterns.length
+    ? ` The key pattern${entry.patterns.length > 1 ? 's here are' : ' here is'} ${entry.patterns.join(', ')}.`
+    : '';
+  return `Follow-up questions need a model on the server, and none is configured.${patterns} Re-read your latest hint with that in mind, or ask for the next one.`;
+}
+
+// Starter template used when the user has no code yet and the LLM is NOT enabled or fails: the
+// hint-pack starter in the editor language, else a generic one (C-style when the language is unknown)
+function starterTemplate(problemId, language, packIndex = null) {
+  return starterFor(lookupProblem(packIndex, problemId), language);
 }
 
 // --- Utilities ---
@@ -99,69 +185,106 @@ function sanitizeModelText(text, maxChars = 1200) {
   return t.trim().slice(0, maxChars);
 }
 
-// Robust Ollama caller: supports both non-stream JSON and NDJSON fragments and returns combined string
-async function callOllama(promptText, opts = {}) {
-  const url = `${OLLAMA_BASE.replace(/\/$/, '')}/api/generate`;
-  const body = {
-    model: opts.model || LLM_MODEL,
-    prompt: promptText,
-    max_tokens: opts.maxTokens ?? 200,
-    temperature: opts.temperature ?? 0.2,
-    stream: false // ask Ollama for non-stream by default (we still handle NDJSON)
+// Level-specific truncation applied to every model hint (streamed or not), from the level's
+// spec in the hint ladder: code levels keep up to maxLines lines, prose levels maxSentences
+// sentences. With the default ladder: L1 -> first sentence, L2 -> two sentences, L3 -> three lines.
+function shapeHintText(safe, hintLevel, spec = Ladder.levelSpec(Ladder.DEFAULT_LADDER, hintLevel)) {
+  if (spec.code === 'lines') {
+    const lines = safe.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    return (lines.length ? lines.slice(0, spec.maxLines).join('\n') : safe.split(/[.?!]\s+/).slice(0, spec.maxLines).join('\n'));
+  }
+  const sentences = safe.split(/[.?!]\s+/).map(s => s.trim()).filter(Boolean);
+  if (spec.maxSentences === 1) return sentences[0] || safe;
+  const kept = sentences.slice(0, spec.maxSentences);
+  return (kept.join('. ') + (kept.length ? '.' : '')).trim();
+}
+
+// Chat answers: prose, at most three sentences or lines
+function shapeChatText(raw) {
+  const safe = sanitizeModelText(String(raw || '').replace(/^\s*(?:Response:|Answer:|Mentor:)\s*/i, ''), 800);
+  const lines = safe.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length > 1) return lines.slice(0, 3).join('\n');
+  const sentences = safe.match(/[^.?!]+(?:[.?!]+|$)/g) || [];
+  return sentences.slice(0, 3).join('').trim();
+}
+
+// "TIME: O(n^2)\nSPACE: O(1)\nNOTE: ..." -> { time, space, note }, or null when TIME or NOTE is missing
+function parseComplexityReply(raw) {
+  const text = sanitizeModelText(raw, 1200);
+  const bigO = (label) => {
+    const m = text.match(new RegExp(`${label}\\s*(?:complexity)?\\s*[:=-]\\s*(O\\((?:[^()\\n]|\\([^()\\n]*\\))*\\))`, 'i'));
+    return m ? m[1].replace(/\s+/g, ' ') : '';
   };
+  const note = (text.match(/NOTE\s*:\s*(.+)/i) || [])[1] || '';
+  const time = bigO('TIME');
+  if (!time || !note.trim()) return null;
+  return { time, space: bigO('SPACE'), note: shapeHintText(note.trim(), 1).replace(/[.]?$/, '.') };
+}
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
+// Snippet mode output: code lines only, at most three, with their relative indentation;
+// '' when the model asked for code instead.
+function shapeSnippetText(raw) {
+  // remove code fences, prefixes (not sanitizeModelText: its trim() would drop the first line's indentation)
+  let out = String(raw || '').replace(/```[\s\S]*?```/g, '').replace(/^\s*(?:Response:|Answer:)[ \t]*/i, '').slice(0, 2000);
 
-  if (!res.ok) {
-    const txt = await res.text().catch(() => '');
-    throw new Error(`ollama_error_${res.status}: ${txt}`);
-  }
+  // block the model asking-for-code phrases
+  const bannedPatterns = /paste|provide|share|send|please provide|did you forget|can't|cannot|need.*code/i;
+  if (bannedPatterns.test(out)) return '';
 
-  const contentType = (res.headers.get('content-type') || '').toLowerCase();
-  const text = await res.text();
+  const lines = out.split(/\r?\n/).filter(l => l.trim());
+  return dedentLines(lines.slice(0, 3)).join('\n');
+}
 
-  // Try JSON first
-  try {
-    if (contentType.includes('application/json')) {
-      const j = JSON.parse(text);
-      const candidate = j.generated || j.output || j.text || j.response || (j.choices && j.choices[0] && (j.choices[0].text || (j.choices[0].message && j.choices[0].message.content)));
-      return sanitizeModelText(candidate || '', 2000);
-    }
-  } catch (e) {
-    // fallthrough to NDJSON handling
-  }
+// --- Prompt builders ---
 
-  // NDJSON: many JSON objects separated by newline
-  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  if (lines.length > 1) {
-    const parts = [];
-    for (const line of lines) {
-      try {
-        const obj = JSON.parse(line);
-        const piece = obj.response || obj.generated || obj.output || obj.text || (obj.choices && obj.choices[0] && (obj.choices[0].text || (obj.choices[0].message && obj.choices[0].message.content)));
-        if (piece) parts.push(String(piece));
-      } catch (e) {
-        parts.push(line);
-      }
-    }
-    return sanitizeModelText(parts.join(''), 2000);
-  }
+// Problem details scraped by the extension (title, statement, constraints, examples, tags);
+// falls back to the URL slug when the page could not be scraped.
+function formatProblemBlock({ problemId, url, problem, language }) {
+  const p = (problem && typeof problem === 'object') ? problem : {};
+  const clip = (v, n) => String(v || '').trim().slice(0, n);
+  const out = [];
+
+  const title = clip(p.title, 200);
+  const head = title
+    ? `PROBLEM: ${title}${p.difficulty ? ` (${clip(p.difficulty, 20)})` : ''}`
+    : `PROBLEM: ${problemId || url || 'unknown'}`;
+  out.push(head);
+
+  const tags = Array.isArray(p.tags) ? p.tags.map(t => clip(t, 40)).filter(Boolean).slice(0, 10) : [];
+  if (tags.length) out.push(`TOPICS: ${tags.join(', ')}`);
+  if (language) out.push(`LANGUAGE: ${clip(language, 30)}`);
+
+  const statement = clip(p.statement, 1500);
+  if (statement) out.push('STATEMENT:', statement);
+
+  const constraints = Array.isArray(p.constraints) ? p.constraints.map(c => clip(c, 200)).filter(Boolean).slice(0, 12) : [];
+  if (constraints.length) out.push('CONSTRAINTS:', ...constraints.map(c => `- ${c}`));
+
+  const examples = Array.isArray(p.examples) ? p.examples.slice(0, 3) : [];
+  examples.forEach((e, i) => {
+    if (!e) return;
+    out.push(`EXAMPLE ${i + 1}: Input: ${clip(e.input, 300)} | Output: ${clip(e.output, 300)}`);
+  });
 
-  // fallback: plain text
-  return sanitizeModelText(text, 2000);
+  return out.join('\n');
 }
 
-// --- Prompt builders ---
+// what a level's code policy lets the hint contain, closing the prompt
+function levelClosing(spec) {
+  const sentences = spec.maxSentences === 1 ? 'EXACTLY one short sentence' : `1–${spec.maxSentences} short sentences`;
+  if (spec.code === 'none') return `Now produce ${sentences} as the hint (no code).`;
+  if (spec.code === 'pseudo') return `Now produce ${sentences} describing the algorithmic approach. You may optionally include one short pseudo-line.`;
+  return `Now output up to ${spec.maxLines} short lines of code or concise pseudo-code pointing to the likely fix. Do NOT output the full solution.`;
+}
 
-// Multi-level hint prompt (level 1..3)
-function buildHintPrompt({ problemId, snippet, url, failure, level = 1 }) {
+// Multi-level hint prompt; `level` is 1..N on the hint ladder (extension/lib/ladder.js).
+// `rules` are extra "- ..." lines for STRICT RULES, which is how scripts/eval-prompts.js tries variants.
+function buildHintPrompt({ problemId, snippet, url, failure, problem, language, cursor, level = 1, ladder = Ladder.DEFAULT_LADDER, rules = [] }) {
   const snippetPreview = (snippet || '').slice(0, 2000);
   const snippetEmpty = !snippetPreview.trim();
-  const lvl = Math.max(1, Math.min(3, Number(level || 1)));
+  const lvl = Math.max(1, Math.min(ladder.levels.length, Number(level || 1)));
+  const spec = Ladder.levelSpec(ladder, lvl);
+  const codeLevels = ladder.levels.map((l, i) => (l.code === 'lines' ? i + 1 : 0)).filter(Boolean);
 
   const base = [
     'You are an expert competitive programming mentor.',
@@ -170,38 +293,35 @@ function buildHintPrompt({ problemId, snippet, url, failure, level = 1 }) {
     '- NEVER provide the complete solution.',
     '- NEVER ask for more code or ask clarifying questions.',
     '- Keep language concise and actionable.',
-    '- When asked for code lines (level 3 only), produce only 2–3 short lines (no full solution).'
+    '- Ground the hint in the PROBLEM details given (statement, constraints, examples) rather than generic advice.',
+    codeLevels.length
+      ? `- When asked for code lines (level ${codeLevels.join('/')} only), produce only a few short lines (no full solution).`
+      : '- NEVER output runnable code lines.',
+    `- Any code must be in ${language ? languageLabel(language) : "the language of the user's code"}.`,
+    ...rules
   ].join('\n');
 
-  const levelInstr = lvl === 1
-    ? 'LEVEL 1 (Conceptual): Output 1 short sentence that points to the high-level idea (no code).'
-    : lvl === 2
-      ? 'LEVEL 2 (Algorithmic): Output 1–2 short sentences describing the approach; you may include a single short pseudo-line (not runnable code).'
-      : 'LEVEL 3 (Near-fix): Output up to 2–3 short lines of code or concise pseudo-code pointing to the likely fix; do NOT output the full solution.';
-
   return [
     base,
     '',
-    levelInstr,
+    `LEVEL ${lvl} of ${ladder.levels.length} (${spec.name}): ${spec.instruction}`,
     '',
     snippetEmpty ? 'NOTE: The user has provided NO code.' : 'User provided code (may be short).',
     '',
-    `PROBLEM: ${problemId || url || 'unknown'}`,
-    `FAILURE: ${failure || 'none provided'}`,
+    formatProblemBlock({ problemId, url, problem, language }),
+    '',
+    formatFailureBlock(normalizeFailure(failure)),
     '',
     'USER CODE (first 2000 chars):',
     snippetPreview,
+    cursor && Number(cursor.line) > 0 ? `(The user's cursor is on line ${Number(cursor.line)}.)` : '',
     '',
-    lvl === 1
-      ? 'Now produce EXACTLY one short sentence as the hint (no code).'
-      : lvl === 2
-        ? 'Now produce 1–2 short sentences describing the algorithmic approach. You may optionally include one short pseudo-line.'
-        : 'Now output up to 2–3 short lines of code or concise pseudo-code pointing to the likely fix. Do NOT output the full solution.'
+    levelClosing(spec)
   ].join('\n');
 }
 
 // Snippet prompt: LLM should return 2-3 lines or starter lines if snippet empty
-function buildSnippetPrompt({ problemId, snippet, url, failure, hintLevel = 1 }) {
+function buildSnippetPrompt({ problemId, snippet, url, failure, problem, language, hintLevel = 1 }) {
   return [
     'You are an expert coding mentor.',
     '',
@@ -213,9 +333,11 @@ function buildSnippetPrompt({ problemId, snippet, url, failure, hintLevel = 1 })
     '- NEVER provide a full solution or more than 3 lines.',
     '- DO NOT ask the user for code or ask any clarifying questions.',
     '- DO NOT output natural language; output only code lines (or an empty string if unsafe).',
+    `- Write the lines in ${language ? languageLabel(language) : "the language of the user's code"}, indented as they would be inside the user's code.`,
+    '',
+    formatProblemBlock({ problemId, url, problem, language }),
     '',
-    `PROBLEM: ${problemId || url || 'unknown'}`,
-    `FAILURE: ${failure || 'none'}`,
+    formatFailureBlock(normalizeFailure(failure), 'none'),
     `HINT_LEVEL: ${hintLevel}`,
     '',
     'USER CODE (may be empty):',
@@ -225,102 +347,380 @@ function buildSnippetPrompt({ problemId, snippet, url, failure, hintLevel = 1 })
   ].join('\n');
 }
 
-// --- Routes ---
+// Complexity of the user's code; the static estimate and the constraint target are given as
+// hints to the model, which may correct them.
+function buildComplexityPrompt({ problemId, snippet, url, failure, problem, language, estimate }) {
+  return [
+    'You are an expert competitive programming mentor.',
+    "Your job: estimate the time and space complexity of the user's CURRENT code (not of the optimal solution) and name its bottleneck.",
+    'STRICT RULES:',
+    '- NEVER provide code or the optimal algorithm; the note may name the kind of change (e.g. "avoid the inner scan").',
+    '- Use n for the input size from the constraints.',
+    '- Answer in exactly three lines:',
+    'TIME: O(...)',
+    'SPACE: O(...)',
+    'NOTE: one short sentence naming the bottleneck and whether it fits the constraints.',
+    '',
+    formatProblemBlock({ problemId, url, problem, language }),
+    '',
+    formatFailureBlock(normalizeFailure(failure)),
+    '',
+    `STATIC ESTIMATE (heuristic, may be wrong): time ${estimate.time || 'unknown'}, space ${estimate.space || 'unknown'}${estimate.bottleneck ? `; heaviest line ${estimate.bottleneck.line}: ${estimate.bottleneck.text}` : ''}`,
+    estimate.target ? `CONSTRAINT TARGET: n up to ${estimate.target.nLabel}, so about ${estimate.target.time} or better is needed.` : 'CONSTRAINT TARGET: unknown.',
+    '',
+    'USER CODE (first 4000 chars):',
+    (snippet || '').slice(0, 4000)
+  ].join('\n');
+}
+
+// Most recent conversation turns quoted in the chat prompt (the client sends at most 20)
+const CHAT_PROMPT_TURNS = 12;
 
-app.get('/health', (req, res) => {
-  res.json({
-    ok: true,
-    llm: LLM_PROVIDER || null,
-    model: LLM_MODEL || null,
-    timestamp: Date.now()
-  });
-});
+function formatConversation(history) {
+  const label = (t) => (t.role === 'hint' ? `HINT${t.level ? ` (level ${t.level})` : ''}` : t.role === 'user' ? 'USER' : 'MENTOR');
+  return history.slice(-CHAT_PROMPT_TURNS).map(t => `${label(t)}: ${String(t.text || '').slice(0, 600)}`).join('\n');
+}
 
-app.post('/hint', async (req, res) => {
-  try {
-    const ip = req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown';
-    if (isRateLimited(ip)) return res.status(429).json({ error: 'rate_limited' });
+// Follow-up question about the hints so far; `level` is the highest hint level the user reached,
+// whose code policy on the ladder sets how much code the answer may contain
+function buildChatPrompt({ problemId, snippet, url, failure, problem, language, history = [], question, level = 1, ladder = Ladder.DEFAULT_LADDER }) {
+  const spec = Ladder.levelSpec(ladder, level);
+  const codeRule = spec.code === 'none'
+    ? '- Do NOT include any code; the user has only had conceptual hints so far.'
+    : spec.code === 'pseudo'
+      ? '- You may include at most one short pseudo-line; no runnable code.'
+      : `- You may include at most ${Math.min(2, spec.maxLines)} short line(s) of code in ${language ? languageLabel(language) : "the language of the user's code"}.`;
 
-    const body = req.body || {};
-    const { problemId, snippet, url, failure, request } = body;
-    const hintLevel = Math.max(1, Math.min(3, Number(body.hintLevel || 1)));
+  return [
+    'You are an expert competitive programming mentor answering a follow-up question about your hints.',
+    'STRICT RULES:',
+    '- NEVER provide the complete solution, the full algorithm or a whole function, even if the user asks for it.',
+    '- Explain or clarify the hints already given; do not reveal more than one extra step beyond them.',
+    '- If the user asks for the solution, say you cannot give it and offer a smaller nudge instead.',
+    '- NEVER ask for more code.',
+    codeRule,
+    '- Answer in at most 3 short sentences.',
+    '',
+    formatProblemBlock({ problemId, url, problem, language }),
+    '',
+    formatFailureBlock(normalizeFailure(failure)),
+    '',
+    'USER CODE (first 2000 chars):',
+    (snippet || '').slice(0, 2000),
+    '',
+    'CONVERSATION SO FAR:',
+    formatConversation(history) || '(no hints yet)',
+    '',
+    `USER QUESTION: ${question}`,
+    '',
+    'Now answer the question following the rules.'
+  ].join('\n');
+}
 
-    // SNIPPET MODE
-    if (request === 'snippet') {
-      if (LLM_PROVIDER === 'ollama') {
-        try {
-          const prompt = buildSnippetPrompt({ problemId, snippet, url, failure, hintLevel });
-          const raw = await callOllama(prompt, { maxTokens: 160, temperature: hintLevel === 1 ? 0.0 : 0.2, model: LLM_MODEL });
-          let out = String(raw || '').trim();
+// --- App ---
+// Builds the Express app without listening, so tests can boot it against a fake LLM.
+function createApp(env = process.env) {
+  const provider = createProvider(env); // null -> local heuristics only (see providers/index.js)
+  const hintPacks = loadHintPacks(env); // offline problem-specific hints, HINT_PACKS (see lib/hintpacks.js)
+  const cache = createResponseCacheFromEnv(env); // LLM responses only (see lib/cache.js)
+  const RATE_LIMIT_MAX = parseInt(env.RATE_LIMIT_MAX || '120', 10); // per minute per ip
+  const isRateLimited = createRateLimiter(RATE_LIMIT_MAX);
+  const guard = createOutputGuard(env); // anti-spoiler check on model output (see lib/guard.js)
+  const pinnedLadder = loadLadder(env); // HINT_LADDER overrides the ladder requests carry (see lib/ladder.js)
+  const healthLadder = pinnedLadder || Ladder.DEFAULT_LADDER;
+  const feedbackLog = createFeedbackLogFromEnv(env); // hint ratings, FEEDBACK_LOG (see lib/feedback.js)
+
+  const app = express();
+  app.locals.provider = provider;
+  app.locals.cache = cache;
+  app.use(cors());
+  app.use(express.json({ limit: '256kb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({
+      ok: true,
+      apiVersion: API_VERSION,
+      llm: provider ? provider.name : null,
+      model: provider ? provider.model : null,
+      provider: provider ? provider.describe() : null,
+      hintPacks: hintPacks.packs,
+      guard: guard.describe(),
+      ladder: { levels: healthLadder.levels.length, offerSnippet: healthLadder.offerSnippet, pinned: !!pinnedLadder },
+      feedback: feedbackLog.describe(),
+      timestamp: Date.now()
+    });
+  });
 
-          // remove code fences, prefixes
-          out = out.replace(/```[\s\S]*?```/g, '').replace(/^(?:Response:|Answer:)/i, '').trim();
+  // inspect / clear the response cache; DELETE /cache?problem=two-sum clears one problem
+  app.get('/cache', (req, res) => {
+    res.json({ ok: true, apiVersion: API_VERSION, ...cache.inspect() });
+  });
 
-          // block the model asking-for-code phrases
-          const bannedPatterns = /paste|provide|share|send|please provide|did you forget|can't|cannot|need.*code/i;
-          if (bannedPatterns.test(out)) out = '';
+  app.delete('/cache', (req, res) => {
+    const problem = typeof req.query.problem === 'string' ? req.query.problem : '';
+    res.json({ ok: true, apiVersion: API_VERSION, cleared: cache.clear(problem) });
+  });
 
-          const lines = out.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-          const excerptLines = lines.slice(0, 3);
+  app.post('/hint', async (req, res) => {
+    try {
+      if (isRateLimited(clientIp(req))) return sendError(res, 'rate_limited', `more than ${RATE_LIMIT_MAX} requests per minute`);
+
+      const checked = validateHintRequest(req.body, { ladder: pinnedLadder });
+      if (!checked.ok) return sendError(res, checked.code, checked.message, checked.field);
+      const { problemId, snippet, url, request, problem, language, cursor, hintLevel, stream, ladder } = checked.value;
+      const failure = normalizeFailure(checked.value.failure);
+      const spec = Ladder.levelSpec(ladder, hintLevel);
+      const levelCount = ladder.levels.length;
+      const keyFor = (type) => cacheKey({
+        problemId: problemId || url, request: type, level: hintLevel, snippet, failure, language,
+        model: provider ? `${provider.name}/${provider.model}` : '',
+        policy: type === 'hint' ? Ladder.levelKey(spec) : ''
+      });
+      // source: 'llm' (fresh model output), 'cache' (stored model output) or 'local' (heuristics/hint packs)
+      const reply = (source, fields) => res.json({ ok: true, apiVersion: API_VERSION, source, cached: source === 'cache', ...fields });
+      // model output goes through the anti-spoiler guard (lib/guard.js)
+      const guardContext = (kind) => ({ kind, level: hintLevel, code: spec.code, snippet, problem: problemId || url });
+      const hintOpts = { maxTokens: 220, temperature: spec.temperature };
+      const generateHint = (signal) => async (p) => shapeHintText(sanitizeModelText(await provider.generate(p, { ...hintOpts, signal }), 1200), hintLevel, spec);
+      let guardAction = '';
+
+      // SNIPPET MODE
+      if (request === 'snippet') {
+        // without the model: the user's own lines near the cursor, or the language starter when there are none
+        const localSnippet = () => (snippet.trim() ? localGenerateSnippet(snippet, cursor) : starterTemplate(problemId || url || '', language, hintPacks.index));
+        if (provider) {
+          const key = keyFor('snippet');
+          const hit = cache.get(key);
+          if (hit !== undefined) return reply('cache', { snippet: hit });
+          try {
+            const prompt = buildSnippetPrompt({ problemId, snippet, url, failure, problem, language, hintLevel });
+            const opts = { maxTokens: 160, temperature: spec.temperature };
+            const guarded = await guardOutput(guard, guardContext('snippet'), prompt, async p => shapeSnippetText(await provider.generate(p, opts)));
+            if (guarded.action === 'fallback') {
+              return reply('local', { snippet: localSnippet(), ...guardField(guarded.action) });
+            }
+            // LLM returned nothing useful -> return empty snippet (per config). If LLM call failed we fall back to the local snippet below.
+            if (!guarded.text) return reply('llm', { snippet: '' });
+
+            cache.set(key, guarded.text);
+            return reply('llm', { snippet: guarded.text, ...guardField(guarded.action) });
+          } catch (err) {
+            console.warn(`[SERVER] ${provider.name} snippet failed, falling back to the local snippet:`, err && err.message);
+            return reply('local', { snippet: localSnippet() });
+          }
+        }
+        // No LLM: local excerpt or starter
+        return reply('local', { snippet: localSnippet() });
+      }
+
+      // COMPLEXITY MODE: time/space of the user's code against the constraint target.
+      // The static analyzer (extension/lib/complexity.js) answers when the model is unavailable.
+      if (request === 'complexity') {
+        const local = analyzeComplexity(snippet, { language, constraints: problem ? problem.constraints : [] });
+        if (provider && snippet.trim()) {
+          const key = keyFor('complexity');
+          const hit = cache.get(key);
+          if (hit !== undefined) return reply('cache', { complexity: hit });
+          try {
+            const prompt = buildComplexityPrompt({ problemId, snippet, url, failure, problem, language, estimate: local });
+            const opts = { maxTokens: 120, temperature: 0.0 };
+            // the note is prose about the user's code: held to the no-code rule of a level 1 hint
+            let parsed = null;
+            const guarded = await guardOutput(guard, { ...guardContext('hint'), level: 1, code: 'none' }, prompt, async p => {
+              parsed = parseComplexityReply(await provider.generate(p, opts));
+              return parsed ? parsed.note : '';
+            });
+            if (parsed && guarded.text) {
+              const complexity = { ...local, time: parsed.time, space: parsed.space || local.space, note: guarded.text, method: 'llm' };
+              cache.set(key, complexity);
+              return reply('llm', { complexity, ...guardField(guarded.action) });
+            }
+            guardAction = guarded.action;
+          } catch (err) {
+            console.warn(`[SERVER] ${provider.name} complexity failed, falling back to the static analysis:`, err && err.message);
+          }
+        }
+        return reply('local', { complexity: local, ...guardField(guardAction) });
+      }
 
-          if (excerptLines.length === 0) {
-            // LLM returned nothing useful -> return empty snippet (per config). If LLM call failed we fall back to starter below.
-            return res.json({ snippet: '' });
+      // STREAMING HINT MODE (NDJSON): {type:'delta',text}* then one {type:'done',hint,source}
+      if (stream) {
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        const send = (evt) => res.write(JSON.stringify(evt) + '\n');
+        const doneEvent = (source, hint) => ({ type: 'done', ok: true, apiVersion: API_VERSION, source, cached: source === 'cache', hint });
+        const done = (source, hint) => send(doneEvent(source, hint));
+
+        if (provider) {
+          const key = keyFor('hint');
+          const hit = cache.get(key);
+          if (hit !== undefined) {
+            done('cache', hit);
+            return res.end();
+          }
+          const controller = new AbortController();
+          res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+          try {
+            const ctx = guardContext('hint');
+            const prompt = buildHintPrompt({ problemId, snippet, url, failure, problem, language, cursor, level: hintLevel, ladder });
+            // deltas stop once the partial text starts to look like a solution; `done` carries the guarded hint
+            let streamed = '';
+            let holding = false;
+            const raw = await provider.stream(
+              prompt,
+              { ...hintOpts, signal: controller.signal },
+              piece => {
+                streamed += piece;
+                if (!holding && guard.shouldHold(sanitizeModelText(streamed, 1200), ctx)) holding = true;
+                if (!holding) send({ type: 'delta', text: piece });
+              }
+            );
+            const first = shapeHintText(sanitizeModelText(raw, 1200), hintLevel, spec);
+            const guarded = await guardOutput(guard, ctx, prompt, generateHint(controller.signal), first);
+            if (guarded.text !== null) {
+              if (guarded.text) cache.set(key, guarded.text);
+              send({ ...doneEvent('llm', guarded.text), ...guardField(guarded.action) });
+              return res.end();
+            }
+            guardAction = guarded.action;
+          } catch (err) {
+            if (controller.signal.aborted) return res.end();
+            console.warn(`[SERVER] ${provider.name} stream failed, falling back to local:`, err && err.message);
           }
+        }
 
-          return res.json({ snippet: excerptLines.join('\n') });
+        send({ ...doneEvent('local', localGenerateHint({ problemId: problemId || url, failure, level: hintLevel, levelCount, packIndex: hintPacks.index })), ...guardField(guardAction) });
+        return res.end();
+      }
+
+      // NORMAL HINT MODE
+      // Prefer LLM if configured
+      if (provider) {
+        const key = keyFor('hint');
+        const hit = cache.get(key);
+        if (hit !== undefined) return reply('cache', { hint: hit });
+        try {
+          const prompt = buildHintPrompt({ problemId, snippet, url, failure, problem, language, cursor, level: hintLevel, ladder });
+          const guarded = await guardOutput(guard, guardContext('hint'), prompt, generateHint());
+          if (guarded.text !== null) {
+            if (guarded.text) cache.set(key, guarded.text);
+            return reply('llm', { hint: guarded.text, ...guardField(guarded.action) });
+          }
+          guardAction = guarded.action;
         } catch (err) {
-          console.warn('[SERVER] Ollama snippet failed, falling back to local starter:', err && err.message);
-          const fallbackStarter = starterTemplate(problemId || url || '');
-          return res.json({ snippet: fallbackStarter });
+          console.warn(`[SERVER] ${provider.name} hint failed, falling back to local:`, err && err.message);
+          // fall through to local fallback
         }
-      } else {
-        // No LLM: return local starter template
-        const localStarter = starterTemplate(problemId || url || '');
-        return res.json({ snippet: localStarter });
       }
+
+      // Final fallback: local heuristics tuned by hintLevel
+      return reply('local', { hint: localGenerateHint({ problemId: problemId || url, failure, level: hintLevel, levelCount, packIndex: hintPacks.index }), ...guardField(guardAction) });
+
+    } catch (err) {
+      console.error('[SERVER] unexpected error', err && (err.stack || err.message) || err);
+      if (res.headersSent) {
+        // mid-stream: report the failure as the last NDJSON event
+        if (!res.writableEnded) res.end(JSON.stringify({ type: 'error', ...errorBody('internal_error', 'unexpected server error') }) + '\n');
+        return;
+      }
+      return sendError(res, 'internal_error', 'unexpected server error');
     }
+  });
 
-    // NORMAL HINT MODE
-    // Prefer LLM if configured
-    if (LLM_PROVIDER === 'ollama') {
-      try {
-        const prompt = buildHintPrompt({ problemId, snippet, url, failure, level: hintLevel });
-        const raw = await callOllama(prompt, { maxTokens: 220, temperature: hintLevel === 1 ? 0.0 : 0.2, model: LLM_MODEL });
-        const safe = sanitizeModelText(raw, 1200);
-
-        if (hintLevel === 1) {
-          const sent = safe.split(/[.?!]\s+/).map(s => s.trim()).filter(Boolean)[0] || safe;
-          return res.json({ hint: sent });
-        } else if (hintLevel === 2) {
-          const sentences = safe.split(/[.?!]\s+/).map(s => s.trim()).filter(Boolean).slice(0, 2);
-          return res.json({ hint: (sentences.join('. ') + (sentences.length ? '.' : '')).trim() });
-        } else {
-          const lines = safe.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-          const excerpt = (lines.length ? lines.slice(0, 3).join('\n') : safe.split(/[.?!]\s+/).slice(0,3).join('\n'));
-          return res.json({ hint: excerpt });
+  // Follow-up questions about the current hint. The client keeps the conversation (bounded,
+  // per problem) and sends it with each question; answers are never cached.
+  app.post('/chat', async (req, res) => {
+    try {
+      if (isRateLimited(clientIp(req))) return sendError(res, 'rate_limited', `more than ${RATE_LIMIT_MAX} requests per minute`);
+
+      const checked = validateChatRequest(req.body, { ladder: pinnedLadder });
+      if (!checked.ok) return sendError(res, checked.code, checked.message, checked.field);
+      const { problemId, snippet, url, problem, language, hintLevel, history, question, ladder } = checked.value;
+      const failure = normalizeFailure(checked.value.failure);
+      const reply = (source, fields) => res.json({ ok: true, apiVersion: API_VERSION, source, ...fields });
+      let guardAction = '';
+
+      if (provider) {
+        try {
+          const prompt = buildChatPrompt({ problemId, snippet, url, failure, problem, language, history, question, level: hintLevel, ladder });
+          const opts = { maxTokens: 200, temperature: 0.2 };
+          const ctx = { kind: 'chat', level: hintLevel, code: Ladder.levelSpec(ladder, hintLevel).code, snippet, problem: problemId || url };
+          const guarded = await guardOutput(guard, ctx, prompt, async p => shapeChatText(await provider.generate(p, opts)));
+          if (guarded.text) return reply('llm', { answer: guarded.text, ...guardField(guarded.action) });
+          guardAction = guarded.action;
+        } catch (err) {
+          console.warn(`[SERVER] ${provider.name} chat failed, falling back to local:`, err && err.message);
         }
-      } catch (err) {
-        console.warn('[SERVER] Ollama hint failed, falling back to local:', err && err.message);
-        // fall through to local fallback
       }
+
+      return reply('local', { answer: localChatAnswer({ problemId: problemId || url, packIndex: hintPacks.index }), ...guardField(guardAction) });
+    } catch (err) {
+      console.error('[SERVER] unexpected error', err && (err.stack || err.message) || err);
+      return sendError(res, 'internal_error', 'unexpected server error');
     }
+  });
 
-    // Final fallback: local heuristics tuned by hintLevel
-    const fallback = localGenerateHint({ problemId, failure, level: hintLevel });
-    const snippetExcerpt = localGenerateSnippet(snippet);
-    return res.json({ hint: fallback, snippet: snippetExcerpt });
+  // Ratings of hints (👍/👎, "too revealing", "too vague") with the request each hint came from,
+  // appended to the FEEDBACK_LOG file for scripts/eval-prompts.js.
+  app.post('/feedback', async (req, res) => {
+    try {
+      if (isRateLimited(clientIp(req))) return sendError(res, 'rate_limited', `more than ${RATE_LIMIT_MAX} requests per minute`);
+      if (!feedbackLog.enabled) return sendError(res, 'feedback_disabled', 'this server keeps no feedback log (set FEEDBACK_LOG)');
+
+      const checked = validateFeedbackRequest(req.body);
+      if (!checked.ok) return sendError(res, checked.code, checked.message, checked.field);
+      await feedbackLog.append({
+        receivedAt: Date.now(),
+        model: provider ? `${provider.name}/${provider.model}` : null,
+        ...checked.value
+      });
+      res.json({ ok: true, apiVersion: API_VERSION, stored: true });
+    } catch (err) {
+      console.error('[SERVER] unexpected error', err && (err.stack || err.message) || err);
+      return sendError(res, 'internal_error', 'unexpected server error');
+    }
+  });
 
-  } catch (err) {
-    console.error('[SERVER] unexpected error', err && (err.stack || err.message) || err);
-    return res.status(500).json({ error: 'internal_error', detail: String(err && err.message ? err.message : err) });
-  }
-});
+  app.use((req, res) => sendError(res, 'not_found', `no route for ${req.method} ${req.path}`));
+  app.use(jsonErrorHandler);
+
+  return app;
+}
 
 // start server
-app.listen(PORT, () => {
-  console.log(`LeetMentor server running on http://localhost:${PORT}`);
-  console.log(`LLM_PROVIDER=${LLM_PROVIDER}  LLM_MODEL=${LLM_MODEL}`);
-  if (LLM_PROVIDER === 'ollama') console.log(`Ollama base: ${OLLAMA_BASE}`);
-  else console.log('No LLM provider configured — using local heuristics only.');
-});
+if (require.main === module) {
+  const app = createApp(process.env);
+  const provider = app.locals.provider;
+  const server = app.listen(PORT, () => {
+    console.log(`LeetMentor server running on http://localhost:${server.address().port}`);
+    if (provider) console.log('LLM provider:', JSON.stringify(provider.describe()));
+    else console.log('No LLM provider configured — using local heuristics only.');
+  });
+
+  // the cache file is saved on a debounce timer; write what is still pending before exiting
+  const shutdown = () => {
+    app.locals.cache.flush();
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 2000).unref(); // keep-alive connections can hold close() open
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+module.exports = {
+  createApp,
+  normalizeFailure,
+  localGenerateHint,
+  localGenerateSnippet,
+  localChatAnswer,
+  starterTemplate,
+  sanitizeModelText,
+  shapeHintText,
+  shapeSnippetText,
+  shapeChatText,
+  parseComplexityReply,
+  buildHintPrompt,
+  buildSnippetPrompt,
+  buildChatPrompt,
+  buildComplexityPrompt
+};
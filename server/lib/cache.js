@@ -0,0 +1,194 @@
+// cache.js — LRU cache for LLM hint/snippet responses.
+//
+// Keys combine the problem slug, request type, hint level and a sha256 of the
+// normalized snippet + failure + language, so pressing "Show hint" again with
+// unchanged code is answered without calling the model. Entries expire after
+// ttlMs; the least recently used entry is evicted past maxEntries.
+// With `file` set, entries are written there (debounced) and reloaded on start; flush() writes
+// a pending save right away (index.js calls it on SIGINT/SIGTERM).
+//
+//   HINT_CACHE_MAX      max entries (default 500, 0 disables the cache)
+//   HINT_CACHE_TTL_MS   entry lifetime (default 6h)
+//   HINT_CACHE_FILE     optional JSON file for persistence across restarts
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { envNumber } = require('../providers/http');
+
+const CACHE_FILE_VERSION = 1;
+const SAVE_DELAY_MS = 1000;
+
+// trailing spaces, blank lines and spacing inside a line don't change the fingerprint;
+// indentation does (it is meaningful in Python)
+function normalizeCode(code) {
+  return String(code || '')
+    .split(/\r?\n/)
+    .map(l => {
+      const indent = l.match(/^[ \t]*/)[0].replace(/\t/g, '    ');
+      return indent + l.trim().replace(/\s+/g, ' ');
+    })
+    .filter(l => l.trim())
+    .join('\n');
+}
+
+// failure is the normalized object from server/index.js; `raw` is left out because it
+// carries page noise (timestamps, runtimes) that changes between identical failures
+function failureFingerprint(f) {
+  if (!f) return '';
+  return [f.verdict, f.input, f.output, f.expected, f.errorMessage, f.errorLine].map(v => (v == null ? '' : String(v))).join('\u0000');
+}
+
+function slugOf(problemId) {
+  const s = String(problemId || '').trim();
+  const m = s.match(/\/problems\/([^/?#]+)/i);
+  return (m ? m[1] : s.replace(/^\/+|\/+$/g, '')).toLowerCase() || 'unknown';
+}
+
+// `model` (provider/model name) keeps a persisted cache from serving another model's answers;
+// `policy` (the hint ladder level's fingerprint) does the same for another ladder's hints
+function cacheKey({ problemId, request = 'hint', level = 1, snippet, failure, language, model = '', policy = '' }) {
+  const hash = crypto.createHash('sha256')
+    .update(normalizeCode(snippet))
+    .update('\u0001')
+    .update(failureFingerprint(failure))
+    .update('\u0001')
+    .update(String(language || '').toLowerCase())
+    .update('\u0001')
+    .update(String(model));
+  if (policy) hash.update('\u0001').update(String(policy));
+  const fingerprint = hash.digest('hex');
+  const slug = slugOf(problemId);
+  return { key: `${slug}|${request}|${level}|${fingerprint}`, slug, request, level, fingerprint };
+}
+
+function createResponseCache({ maxEntries = 500, ttlMs = 6 * 60 * 60 * 1000, file = '', now = Date.now } = {}) {
+  const entries = new Map(); // key -> { slug, request, level, fingerprint, value, createdAt, hits }
+  const stats = { hits: 0, misses: 0 };
+  let saveTimer = null;
+
+  const enabled = maxEntries > 0;
+  const expired = (e) => now() - e.createdAt > ttlMs;
+
+  function evict() {
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!data || data.version !== CACHE_FILE_VERSION || !Array.isArray(data.entries)) return;
+      for (const [key, e] of data.entries) {
+        if (e && typeof e.createdAt === 'number' && !expired(e)) entries.set(key, e);
+      }
+      evict();
+    } catch (err) {
+      console.warn(`[SERVER] hint cache ${file} could not be loaded:`, err && err.message);
+    }
+  }
+
+  function saveNow() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: CACHE_FILE_VERSION, entries: [...entries] }));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.warn(`[SERVER] hint cache ${file} could not be saved:`, err && err.message);
+    }
+  }
+
+  // a save still waiting on its timer, written now
+  function flush() {
+    if (saveTimer) saveNow();
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(saveNow, SAVE_DELAY_MS);
+    if (saveTimer.unref) saveTimer.unref();
+  }
+
+  // returns the cached value or undefined
+  function get(k) {
+    if (!enabled) return undefined;
+    const e = entries.get(k.key);
+    if (!e || expired(e)) {
+      if (e) entries.delete(k.key);
+      stats.misses++;
+      return undefined;
+    }
+    // re-insert to mark as most recently used
+    entries.delete(k.key);
+    e.hits++;
+    entries.set(k.key, e);
+    stats.hits++;
+    return e.value;
+  }
+
+  function set(k, value) {
+    if (!enabled) return;
+    entries.delete(k.key);
+    entries.set(k.key, { slug: k.slug, request: k.request, level: k.level, fingerprint: k.fingerprint, value, createdAt: now(), hits: 0 });
+    evict();
+    scheduleSave();
+  }
+
+  // clears everything, or only the entries for one problem slug; returns the number removed
+  function clear(problemId) {
+    let removed = 0;
+    const slug = problemId ? slugOf(problemId) : null;
+    for (const [key, e] of entries) {
+      if (slug && e.slug !== slug) continue;
+      entries.delete(key);
+      removed++;
+    }
+    if (!slug) { stats.hits = 0; stats.misses = 0; }
+    if (removed) scheduleSave();
+    return removed;
+  }
+
+  // summary for GET /cache (most recently used first, values omitted)
+  function inspect() {
+    const t = now();
+    const list = [];
+    for (const e of entries.values()) {
+      if (expired(e)) continue;
+      list.push({
+        problem: e.slug,
+        request: e.request,
+        level: e.level,
+        fingerprint: e.fingerprint.slice(0, 12),
+        ageMs: t - e.createdAt,
+        hits: e.hits
+      });
+    }
+    return {
+      enabled,
+      size: list.length,
+      maxEntries,
+      ttlMs,
+      file: file || null,
+      hits: stats.hits,
+      misses: stats.misses,
+      entries: list.reverse()
+    };
+  }
+
+  load();
+  return { get, set, clear, inspect, flush };
+}
+
+function createResponseCacheFromEnv(env = process.env) {
+  return createResponseCache({
+    maxEntries: envNumber(env.HINT_CACHE_MAX, 500),
+    ttlMs: envNumber(env.HINT_CACHE_TTL_MS, 6 * 60 * 60 * 1000),
+    file: env.HINT_CACHE_FILE ? path.resolve(env.HINT_CACHE_FILE) : ''
+  });
+}
+
+module.exports = { cacheKey, normalizeCode, createResponseCache, createResponseCacheFromEnv };
@@ -0,0 +1,52 @@
+// feedback.js — the hint-feedback log. POST /feedback appends one JSON object per line and
+// scripts/eval-prompts.js reads the lines back. FEEDBACK_LOG=path/to/feedback.jsonl turns it on;
+// without it /feedback answers feedback_disabled.
+const fs = require('fs');
+const path = require('path');
+
+function createFeedbackLog(file) {
+  let received = 0;
+  // appends run one at a time so concurrent requests never interleave their lines
+  let queue = Promise.resolve();
+
+  return {
+    enabled: !!file,
+
+    append(record) {
+      const run = queue.then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+        received += 1;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    describe() {
+      return { enabled: !!file, received };
+    }
+  };
+}
+
+function createFeedbackLogFromEnv(env = process.env) {
+  return createFeedbackLog(env.FEEDBACK_LOG ? path.resolve(env.FEEDBACK_LOG) : '');
+}
+
+// Returns { records, skipped }: the objects in the log, and how many lines were not one.
+function readFeedbackLog(file) {
+  const records = [];
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record && typeof record === 'object' && !Array.isArray(record)) records.push(record);
+      else skipped += 1;
+    } catch (e) {
+      skipped += 1;
+    }
+  }
+  return { records, skipped };
+}
+
+module.exports = { createFeedbackLog, createFeedbackLogFromEnv, readFeedbackLog };
@@ -0,0 +1,238 @@
+// guard.js — anti-spoiler check on model output, applied after the level shaping in index.js.
+//
+// The prompt asks for hints, but small models still answer with whole functions or a
+// complete algorithm squeezed onto three lines. scoreLeakage() adds up weighted signals;
+// at GUARD_THRESHOLD the output counts as a leak and guardOutput() asks the model again
+// with the reasons spelled out, then degrades to a safer text (or to the local hint).
+//
+//   OUTPUT_GUARD    on (default) | log (score and log, never change output) | off
+//   GUARD_RETRIES   regenerations before degrading (default 1)
+
+const { envNumber } = require('../providers/http');
+
+const GUARD_THRESHOLD = 1.0;
+// streamed deltas stop being forwarded once the partial text scores this much
+const STREAM_HOLD_SCORE = 0.5;
+
+// rough token budgets (words, numbers and symbols) per output, keyed by the budget level of the
+// hint ladder's code policy (none 1, pseudo 2, lines 3)
+const TOKEN_BUDGETS = { hint: { 1: 45, 2: 80, 3: 100 }, snippet: { 3: 90 }, chat: { 1: 90, 2: 110, 3: 130 } };
+const BUDGET_LEVEL = { none: 1, pseudo: 2, lines: 3 };
+// code policy of each level of the default ladder (extension/lib/ladder.js), for callers that only pass a level
+const DEFAULT_POLICIES = ['none', 'pseudo', 'lines'];
+
+const WEIGHTS = {
+  code_in_level1_hint: 1.0,
+  code_in_level2_hint: 1.0,
+  inline_code: 0.5,
+  function_body: 1.0,
+  complete_algorithm: 1.0,
+  function_signature: 0.3,
+  return_statement: 0.5,
+  fills_missing_logic: 0.5,
+  dense_line: 0.4,
+  over_budget: 0.5
+};
+
+// phrased for the retry prompt: "Your previous answer was rejected because it ..."
+const REASON_TEXT = {
+  code_in_level1_hint: 'contained code (this level must be prose only)',
+  code_in_level2_hint: 'contained more than one line of code',
+  inline_code: 'quoted code inside the sentence',
+  function_body: 'contained a complete function',
+  complete_algorithm: 'spelled out the whole algorithm (loop, condition and return)',
+  function_signature: 'started writing the function',
+  return_statement: 'returned the final answer',
+  fills_missing_logic: "wrote the logic the user's code is still missing",
+  dense_line: 'packed several statements onto one line',
+  over_budget: 'was too long'
+};
+
+const CODE_LINE = [
+  /[;{}]\s*$/,
+  /=>/,
+  /^\s*(?:def|class|function|func|fn|public|private|protected|static|async)\s/,
+  /^\s*(?:for|while|if|elif|else\s+if|switch)\s*\(/,
+  /^\s*(?:for|while|if|elif)\s[^.]*:(?:\s|$)/,
+  /^\s*(?:return|yield|break|continue)\b/,
+  /^\s*(?:const|let|var|int|long|double|bool|boolean|char|auto|vector|unordered_map|Map|List|HashMap|ArrayList)\b[\w<>[\],\s]*\s\w+\s*[=;(]/,
+  /^\s*[\w.]+(?:\[[^\]]*\])*\s*(?:[+\-*/%|&^]|\/\/|<<|>>)?=(?!=)\s*\S/
+];
+
+// code fragments inside a prose line, e.g. "then set `seen[x] = i`"
+const INLINE_CODE = /`[^`]+`|\b\w+(?:\[[^\]]*\])+\s*(?:[+\-*/]?=(?!=))|[=!]==?|&&|\|\||\b\w+\([^()]*\)\s*[;{]/;
+const DEFINITION = /^\s*(?:def\s+\w+\s*\(|(?:async\s+)?function\b|func\s+\w+\s*\(|fn\s+\w+\s*\(|(?:public|private|protected|static)\b[^=;]*\(|(?:const|let|var)\s+\w+\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>)|[\w<>[\],*&:]+\s+\w+\s*\([^)]*\)\s*\{)/;
+const LOOP = /\b(?:for|while)\s*\(|\bfor\s+[\w\s,()]+\s+in\s|\bwhile\s+[^:]+:|\.(?:forEach|map|reduce)\(/;
+const BRANCH = /\bif\s*\(|\bif\s+[^:]+:|\?[^:?]+:/;
+const RETURN = /(?:^|[;{:)]\s*|\s)return\b\s*([^;\n]*)/g;
+// base cases and placeholders are not "the answer"
+const TRIVIAL_RETURN = /^(?:|0|-1|1|true|false|True|False|None|null|nil|\[\]|\{\}|""|''|new\s+int\[0\]|\w+\s*\(\s*\))\s*;?$/;
+
+const codeLines = text => String(text || '').split(/\r?\n/).filter(l => l.trim() && CODE_LINE.some(re => re.test(l)));
+const countTokens = text => (String(text || '').match(/[A-Za-z_]\w*|\d+|[^\s\w]/g) || []).length;
+const squash = line => line.trim().replace(/\s+/g, ' ');
+
+function answerReturns(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(RETURN)) {
+    if (!TRIVIAL_RETURN.test(m[1].trim())) out.push(m[1].trim());
+  }
+  return out;
+}
+
+function features(lines) {
+  const text = lines.join('\n');
+  return {
+    loop: LOOP.test(text),
+    branch: BRANCH.test(text),
+    returns: answerReturns(text).length
+  };
+}
+
+// ctx: { kind: 'hint' | 'snippet' | 'chat', level, code (the level's code policy), snippet (the user's code) }
+// Chat answers get the code rules of the highest hint level the user has seen. Without `code`
+// the level's policy in the default ladder applies.
+// Returns { score, reasons: [{ reason, weight }], leak }.
+function scoreLeakage(text, { kind = 'hint', level = 1, code: policy, snippet = '' } = {}) {
+  const reasons = [];
+  const add = (reason, weight = WEIGHTS[reason]) => reasons.push({ reason, weight });
+  const code = codeLines(text);
+  const prose = kind === 'hint' || kind === 'chat';
+  const allows = BUDGET_LEVEL[policy] ? policy : DEFAULT_POLICIES[Math.max(1, Math.min(level, 3)) - 1];
+
+  if (prose && allows === 'none' && code.length) add('code_in_level1_hint');
+  else if (prose && allows === 'none' && INLINE_CODE.test(text)) add('inline_code');
+  if (prose && allows === 'pseudo' && code.length > 1) add('code_in_level2_hint');
+
+  const defs = code.filter(l => DEFINITION.test(l));
+  const f = features(code);
+  if (defs.length && (f.returns || code.length - defs.length >= 2)) add('function_body');
+  else if (defs.length) add('function_signature');
+
+  if (f.loop && f.branch && f.returns) add('complete_algorithm');
+  else if (f.returns) add('return_statement', kind === 'snippet' ? 0.3 : WEIGHTS.return_statement);
+
+  // new code that supplies a return the user doesn't have yet, plus the loop/branch around it
+  const userLines = new Set(String(snippet || '').split(/\r?\n/).map(squash).filter(Boolean));
+  const added = code.filter(l => !userLines.has(squash(l)));
+  const addedF = features(added);
+  if (addedF.returns && (addedF.loop || addedF.branch) && !answerReturns(snippet).length) add('fills_missing_logic');
+
+  const dense = code.filter(l => {
+    const one = features([l]);
+    const statements = l.split(/;(?!\s*$)/).length + (l.match(/:\s+\S/g) || []).length;
+    return l.trim().length >= 60 && (statements >= 3 || [one.loop, one.branch, one.returns > 0].filter(Boolean).length >= 2);
+  });
+  if (dense.length) add('dense_line', Math.min(2, dense.length) * WEIGHTS.dense_line);
+
+  const budget = (TOKEN_BUDGETS[kind] || {})[BUDGET_LEVEL[allows]] || (TOKEN_BUDGETS[kind] || {})[3] || 100;
+  const tokens = countTokens(text);
+  if (tokens > budget) add('over_budget', tokens > 2 * budget ? 1.0 : WEIGHTS.over_budget);
+
+  const score = Math.round(reasons.reduce((s, r) => s + r.weight, 0) * 100) / 100;
+  return { score, reasons, leak: score >= GUARD_THRESHOLD };
+}
+
+// appended to the original prompt when the output is regenerated
+function retryInstruction(verdict) {
+  const why = verdict.reasons.map(r => REASON_TEXT[r.reason] || r.reason).join('; ');
+  return [
+    '',
+    '',
+    `YOUR PREVIOUS ANSWER WAS REJECTED because it ${why}.`,
+    'Give a smaller nudge that leaves the remaining work to the user. Do not write a function, a return statement or the full algorithm.'
+  ].join('\n');
+}
+
+// Safer version of a leaking output, or '' when nothing can be kept:
+// hints keep their prose lines, snippets keep their first line when it gives nothing away.
+function saferText(text, ctx = {}) {
+  const lines = String(text || '').split(/\r?\n/).filter(l => l.trim());
+  let candidate = '';
+  if (ctx.kind === 'snippet') {
+    const first = lines[0] || '';
+    candidate = DEFINITION.test(first) || answerReturns(first).length ? '' : first.trim();
+  } else {
+    const code = new Set(codeLines(text));
+    candidate = lines.filter(l => !code.has(l)).map(l => l.replace(/`[^`]*`/g, '').trim()).filter(Boolean).join('\n');
+  }
+  if (!candidate || scoreLeakage(candidate, ctx).leak) return '';
+  return candidate;
+}
+
+function createOutputGuard(env = process.env) {
+  const raw = String(env.OUTPUT_GUARD || 'on').toLowerCase();
+  const mode = ['on', 'log', 'off'].includes(raw) ? raw : 'on';
+  const retries = Math.max(0, Math.floor(envNumber(env.GUARD_RETRIES, 1)));
+  const stats = { checked: 0, flagged: 0, regenerated: 0, degraded: 0, fallback: 0 };
+
+  function check(text, ctx) {
+    if (mode === 'off' || !text) return { score: 0, reasons: [], leak: false };
+    stats.checked++;
+    const verdict = scoreLeakage(text, ctx);
+    if (verdict.leak) stats.flagged++;
+    return mode === 'log' ? { ...verdict, leak: false, wouldBlock: verdict.leak } : verdict;
+  }
+
+  function log(ctx, verdict, action) {
+    const reasons = verdict.reasons.map(r => r.reason).join(', ') || 'none';
+    console.log(`[GUARD] ${ctx.kind} L${ctx.level} ${ctx.problem || '?'}: score ${verdict.score} (${reasons}) -> ${action}`);
+  }
+
+  // true once a partially streamed text looks like it is heading for a leak
+  function shouldHold(text, ctx) {
+    return mode === 'on' && !!text && scoreLeakage(text, ctx).score >= STREAM_HOLD_SCORE;
+  }
+
+  return {
+    mode,
+    retries,
+    check,
+    log,
+    shouldHold,
+    describe: () => ({ mode, retries, threshold: GUARD_THRESHOLD, ...stats }),
+    count: action => { if (action in stats) stats[action]++; }
+  };
+}
+
+// Checks `first` (or a fresh generate(prompt)) and regenerates up to guard.retries times.
+// generate(prompt) resolves to the shaped output text.
+// Returns { text, action }: action is 'pass', 'regenerated', 'degraded' (text is a trimmed
+// version of the model output) or 'fallback' (text is null; the caller uses its local answer).
+async function guardOutput(guard, ctx, prompt, generate, first) {
+  let text = first !== undefined ? first : await generate(prompt);
+  let verdict = guard.check(text, ctx);
+  if (verdict.wouldBlock) guard.log(ctx, verdict, 'allowed (log mode)');
+
+  let attempts = 0;
+  while (verdict.leak && attempts < guard.retries) {
+    attempts++;
+    guard.log(ctx, verdict, `regenerating (${attempts}/${guard.retries})`);
+    text = await generate(prompt + retryInstruction(verdict));
+    verdict = guard.check(text, ctx);
+  }
+  if (!verdict.leak) {
+    const action = attempts ? 'regenerated' : 'pass';
+    if (attempts) {
+      guard.count(action);
+      guard.log(ctx, verdict, action);
+    }
+    return { text, action };
+  }
+
+  const safer = saferText(text, ctx);
+  const action = safer ? 'degraded' : 'fallback';
+  guard.count(action);
+  guard.log(ctx, verdict, action);
+  return { text: safer || null, action };
+}
+
+module.exports = {
+  GUARD_THRESHOLD,
+  TOKEN_BUDGETS,
+  scoreLeakage,
+  retryInstruction,
+  saferText,
+  createOutputGuard,
+  guardOutput
+};
@@ -0,0 +1,34 @@
+// hintpacks.js — loads offline hint packs for the local (no-LLM) fallback.
+// The bundled core pack ships with the extension; HINT_PACKS adds comma-separated
+// paths to extra pack files, which override bundled entries for the same slug.
+const fs = require('fs');
+const path = require('path');
+const { validatePack, buildIndex } = require('../../extension/lib/hintpack');
+
+const BUNDLED_PACK = path.join(__dirname, '..', '..', 'extension', 'hintpacks', 'core.json');
+
+function readPack(file) {
+  try {
+    const result = validatePack(JSON.parse(fs.readFileSync(file, 'utf8')));
+    if (!result.ok) {
+      console.warn(`[SERVER] hint pack ${file} ignored: ${result.errors.join('; ')}`);
+      return null;
+    }
+    return result.pack;
+  } catch (err) {
+    console.warn(`[SERVER] hint pack ${file} could not be read:`, err && err.message);
+    return null;
+  }
+}
+
+// Returns { index, packs } where packs lists { name, packVersion, problems } for /health-style reporting.
+function loadHintPacks(env = process.env) {
+  const extra = String(env.HINT_PACKS || '').split(',').map(p => p.trim()).filter(Boolean);
+  const packs = [BUNDLED_PACK, ...extra.map(p => path.resolve(p))].map(readPack).filter(Boolean);
+  return {
+    index: buildIndex(packs),
+    packs: packs.map(p => ({ name: p.name, packVersion: p.packVersion, problems: Object.keys(p.problems).length }))
+  };
+}
+
+module.exports = { loadHintPacks };
@@ -0,0 +1,25 @@
+// ladder.js — the server's hint ladder (levels and code-excerpt policy, see extension/lib/ladder.js).
+// Requests carry the extension's ladder; HINT_LADDER=path/to/ladder.json pins one for every
+// request instead, so a team server can enforce e.g. a five-level or "no code excerpt" policy.
+const fs = require('fs');
+const path = require('path');
+const { validateLadder } = require('../../extension/lib/ladder');
+
+// Returns the pinned ladder, or null when HINT_LADDER is unset or invalid (with a warning).
+function loadLadder(env = process.env) {
+  const file = String(env.HINT_LADDER || '').trim();
+  if (!file) return null;
+  try {
+    const result = validateLadder(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+    if (!result.ok) {
+      console.warn(`[SERVER] hint ladder ${file} ignored: ${result.errors.join('; ')}`);
+      return null;
+    }
+    return result.ladder;
+  } catch (err) {
+    console.warn(`[SERVER] hint ladder ${file} could not be read:`, err && err.message);
+    return null;
+  }
+}
+
+module.exports = { loadLadder };
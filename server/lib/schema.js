@@ -0,0 +1,315 @@
+// schema.js — request validation and the error contract for the HTTP API (see ../API.md).
+//
+// Every response carries `apiVersion`. Errors look like
+//   { ok: false, apiVersion: 1, error: { code, message, field? } }
+// and validation reports the first offending field instead of clamping or guessing.
+
+const Ladder = require('../../extension/lib/ladder');
+const Feedback = require('../../extension/lib/feedback');
+
+const API_VERSION = 1;
+
+// code -> HTTP status
+const ERROR_STATUS = {
+  invalid_json: 400,
+  invalid_request: 400,
+  unsupported_api_version: 400,
+  payload_too_large: 413,
+  rate_limited: 429,
+  not_found: 404,
+  feedback_disabled: 404,
+  internal_error: 500
+};
+
+const LIMITS = {
+  problemId: 300,
+  url: 2048,
+  snippet: 20000,
+  language: 40,
+  failureText: 5000,
+  failureField: 5000,
+  problemTitle: 300,
+  problemSlug: 200,
+  problemDifficulty: 20,
+  problemStatement: 5000,
+  listItems: 30,
+  listItem: 1000,
+  examples: 10,
+  question: 500,
+  chatTurns: 20,
+  chatText: 1000,
+  feedbackHint: 2000,
+  feedbackSource: 20
+};
+
+const REQUEST_TYPES = ['hint', 'snippet', 'complexity'];
+// /chat history entries: hints shown so far, the user's follow-ups and the mentor's answers
+const CHAT_ROLES = ['hint', 'user', 'mentor'];
+// the longest ladder; hint levels are checked against the ladder the request is answered with
+const MAX_HINT_LEVEL = Ladder.MAX_LEVELS;
+
+const FAILURE_TEXT_FIELDS = ['verdict', 'input', 'output', 'expected', 'stdout', 'errorMessage', 'raw'];
+const FAILURE_NUMBER_FIELDS = ['errorLine', 'testsPassed', 'testsTotal'];
+
+class ValidationError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.field = field;
+  }
+}
+
+function errorBody(code, message, field) {
+  const error = { code, message };
+  if (field) error.field = field;
+  return { ok: false, apiVersion: API_VERSION, error };
+}
+
+function sendError(res, code, message, field) {
+  return res.status(ERROR_STATUS[code] || 500).json(errorBody(code, message, field));
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function optionalString(value, field, max) {
+  if (value == null) return '';
+  if (typeof value !== 'string') throw new ValidationError(field, `${field} must be a string`);
+  if (value.length > max) throw new ValidationError(field, `${field} must be at most ${max} characters`);
+  return value;
+}
+
+function optionalInteger(value, field, min, max) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new ValidationError(field, `${field} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function stringList(value, field, maxItems, maxLen) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new ValidationError(field, `${field} must be an array of strings`);
+  if (value.length > maxItems) throw new ValidationError(field, `${field} must have at most ${maxItems} items`);
+  return value.map((v, i) => optionalString(v, `${field}[${i}]`, maxLen));
+}
+
+// string (raw result text, older clients) or the object from extension/lib/result-parser.js
+function validateFailure(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'string') return optionalString(value, 'failure', LIMITS.failureText);
+  if (!isObject(value)) throw new ValidationError('failure', 'failure must be a string or an object');
+  const out = {};
+  for (const key of FAILURE_TEXT_FIELDS) out[key] = optionalString(value[key], `failure.${key}`, LIMITS.failureField);
+  for (const key of FAILURE_NUMBER_FIELDS) out[key] = optionalInteger(value[key], `failure.${key}`, 0, 1e9);
+  return out;
+}
+
+function validateProblem(value) {
+  if (value == null) return null;
+  if (!isObject(value)) throw new ValidationError('problem', 'problem must be an object');
+  const examples = value.examples == null ? [] : value.examples;
+  if (!Array.isArray(examples)) throw new ValidationError('problem.examples', 'problem.examples must be an array');
+  if (examples.length > LIMITS.examples) {
+    throw new ValidationError('problem.examples', `problem.examples must have at most ${LIMITS.examples} items`);
+  }
+  return {
+    slug: optionalString(value.slug, 'problem.slug', LIMITS.problemSlug),
+    title: optionalString(value.title, 'problem.title', LIMITS.problemTitle),
+    difficulty: optionalString(value.difficulty, 'problem.difficulty', LIMITS.problemDifficulty),
+    statement: optionalString(value.statement, 'problem.statement', LIMITS.problemStatement),
+    constraints: stringList(value.constraints, 'problem.constraints', LIMITS.listItems, LIMITS.listItem),
+    tags: stringList(value.tags, 'problem.tags', LIMITS.listItems, LIMITS.listItem),
+    examples: examples.map((e, i) => {
+      const field = `problem.examples[${i}]`;
+      if (!isObject(e)) throw new ValidationError(field, `${field} must be an object`);
+      return {
+        input: optionalString(e.input, `${field}.input`, LIMITS.listItem),
+        output: optionalString(e.output, `${field}.output`, LIMITS.listItem),
+        explanation: optionalString(e.explanation, `${field}.explanation`, LIMITS.listItem)
+      };
+    })
+  };
+}
+
+function validateCursor(value) {
+  if (value == null) return null;
+  if (!isObject(value)) throw new ValidationError('cursor', 'cursor must be an object');
+  return {
+    line: optionalInteger(value.line, 'cursor.line', 1, 1e6),
+    column: optionalInteger(value.column, 'cursor.column', 1, 1e6)
+  };
+}
+
+function validateChatHistory(value, maxLevel = MAX_HINT_LEVEL) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new ValidationError('history', 'history must be an array');
+  if (value.length > LIMITS.chatTurns) throw new ValidationError('history', `history must have at most ${LIMITS.chatTurns} items`);
+  return value.map((turn, i) => {
+    const field = `history[${i}]`;
+    if (!isObject(turn)) throw new ValidationError(field, `${field} must be an object`);
+    if (!CHAT_ROLES.includes(turn.role)) throw new ValidationError(`${field}.role`, `${field}.role must be one of ${CHAT_ROLES.join(', ')}`);
+    return {
+      role: turn.role,
+      text: optionalString(turn.text, `${field}.text`, LIMITS.chatText),
+      level: optionalInteger(turn.level, `${field}.level`, 1, maxLevel)
+    };
+  });
+}
+
+const unsupportedVersion = (body) => ({
+  ok: false,
+  code: 'unsupported_api_version',
+  message: `apiVersion ${JSON.stringify(body.apiVersion)} is not supported (expected ${API_VERSION})`,
+  field: 'apiVersion'
+});
+
+// The ladder a request is answered with: the server's pinned one (HINT_LADDER), else the one
+// the request carries, else the default.
+function requestLadder(body, pinned) {
+  if (pinned) return pinned;
+  if (body.ladder == null) return Ladder.DEFAULT_LADDER;
+  const checked = Ladder.validateLadder(body.ladder);
+  if (!checked.ok) throw new ValidationError('ladder', `ladder: ${checked.errors[0]}`);
+  return checked.ladder;
+}
+
+// Returns { ok: true, value } with defaults applied, or { ok: false, code, message, field }.
+// options.ladder is the server's pinned ladder, if any.
+function validateHintRequest(body, { ladder: pinned = null } = {}) {
+  try {
+    if (!isObject(body)) throw new ValidationError('', 'request body must be a JSON object');
+    if (body.apiVersion != null && body.apiVersion !== API_VERSION) return unsupportedVersion(body);
+
+    const request = body.request == null ? 'hint' : body.request;
+    if (!REQUEST_TYPES.includes(request)) {
+      throw new ValidationError('request', `request must be one of ${REQUEST_TYPES.join(', ')}`);
+    }
+    if (body.stream != null && typeof body.stream !== 'boolean') {
+      throw new ValidationError('stream', 'stream must be a boolean');
+    }
+    const ladder = requestLadder(body, pinned);
+    if (request === 'snippet' && !ladder.offerSnippet) {
+      throw new ValidationError('request', 'the hint ladder offers no code excerpts');
+    }
+
+    const value = {
+      problemId: optionalString(body.problemId, 'problemId', LIMITS.problemId),
+      url: optionalString(body.url, 'url', LIMITS.url),
+      snippet: optionalString(body.snippet, 'snippet', LIMITS.snippet),
+      language: optionalString(body.language, 'language', LIMITS.language),
+      request,
+      hintLevel: optionalInteger(body.hintLevel, 'hintLevel', 1, ladder.levels.length) || 1,
+      ladder,
+      failure: validateFailure(body.failure),
+      problem: validateProblem(body.problem),
+      cursor: validateCursor(body.cursor),
+      stream: body.stream === true
+    };
+    if (!value.problemId.trim() && !value.url.trim()) {
+      throw new ValidationError('problemId', 'problemId or url is required');
+    }
+    return { ok: true, value };
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    return { ok: false, code: 'invalid_request', message: err.message, field: err.field || undefined };
+  }
+}
+
+// POST /chat: the problem fields of /hint plus the question and the conversation so far.
+// hintLevel is the highest level shown, which sets how much code an answer may contain.
+function validateChatRequest(body, { ladder: pinned = null } = {}) {
+  try {
+    if (!isObject(body)) throw new ValidationError('', 'request body must be a JSON object');
+    if (body.apiVersion != null && body.apiVersion !== API_VERSION) return unsupportedVersion(body);
+    const ladder = requestLadder(body, pinned);
+
+    const value = {
+      problemId: optionalString(body.problemId, 'problemId', LIMITS.problemId),
+      url: optionalString(body.url, 'url', LIMITS.url),
+      snippet: optionalString(body.snippet, 'snippet', LIMITS.snippet),
+      language: optionalString(body.language, 'language', LIMITS.language),
+      hintLevel: optionalInteger(body.hintLevel, 'hintLevel', 1, ladder.levels.length) || 1,
+      ladder,
+      failure: validateFailure(body.failure),
+      problem: validateProblem(body.problem),
+      question: optionalString(body.question, 'question', LIMITS.question).trim(),
+      history: validateChatHistory(body.history, ladder.levels.length)
+    };
+    if (!value.problemId.trim() && !value.url.trim()) {
+      throw new ValidationError('problemId', 'problemId or url is required');
+    }
+    if (!value.question) throw new ValidationError('question', 'question is required');
+    return { ok: true, value };
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    return { ok: false, code: 'invalid_request', message: err.message, field: err.field || undefined };
+  }
+}
+
+// POST /feedback: a rating of one hint, and the /hint request it was generated from (`context`),
+// checked like a /hint body so scripts/eval-prompts.js can replay it as it is.
+function validateFeedbackRequest(body) {
+  try {
+    if (!isObject(body)) throw new ValidationError('', 'request body must be a JSON object');
+    if (body.apiVersion != null && body.apiVersion !== API_VERSION) return unsupportedVersion(body);
+    if (!Feedback.isRating(body.rating)) {
+      throw new ValidationError('rating', `rating must be one of ${Feedback.RATING_VALUES.join(', ')}`);
+    }
+
+    let context = null;
+    if (body.context != null) {
+      if (!isObject(body.context)) throw new ValidationError('context', 'context must be an object');
+      const checked = validateHintRequest({ ...body.context, request: 'hint', stream: false });
+      if (!checked.ok) {
+        const field = checked.field ? `context.${checked.field}` : 'context';
+        throw new ValidationError(field, `context: ${checked.message}`);
+      }
+      const { stream, request, ...rest } = checked.value;
+      context = rest;
+    }
+
+    const value = {
+      problemId: optionalString(body.problemId, 'problemId', LIMITS.problemId) || (context ? context.problemId : ''),
+      url: optionalString(body.url, 'url', LIMITS.url) || (context ? context.url : ''),
+      hintLevel: optionalInteger(body.hintLevel, 'hintLevel', 1, MAX_HINT_LEVEL) || 1,
+      hint: optionalString(body.hint, 'hint', LIMITS.feedbackHint),
+      source: optionalString(body.source, 'source', LIMITS.feedbackSource),
+      rating: body.rating,
+      ratedAt: optionalInteger(body.ratedAt, 'ratedAt', 0, Number.MAX_SAFE_INTEGER),
+      context
+    };
+    if (!value.problemId.trim() && !value.url.trim()) {
+      throw new ValidationError('problemId', 'problemId or url is required');
+    }
+    if (!value.hint.trim()) throw new ValidationError('hint', 'hint is required');
+    return { ok: true, value };
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    return { ok: false, code: 'invalid_request', message: err.message, field: err.field || undefined };
+  }
+}
+
+// Express error middleware: body-parser failures become typed errors, anything else a 500.
+function jsonErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err && err.type === 'entity.parse.failed') return sendError(res, 'invalid_json', 'request body is not valid JSON');
+  if (err && err.type === 'entity.too.large') return sendError(res, 'payload_too_large', `request body exceeds ${err.limit} bytes`);
+  console.error('[SERVER] unexpected error', err && (err.stack || err.message) || err);
+  return sendError(res, 'internal_error', 'unexpected server error');
+}
+
+module.exports = {
+  API_VERSION,
+  ERROR_STATUS,
+  LIMITS,
+  REQUEST_TYPES,
+  CHAT_ROLES,
+  MAX_HINT_LEVEL,
+  errorBody,
+  sendError,
+  validateHintRequest,
+  validateChatRequest,
+  validateFeedbackRequest,
+  jsonErrorHandler
+};
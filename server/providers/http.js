@@ -0,0 +1,108 @@
+// Shared HTTP plumbing for LLM providers: timeouts, retries and line-oriented stream reading.
+
+class ProviderError extends Error {
+  constructor(message, { status = 0, retryable = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// fetch() that aborts if the response headers take longer than timeoutMs, or when the
+// caller's signal aborts. The caller's signal stays linked afterwards, so it can also
+// cancel reading a streamed body.
+async function fetchWithTimeout(url, init = {}, timeoutMs = 8000, outerSignal) {
+  const controller = new AbortController();
+  if (outerSignal) {
+    if (outerSignal.aborted) controller.abort();
+    else outerSignal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (outerSignal && outerSignal.aborted) throw err;
+    if (controller.signal.aborted) throw new ProviderError(`timeout after ${timeoutMs}ms`);
+    // connection refused / reset: the server may just be starting up
+    throw new ProviderError(`network_error: ${err && err.message ? err.message : err}`, { retryable: true });
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+// throws a ProviderError for non-2xx responses; 429/5xx are worth retrying
+async function ensureOk(res, label) {
+  if (res.ok) return res;
+  const txt = await res.text().catch(() => '');
+  const retryable = res.status === 429 || res.status >= 500;
+  throw new ProviderError(`${label}_error_${res.status}: ${txt}`, { status: res.status, retryable });
+}
+
+// Retry only fast, transient failures; a timeout on a slow CPU model won't get better by repeating it.
+async function withRetry(fn, { retries = 0, delayMs = 300 } = {}) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !(err && err.retryable)) throw err;
+      attempt += 1;
+      await new Promise(r => setTimeout(r, delayMs * attempt));
+    }
+  }
+}
+
+// Reads a streamed body line by line (NDJSON and SSE are both newline-delimited).
+// idleTimeoutMs aborts when no chunk arrives for that long.
+async function readLines(res, onLine, { idleTimeoutMs = 8000, controller } = {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let timer = null;
+  let timedOut = false;
+  const arm = () => {
+    clearTimeout(timer);
+    if (!controller) return;
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, idleTimeoutMs);
+  };
+
+  arm();
+  try {
+    for await (const chunk of res.body) {
+      arm();
+      buffer += decoder.decode(chunk, { stream: true });
+      let idx;
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        onLine(buffer.slice(0, idx).replace(/\r$/, ''));
+        buffer = buffer.slice(idx + 1);
+      }
+    }
+    const rest = buffer + decoder.decode();
+    if (rest) onLine(rest);
+  } catch (err) {
+    if (timedOut) throw new ProviderError(`stream idle for ${idleTimeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// controller that also aborts when the caller's signal does
+function linkedController(signal) {
+  const controller = new AbortController();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  return controller;
+}
+
+function envNumber(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+module.exports = { ProviderError, fetchWithTimeout, ensureOk, withRetry, readLines, linkedController, envNumber };
@@ -0,0 +1,61 @@
+// Provider registry: picks the LLM backend from environment variables.
+//
+//   LLM_PROVIDER=ollama    (default)  OLLAMA_BASE, LLM_MODEL
+//   LLM_PROVIDER=openai               OPENAI_BASE, OPENAI_API_KEY, LLM_MODEL
+//   LLM_PROVIDER=llamacpp             OpenAI-compatible, OPENAI_BASE defaults to http://localhost:8080
+//   LLM_PROVIDER=lmstudio             OpenAI-compatible, OPENAI_BASE defaults to http://localhost:1234
+//   LLM_PROVIDER=mock                 deterministic canned output, MOCK_RESPONSE overrides it
+//   LLM_PROVIDER=none (or empty)      local heuristics only
+//
+// Timeouts/retries: LLM_TIMEOUT_MS / LLM_RETRIES, or per provider OLLAMA_TIMEOUT_MS,
+// OLLAMA_RETRIES, OPENAI_TIMEOUT_MS, OPENAI_RETRIES.
+
+const { envNumber } = require('./http');
+const { createOllamaProvider } = require('./ollama');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const OPENAI_COMPATIBLE_BASES = {
+  openai: 'https://api.openai.com',
+  llamacpp: 'http://localhost:8080',
+  lmstudio: 'http://localhost:1234'
+};
+
+function createProvider(env = process.env) {
+  const name = String(env.LLM_PROVIDER ?? 'ollama').trim().toLowerCase();
+  const timeoutMs = envNumber(env.LLM_TIMEOUT_MS, 8000);
+  const retries = envNumber(env.LLM_RETRIES, null);
+
+  if (!name || name === 'none' || name === 'local') return null;
+
+  if (name === 'ollama') {
+    return createOllamaProvider({
+      baseUrl: env.OLLAMA_BASE || 'http://localhost:11434',
+      model: env.LLM_MODEL || 'llama3.2:3b',
+      timeoutMs: envNumber(env.OLLAMA_TIMEOUT_MS, timeoutMs),
+      retries: envNumber(env.OLLAMA_RETRIES, retries ?? 0)
+    });
+  }
+
+  if (OPENAI_COMPATIBLE_BASES[name]) {
+    return createOpenAIProvider({
+      name,
+      baseUrl: env.OPENAI_BASE || OPENAI_COMPATIBLE_BASES[name],
+      apiKey: env.OPENAI_API_KEY || '',
+      model: env.LLM_MODEL || (name === 'openai' ? 'gpt-4o-mini' : 'local-model'),
+      timeoutMs: envNumber(env.OPENAI_TIMEOUT_MS, timeoutMs),
+      retries: envNumber(env.OPENAI_RETRIES, retries ?? 1)
+    });
+  }
+
+  if (name === 'mock') {
+    return createMockProvider({
+      response: env.MOCK_RESPONSE || '',
+      delayMs: envNumber(env.MOCK_DELAY_MS, 0)
+    });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ollama, openai, llamacpp, lmstudio, mock or none)`);
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,45 @@
+// Deterministic mock provider: no network, same prompt -> same output. Meant for tests and demos.
+
+function defaultResponse(prompt) {
+  if (/Output ONLY 2–3 lines of code/.test(prompt)) {
+    return ['seen = {}', 'for i, x in enumerate(nums):', '    # check the complement before storing x'].join('\n');
+  }
+  const level = (prompt.match(/LEVEL (\d+)/) || [])[1] || '1';
+  return [
+    `Mock hint (level ${level}): think about which values you need to look up quickly.`,
+    'A hash map gives constant-time lookups.',
+    'Check each element against what you have already seen.'
+  ].join(' ');
+}
+
+function createMockProvider({ response = '', delayMs = 0, model = 'mock' } = {}) {
+  const reply = (prompt) => (response ? String(response) : defaultResponse(String(prompt || '')));
+  const wait = () => (delayMs ? new Promise(r => setTimeout(r, delayMs)) : Promise.resolve());
+
+  return {
+    name: 'mock',
+    model,
+
+    async generate(prompt) {
+      await wait();
+      return reply(prompt);
+    },
+
+    // emits the reply word by word (whitespace kept) so streaming paths get several chunks
+    async stream(prompt, opts = {}, onToken = () => {}) {
+      const text = reply(prompt);
+      for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+        if (opts.signal && opts.signal.aborted) break;
+        await wait();
+        onToken(piece);
+      }
+      return text;
+    },
+
+    describe() {
+      return { name: 'mock', model, streaming: true, fixedResponse: !!response };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
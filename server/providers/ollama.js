@@ -0,0 +1,100 @@
+// Ollama provider: POST {base}/api/generate, either one JSON body or NDJSON fragments.
+
+const { fetchWithTimeout, ensureOk, withRetry, readLines, linkedController } = require('./http');
+
+function pickText(obj) {
+  if (!obj) return '';
+  return obj.response || obj.generated || obj.output || obj.text ||
+    (obj.choices && obj.choices[0] && (obj.choices[0].text || (obj.choices[0].message && obj.choices[0].message.content))) || '';
+}
+
+// Robust body parser: supports both non-stream JSON and NDJSON fragments and returns the combined string
+function parseOllamaBody(text, contentType = '') {
+  // Try JSON first
+  try {
+    if (String(contentType).toLowerCase().includes('application/json')) {
+      return String(pickText(JSON.parse(text)));
+    }
+  } catch (e) {
+    // fallthrough to NDJSON handling
+  }
+
+  // NDJSON: many JSON objects separated by newline
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length > 1) {
+    const parts = [];
+    for (const line of lines) {
+      try {
+        const piece = pickText(JSON.parse(line));
+        if (piece) parts.push(String(piece));
+      } catch (e) {
+        parts.push(line);
+      }
+    }
+    return parts.join('');
+  }
+
+  // fallback: plain text
+  return String(text || '');
+}
+
+function createOllamaProvider({ baseUrl = 'http://localhost:11434', model = 'llama3.2:3b', timeoutMs = 8000, retries = 0 } = {}) {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/generate`;
+
+  const requestBody = (prompt, opts, stream) => JSON.stringify({
+    model: opts.model || model,
+    prompt,
+    max_tokens: opts.maxTokens ?? 200,
+    temperature: opts.temperature ?? 0.2,
+    stream
+  });
+
+  const post = (prompt, opts, stream, signal) => withRetry(async () => {
+    const res = await fetchWithTimeout(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: requestBody(prompt, opts, stream)
+    }, timeoutMs, signal);
+    return ensureOk(res, 'ollama');
+  }, { retries });
+
+  return {
+    name: 'ollama',
+    model,
+
+    async generate(prompt, opts = {}) {
+      const res = await post(prompt, opts, false, opts.signal);
+      const text = await res.text();
+      return parseOllamaBody(text, res.headers.get('content-type') || '');
+    },
+
+    async stream(prompt, opts = {}, onToken = () => {}) {
+      const controller = linkedController(opts.signal);
+      const res = await post(prompt, opts, true, controller.signal);
+      const parts = [];
+      await readLines(res, line => {
+        if (!line.trim()) return;
+        let piece;
+        try {
+          const obj = JSON.parse(line);
+          if (obj.error) throw new Error(`ollama_stream_error: ${obj.error}`);
+          piece = pickText(obj);
+        } catch (e) {
+          if (String(e.message || '').startsWith('ollama_stream_error')) throw e;
+          piece = line;
+        }
+        if (piece) {
+          parts.push(String(piece));
+          onToken(String(piece));
+        }
+      }, { idleTimeoutMs: timeoutMs, controller });
+      return parts.join('');
+    },
+
+    describe() {
+      return { name: 'ollama', model, baseUrl, timeoutMs, retries, streaming: true };
+    }
+  };
+}
+
+module.exports = { createOllamaProvider, parseOllamaBody };
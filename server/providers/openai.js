@@ -0,0 +1,68 @@
+// OpenAI-compatible chat provider: POST {base}/v1/chat/completions.
+// Works with llama.cpp's server, LM Studio, vLLM and the hosted OpenAI API.
+
+const { fetchWithTimeout, ensureOk, withRetry, readLines, linkedController } = require('./http');
+
+function chatUrl(baseUrl) {
+  const base = baseUrl.replace(/\/$/, '');
+  return /\/v1$/.test(base) ? `${base}/chat/completions` : `${base}/v1/chat/completions`;
+}
+
+function createOpenAIProvider({ name = 'openai', baseUrl = 'http://localhost:8080', apiKey = '', model = 'local-model', timeoutMs = 8000, retries = 1 } = {}) {
+  const url = chatUrl(baseUrl);
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const post = (prompt, opts, stream, signal) => withRetry(async () => {
+    const res = await fetchWithTimeout(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: opts.model || model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: opts.maxTokens ?? 200,
+        temperature: opts.temperature ?? 0.2,
+        stream
+      })
+    }, timeoutMs, signal);
+    return ensureOk(res, name);
+  }, { retries });
+
+  return {
+    name,
+    model,
+
+    async generate(prompt, opts = {}) {
+      const res = await post(prompt, opts, false, opts.signal);
+      const j = await res.json();
+      const choice = j && j.choices && j.choices[0];
+      return String((choice && ((choice.message && choice.message.content) || choice.text)) || '');
+    },
+
+    // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+    async stream(prompt, opts = {}, onToken = () => {}) {
+      const controller = linkedController(opts.signal);
+      const res = await post(prompt, opts, true, controller.signal);
+      const parts = [];
+      await readLines(res, line => {
+        const m = line.match(/^data:\s*(.*)$/);
+        if (!m || !m[1] || m[1] === '[DONE]') return;
+        let obj;
+        try { obj = JSON.parse(m[1]); } catch (e) { return; }
+        const choice = obj.choices && obj.choices[0];
+        const piece = choice && ((choice.delta && choice.delta.content) || choice.text);
+        if (piece) {
+          parts.push(String(piece));
+          onToken(String(piece));
+        }
+      }, { idleTimeoutMs: timeoutMs, controller });
+      return parts.join('');
+    },
+
+    describe() {
+      return { name, model, baseUrl, timeoutMs, retries, streaming: true, auth: !!apiKey };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// eval-prompts.js — replays the hint requests in a feedback log (POST /feedback, lib/feedback.js)
+// against prompt variants of buildHintPrompt and compares what comes back.
+//
+//   node scripts/eval-prompts.js feedback.jsonl [--variants my-variants.js] [--rating too_revealing]
+//                                               [--limit 50] [--out results.jsonl]
+//
+// The model comes from the same env as the server (LLM_PROVIDER, LLM_MODEL, ...). Every rating
+// logged with its context is replayed once per variant; replies get the server's hint shaping and
+// are scored by the anti-spoiler guard (lib/guard.js) without regenerating. The table shows, per
+// variant and per original rating, how many replies the guard would flag, their mean leak score
+// and their mean length in words. `logged` is the hint that was actually rated.
+//
+// A variants module exports { name: (args, buildHintPrompt) => prompt }, args being what
+// buildHintPrompt takes (`rules` adds lines to its STRICT RULES). Without --variants the
+// DEFAULT_VARIANTS below run.
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../providers');
+const { buildHintPrompt, normalizeFailure, sanitizeModelText, shapeHintText } = require('../index');
+const { readFeedbackLog } = require('../lib/feedback');
+const { validateHintRequest } = require('../lib/schema');
+const { GUARD_THRESHOLD, scoreLeakage } = require('../lib/guard');
+const Ladder = require('../../extension/lib/ladder');
+const Feedback = require('../../extension/lib/feedback');
+
+const DEFAULT_VARIANTS = {
+  baseline: (args, build) => build(args),
+  // aimed at "too revealing": lead to the idea instead of stating it
+  socratic: (args, build) => build({ ...args, rules: ['- Phrase the hint as a question that leads the user to the idea; do not state the idea itself.'] }),
+  // aimed at "too vague": name the concrete step
+  concrete: (args, build) => build({ ...args, rules: ['- Name the specific data structure, invariant or line the user should look at; avoid generic advice.'] })
+};
+
+const USAGE = 'usage: node scripts/eval-prompts.js <feedback.jsonl> [--variants file.js] [--rating up|down|too_revealing|too_vague] [--limit n] [--out results.jsonl]';
+
+function parseArgs(argv) {
+  const opts = { file: '', variants: '', rating: '', limit: 0, out: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--variants') opts.variants = next();
+    else if (arg === '--rating') opts.rating = next();
+    else if (arg === '--limit') opts.limit = Number(next());
+    else if (arg === '--out') opts.out = next();
+    else if (arg.startsWith('--')) throw new Error(`unknown option ${arg}`);
+    else if (!opts.file) opts.file = arg;
+    else throw new Error(`unexpected argument ${arg}`);
+  }
+  if (!opts.file) throw new Error('a feedback log is required');
+  if (opts.rating && !Feedback.isRating(opts.rating)) throw new Error(`--rating must be one of ${Feedback.RATING_VALUES.join(', ')}`);
+  if (!Number.isInteger(opts.limit) || opts.limit < 0) throw new Error('--limit must be a whole number');
+  return opts;
+}
+
+function loadVariants(file) {
+  const variants = require(path.resolve(file));
+  const entries = Object.entries(variants || {});
+  if (!entries.length) throw new Error(`${file} exports no variants`);
+  for (const [name, fn] of entries) {
+    if (typeof fn !== 'function') throw new Error(`variant ${name} in ${file} is not a function`);
+  }
+  return variants;
+}
+
+// Logged ratings that can be replayed: the context must still pass /hint validation.
+// Returns [{ record, request }] with request the validated /hint body.
+function replayable(records, { rating = '', limit = 0 } = {}) {
+  const out = [];
+  for (const record of records) {
+    if (!record.context || (rating && record.rating !== rating)) continue;
+    const checked = validateHintRequest({ ...record.context, request: 'hint', stream: false });
+    if (!checked.ok) continue;
+    out.push({ record, request: checked.value });
+    if (limit && out.length >= limit) break;
+  }
+  return out;
+}
+
+const wordCount = text => (String(text || '').match(/\S+/g) || []).length;
+
+function measure(text, request) {
+  const spec = Ladder.levelSpec(request.ladder, request.hintLevel);
+  const { score } = scoreLeakage(text, { kind: 'hint', level: request.hintLevel, code: spec.code, snippet: request.snippet });
+  return { leak: score, flagged: score >= GUARD_THRESHOLD, words: wordCount(text) };
+}
+
+// One reply for one logged request: the variant's prompt, generated and shaped like POST /hint does.
+async function replay(provider, request, variant) {
+  const spec = Ladder.levelSpec(request.ladder, request.hintLevel);
+  const { problemId, snippet, url, problem, language, cursor, hintLevel, ladder } = request;
+  const args = { problemId, snippet, url, failure: normalizeFailure(request.failure), problem, language, cursor, level: hintLevel, ladder };
+  const prompt = variant(args, buildHintPrompt);
+  const raw = await provider.generate(prompt, { maxTokens: 220, temperature: spec.temperature });
+  return shapeHintText(sanitizeModelText(raw, 1200), hintLevel, spec);
+}
+
+// Returns one result per (logged rating, variant), plus the `logged` hint itself:
+// { variant, rating, problemId, hintLevel, hint, leak, flagged, words, error? }
+async function runEval({ items, variants, provider, onResult = () => {} }) {
+  const results = [];
+  const push = result => {
+    results.push(result);
+    onResult(result);
+  };
+  for (const { record, request } of items) {
+    const base = { rating: record.rating, problemId: request.problemId || request.url, hintLevel: request.hintLevel };
+    push({ variant: 'logged', ...base, hint: record.hint || '', ...measure(record.hint, request) });
+    for (const [name, variant] of Object.entries(variants)) {
+      try {
+        const hint = await replay(provider, request, variant);
+        push({ variant: name, ...base, hint, ...measure(hint, request) });
+      } catch (err) {
+        push({ variant: name, ...base, hint: '', error: err && err.message ? err.message : String(err) });
+      }
+    }
+  }
+  return results;
+}
+
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+// rows per variant: all ratings together ('all'), then each rating that occurs
+function summarize(results) {
+  const groups = new Map();
+  const add = (variant, rating, r) => {
+    const key = `${variant}\u0000${rating}`;
+    if (!groups.has(key)) groups.set(key, { variant, rating, results: [] });
+    groups.get(key).results.push(r);
+  };
+  for (const r of results) {
+    add(r.variant, 'all', r);
+    add(r.variant, r.rating, r);
+  }
+  return [...groups.values()].map(({ variant, rating, results: rs }) => {
+    const ok = rs.filter(r => !r.error);
+    return {
+      variant,
+      rating,
+      replies: ok.length,
+      errors: rs.length - ok.length,
+      flagged: ok.filter(r => r.flagged).length,
+      meanLeak: mean(ok.map(r => r.leak)),
+      meanWords: mean(ok.map(r => r.words))
+    };
+  });
+}
+
+function formatTable(rows) {
+  const header = ['variant', 'rating', 'replies', 'flagged', 'leak', 'words', 'errors'];
+  const lines = rows.map(r => [
+    r.variant,
+    r.rating,
+    String(r.replies),
+    r.replies ? `${Math.round(100 * r.flagged / r.replies)}%` : '-',
+    r.meanLeak.toFixed(2),
+    r.meanWords.toFixed(1),
+    String(r.errors)
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+  return [header, ...lines].map(cols => cols.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+async function main(argv, env = process.env) {
+  const opts = parseArgs(argv);
+  const provider = createProvider(env);
+  if (!provider) throw new Error('replaying prompts needs an LLM provider (set LLM_PROVIDER)');
+  const variants = opts.variants ? loadVariants(opts.variants) : DEFAULT_VARIANTS;
+
+  const { records, skipped } = readFeedbackLog(opts.file);
+  const items = replayable(records, opts);
+  console.log(`${items.length} of ${records.length} logged ratings to replay${skipped ? ` (${skipped} unreadable line${skipped === 1 ? '' : 's'} skipped)` : ''}; ` +
+    `variants: ${Object.keys(variants).join(', ')}; model: ${provider.name}/${provider.model}`);
+
+  const out = opts.out ? fs.createWriteStream(path.resolve(opts.out)) : null;
+  const results = await runEval({ items, variants, provider, onResult: r => out && out.write(JSON.stringify(r) + '\n') });
+  if (out) await new Promise(res => out.end(res));
+  console.log(formatTable(summarize(results)));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { DEFAULT_VARIANTS, parseArgs, loadVariants, replayable, runEval, summarize, formatTable, main };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { postJson } = require('./helpers');
+const { cacheKey, createResponseCache } = require('../lib/cache');
+
+const SERVER_DIR = path.join(__dirname, '..');
+
+function tmpFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lm-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'cache.json');
+}
+
+test('flush writes a pending save before its timer fires', t => {
+  const file = tmpFile(t);
+  const cache = createResponseCache({ file });
+  cache.flush();
+  assert.equal(fs.existsSync(file), false, 'nothing pending, nothing written');
+
+  const key = cacheKey({ problemId: 'two-sum', snippet: 'x = 1' });
+  cache.set(key, 'Use a hash map.');
+  cache.flush();
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.entries.length, 1);
+  assert.equal(createResponseCache({ file }).get(key), 'Use a hash map.');
+});
+
+test('SIGTERM saves responses cached in the last debounce window', async t => {
+  const file = tmpFile(t);
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: { PATH: process.env.PATH, PORT: '0', LLM_PROVIDER: 'mock', HINT_CACHE_FILE: file },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+  t.after(() => { if (child.exitCode === null) child.kill('SIGKILL'); });
+
+  let out = '';
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start: ${out}`)), 5000);
+    child.stdout.on('data', chunk => {
+      out += chunk;
+      const m = out.match(/running on http:\/\/localhost:(\d+)/);
+      if (m) {
+        clearTimeout(timer);
+        resolve(m[1]);
+      }
+    });
+  });
+
+  const res = await postJson(`http://127.0.0.1:${port}/hint`, { problemId: 'two-sum', snippet: 'x = 1' });
+  assert.equal(res.json.source, 'llm');
+  child.kill('SIGTERM');
+  assert.equal(await exited, 0);
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.entries.length, 1);
+  assert.equal(saved.entries[0][1].value, res.json.hint);
+});
@@ -0,0 +1,146 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateChatRequest } = require('../lib/schema');
+const { scoreLeakage } = require('../lib/guard');
+const { buildChatPrompt, shapeChatText } = require('../index');
+const { startFakeOllama, ollamaReply, startApp, postJson } = require('./helpers');
+
+const HISTORY = [
+  { role: 'hint', level: 1, text: 'Think about what you need to remember while scanning.' },
+  { role: 'user', text: 'Remember what exactly?' },
+  { role: 'mentor', text: 'The values you have already passed.' },
+  { role: 'hint', level: 2, text: 'Store each value with its index in a map.' }
+];
+const FULL_FUNCTION = [
+  'def twoSum(self, nums, target):',
+  '    seen = {}',
+  '    for i, x in enumerate(nums):',
+  '        if target - x in seen: return [seen[target - x], i]'
+].join('\n');
+
+describe('validateChatRequest', () => {
+  test('requires a question and a problem', () => {
+    assert.equal(validateChatRequest({ problemId: 'two-sum' }).field, 'question');
+    assert.equal(validateChatRequest({ problemId: 'two-sum', question: '   ' }).field, 'question');
+    assert.equal(validateChatRequest({ question: 'why?' }).field, 'problemId');
+  });
+
+  test('bounds the question and the history', () => {
+    const long = validateChatRequest({ problemId: 'two-sum', question: 'x'.repeat(501) });
+    assert.equal(long.code, 'invalid_request');
+    assert.equal(long.field, 'question');
+
+    const turns = Array.from({ length: 21 }, () => ({ role: 'user', text: 'q' }));
+    assert.equal(validateChatRequest({ problemId: 'two-sum', question: 'q', history: turns }).field, 'history');
+    assert.equal(validateChatRequest({ problemId: 'two-sum', question: 'q', history: [{ role: 'system', text: 'x' }] }).field, 'history[0].role');
+    assert.equal(validateChatRequest({ problemId: 'two-sum', question: 'q', history: [{ role: 'hint', text: 'x', level: 4 }] }).field, 'history[0].level');
+  });
+
+  test('applies defaults', () => {
+    const { ok, value } = validateChatRequest({ problemId: 'two-sum', question: ' why a map? ' });
+    assert.equal(ok, true);
+    assert.equal(value.question, 'why a map?');
+    assert.equal(value.hintLevel, 1);
+    assert.deepEqual(value.history, []);
+  });
+});
+
+describe('chat prompt and shaping', () => {
+  test('the prompt carries the conversation and the no-solution rules', () => {
+    const prompt = buildChatPrompt({ problemId: 'two-sum', history: HISTORY, question: 'Why a map?', level: 2 });
+    assert.match(prompt, /NEVER provide the complete solution/);
+    assert.match(prompt, /HINT \(level 1\): Think about/);
+    assert.match(prompt, /USER: Remember what exactly\?/);
+    assert.match(prompt, /MENTOR: The values/);
+    assert.match(prompt, /USER QUESTION: Why a map\?/);
+    assert.match(prompt, /at most one short pseudo-line/);
+    assert.match(buildChatPrompt({ problemId: 'two-sum', question: 'q', level: 1 }), /Do NOT include any code/);
+  });
+
+  test('only the most recent turns are quoted', () => {
+    const history = Array.from({ length: 20 }, (_, i) => ({ role: 'user', text: `question ${i}` }));
+    const prompt = buildChatPrompt({ problemId: 'two-sum', history, question: 'q' });
+    assert.doesNotMatch(prompt, /question 7\n/);
+    assert.match(prompt, /question 8\n/);
+  });
+
+  test('answers are cut to three sentences or lines', () => {
+    assert.equal(shapeChatText('Answer: One. Two? Three! Four.'), 'One. Two? Three!');
+    assert.equal(shapeChatText('a\nb\n\nc\nd'), 'a\nb\nc');
+  });
+
+  test('chat answers follow the code rules of the hint level', () => {
+    assert.equal(scoreLeakage('Keep a map.\nseen[x] = i', { kind: 'chat', level: 1 }).leak, true);
+    assert.equal(scoreLeakage('Keep a map.\nseen[x] = i', { kind: 'chat', level: 2 }).leak, false);
+    assert.equal(scoreLeakage(FULL_FUNCTION, { kind: 'chat', level: 3 }).leak, true);
+  });
+});
+
+describe('POST /chat with an LLM', () => {
+  let ollama;
+  let server;
+  let replies;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => (replies.length > 1 ? replies.shift() : replies[0]));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  const ask = (body) => postJson(`${server.url}/chat`, { problemId: '/problems/two-sum/', question: 'Why a map?', history: HISTORY, hintLevel: 2, ...body });
+
+  test('answers the question with the conversation in the prompt', async () => {
+    replies = [ollamaReply('A map gives you O(1) lookups of earlier values. That replaces the inner loop.')];
+    const before = ollama.requests.length;
+    const res = await ask();
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.json, {
+      ok: true,
+      apiVersion: 1,
+      source: 'llm',
+      answer: 'A map gives you O(1) lookups of earlier values. That replaces the inner loop.'
+    });
+    const prompt = ollama.requests[before].body.prompt;
+    assert.match(prompt, /HINT \(level 2\): Store each value/);
+    assert.match(prompt, /USER QUESTION: Why a map\?/);
+  });
+
+  test('a leaking answer is regenerated', async () => {
+    replies = [ollamaReply(FULL_FUNCTION), ollamaReply('Look up target - x before you store x.')];
+    const res = await ask({ question: 'Just show me the code', hintLevel: 3 });
+    assert.equal(res.json.source, 'llm');
+    assert.equal(res.json.guard, 'regenerated');
+    assert.equal(res.json.answer, 'Look up target - x before you store x.');
+  });
+
+  test('an answer that keeps leaking falls back to the local answer', async () => {
+    replies = [ollamaReply(FULL_FUNCTION)];
+    const res = await ask({ hintLevel: 3 });
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.guard, 'fallback');
+    assert.doesNotMatch(res.json.answer, /def twoSum/);
+  });
+
+  test('rejects invalid requests with the usual error body', async () => {
+    const res = await ask({ question: '' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.json.error, { code: 'invalid_request', message: 'question is required', field: 'question' });
+  });
+});
+
+describe('POST /chat without an LLM', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(async () => { await server.close(); });
+
+  test('explains that a model is needed and names the pack patterns', async () => {
+    const res = await postJson(`${server.url}/chat`, { problemId: 'two-sum', question: 'Why a map?' });
+    assert.equal(res.json.ok, true);
+    assert.equal(res.json.source, 'local');
+    assert.match(res.json.answer, /need a model/);
+    assert.match(res.json.answer, /hash-map/);
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseComplexityReply, buildComplexityPrompt } = require('../index');
+const { analyzeComplexity } = require('../../extension/lib/complexity');
+const { startFakeOllama, ollamaReply, startApp, postJson } = require('./helpers');
+
+const BRUTE_FORCE = [
+  'class Solution:',
+  '    def twoSum(self, nums, target):',
+  '        for i in range(len(nums)):',
+  '            for j in range(i + 1, len(nums)):',
+  '                if nums[i] + nums[j] == target:',
+  '                    return [i, j]'
+].join('\n');
+const PROBLEM = { slug: 'two-sum', title: 'Two Sum', constraints: ['2 <= nums.length <= 10^5', '-10^9 <= nums[i] <= 10^9'] };
+
+describe('complexity prompt and reply parsing', () => {
+  test('the prompt carries the static estimate and the target', () => {
+    const estimate = analyzeComplexity(BRUTE_FORCE, { language: 'python3', constraints: PROBLEM.constraints });
+    const prompt = buildComplexityPrompt({ problemId: 'two-sum', snippet: BRUTE_FORCE, problem: PROBLEM, language: 'python3', estimate });
+    assert.match(prompt, /STATIC ESTIMATE \(heuristic, may be wrong\): time O\(n\^2\), space O\(1\); heaviest line 4/);
+    assert.match(prompt, /CONSTRAINT TARGET: n up to 10\^5, so about O\(n log n\) or better/);
+    assert.match(prompt, /NEVER provide code/);
+  });
+
+  test('replies need TIME and NOTE; the note is one sentence', () => {
+    assert.deepEqual(parseComplexityReply('TIME: O(n^2)\nSPACE: O(1)\nNOTE: The inner loop rescans the array. Use a map.'), {
+      time: 'O(n^2)', space: 'O(1)', note: 'The inner loop rescans the array.'
+    });
+    assert.equal(parseComplexityReply('TIME: O(n log(n))\nNOTE: sorting dominates').time, 'O(n log(n))');
+    assert.equal(parseComplexityReply('It is quadratic.'), null);
+    assert.equal(parseComplexityReply('TIME: O(n)'), null);
+  });
+});
+
+describe('POST /hint request=complexity with an LLM', () => {
+  let ollama;
+  let server;
+  let replies;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => (replies.length > 1 ? replies.shift() : replies[0]));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  const analyze = (body) => postJson(`${server.url}/hint`, { problemId: 'two-sum', request: 'complexity', snippet: BRUTE_FORCE, language: 'Python3', problem: PROBLEM, ...body });
+
+  test('returns the model estimate with the constraint target', async () => {
+    replies = [ollamaReply('TIME: O(n^2)\nSPACE: O(1)\nNOTE: Checking every pair is too slow for 10^5 numbers.')];
+    const res = await analyze();
+    assert.equal(res.status, 200);
+    assert.equal(res.json.source, 'llm');
+    const c = res.json.complexity;
+    assert.equal(c.method, 'llm');
+    assert.equal(c.time, 'O(n^2)');
+    assert.equal(c.space, 'O(1)');
+    assert.equal(c.note, 'Checking every pair is too slow for 10^5 numbers.');
+    assert.deepEqual(c.target, { n: 100000, nLabel: '10^5', time: 'O(n log n)' });
+    assert.equal(c.bottleneck.line, 4);
+  });
+
+  test('an unparsable reply falls back to the static analysis', async () => {
+    replies = [ollamaReply('Looks fine to me!')];
+    const res = await analyze();
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.complexity.method, 'heuristic');
+    assert.equal(res.json.complexity.time, 'O(n^2)');
+    assert.match(res.json.complexity.note, /needs O\(n log n\) or better/);
+  });
+
+  test('a note that spells out code is regenerated', async () => {
+    replies = [
+      ollamaReply('TIME: O(n^2)\nSPACE: O(1)\nNOTE: seen[x] = i'),
+      ollamaReply('TIME: O(n^2)\nSPACE: O(1)\nNOTE: The pair check repeats work for every i.')
+    ];
+    const res = await analyze();
+    assert.equal(res.json.guard, 'regenerated');
+    assert.equal(res.json.complexity.note, 'The pair check repeats work for every i.');
+  });
+
+  test('empty code is not sent to the model', async () => {
+    const before = ollama.requests.length;
+    const res = await analyze({ snippet: '' });
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.complexity.time, '');
+    assert.equal(res.json.complexity.note, 'No code to analyze yet.');
+    assert.equal(ollama.requests.length, before);
+  });
+});
+
+describe('POST /hint request=complexity without an LLM', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(async () => { await server.close(); });
+
+  test('answers with the static analysis', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', request: 'complexity', snippet: BRUTE_FORCE, problem: PROBLEM });
+    assert.equal(res.json.ok, true);
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.cached, false);
+    assert.equal(res.json.complexity.time, 'O(n^2)');
+    assert.equal(res.json.complexity.space, 'O(1)');
+  });
+});
@@ -0,0 +1,156 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, postJson } = require('./helpers');
+const { buildHintPrompt } = require('../index');
+const { readFeedbackLog } = require('../lib/feedback');
+const { createMockProvider } = require('../providers/mock');
+const { DEFAULT_VARIANTS, parseArgs, replayable, runEval, summarize, formatTable } = require('../scripts/eval-prompts');
+
+const CONTEXT = {
+  problemId: '/problems/two-sum/description',
+  url: 'https://leetcode.com/problems/two-sum/description/',
+  snippet: 'class Solution:\n    def twoSum(self, nums, target):\n        return []',
+  language: 'Python3',
+  hintLevel: 2
+};
+
+const rating = (body) => ({ rating: 'too_revealing', hint: 'Use a hash map from value to index.', hintLevel: 2, source: 'server', context: CONTEXT, ...body });
+
+describe('POST /feedback', () => {
+  let dir;
+  let file;
+  let server;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lm-feedback-'));
+    file = path.join(dir, 'logs', 'feedback.jsonl');
+    server = await startApp({ FEEDBACK_LOG: file });
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('appends each rating with its validated context as one JSON line', async () => {
+    const first = await postJson(`${server.url}/feedback`, { apiVersion: 1, ...rating({ ratedAt: 1700000000000 }) });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.json, { ok: true, apiVersion: 1, stored: true });
+    await postJson(`${server.url}/feedback`, rating({ rating: 'up', context: undefined, problemId: 'two-sum' }));
+
+    const { records, skipped } = readFeedbackLog(file);
+    assert.equal(skipped, 0);
+    assert.equal(records.length, 2);
+    const [a, b] = records;
+    assert.equal(a.rating, 'too_revealing');
+    assert.equal(a.problemId, CONTEXT.problemId, 'taken from the context');
+    assert.equal(a.ratedAt, 1700000000000);
+    assert.equal(a.context.snippet, CONTEXT.snippet);
+    assert.equal(a.context.ladder.levels.length, 3, 'the default ladder is filled in');
+    assert.equal(a.context.stream, undefined);
+    assert.ok(a.receivedAt > 0);
+    assert.equal(b.rating, 'up');
+    assert.equal(b.context, null);
+
+    const health = await fetch(`${server.url}/health`).then(r => r.json());
+    assert.deepEqual(health.feedback, { enabled: true, received: 2 });
+  });
+
+  test('rejects unknown ratings, empty hints and contexts /hint would reject', async () => {
+    const cases = [
+      [rating({ rating: 'meh' }), 'rating'],
+      [rating({ hint: ' ' }), 'hint'],
+      [rating({ context: 'two-sum' }), 'context'],
+      [rating({ context: { ...CONTEXT, hintLevel: 9 } }), 'context.hintLevel'],
+      [rating({ context: undefined }), 'problemId']
+    ];
+    for (const [body, field] of cases) {
+      const res = await postJson(`${server.url}/feedback`, body);
+      assert.equal(res.status, 400, field);
+      assert.equal(res.json.error.code, 'invalid_request');
+      assert.equal(res.json.error.field, field);
+    }
+  });
+});
+
+test('without FEEDBACK_LOG the server keeps no feedback', async () => {
+  const server = await startApp();
+  try {
+    const res = await postJson(`${server.url}/feedback`, rating());
+    assert.equal(res.status, 404);
+    assert.equal(res.json.error.code, 'feedback_disabled');
+    const health = await fetch(`${server.url}/health`).then(r => r.json());
+    assert.deepEqual(health.feedback, { enabled: false, received: 0 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('buildHintPrompt adds variant rules to its STRICT RULES', () => {
+  const prompt = buildHintPrompt({ problemId: 'two-sum', level: 1, rules: ['- Ask a question.'] });
+  const rules = prompt.slice(prompt.indexOf('STRICT RULES:'), prompt.indexOf('LEVEL 1'));
+  assert.match(rules, /- Ask a question\./);
+  assert.doesNotMatch(buildHintPrompt({ problemId: 'two-sum', level: 1 }), /Ask a question/);
+});
+
+describe('scripts/eval-prompts.js', () => {
+  const records = [
+    { rating: 'too_revealing', hint: 'for i, x in enumerate(nums):\n    if target - x in seen: return [seen[target - x], i]', context: CONTEXT },
+    { rating: 'too_vague', hint: 'Think about it differently.', context: { ...CONTEXT, hintLevel: 1 } },
+    { rating: 'up', hint: 'No context was logged for this one.' },
+    { rating: 'down', hint: 'Old log line.', context: { ...CONTEXT, hintLevel: 12 } }
+  ];
+
+  test('parseArgs reads the log, filters and output file', () => {
+    assert.deepEqual(parseArgs(['f.jsonl', '--rating', 'too_vague', '--limit', '5', '--out', 'r.jsonl']),
+      { file: 'f.jsonl', variants: '', rating: 'too_vague', limit: 5, out: 'r.jsonl' });
+    assert.throws(() => parseArgs([]), /feedback log is required/);
+    assert.throws(() => parseArgs(['f.jsonl', '--rating', 'meh']), /--rating must be one of/);
+    assert.throws(() => parseArgs(['f.jsonl', '--limit']), /--limit needs a value/);
+  });
+
+  test('only ratings with a context /hint still accepts are replayed', () => {
+    assert.deepEqual(replayable(records).map(i => i.record.rating), ['too_revealing', 'too_vague']);
+    assert.deepEqual(replayable(records, { rating: 'too_vague' }).map(i => i.record.rating), ['too_vague']);
+    assert.equal(replayable(records, { limit: 1 }).length, 1);
+  });
+
+  test('runEval replays each context per variant and summarize compares them', async () => {
+    const prompts = [];
+    const mock = createMockProvider();
+    const provider = { ...mock, generate: async (prompt, opts) => { prompts.push({ prompt, opts }); return mock.generate(prompt); } };
+    const results = await runEval({ items: replayable(records), variants: DEFAULT_VARIANTS, provider });
+
+    assert.equal(prompts.length, 2 * Object.keys(DEFAULT_VARIANTS).length);
+    assert.match(prompts[0].prompt, /LEVEL 2 of 3/);
+    assert.match(prompts[1].prompt, /Phrase the hint as a question/);
+    assert.equal(prompts[0].opts.temperature, 0.2);
+
+    const logged = results.filter(r => r.variant === 'logged');
+    assert.deepEqual(logged.map(r => r.flagged), [true, false], 'the rated solution line is what the guard would flag');
+    const baseline = results.find(r => r.variant === 'baseline' && r.rating === 'too_vague');
+    assert.match(baseline.hint, /^Mock hint \(level 1\)/);
+    assert.equal(baseline.words, baseline.hint.split(/\s+/).length);
+
+    const rows = summarize(results);
+    const row = (variant, r) => rows.find(x => x.variant === variant && x.rating === r);
+    assert.equal(row('logged', 'all').replies, 2);
+    assert.equal(row('logged', 'all').flagged, 1);
+    assert.equal(row('baseline', 'too_revealing').flagged, 0);
+    assert.equal(row('socratic', 'all').errors, 0);
+
+    const table = formatTable(rows).split('\n');
+    assert.match(table[0], /^variant\s+rating\s+replies\s+flagged\s+leak\s+words\s+errors$/);
+    assert.match(table.find(l => l.startsWith('logged') && / all /.test(l)), /\s50%\s/);
+  });
+
+  test('a failing model call is counted as an error, not a reply', async () => {
+    const provider = { name: 'broken', model: 'x', generate: async () => { throw new Error('connection refused'); } };
+    const results = await runEval({ items: replayable(records).slice(0, 1), variants: { baseline: DEFAULT_VARIANTS.baseline }, provider });
+    assert.equal(results[1].error, 'connection refused');
+    const row = summarize(results).find(r => r.variant === 'baseline' && r.rating === 'all');
+    assert.deepEqual([row.replies, row.errors], [0, 1]);
+  });
+});
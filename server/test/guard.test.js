@@ -0,0 +1,188 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreLeakage, saferText, retryInstruction } = require('../lib/guard');
+const { startFakeOllama, ollamaReply, ollamaStream, startApp, postJson, parseNdjson } = require('./helpers');
+
+const reasonsOf = (text, ctx) => scoreLeakage(text, ctx).reasons.map(r => r.reason);
+
+const FULL_FUNCTION = [
+  'def twoSum(self, nums, target):',
+  '    seen = {}',
+  '    for i, x in enumerate(nums):',
+  '        if target - x in seen: return [seen[target - x], i]'
+].join('\n');
+const ONE_LINER = 'for i, x in enumerate(nums): if target - x in seen: return [seen[target - x], i]; seen[x] = i';
+
+describe('scoreLeakage', () => {
+  test('plain hints pass', () => {
+    for (const level of [1, 2, 3]) {
+      const v = scoreLeakage('Use a hash map to remember the values you have already seen.', { kind: 'hint', level });
+      assert.equal(v.score, 0);
+      assert.equal(v.leak, false);
+    }
+  });
+
+  test('a complete function is a leak', () => {
+    const v = scoreLeakage(FULL_FUNCTION, { kind: 'hint', level: 3 });
+    assert.equal(v.leak, true);
+    assert.ok(reasonsOf(FULL_FUNCTION, { kind: 'hint', level: 3 }).includes('function_body'));
+  });
+
+  test('a whole algorithm compressed onto one line is a leak', () => {
+    const reasons = reasonsOf(ONE_LINER, { kind: 'hint', level: 3 });
+    assert.ok(reasons.includes('complete_algorithm'));
+    assert.ok(reasons.includes('dense_line'));
+    assert.equal(scoreLeakage(ONE_LINER, { kind: 'snippet', level: 3 }).leak, true);
+  });
+
+  test('level 1 hints may not contain code; level 2 may contain one pseudo-line', () => {
+    assert.equal(scoreLeakage('Use a map.\nseen[x] = i', { kind: 'hint', level: 1 }).leak, true);
+    assert.equal(scoreLeakage('Store each value with its index.\nseen[x] = i', { kind: 'hint', level: 2 }).leak, false);
+    assert.equal(scoreLeakage('Store each value.\nseen[x] = i\nj = seen[target - x]', { kind: 'hint', level: 2 }).leak, true);
+  });
+
+  test('supplying the return the user is missing counts against the output', () => {
+    const text = 'if target - x in seen:\nreturn [seen[target - x], i]';
+    const missing = scoreLeakage(text, { kind: 'hint', level: 3, snippet: 'for i, x in enumerate(nums):\n    pass' });
+    assert.equal(missing.leak, true);
+    assert.deepEqual(missing.reasons.map(r => r.reason), ['return_statement', 'fills_missing_logic']);
+
+    const alreadyThere = scoreLeakage(text, { kind: 'hint', level: 3, snippet: 'for i, x in enumerate(nums):\n    return [seen[target - x], i]' });
+    assert.equal(alreadyThere.leak, false);
+  });
+
+  test('base-case returns and partial snippets are allowed', () => {
+    const snippet = 'seen = {}\nfor i, x in enumerate(nums):\n    if target - x in seen:';
+    assert.equal(scoreLeakage(snippet, { kind: 'snippet', level: 3, snippet: 'seen = {}' }).score, 0);
+    assert.equal(scoreLeakage('if (!root) return 0;\nint left = depth(root.left);', { kind: 'snippet', level: 3 }).leak, false);
+  });
+
+  test('outputs over the token budget are flagged', () => {
+    const long = Array.from({ length: 30 }, () => 'keep going').join(' ');
+    assert.deepEqual(reasonsOf(long, { kind: 'hint', level: 1 }), ['over_budget']);
+    assert.equal(scoreLeakage(`${long} ${long}`, { kind: 'hint', level: 1 }).leak, true);
+  });
+});
+
+describe('saferText and retryInstruction', () => {
+  test('hints keep their prose lines', () => {
+    assert.equal(saferText('Keep a map of seen values.\nif x in seen: return [seen[x], i]', { kind: 'hint', level: 3 }), 'Keep a map of seen values.');
+    assert.equal(saferText(FULL_FUNCTION, { kind: 'hint', level: 3 }), '');
+  });
+
+  test('snippets keep a harmless first line only', () => {
+    assert.equal(saferText('seen = {}\n' + ONE_LINER, { kind: 'snippet', level: 3 }), 'seen = {}');
+    assert.equal(saferText(FULL_FUNCTION, { kind: 'snippet', level: 3 }), '');
+  });
+
+  test('the retry prompt names the reasons', () => {
+    const text = retryInstruction(scoreLeakage(FULL_FUNCTION, { kind: 'hint', level: 3 }));
+    assert.match(text, /REJECTED because it contained a complete function/);
+  });
+});
+
+describe('POST /hint output guard', () => {
+  let ollama;
+  let server;
+  let replies;
+
+  // replies are used in order; the last one repeats
+  before(async () => {
+    ollama = await startFakeOllama(() => (replies.length > 1 ? replies.shift() : replies[0]));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  const hint = (body) => postJson(`${server.url}/hint`, { problemId: 'two-sum', snippet: 'seen = {}', hintLevel: 3, ...body });
+
+  test('a leaking hint is regenerated with the reasons in the prompt', async () => {
+    replies = [ollamaReply(FULL_FUNCTION), ollamaReply('Look up target - x before you store x.')];
+    const before = ollama.requests.length;
+    const res = await hint();
+    assert.equal(res.json.source, 'llm');
+    assert.equal(res.json.guard, 'regenerated');
+    assert.equal(res.json.hint, 'Look up target - x before you store x.');
+    const prompts = ollama.requests.slice(before).map(r => r.body.prompt);
+    assert.equal(prompts.length, 2);
+    assert.doesNotMatch(prompts[0], /REJECTED/);
+    assert.match(prompts[1], /REJECTED because it contained a complete function/);
+  });
+
+  test('a hint that keeps leaking is degraded to its prose', async () => {
+    replies = [ollamaReply('Check complements.\n' + ONE_LINER)];
+    const res = await hint();
+    assert.equal(res.json.source, 'llm');
+    assert.equal(res.json.guard, 'degraded');
+    assert.equal(res.json.hint, 'Check complements.');
+  });
+
+  test('with nothing safe to keep the local hint is used', async () => {
+    replies = [ollamaReply(FULL_FUNCTION)];
+    const res = await hint();
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.guard, 'fallback');
+    assert.doesNotMatch(res.json.hint, /def twoSum/);
+  });
+
+  test('leaking snippets fall back to the starter', async () => {
+    replies = [ollamaReply(FULL_FUNCTION)];
+    const res = await hint({ request: 'snippet', language: 'Python3' });
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.guard, 'fallback');
+    assert.doesNotMatch(res.json.snippet, /return/);
+  });
+
+  test('clean output has no guard field', async () => {
+    replies = [ollamaReply('Look up target - x before you store x.')];
+    const res = await hint();
+    assert.equal(res.json.source, 'llm');
+    assert.equal('guard' in res.json, false);
+  });
+
+  test('streamed deltas stop once the text turns into a solution', async () => {
+    replies = [
+      ollamaStream(['def twoSum(self, nums, target):\n', '    seen = {}\n', '    for i, x in enumerate(nums):\n', '        return [seen[target - x], i]']),
+      ollamaReply('Look up target - x before you store x.')
+    ];
+    const res = await hint({ stream: true });
+    const events = parseNdjson(res.text);
+    const deltas = events.filter(e => e.type === 'delta').map(e => e.text).join('');
+    assert.doesNotMatch(deltas, /return/);
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'done');
+    assert.equal(done.guard, 'regenerated');
+    assert.equal(done.hint, 'Look up target - x before you store x.');
+  });
+
+  test('/health reports the guard counters', async () => {
+    const health = await (await fetch(`${server.url}/health`)).json();
+    assert.equal(health.guard.mode, 'on');
+    assert.equal(health.guard.retries, 1);
+    assert.ok(health.guard.regenerated >= 2);
+    assert.ok(health.guard.fallback >= 2);
+  });
+});
+
+describe('POST /hint with OUTPUT_GUARD=off', () => {
+  let ollama;
+  let server;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => ollamaReply(FULL_FUNCTION));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url, OUTPUT_GUARD: 'off' });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  test('model output is passed through unchanged', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', hintLevel: 3 });
+    assert.equal(res.json.source, 'llm');
+    assert.match(res.json.hint, /def twoSum/);
+    assert.equal(ollama.requests.length, 1);
+  });
+});
@@ -0,0 +1,83 @@
+// Test helpers: a fake Ollama HTTP server and the Express app booted on an ephemeral port.
+const http = require('http');
+const { createApp } = require('../index');
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => {
+    if (server.closeAllConnections) server.closeAllConnections();
+    server.close(() => resolve());
+  });
+}
+
+// respond(body, req) returns one of:
+//   { json, status? }           single JSON body (non-stream Ollama reply)
+//   { text, status?, contentType? }
+//   { ndjson: [objects], delayMs? }  streamed lines
+// Every request body is recorded in `requests`.
+async function startFakeOllama(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push({ method: req.method, url: req.url, body });
+      const reply = (await respond(body, req)) || { json: { response: '', done: true } };
+      if (reply.ndjson) {
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/x-ndjson' });
+        for (const obj of reply.ndjson) {
+          res.write(JSON.stringify(obj) + '\n');
+          if (reply.delayMs) await new Promise(r => setTimeout(r, reply.delayMs));
+        }
+        return res.end();
+      }
+      if (reply.json !== undefined) {
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(reply.json));
+      }
+      res.writeHead(reply.status || 200, { 'Content-Type': reply.contentType || 'text/plain' });
+      res.end(reply.text || '');
+    });
+  });
+  const url = await listen(server);
+  return { url, requests, close: () => close(server) };
+}
+
+// Ollama reply helpers: a whole answer, or the answer split into streamed fragments
+const ollamaReply = (text) => ({ json: { model: 'fake', response: text, done: true } });
+const ollamaStream = (pieces) => ({
+  ndjson: [...pieces.map(p => ({ response: p, done: false })), { response: '', done: true }]
+});
+
+// Boots the app with only the given env (no process.env leakage); the cache is off unless asked for.
+async function startApp(env = {}) {
+  const app = createApp({ LLM_PROVIDER: 'none', HINT_CACHE_MAX: '0', LLM_TIMEOUT_MS: '2000', ...env });
+  const server = http.createServer(app);
+  const url = await listen(server);
+  return { url, app, close: () => close(server) };
+}
+
+async function postJson(url, body, { raw = false, headers = {} } = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: raw ? body : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (e) { }
+  return { status: res.status, headers: res.headers, text, json };
+}
+
+// NDJSON response text -> array of events
+function parseNdjson(text) {
+  return text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+}
+
+module.exports = { startFakeOllama, ollamaReply, ollamaStream, startApp, postJson, parseNdjson };
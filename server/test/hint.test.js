@@ -0,0 +1,173 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeOllama, ollamaReply, ollamaStream, startApp, postJson, parseNdjson } = require('./helpers');
+
+const MODEL_TEXT = [
+  'Use a hash map to remember values you have seen. Check the complement before inserting! Return the two indices.',
+  'Second line of detail.',
+  'Third line of detail.',
+  'Fourth line that should be cut.'
+].join('\n');
+
+describe('POST /hint with an LLM', () => {
+  let ollama;
+  let server;
+  let reply;
+
+  before(async () => {
+    ollama = await startFakeOllama(body => (body.stream ? ollamaStream(['Use a hash ', 'map. Then ', 'check complements. More text.']) : reply()));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  const hint = (body) => postJson(`${server.url}/hint`, { problemId: '/problems/two-sum/', snippet: 'x = 1', ...body });
+
+  test('level 1 keeps only the first sentence', async () => {
+    reply = () => ollamaReply(MODEL_TEXT);
+    const res = await hint({ hintLevel: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.ok, true);
+    assert.equal(res.json.source, 'llm');
+    assert.equal(res.json.hint, 'Use a hash map to remember values you have seen');
+  });
+
+  test('level 2 keeps two sentences', async () => {
+    reply = () => ollamaReply(MODEL_TEXT);
+    const res = await hint({ hintLevel: 2 });
+    assert.equal(res.json.hint, 'Use a hash map to remember values you have seen. Check the complement before inserting.');
+  });
+
+  test('level 3 keeps at most three lines', async () => {
+    reply = () => ollamaReply(MODEL_TEXT);
+    const res = await hint({ hintLevel: 3 });
+    assert.deepEqual(res.json.hint.split('\n'), MODEL_TEXT.split('\n').slice(0, 3));
+  });
+
+  test('code fences are stripped from model hints', async () => {
+    reply = () => ollamaReply('```python\nreturn [i, j]\n```\nThink about what to store per index.');
+    const res = await hint({ hintLevel: 3 });
+    assert.equal(res.json.hint, 'Think about what to store per index.');
+  });
+
+  test('hint mode returns only the hint', async () => {
+    reply = () => ollamaReply(MODEL_TEXT);
+    const res = await hint({ hintLevel: 1 });
+    assert.equal('snippet' in res.json, false);
+  });
+
+  test('sends the prompt with the problem and level to Ollama', async () => {
+    reply = () => ollamaReply(MODEL_TEXT);
+    ollama.requests.length = 0;
+    await hint({ hintLevel: 2, problem: { title: 'Two Sum', statement: 'Find two numbers.' }, language: 'Python3' });
+    assert.equal(ollama.requests.length, 1);
+    const { url, body } = ollama.requests[0];
+    assert.equal(url, '/api/generate');
+    assert.equal(body.stream, false);
+    assert.match(body.prompt, /LEVEL 2/);
+    assert.match(body.prompt, /Two Sum/);
+    assert.match(body.prompt, /Python3/);
+  });
+
+  test('streams NDJSON deltas and a shaped final hint', async () => {
+    const res = await hint({ hintLevel: 2, stream: true });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/x-ndjson/);
+    const events = parseNdjson(res.text);
+    const deltas = events.filter(e => e.type === 'delta').map(e => e.text);
+    assert.deepEqual(deltas, ['Use a hash ', 'map. Then ', 'check complements. More text.']);
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'done');
+    assert.equal(done.source, 'llm');
+    assert.equal(done.hint, 'Use a hash map. Then check complements.');
+  });
+});
+
+describe('POST /hint fallbacks', () => {
+  let ollama;
+  let server;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => ({ status: 500, text: 'model crashed' }));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url, OLLAMA_RETRIES: '0' });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  test('falls back to the hint pack when the LLM errors', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', hintLevel: 2 });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.source, 'local');
+    assert.match(res.json.hint, /hash map/i);
+  });
+
+  test('falls back with a failure-specific hint for unknown problems', async () => {
+    const res = await postJson(`${server.url}/hint`, {
+      problemId: 'some-unlisted-problem',
+      hintLevel: 1,
+      failure: { verdict: 'compile_error', errorMessage: "expected ';'", errorLine: 4 }
+    });
+    assert.equal(res.json.source, 'local');
+    assert.match(res.json.hint, /line 4/);
+  });
+
+  test('streaming falls back to a local done event', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', hintLevel: 1, stream: true });
+    const events = parseNdjson(res.text);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'done');
+    assert.equal(events[0].source, 'local');
+  });
+
+  test('falls back when the LLM is unreachable', async () => {
+    const offline = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: 'http://127.0.0.1:9', OLLAMA_RETRIES: '0' });
+    try {
+      const res = await postJson(`${offline.url}/hint`, { problemId: 'climbing-stairs', hintLevel: 3 });
+      assert.equal(res.json.source, 'local');
+      assert.match(res.json.hint, /previous two values/);
+    } finally {
+      await offline.close();
+    }
+  });
+});
+
+describe('POST /hint response cache', () => {
+  let ollama;
+  let server;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => ollamaReply('Sort first. Then use two pointers.'));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url, HINT_CACHE_MAX: '10' });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  test('unchanged code and failure are answered from the cache', async () => {
+    const body = { problemId: '3sum', hintLevel: 1, snippet: 'nums.sort()\n' };
+    const first = await postJson(`${server.url}/hint`, body);
+    const second = await postJson(`${server.url}/hint`, { ...body, snippet: 'nums.sort()   \n\n' });
+    assert.equal(first.json.source, 'llm');
+    assert.equal(second.json.source, 'cache');
+    assert.equal(second.json.cached, true);
+    assert.equal(second.json.hint, first.json.hint);
+    assert.equal(ollama.requests.length, 1);
+
+    const changed = await postJson(`${server.url}/hint`, { ...body, snippet: 'nums.sort(reverse=True)' });
+    assert.equal(changed.json.source, 'llm');
+    assert.equal(ollama.requests.length, 2);
+  });
+
+  test('DELETE /cache empties it', async () => {
+    const res = await fetch(`${server.url}/cache`, { method: 'DELETE' });
+    const json = await res.json();
+    assert.equal(json.ok, true);
+    const info = await (await fetch(`${server.url}/cache`)).json();
+    assert.equal(info.size, 0);
+  });
+});
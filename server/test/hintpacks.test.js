@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, postJson } = require('./helpers');
+
+const EXTRA_PACK = {
+  format: 'leetmentor-hintpack',
+  version: 1,
+  name: 'team-extra',
+  packVersion: '0.1.0',
+  problems: {
+    'climbing-stairs': {
+      title: 'Climbing Stairs',
+      patterns: ['dynamic-programming'],
+      hints: ['How many ways reach the last step from the two before it?', 'ways(n) = ways(n - 1) + ways(n - 2).', 'Keep only the last two counts.'],
+      starters: { python: 'class Solution:\n    def climbStairs(self, n: int) -> int:\n        a, b = 1, 1' }
+    }
+  }
+};
+
+let dir;
+let withPack;
+let plain;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lm-packs-'));
+  const file = path.join(dir, 'extra.json');
+  fs.writeFileSync(file, JSON.stringify(EXTRA_PACK));
+  withPack = await startApp({ HINT_PACKS: file });
+  plain = await startApp();
+});
+after(async () => {
+  await withPack.close();
+  await plain.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('HINT_PACKS is read per app and listed in /health', async () => {
+  const health = await fetch(`${withPack.url}/health`).then(r => r.json());
+  assert.deepEqual(health.hintPacks.map(p => p.name), ['core', 'team-extra']);
+  assert.deepEqual(health.hintPacks[1], { name: 'team-extra', packVersion: '0.1.0', problems: 1 });
+  const other = await fetch(`${plain.url}/health`).then(r => r.json());
+  assert.deepEqual(other.hintPacks.map(p => p.name), ['core']);
+});
+
+test("offline hints and starters come from the app's own packs", async () => {
+  const body = { problemId: 'climbing-stairs', hintLevel: 2 };
+  const res = await postJson(`${withPack.url}/hint`, body);
+  assert.equal(res.json.source, 'local');
+  assert.equal(res.json.hint, EXTRA_PACK.problems['climbing-stairs'].hints[1]);
+  assert.notEqual((await postJson(`${plain.url}/hint`, body)).json.hint, res.json.hint);
+
+  const snippet = await postJson(`${withPack.url}/hint`, { problemId: 'climbing-stairs', request: 'snippet', language: 'Python3' });
+  assert.match(snippet.json.snippet, /def climbStairs/);
+});
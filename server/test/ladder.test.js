@@ -0,0 +1,135 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeOllama, ollamaReply, startApp, postJson } = require('./helpers');
+const { scoreLeakage } = require('../lib/guard');
+
+// five small steps, the last one allowed two lines of code
+const FIVE_STEPS = {
+  offerSnippet: false,
+  levels: [
+    { name: 'Nudge', instruction: 'Ask which part of the input matters.', code: 'none' },
+    { name: 'Pattern', instruction: 'Name the technique.', code: 'none', maxSentences: 2 },
+    { name: 'Invariant', instruction: 'State what the loop must keep true.', code: 'none', maxSentences: 3, temperature: 0.4 },
+    { name: 'Sketch', instruction: 'Give one pseudo-line.', code: 'pseudo' },
+    { name: 'Line', instruction: 'Point at the line to change.', code: 'lines', maxLines: 2 }
+  ]
+};
+
+const MODEL_TEXT = 'First idea. Second idea. Third idea. Fourth idea.\nnext line\nthird line';
+
+describe('POST /hint with a ladder from the request', () => {
+  let ollama;
+  let server;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => ollamaReply(MODEL_TEXT));
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  const hint = (body) => postJson(`${server.url}/hint`, { problemId: 'two-sum', snippet: 'x = 1', ladder: FIVE_STEPS, ...body });
+
+  test('the prompt, temperature and shaping follow the requested level', async () => {
+    ollama.requests.length = 0;
+    const res = await hint({ hintLevel: 3 });
+    assert.equal(res.json.hint, 'First idea. Second idea. Third idea.');
+    const { body } = ollama.requests[0];
+    assert.match(body.prompt, /LEVEL 3 of 5 \(Invariant\): State what the loop must keep true\./);
+    assert.match(body.prompt, /code lines \(level 5 only\)/);
+    assert.equal(body.temperature, 0.4);
+
+    const last = await hint({ hintLevel: 5 });
+    assert.deepEqual(last.json.hint.split('\n'), ['First idea. Second idea. Third idea. Fourth idea.', 'next line']);
+  });
+
+  test('hintLevel is bounded by the ladder length', async () => {
+    assert.equal((await hint({ hintLevel: 5 })).status, 200);
+    const res = await hint({ hintLevel: 6 });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error.field, 'hintLevel');
+  });
+
+  test('an invalid ladder is rejected', async () => {
+    const res = await hint({ ladder: { levels: [{ instruction: 'x', code: 'everything' }] } });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error.code, 'invalid_request');
+    assert.equal(res.json.error.field, 'ladder');
+    assert.match(res.json.error.message, /code must be one of/);
+  });
+
+  test('a ladder without code excerpts refuses snippet requests', async () => {
+    const res = await hint({ request: 'snippet' });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error.field, 'request');
+  });
+
+  test('the same level on another ladder is not answered from its cache entry', async () => {
+    const cached = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url, HINT_CACHE_MAX: '10' });
+    try {
+      const body = { problemId: 'two-sum', snippet: 'x = 1', hintLevel: 1 };
+      assert.equal((await postJson(`${cached.url}/hint`, body)).json.source, 'llm');
+      assert.equal((await postJson(`${cached.url}/hint`, body)).json.source, 'cache');
+      assert.equal((await postJson(`${cached.url}/hint`, { ...body, ladder: FIVE_STEPS })).json.source, 'llm');
+    } finally {
+      await cached.close();
+    }
+  });
+});
+
+describe('HINT_LADDER pins the ladder', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leetmentor-ladder-'));
+    const file = path.join(dir, 'ladder.json');
+    fs.writeFileSync(file, JSON.stringify({ offerSnippet: false, levels: FIVE_STEPS.levels.slice(0, 2) }));
+    server = await startApp({ HINT_LADDER: file });
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('/health reports it', async () => {
+    const health = await (await fetch(`${server.url}/health`)).json();
+    assert.deepEqual(health.ladder, { levels: 2, offerSnippet: false, pinned: true });
+  });
+
+  test("the request's own ladder is ignored", async () => {
+    assert.equal((await postJson(`${server.url}/hint`, { problemId: 'two-sum', hintLevel: 2, ladder: FIVE_STEPS })).status, 200);
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', hintLevel: 3, ladder: FIVE_STEPS });
+    assert.equal(res.json.error.field, 'hintLevel');
+    const snippet = await postJson(`${server.url}/hint`, { problemId: 'two-sum', request: 'snippet' });
+    assert.equal(snippet.json.error.field, 'request');
+  });
+
+  test('chat questions are checked against it too', async () => {
+    const res = await postJson(`${server.url}/chat`, { problemId: 'two-sum', question: 'q', hintLevel: 2, ladder: { levels: [{ instruction: 'x' }] } });
+    assert.equal(res.status, 200);
+    assert.equal((await postJson(`${server.url}/chat`, { problemId: 'two-sum', question: 'q', hintLevel: 3 })).json.error.field, 'hintLevel');
+  });
+});
+
+test('offline hints are spread over a longer ladder', async () => {
+  const server = await startApp();
+  try {
+    const at = async level => (await postJson(`${server.url}/hint`, { problemId: 'climbing-stairs', hintLevel: level, ladder: FIVE_STEPS })).json.hint;
+    assert.equal(await at(2), await at(3));
+    assert.match(await at(4), /previous two values/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the guard applies the code policy of the level, not its number', () => {
+  const text = 'Keep a running total.\ntotal += x';
+  assert.equal(scoreLeakage(text, { kind: 'hint', level: 3, code: 'none' }).leak, true);
+  assert.equal(scoreLeakage(text, { kind: 'hint', level: 1, code: 'pseudo' }).leak, false);
+});
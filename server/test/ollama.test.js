@@ -0,0 +1,75 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOllamaBody, createOllamaProvider } = require('../providers/ollama');
+const { startFakeOllama, ollamaStream } = require('./helpers');
+
+describe('parseOllamaBody', () => {
+  test('reads a single JSON body', () => {
+    assert.equal(parseOllamaBody('{"response":"Use a map.","done":true}', 'application/json; charset=utf-8'), 'Use a map.');
+  });
+
+  test('joins NDJSON fragments', () => {
+    const body = ['{"response":"Use ","done":false}', '{"response":"a map.","done":false}', '{"response":"","done":true}'].join('\n');
+    assert.equal(parseOllamaBody(body, 'application/x-ndjson'), 'Use a map.');
+  });
+
+  test('treats NDJSON sent as application/json as fragments', () => {
+    const body = '{"response":"Use "}\n{"response":"a map."}';
+    assert.equal(parseOllamaBody(body, 'application/json'), 'Use a map.');
+  });
+
+  test('keeps lines that are not JSON', () => {
+    assert.equal(parseOllamaBody('{"response":"a"}\nplain', ''), 'aplain');
+  });
+
+  test('understands other reply shapes', () => {
+    assert.equal(parseOllamaBody('{"choices":[{"message":{"content":"chat"}}]}', 'application/json'), 'chat');
+    assert.equal(parseOllamaBody('{"text":"t"}', 'application/json'), 't');
+  });
+
+  test('falls back to plain text', () => {
+    assert.equal(parseOllamaBody('just text', 'text/plain'), 'just text');
+    assert.equal(parseOllamaBody('', 'application/json'), '');
+  });
+});
+
+describe('ollama provider', () => {
+  let ollama;
+  let reply;
+
+  before(async () => { ollama = await startFakeOllama(body => reply(body)); });
+  after(async () => { await ollama.close(); });
+
+  test('generate() parses an NDJSON body even when stream is false', async () => {
+    reply = () => ollamaStream(['Sort ', 'first.']);
+    const provider = createOllamaProvider({ baseUrl: ollama.url, model: 'm' });
+    assert.equal(await provider.generate('prompt', { maxTokens: 10 }), 'Sort first.');
+    const last = ollama.requests[ollama.requests.length - 1].body;
+    assert.equal(last.model, 'm');
+    assert.equal(last.max_tokens, 10);
+    assert.equal(last.stream, false);
+  });
+
+  test('stream() forwards each fragment', async () => {
+    reply = () => ollamaStream(['a', 'b', 'c']);
+    const provider = createOllamaProvider({ baseUrl: ollama.url });
+    const seen = [];
+    const text = await provider.stream('prompt', {}, piece => seen.push(piece));
+    assert.deepEqual(seen, ['a', 'b', 'c']);
+    assert.equal(text, 'abc');
+  });
+
+  test('stream() surfaces Ollama error lines', async () => {
+    reply = () => ({ ndjson: [{ error: 'model not found' }] });
+    const provider = createOllamaProvider({ baseUrl: ollama.url });
+    await assert.rejects(provider.stream('prompt', {}, () => {}), /model not found/);
+  });
+
+  test('retries 5xx responses when configured', async () => {
+    let calls = 0;
+    reply = () => (++calls === 1 ? { status: 502, text: 'bad gateway' } : { json: { response: 'ok' } });
+    const provider = createOllamaProvider({ baseUrl: ollama.url, retries: 1 });
+    assert.equal(await provider.generate('prompt'), 'ok');
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,122 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeOllama, ollamaReply, startApp, postJson } = require('./helpers');
+
+describe('POST /hint snippet mode', () => {
+  let ollama;
+  let server;
+  let reply;
+
+  before(async () => {
+    ollama = await startFakeOllama(() => reply());
+    server = await startApp({ LLM_PROVIDER: 'ollama', OLLAMA_BASE: ollama.url });
+  });
+  after(async () => {
+    await server.close();
+    await ollama.close();
+  });
+
+  const snippet = (body = {}) => postJson(`${server.url}/hint`, { problemId: 'two-sum', request: 'snippet', snippet: 'seen = {}', hintLevel: 3, ...body });
+
+  test('returns at most three code lines', async () => {
+    reply = () => ollamaReply('seen = {}\nfor i, x in enumerate(nums):\n    if target - x in seen:\n        return [seen[target - x], i]');
+    const res = await snippet();
+    assert.equal(res.status, 200);
+    assert.equal(res.json.source, 'llm');
+    assert.equal(res.json.snippet.split('\n').length, 3);
+    assert.equal('hint' in res.json, false);
+  });
+
+  test('keeps the relative indentation of the excerpt', async () => {
+    reply = () => ollamaReply('Answer:\n    seen = {}\n    for i, x in enumerate(nums):\n\n        if target - x in seen:\n            pass');
+    const res = await snippet();
+    assert.equal(res.json.snippet, 'seen = {}\nfor i, x in enumerate(nums):\n    if target - x in seen:');
+  });
+
+  test('asks for code in the editor language', async () => {
+    reply = () => ollamaReply('Map<Integer, Integer> seen = new HashMap<>();');
+    const before = ollama.requests.length;
+    await snippet({ language: 'Java' });
+    assert.match(ollama.requests[before].body.prompt, /Write the lines in Java, indented/);
+    await snippet({ language: '' });
+    assert.match(ollama.requests[before + 1].body.prompt, /Write the lines in the language of the user's code/);
+  });
+
+  test('strips fenced code and answer prefixes', async () => {
+    reply = () => ollamaReply('Answer: seen = {}\n```\nfull solution here\n```');
+    const res = await snippet();
+    assert.equal(res.json.snippet, 'seen = {}');
+  });
+
+  for (const phrase of ['Please provide your code.', 'Could you share the function?', "I can't help without the code"]) {
+    test(`banned phrase is filtered: ${phrase}`, async () => {
+      reply = () => ollamaReply(phrase);
+      const res = await snippet();
+      assert.equal(res.json.source, 'llm');
+      assert.equal(res.json.snippet, '');
+    });
+  }
+
+  test('falls back to the language starter when the LLM errors', async () => {
+    reply = () => ({ status: 503, text: 'busy' });
+    const res = await snippet({ language: 'Java', snippet: '' });
+    assert.equal(res.json.source, 'local');
+    assert.match(res.json.snippet, /Map<Integer, Integer> seen/);
+  });
+
+  test("falls back to the user's own lines when the LLM errors on their code", async () => {
+    reply = () => ({ status: 503, text: 'busy' });
+    const res = await snippet({ language: 'Java' });
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.snippet, 'seen = {}');
+  });
+});
+
+describe('POST /hint snippet mode without an LLM', () => {
+  let server;
+
+  before(async () => { server = await startApp(); });
+  after(async () => { await server.close(); });
+
+  test('returns the hint-pack starter for the language', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'valid-parentheses', request: 'snippet', language: 'Python3' });
+    assert.equal(res.json.source, 'local');
+    assert.match(res.json.snippet, /def isValid/);
+  });
+
+  test("returns the user's own lines near the cursor, indentation kept", async () => {
+    const code = 'class Solution:\n    def twoSum(self, nums, target):\n        seen = {}\n\n        for i, x in enumerate(nums):\n            pass\n        return []';
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', request: 'snippet', language: 'Python3', snippet: code, cursor: { line: 4, column: 1 } });
+    assert.equal(res.json.source, 'local');
+    assert.equal(res.json.snippet, 'seen = {}\nfor i, x in enumerate(nums):\n    pass');
+  });
+
+  test('whitespace-only code still gets the starter', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'valid-parentheses', request: 'snippet', language: 'Python3', snippet: '  \n\t\n' });
+    assert.match(res.json.snippet, /def isValid/);
+  });
+
+  test('returns the generic starter for unknown problems', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'not-in-any-pack', request: 'snippet' });
+    assert.match(res.json.snippet, /int solve\(\)/);
+  });
+
+  const starters = {
+    Python3: /^class Solution:\n {4}def solve\(self/,
+    Java: /^public int solve\(int\[\] nums\) \{\n {4}\/\//,
+    'C++': /^int solve\(vector<int>& nums\) \{/,
+    JavaScript: /^var solve = function\(nums\) \{/,
+    Go: /^func solve\(nums \[\]int\) int \{\n\t\/\//
+  };
+  for (const [language, pattern] of Object.entries(starters)) {
+    test(`generic starter for unknown problems follows the language: ${language}`, async () => {
+      const res = await postJson(`${server.url}/hint`, { problemId: 'not-in-any-pack', request: 'snippet', language });
+      assert.match(res.json.snippet, pattern);
+    });
+  }
+
+  test('hint-pack starters are returned in the editor language', async () => {
+    const res = await postJson(`${server.url}/hint`, { problemId: 'two-sum', request: 'snippet', language: 'golang' });
+    assert.match(res.json.snippet, /^func twoSum\(nums \[\]int, target int\) \[\]int \{\n {4}seen := map/);
+  });
+});
@@ -0,0 +1,123 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, postJson } = require('./helpers');
+const { validateHintRequest } = require('../lib/schema');
+
+function assertError(res, status, code, field) {
+  assert.equal(res.status, status);
+  assert.equal(res.json.ok, false);
+  assert.equal(res.json.apiVersion, 1);
+  assert.equal(res.json.error.code, code);
+  assert.equal(typeof res.json.error.message, 'string');
+  if (field) assert.equal(res.json.error.field, field);
+}
+
+describe('POST /hint malformed bodies', () => {
+  let server;
+
+  before(async () => { server = await startApp(); });
+  after(async () => { await server.close(); });
+
+  const hint = (body, opts) => postJson(`${server.url}/hint`, body, opts);
+
+  test('invalid JSON', async () => {
+    assertError(await hint('{"problemId": ', { raw: true }), 400, 'invalid_json');
+  });
+
+  test('non-object body', async () => {
+    assertError(await hint('[1, 2]', { raw: true }), 400, 'invalid_request');
+  });
+
+  test('missing problemId and url', async () => {
+    assertError(await hint({ hintLevel: 1 }), 400, 'invalid_request', 'problemId');
+  });
+
+  test('hintLevel out of range is rejected, not clamped', async () => {
+    assertError(await hint({ problemId: 'two-sum', hintLevel: 4 }), 400, 'invalid_request', 'hintLevel');
+    assertError(await hint({ problemId: 'two-sum', hintLevel: 0 }), 400, 'invalid_request', 'hintLevel');
+    assertError(await hint({ problemId: 'two-sum', hintLevel: 1.5 }), 400, 'invalid_request', 'hintLevel');
+  });
+
+  test('unknown request type', async () => {
+    assertError(await hint({ problemId: 'two-sum', request: 'solution' }), 400, 'invalid_request', 'request');
+  });
+
+  test('wrong field types', async () => {
+    assertError(await hint({ problemId: 42 }), 400, 'invalid_request', 'problemId');
+    assertError(await hint({ problemId: 'two-sum', snippet: ['a'] }), 400, 'invalid_request', 'snippet');
+    assertError(await hint({ problemId: 'two-sum', stream: 'yes' }), 400, 'invalid_request', 'stream');
+    assertError(await hint({ problemId: 'two-sum', failure: 7 }), 400, 'invalid_request', 'failure');
+    assertError(await hint({ problemId: 'two-sum', problem: { examples: [{ input: 1 }] } }), 400, 'invalid_request', 'problem.examples[0].input');
+    assertError(await hint({ problemId: 'two-sum', cursor: { line: 0 } }), 400, 'invalid_request', 'cursor.line');
+  });
+
+  test('oversized fields', async () => {
+    assertError(await hint({ problemId: 'two-sum', snippet: 'x'.repeat(20001) }), 400, 'invalid_request', 'snippet');
+  });
+
+  test('oversized body', async () => {
+    assertError(await hint({ problemId: 'two-sum', snippet: 'x'.repeat(300 * 1024) }), 413, 'payload_too_large');
+  });
+
+  test('unsupported apiVersion', async () => {
+    assertError(await hint({ problemId: 'two-sum', apiVersion: 2 }), 400, 'unsupported_api_version', 'apiVersion');
+  });
+
+  test('unknown route', async () => {
+    const res = await fetch(`${server.url}/nope`);
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error.code, 'not_found');
+  });
+
+  test('accepts the payload the extension sends', async () => {
+    const res = await hint({
+      apiVersion: 1,
+      problemId: '/problems/two-sum/description/',
+      url: 'https://leetcode.com/problems/two-sum/description/',
+      snippet: 'class Solution:\n    pass',
+      failure: { verdict: 'wrong_answer', input: 'nums = [3,3]', output: '[]', expected: '[0,1]', stdout: '', errorMessage: '', errorLine: null, testsPassed: 1, testsTotal: 3, raw: 'Wrong Answer' },
+      problem: { slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy', statement: '...', constraints: ['2 <= nums.length'], examples: [{ input: 'a', output: 'b', explanation: '' }], tags: ['Array'] },
+      language: 'Python3',
+      cursor: { line: 2, column: 5 },
+      hintLevel: 1
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.ok, true);
+    assert.equal(res.json.source, 'local');
+  });
+});
+
+describe('rate limiting', () => {
+  let server;
+
+  before(async () => { server = await startApp({ RATE_LIMIT_MAX: '3' }); });
+  after(async () => { await server.close(); });
+
+  test('returns rate_limited after RATE_LIMIT_MAX requests per minute', async () => {
+    for (let i = 0; i < 3; i++) {
+      const ok = await postJson(`${server.url}/hint`, { problemId: 'two-sum' });
+      assert.equal(ok.status, 200);
+    }
+    assertError(await postJson(`${server.url}/hint`, { problemId: 'two-sum' }), 429, 'rate_limited');
+  });
+});
+
+describe('validateHintRequest', () => {
+  test('applies defaults', () => {
+    const { ok, value } = validateHintRequest({ url: 'https://leetcode.com/problems/two-sum/' });
+    assert.equal(ok, true);
+    assert.equal(value.request, 'hint');
+    assert.equal(value.hintLevel, 1);
+    assert.equal(value.stream, false);
+    assert.equal(value.failure, null);
+    assert.equal(value.snippet, '');
+  });
+
+  test('accepts numeric strings for hintLevel', () => {
+    assert.equal(validateHintRequest({ problemId: 'two-sum', hintLevel: '2' }).value.hintLevel, 2);
+  });
+
+  test('keeps a raw failure string', () => {
+    assert.equal(validateHintRequest({ problemId: 'two-sum', failure: 'Wrong Answer' }).value.failure, 'Wrong Answer');
+  });
+});
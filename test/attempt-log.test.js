@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recordAttemptEvent, weaknessOf, weekOf, summarizeAttempts, ATTEMPT_LOG_LIMIT } = require('../extension/lib/attempt-log');
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 9, 12, 9, 0); // Monday 2026-10-12
+const META = { title: 'Two Sum', difficulty: 'Easy', tags: ['Array', 'Hash Table'], language: 'Python3' };
+
+// replays [minutesAfterT0, event] pairs for one problem
+function replay(events, slug = 'two-sum', all = {}) {
+  for (const [minutes, event] of events) recordAttemptEvent(all, slug, event, T0 + minutes * MIN);
+  return all;
+}
+
+test('recordAttemptEvent counts runs, failures by type, hints per level and excerpts', () => {
+  const all = replay([
+    [0, { kind: 'edit', meta: META }],
+    [4, { kind: 'run' }],
+    [5, { kind: 'fail', verdict: 'wrong_answer', action: 'run' }],
+    [6, { kind: 'hint', level: 1 }],
+    [9, { kind: 'hint', level: 2 }],
+    [10, { kind: 'submit' }],
+    [11, { kind: 'fail', verdict: 'time_limit_exceeded', action: 'submit' }],
+    [12, { kind: 'snippet' }]
+  ]);
+  const r = all['two-sum'];
+  assert.equal(r.title, 'Two Sum');
+  assert.deepEqual(r.tags, ['Array', 'Hash Table']);
+  assert.equal(r.language, 'Python3');
+  assert.equal(r.runs, 1);
+  assert.equal(r.submits, 1);
+  assert.deepEqual(r.failures, { wrong_answer: 1, time_limit_exceeded: 1 });
+  assert.deepEqual(r.hints, { 1: 1, 2: 1 });
+  assert.equal(r.snippets, 1);
+  assert.equal(r.acceptedAt, 0);
+});
+
+test('time to accept counts active time only, from the first accepted submission', () => {
+  const all = replay([
+    [0, { kind: 'edit', meta: META }],
+    [5, { kind: 'hint', level: 1 }],
+    [8, { kind: 'pass', action: 'run' }],      // sample tests passing is not a solve
+    [60, { kind: 'edit' }],                    // back after a 52 min break
+    [70, { kind: 'pass', action: 'submit' }],
+    [80, { kind: 'hint', level: 2 }],
+    [81, { kind: 'pass', action: 'submit' }]
+  ]);
+  const r = all['two-sum'];
+  assert.equal(r.acceptedAt, T0 + 70 * MIN);
+  assert.equal(r.timeToAcceptMs, 18 * MIN);
+  assert.equal(r.hintsAtAccept, 1);
+  assert.equal(r.maxLevelAtAccept, 1);
+  assert.deepEqual(r.hints, { 1: 1, 2: 1 }, 'later hints are still counted');
+});
+
+test('the log keeps the most recently touched problems', () => {
+  const all = {};
+  for (let i = 0; i <= ATTEMPT_LOG_LIMIT; i++) recordAttemptEvent(all, `p-${i}`, { kind: 'edit' }, T0 + i);
+  assert.equal(Object.keys(all).length, ATTEMPT_LOG_LIMIT);
+  assert.equal(all['p-0'], undefined);
+  assert.ok(all[`p-${ATTEMPT_LOG_LIMIT}`]);
+});
+
+test('weaknessOf combines unsolved, hint depth and failures', () => {
+  const clean = { acceptedAt: 1, hints: {}, failures: {} };
+  const worst = { acceptedAt: 0, hints: { 1: 1, 2: 1, 3: 1 }, failures: { wrong_answer: 7 } };
+  assert.equal(weaknessOf(clean, 3), 0);
+  assert.equal(weaknessOf(worst, 3), 1);
+  assert.equal(weaknessOf({ acceptedAt: 1, hints: { 1: 1 }, failures: { runtime_error: 1 } }, 2), (0.5 + 0.2) / 3);
+});
+
+test('weekOf starts weeks on Monday (UTC)', () => {
+  assert.equal(weekOf(Date.UTC(2026, 9, 18, 23, 0)), '2026-10-12'); // Sunday
+  assert.equal(weekOf(Date.UTC(2026, 9, 19, 0, 0)), '2026-10-19');
+});
+
+test('summarizeAttempts ranks topics and tracks hint dependency per week', () => {
+  const all = {};
+  replay([
+    [0, { kind: 'edit', meta: META }],
+    [10, { kind: 'pass', action: 'submit' }]
+  ], 'two-sum', all);
+  replay([
+    [0, { kind: 'edit', meta: { title: 'Word Ladder', difficulty: 'Hard', tags: ['Graph'] } }],
+    [3, { kind: 'fail', verdict: 'wrong_answer' }],
+    [4, { kind: 'hint', level: 1 }],
+    [5, { kind: 'hint', level: 2 }],
+    [6, { kind: 'hint', level: 3 }]
+  ], 'word-ladder', all);
+  replay([
+    [7 * 24 * 60, { kind: 'edit', meta: { title: 'Clone Graph', difficulty: 'Medium', tags: ['Graph', 'Hash Table'] } }],
+    [7 * 24 * 60 + 10, { kind: 'hint', level: 1 }],
+    [7 * 24 * 60 + 20, { kind: 'pass' }]
+  ], 'clone-graph', all);
+
+  const s = summarizeAttempts(all, { now: T0 + 8 * 24 * 60 * MIN, weeks: 3, maxHints: 3 });
+  assert.deepEqual(s.totals, { problems: 3, solved: 2, runs: 0, submits: 0, hints: 4, snippets: 0 });
+  assert.deepEqual(s.failures, { wrong_answer: 1 });
+  assert.deepEqual(s.hintsByLevel, { 1: 2, 2: 1, 3: 1 });
+
+  assert.equal(s.topics[0].tag, 'Graph');
+  assert.equal(s.topics[0].problems, 2);
+  assert.equal(s.topics[0].solved, 1);
+  assert.deepEqual(s.topics.map(t => t.tag), ['Graph', 'Hash Table', 'Array']);
+
+  assert.deepEqual(s.dependency, [
+    { week: '2026-10-05', solved: 0, withHints: 0, avgHints: 0 },
+    { week: '2026-10-12', solved: 1, withHints: 0, avgHints: 0 },
+    { week: '2026-10-19', solved: 1, withHints: 1, avgHints: 1 }
+  ]);
+
+  assert.equal(s.timeToSolve.solved, 2);
+  assert.equal(s.timeToSolve.avgMs, 15 * MIN);
+  assert.deepEqual(s.timeToSolve.byDifficulty.map(g => [g.difficulty, g.solved, g.avgMs]), [
+    ['Easy', 1, 10 * MIN], ['Medium', 1, 20 * MIN], ['Hard', 0, 0]
+  ]);
+  assert.deepEqual(s.recent.map(r => r.slug), ['clone-graph', 'two-sum', 'word-ladder']);
+});
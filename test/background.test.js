@@ -0,0 +1,669 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChromeFake } = require('./helpers/chrome-fake');
+const { loadBackground, manifest, waitFor } = require('./helpers/load-extension');
+const corePack = require('../extension/hintpacks/core.json');
+const Ladder = require('../extension/lib/ladder');
+
+const TAB_ID = 7;
+const TWO_SUM_URL = 'https://leetcode.com/problems/two-sum/description/';
+const twoSum = corePack.problems['two-sum'];
+
+const CONTEXT = {
+  problemId: '/problems/two-sum/description',
+  snippet: 'class Solution:\n    def twoSum(self, nums, target):\n        return []',
+  url: TWO_SUM_URL,
+  failure: '',
+  problem: { slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy', statement: '', constraints: [], examples: [], tags: [] },
+  language: 'Python3',
+  cursor: null
+};
+
+// Background plus a stub content script in TAB_ID that answers collect_context.
+function setup({ settings, storage = {}, fetch, context = CONTEXT, contentScript = true } = {}) {
+  const fake = createChromeFake({
+    tabs: [{ id: TAB_ID, url: TWO_SUM_URL, active: true }],
+    storage: settings ? { ...storage, leetmentor_settings: settings } : storage
+  });
+  const pageMessages = [];
+  const attachContentScript = () => {
+    fake.contentChrome(TAB_ID).runtime.onMessage.addListener((msg, sender, sendResponse) => {
+      pageMessages.push(msg);
+      if (msg.type === 'collect_context') sendResponse(context);
+      else sendResponse({ ok: true });
+    });
+  };
+  if (contentScript) attachContentScript();
+  const bg = loadBackground(fake, { fetch });
+  return { fake, bg, pageMessages, attachContentScript };
+}
+
+const requestHint = fake => fake.sendToBackground({ type: 'request_hint', tabId: TAB_ID });
+
+function fakeServer(respond) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) });
+    return respond(JSON.parse(init.body));
+  };
+  return { fetch, requests };
+}
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+test('request_hint without server access answers from the bundled hint pack', async () => {
+  const { fake, pageMessages } = setup();
+  const resp = await requestHint(fake);
+
+  assert.equal(resp.ok, true);
+  assert.equal(resp.source, 'offline');
+  assert.equal(resp.hint, twoSum.hints[0]);
+  assert.equal(resp.notice, undefined);
+  assert.equal(resp.history.length, 1);
+  assert.equal(resp.history[0].source, 'local');
+
+  const shown = await waitFor(() => pageMessages.find(m => m.type === 'show_hint_in_page'));
+  assert.equal(shown.payload.hintText, twoSum.hints[0]);
+  assert.equal(shown.payload.level, 1);
+  assert.equal(shown.payload.askForCode, false);
+
+  const stored = fake.dump();
+  assert.equal(stored.leetmentor_hints_map['two-sum'].count, 1);
+});
+
+test('hint levels climb per problem and the fourth request asks for code', async () => {
+  const { fake, pageMessages } = setup();
+  const hints = [];
+  for (let i = 0; i < 3; i++) hints.push((await requestHint(fake)).hint);
+  assert.deepEqual(hints, twoSum.hints);
+
+  const fourth = await requestHint(fake);
+  assert.equal(fourth.ok, true);
+  assert.equal(fourth.hint, '');
+  assert.equal(fourth.action, 'ask_for_code');
+  assert.equal(fourth.history.length, 3, 'the limit notice is not stored as a hint');
+
+  await waitFor(() => pageMessages.filter(m => m.type === 'show_hint_in_page').length === 4);
+  const last = pageMessages.filter(m => m.type === 'show_hint_in_page')[3];
+  assert.equal(last.payload.hintText, 'Reached Maximum hint limit.');
+  assert.equal(last.payload.level, 3);
+  assert.equal(last.payload.askForCode, true);
+
+  assert.equal(fake.dump().leetmentor_hints_map['two-sum'].count, 4);
+});
+
+test('the maxHints setting moves the code-excerpt offer earlier', async () => {
+  const { fake } = setup({ settings: { maxHints: 2 } });
+  assert.equal((await requestHint(fake)).action, undefined);
+  assert.equal((await requestHint(fake)).action, undefined);
+  assert.equal((await requestHint(fake)).action, 'ask_for_code');
+});
+
+test('a five-level ladder spreads the offline hints over its levels', async () => {
+  const levels = Array.from({ length: 5 }, (_, i) => ({ instruction: `Step ${i + 1}.`, code: i < 4 ? 'none' : 'lines' }));
+  const { fake, pageMessages } = setup({ settings: { ladder: { levels } } });
+  const hints = [];
+  for (let i = 0; i < 5; i++) hints.push((await requestHint(fake)).hint);
+  const [h1, h2, h3] = twoSum.hints;
+  assert.deepEqual(hints, [h1, h2, h2, h3, h3]);
+  assert.equal((await requestHint(fake)).action, 'ask_for_code');
+
+  await waitFor(() => pageMessages.filter(m => m.type === 'show_hint_in_page').length === 6);
+  assert.equal(pageMessages.filter(m => m.type === 'show_hint_in_page')[5].payload.level, 5);
+});
+
+test('a ladder without code excerpts ends at its last hint', async () => {
+  const { fake, pageMessages } = setup({ settings: { ladder: { offerSnippet: false, levels: Ladder.DEFAULT_LADDER.levels } } });
+  for (let i = 0; i < 3; i++) await requestHint(fake);
+  const fourth = await requestHint(fake);
+  assert.equal(fourth.hint, '');
+  assert.equal(fourth.action, undefined);
+
+  await waitFor(() => pageMessages.filter(m => m.type === 'show_hint_in_page').length === 4);
+  const last = pageMessages.filter(m => m.type === 'show_hint_in_page')[3].payload;
+  assert.deepEqual([last.exhausted, last.askForCode], [true, false]);
+
+  const snippet = await fake.sendToBackground({ type: 'request_code_snippet', tabId: TAB_ID });
+  assert.deepEqual(snippet, { ok: false, error: 'snippets_off' });
+});
+
+test('request_hint sends the page context to the server and reports its source', async () => {
+  const server = fakeServer(() => jsonResponse({ ok: true, apiVersion: 1, source: 'llm', cached: false, hint: 'Look up each complement.' }));
+  const { fake } = setup({
+    settings: { allowSendCodeToServer: true, streamHints: false, serverUrl: 'http://mentor.test/hint' },
+    fetch: server.fetch
+  });
+  const resp = await requestHint(fake);
+
+  assert.equal(resp.hint, 'Look up each complement.');
+  assert.equal(resp.source, 'llm');
+  assert.equal(resp.history[0].source, 'server');
+
+  assert.equal(server.requests.length, 1);
+  const { url, body } = server.requests[0];
+  assert.equal(url, 'http://mentor.test/hint');
+  assert.equal(body.apiVersion, 1);
+  assert.equal(body.hintLevel, 1);
+  assert.equal(body.problemId, CONTEXT.problemId);
+  assert.equal(body.snippet, CONTEXT.snippet);
+  assert.equal(body.language, 'Python3');
+  assert.equal(body.stream, undefined);
+  assert.deepEqual(body.ladder, Ladder.DEFAULT_LADDER);
+});
+
+test('streamed hints are forwarded to the page before the final hint', async () => {
+  const lines = [
+    { type: 'delta', text: 'Look up ' },
+    { type: 'delta', text: 'each complement.' },
+    { type: 'done', ok: true, apiVersion: 1, source: 'llm', cached: false, hint: 'Look up each complement.' }
+  ];
+  const server = fakeServer(() => new Response(lines.map(l => JSON.stringify(l) + '\n').join(''), {
+    status: 200,
+    headers: { 'Content-Type': 'application/x-ndjson' }
+  }));
+  const { fake, pageMessages } = setup({ settings: { allowSendCodeToServer: true }, fetch: server.fetch });
+  const resp = await requestHint(fake);
+
+  assert.equal(server.requests[0].body.stream, true);
+  assert.equal(resp.hint, 'Look up each complement.');
+  await waitFor(() => pageMessages.some(m => m.type === 'show_hint_in_page'));
+  const types = pageMessages.map(m => m.type).filter(t => t !== 'collect_context');
+  assert.equal(types[0], 'hint_stream');
+  assert.equal(types[types.length - 1], 'show_hint_in_page');
+});
+
+test('a server error falls back to the offline hint with a notice', async () => {
+  const server = fakeServer(() => jsonResponse({ ok: false, apiVersion: 1, error: { code: 'rate_limited', message: 'too many requests' } }, 429));
+  const { fake } = setup({ settings: { allowSendCodeToServer: true, streamHints: false }, fetch: server.fetch });
+  const resp = await requestHint(fake);
+
+  assert.equal(resp.ok, true);
+  assert.equal(resp.source, 'offline');
+  assert.equal(resp.hint, twoSum.hints[0]);
+  assert.match(resp.notice, /rate limiting/);
+});
+
+test('an unreachable server falls back to the offline hint', async () => {
+  const { fake } = setup({ settings: { allowSendCodeToServer: true, streamHints: false } });
+  const resp = await requestHint(fake);
+  assert.equal(resp.source, 'offline');
+  assert.match(resp.notice, /Could not reach the server/);
+});
+
+test('collectContextWithRetry injects the content scripts when the tab does not answer', async () => {
+  const { fake, attachContentScript } = setup({ contentScript: false, settings: { contextTimeoutMs: 100 } });
+  fake.hooks.onExecuteScript = () => attachContentScript();
+  const resp = await requestHint(fake);
+
+  assert.equal(resp.ok, true);
+  assert.equal(resp.hint, twoSum.hints[0]);
+  assert.equal(fake.log.executeScript.length, 1);
+  assert.deepEqual(fake.log.executeScript[0], {
+    target: { tabId: TAB_ID, allFrames: true },
+    files: manifest.content_scripts[0].js
+  });
+});
+
+test('request_hint reports no_context when injection does not help', async () => {
+  const { fake, bg } = setup({ contentScript: false, settings: { contextTimeoutMs: 100 } });
+  const resp = await requestHint(fake);
+
+  assert.deepEqual(resp, { ok: false, error: 'no_context' });
+  assert.equal(fake.log.executeScript.length, 1);
+  assert.ok(bg.logs.some(l => l.text.includes('retry failed')));
+  assert.equal(fake.dump().leetmentor_hints_map, undefined, 'no hint is counted');
+});
+
+test('request_hint uses the active tab when the popup does not pass one', async () => {
+  const { fake } = setup();
+  const resp = await fake.sendToBackground({ type: 'request_hint' });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.hint, twoSum.hints[0]);
+});
+
+test('reset_hints clears counters, history and chats so the next hint starts at level 1', async () => {
+  const { fake } = setup({ storage: { leetmentor_chat: { 'two-sum': [{ role: 'user', text: 'why a map?', at: 1 }] } } });
+  await requestHint(fake);
+  await requestHint(fake);
+  assert.deepEqual(await fake.sendToBackground({ type: 'reset_hints' }), { ok: true });
+
+  const stored = fake.dump();
+  assert.equal(stored.leetmentor_hints_map, undefined);
+  assert.equal(stored.leetmentor_hint_cache, undefined);
+  assert.equal(stored.leetmentor_chat, undefined);
+
+  const resp = await requestHint(fake);
+  assert.equal(resp.hint, twoSum.hints[0]);
+  assert.equal(resp.history.length, 1);
+});
+
+test('hints, runs and results go to the attempt log, which reset_hints keeps', async () => {
+  const { fake } = setup();
+  const page = (type, payload) => fake.sendToBackground({ type, payload: { problemId: CONTEXT.problemId, ...payload } });
+  const meta = { title: 'Two Sum', difficulty: 'Easy', tags: ['Array'], language: 'Python3' };
+
+  await requestHint(fake);
+  await page('run_or_submit_clicked', { action: 'run', meta });
+  await page('submission_result', { status: 'fail', verdict: 'wrong_answer', action: 'run', meta });
+  await page('run_or_submit_clicked', { action: 'submit', meta });
+  await page('submission_result', { status: 'pass', action: 'submit', meta });
+  await fake.sendToBackground({ type: 'reset_hints' });
+
+  const r = await waitFor(() => {
+    const log = fake.dump().leetmentor_attempts;
+    return log && log['two-sum'] && log['two-sum'].acceptedAt && log['two-sum'];
+  });
+  assert.equal(r.title, 'Two Sum');
+  assert.deepEqual(r.tags, ['Array']);
+  assert.equal(r.runs, 1);
+  assert.equal(r.submits, 1);
+  assert.deepEqual(r.failures, { wrong_answer: 1 });
+  assert.deepEqual(r.hints, { 1: 1 });
+  assert.equal(r.hintsAtAccept, 1);
+});
+
+test('an accepted submission after deep hints queues a review that reset_hints keeps', async () => {
+  const { fake } = setup();
+  const page = (type, payload) => fake.sendToBackground({ type, payload: { problemId: CONTEXT.problemId, ...payload } });
+  for (let i = 0; i < 3; i++) await requestHint(fake);
+  await page('submission_result', { status: 'pass', action: 'submit', meta: { title: 'Two Sum', difficulty: 'Easy' } });
+  await fake.sendToBackground({ type: 'reset_hints' });
+
+  const entry = await waitFor(() => (fake.dump().leetmentor_reviews || {})['two-sum']);
+  assert.equal(entry.title, 'Two Sum');
+  assert.equal(entry.quality, 2);
+  assert.equal(entry.interval, 1);
+  assert.ok(entry.due > Date.now(), 'due tomorrow, not today');
+  assert.deepEqual((await fake.sendToBackground({ type: 'get_reviews' })).due, []);
+  assert.ok(fake.dump().leetmentor_reviews['two-sum'], 'kept after reset_hints');
+});
+
+test('sample tests passing on Run do not queue a review', async () => {
+  const { fake } = setup();
+  await requestHint(fake);
+  await fake.sendToBackground({ type: 'submission_result', payload: { problemId: CONTEXT.problemId, status: 'pass', action: 'run' } });
+  await waitFor(() => fake.dump().leetmentor_attempts);
+  await new Promise(r => setTimeout(r, 20));
+  assert.equal(fake.dump().leetmentor_reviews, undefined);
+});
+
+const DUE_REVIEWS = {
+  'two-sum': { slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy', due: Date.now() - 2 * 24 * 60 * 60 * 1000 },
+  'word-ladder': { slug: 'word-ladder', title: 'Word Ladder', difficulty: 'Hard', due: Date.now() - 1000 },
+  'clone-graph': { slug: 'clone-graph', title: 'Clone Graph', difficulty: 'Medium', due: Date.now() + 3 * 24 * 60 * 60 * 1000 }
+};
+
+test('get_reviews lists problems due today with links, and remove_review drops one', async () => {
+  const { fake } = setup({ storage: { leetmentor_reviews: DUE_REVIEWS } });
+  const resp = await fake.sendToBackground({ type: 'get_reviews' });
+  assert.equal(resp.queued, 3);
+  assert.deepEqual(resp.due.map(r => [r.slug, r.url]), [
+    ['two-sum', 'https://leetcode.com/problems/two-sum/'],
+    ['word-ladder', 'https://leetcode.com/problems/word-ladder/']
+  ]);
+
+  await fake.sendToBackground({ type: 'remove_review', slug: 'two-sum' });
+  assert.deepEqual((await fake.sendToBackground({ type: 'get_reviews' })).due.map(r => r.slug), ['word-ladder']);
+});
+
+test('the daily reminder notifies about due reviews and opens the most overdue one', async () => {
+  const { fake } = setup({ storage: { leetmentor_reviews: DUE_REVIEWS } });
+  const alarm = await waitFor(() => fake.alarms.get('leetmentor_review_reminder'));
+  assert.equal(alarm.periodInMinutes, 24 * 60);
+  assert.equal(new Date(alarm.when).getHours(), 9);
+
+  fake.fireAlarm('leetmentor_review_reminder');
+  const [note] = await waitFor(() => fake.log.notifications.length && fake.log.notifications);
+  assert.match(note.options.title, /2 problems to review/);
+  assert.equal(note.options.message, 'Two Sum, Word Ladder');
+
+  fake.clickNotification(note.id);
+  const [tab] = await waitFor(() => fake.log.createdTabs.length && fake.log.createdTabs);
+  assert.equal(tab.url, 'https://leetcode.com/problems/two-sum/');
+});
+
+test('turning reminders off clears the alarm', async () => {
+  const { fake } = setup({ settings: { reviewReminders: false } });
+  await new Promise(r => setTimeout(r, 20));
+  assert.equal(fake.alarms.get('leetmentor_review_reminder'), undefined);
+});
+
+test('interview mode keeps hints locked for the delay, then caps them', async () => {
+  const { fake } = setup({ settings: { interviewHintDelayMinutes: 5, interviewMaxHints: 1 } });
+  const started = await fake.sendToBackground({ type: 'start_interview', tabId: TAB_ID });
+  assert.equal(started.active, true);
+  assert.equal(started.problem.slug, 'two-sum');
+  assert.equal(started.problem.difficulty, 'Easy');
+  assert.equal(started.problem.deadline - started.problem.startedAt, 20 * 60 * 1000);
+
+  const locked = await requestHint(fake);
+  assert.equal(locked.ok, false);
+  assert.equal(locked.error, 'interview_locked');
+  assert.equal(locked.unlocksAt, started.problem.hintsUnlockAt);
+
+  // five minutes later
+  const session = fake.dump().leetmentor_interview;
+  session.problems['two-sum'].startedAt -= 5 * 60 * 1000;
+  await new Promise(r => fake.chrome.storage.local.set({ leetmentor_interview: session }, r));
+  assert.equal((await requestHint(fake)).hint, twoSum.hints[0]);
+  assert.equal((await requestHint(fake)).error, 'interview_hint_limit');
+  assert.equal(fake.dump().leetmentor_hints_map['two-sum'].count, 1, 'refused hints are not counted');
+});
+
+test('interview mode refuses a code excerpt asked for before the hint delay', async () => {
+  const { fake } = setup({ settings: { interviewHintDelayMinutes: 5 } });
+  const started = await fake.sendToBackground({ type: 'start_interview', tabId: TAB_ID });
+
+  const early = await fake.sendToBackground({ type: 'request_code_snippet', tabId: TAB_ID });
+  assert.deepEqual(early, { ok: false, error: 'interview_locked', unlocksAt: started.problem.hintsUnlockAt });
+  assert.equal(fake.dump().leetmentor_interview.problems['two-sum'].snippets, 0);
+
+  const session = fake.dump().leetmentor_interview;
+  session.problems['two-sum'].startedAt -= 5 * 60 * 1000;
+  await new Promise(r => fake.chrome.storage.local.set({ leetmentor_interview: session }, r));
+  assert.equal((await fake.sendToBackground({ type: 'request_code_snippet', tabId: TAB_ID })).ok, true);
+  assert.equal(fake.dump().leetmentor_interview.problems['two-sum'].snippets, 1, 'counted before the reply');
+});
+
+test("during an interview hints and excerpts follow the session's own hint count", async () => {
+  const { fake, pageMessages } = setup({
+    settings: { interviewHintDelayMinutes: 0, interviewMaxHints: 4 },
+    storage: { leetmentor_hints_map: { 'two-sum': { count: 3, firstAt: 1, updatedAt: 1 } } },
+    context: { ...CONTEXT, snippet: '' }
+  });
+  const snippets = () => pageMessages.filter(m => m.type === 'show_snippet_in_page');
+  await fake.sendToBackground({ type: 'start_interview', tabId: TAB_ID });
+
+  fake.fireCommand('show-snippet', TAB_ID);
+  await waitFor(() => snippets().length === 1);
+  assert.deepEqual(snippets()[0].payload, { ok: false, error: 'hints_left' }, 'practice hints before the session do not count');
+
+  assert.equal((await requestHint(fake)).hint, twoSum.hints[0]);
+  await requestHint(fake);
+  assert.equal((await requestHint(fake)).hint, twoSum.hints[2]);
+  fake.fireCommand('show-snippet', TAB_ID);
+  await waitFor(() => snippets().length === 2);
+  assert.equal(snippets()[1].payload.ok, true);
+  assert.equal(fake.dump().leetmentor_hints_map['two-sum'].count, 3, 'the all-time count never goes back');
+});
+
+test('ending an interview scores each problem from its hints and submissions', async () => {
+  const { fake } = setup({ settings: { interviewHintDelayMinutes: 0 } });
+  const page = (type, payload) => fake.sendToBackground({ type, payload: { problemId: CONTEXT.problemId, ...payload } });
+  await fake.sendToBackground({ type: 'start_interview' });
+  await requestHint(fake);
+  await requestHint(fake);
+  await page('submission_result', { status: 'fail', verdict: 'wrong_answer', action: 'submit' });
+  await page('submission_result', { status: 'pass', action: 'submit' });
+  await waitFor(() => fake.dump().leetmentor_interview.problems['two-sum'].solvedAt);
+
+  const { summary } = await fake.sendToBackground({ type: 'end_interview' });
+  assert.equal(summary.problems.length, 1);
+  const [p] = summary.problems;
+  assert.deepEqual([p.slug, p.title, p.solved, p.hints, p.failures], ['two-sum', 'Two Sum', true, 2, 1]);
+  assert.equal(p.score, 100 - 10 - 20 - 5);
+  assert.equal(fake.alarms.get('leetmentor_interview_deadline'), undefined);
+
+  const state = await fake.sendToBackground({ type: 'get_interview', tabId: TAB_ID });
+  assert.deepEqual([state.active, state.problem, state.summary.score], [false, null, 65]);
+  await fake.sendToBackground({ type: 'dismiss_interview_summary' });
+  assert.equal((await fake.sendToBackground({ type: 'get_interview' })).summary, null);
+});
+
+test('the interview alarm tells the page when a countdown runs out', async () => {
+  const startedAt = Date.now() - 21 * 60 * 1000;
+  const session = {
+    active: true,
+    startedAt,
+    problems: { 'two-sum': { slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy', tabId: TAB_ID, startedAt, hints: {}, snippets: 0, failures: 0, solvedAt: 0, timeUpAt: 0 } }
+  };
+  const { fake, pageMessages } = setup({ storage: { leetmentor_interview: session } });
+  fake.fireAlarm('leetmentor_interview_deadline');
+  const nudge = await waitFor(() => pageMessages.find(m => m.type === 'show_hint_in_page'));
+  assert.equal(nudge.payload.nudge, true);
+  assert.match(nudge.payload.hintText, /Time is up: 20 minutes/);
+  assert.ok(fake.dump().leetmentor_interview.problems['two-sum'].timeUpAt);
+});
+
+test('request_code_snippet offers the pack starter for the editor language when there is no code', async () => {
+  const { fake } = setup({ context: { ...CONTEXT, snippet: '' } });
+  const resp = await fake.sendToBackground({ type: 'request_code_snippet', tabId: TAB_ID });
+  assert.deepEqual(resp, { ok: true, snippet: twoSum.starters.python, source: 'offline' });
+});
+
+test('request_code_snippet falls back to a generic starter in the editor language', async () => {
+  const { fake } = setup({ context: { ...CONTEXT, problemId: '/problems/not-in-any-pack', url: 'https://leetcode.com/problems/not-in-any-pack/', snippet: '', language: 'Go' } });
+  const resp = await fake.sendToBackground({ type: 'request_code_snippet', tabId: TAB_ID });
+  assert.match(resp.snippet, /^func solve\(nums \[\]int\) int \{\n\t\/\//);
+});
+
+test('request_code_snippet keeps the indentation of the user\'s lines near the cursor', async () => {
+  const { fake } = setup({ context: { ...CONTEXT, cursor: { line: 3, column: 9 } } });
+  const resp = await fake.sendToBackground({ type: 'request_code_snippet', tabId: TAB_ID });
+  assert.equal(resp.snippet, 'def twoSum(self, nums, target):\n    return []');
+});
+
+test('get_hint_history returns the stored hints for the tab\'s problem', async () => {
+  const { fake } = setup();
+  await requestHint(fake);
+  const resp = await fake.sendToBackground({ type: 'get_hint_history', tabId: TAB_ID });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.problemId, 'two-sum');
+  assert.deepEqual(resp.hints.map(h => h.text), [twoSum.hints[0]]);
+});
+
+const ask = (fake, question) => fake.sendToBackground({ type: 'ask_mentor', tabId: TAB_ID, question });
+
+test('ask_mentor needs a hint to ask about', async () => {
+  const { fake } = setup();
+  assert.deepEqual(await ask(fake, 'why?'), { ok: false, error: 'no_hint_yet' });
+  assert.deepEqual(await ask(fake, '   '), { ok: false, error: 'empty_question' });
+});
+
+test('ask_mentor sends the question with the hints and earlier follow-ups to /chat', async () => {
+  const server = fakeServer(body => (body.question
+    ? jsonResponse({ ok: true, apiVersion: 1, source: 'llm', answer: `answer to ${body.question}` })
+    : jsonResponse({ ok: true, apiVersion: 1, source: 'llm', cached: false, hint: 'Look up each complement.' })));
+  const { fake } = setup({
+    settings: { allowSendCodeToServer: true, streamHints: false, serverUrl: 'http://mentor.test/hint' },
+    fetch: server.fetch
+  });
+  await requestHint(fake);
+
+  assert.deepEqual(await ask(fake, 'Why a map?'), { ok: true, answer: 'answer to Why a map?', source: 'llm' });
+  await ask(fake, 'And then?');
+
+  const chats = server.requests.filter(r => r.url === 'http://mentor.test/chat');
+  assert.equal(chats.length, 2);
+  const { body } = chats[1];
+  assert.equal(body.apiVersion, 1);
+  assert.equal(body.question, 'And then?');
+  assert.equal(body.hintLevel, 1);
+  assert.equal(body.snippet, CONTEXT.snippet);
+  assert.deepEqual(body.history, [
+    { role: 'hint', level: 1, text: 'Look up each complement.' },
+    { role: 'user', text: 'Why a map?' },
+    { role: 'mentor', text: 'answer to Why a map?' }
+  ]);
+
+  assert.equal(fake.dump().leetmentor_chat['two-sum'].length, 4);
+  await fake.sendToBackground({ type: 'reset_hints' });
+  assert.equal(fake.dump().leetmentor_chat, undefined);
+});
+
+test('ask_mentor without server access answers offline and keeps nothing', async () => {
+  const { fake } = setup();
+  await requestHint(fake);
+  const resp = await ask(fake, 'Why a map?');
+  assert.equal(resp.ok, true);
+  assert.equal(resp.source, 'offline');
+  assert.match(resp.answer, /Allow send code to server/);
+  assert.equal(fake.dump().leetmentor_chat, undefined);
+});
+
+test('ask_mentor reports server errors as a notice', async () => {
+  const server = fakeServer(body => (body.question
+    ? jsonResponse({ ok: false, apiVersion: 1, error: { code: 'rate_limited', message: 'too many requests' } }, 429)
+    : jsonResponse({ ok: true, apiVersion: 1, source: 'llm', cached: false, hint: 'Look up each complement.' })));
+  const { fake } = setup({ settings: { allowSendCodeToServer: true, streamHints: false }, fetch: server.fetch });
+  await requestHint(fake);
+  const resp = await ask(fake, 'Why a map?');
+  assert.equal(resp.source, 'offline');
+  assert.match(resp.notice, /rate limiting .* offline answer/);
+});
+
+test('request_complexity runs the static analysis without server access', async () => {
+  const brute = 'class Solution:\n    def twoSum(self, nums, target):\n        for i in range(len(nums)):\n            for j in range(i + 1, len(nums)):\n                pass';
+  const { fake } = setup({ context: { ...CONTEXT, snippet: brute, problem: { ...CONTEXT.problem, constraints: ['2 <= nums.length <= 10^5'] } } });
+  const resp = await fake.sendToBackground({ type: 'request_complexity', tabId: TAB_ID });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.source, 'offline');
+  assert.equal(resp.complexity.method, 'heuristic');
+  assert.equal(resp.complexity.time, 'O(n^2)');
+  assert.equal(resp.complexity.target.time, 'O(n log n)');
+});
+
+test('request_complexity asks the server when allowed', async () => {
+  const complexity = { time: 'O(n)', space: 'O(n)', target: null, note: 'One pass with a map.', bottleneck: null, method: 'llm' };
+  const server = fakeServer(() => jsonResponse({ ok: true, apiVersion: 1, source: 'llm', cached: false, complexity }));
+  const { fake } = setup({ settings: { allowSendCodeToServer: true }, fetch: server.fetch });
+  const resp = await fake.sendToBackground({ type: 'request_complexity', tabId: TAB_ID });
+  assert.deepEqual(resp, { ok: true, complexity, source: 'llm' });
+  assert.equal(server.requests[0].body.request, 'complexity');
+  assert.equal(server.requests[0].body.snippet, CONTEXT.snippet);
+});
+
+test('every shortcut declared in the manifest is handled', async () => {
+  const commands = Object.keys(manifest.commands);
+  assert.deepEqual(commands, ['next-hint', 'show-snippet', 'toggle-hint-panel', 'hide-hint']);
+  const { fake, pageMessages } = setup();
+  for (const command of commands) fake.fireCommand(command, TAB_ID);
+  await waitFor(() => ['show_hint_in_page', 'show_snippet_in_page', 'toggle_hint_panel', 'hide_hint_in_page']
+    .every(type => pageMessages.some(m => m.type === type)));
+});
+
+test('the next-hint shortcut shows the hint in the page and counts it', async () => {
+  const { fake, pageMessages } = setup();
+  fake.fireCommand('next-hint', TAB_ID);
+  const shown = await waitFor(() => pageMessages.find(m => m.type === 'show_hint_in_page'));
+  assert.equal(shown.payload.hintText, twoSum.hints[0]);
+  assert.equal(shown.payload.level, 1);
+  await waitFor(() => fake.dump().leetmentor_hints_map);
+  assert.equal(fake.dump().leetmentor_hints_map['two-sum'].count, 1);
+});
+
+test('the show-snippet shortcut waits for the last hint', async () => {
+  const { fake, pageMessages } = setup({ context: { ...CONTEXT, snippet: '' } });
+  const snippets = () => pageMessages.filter(m => m.type === 'show_snippet_in_page');
+
+  fake.fireCommand('show-snippet', TAB_ID);
+  await waitFor(() => snippets().length === 1);
+  assert.deepEqual(snippets()[0].payload, { ok: false, error: 'hints_left' });
+
+  for (let i = 0; i < 3; i++) await requestHint(fake);
+  fake.fireCommand('show-snippet', TAB_ID);
+  await waitFor(() => snippets().length === 2);
+  assert.deepEqual(snippets()[1].payload, { ok: true, snippet: twoSum.starters.python, source: 'offline' });
+});
+
+test('on a five-level ladder the excerpt waits for the fifth hint and asks at that level', async () => {
+  const levels = Array.from({ length: 5 }, (_, i) => ({ instruction: `Step ${i + 1}.`, code: i < 4 ? 'none' : 'lines' }));
+  const server = fakeServer(body => jsonResponse(body.request === 'snippet'
+    ? { ok: true, apiVersion: 1, source: 'llm', snippet: 'seen = {}' }
+    : { ok: true, apiVersion: 1, source: 'llm', hint: `Step ${body.hintLevel}.` }));
+  const { fake, pageMessages } = setup({
+    settings: { ladder: { levels }, allowSendCodeToServer: true, streamHints: false, serverUrl: 'http://mentor.test/hint' },
+    fetch: server.fetch
+  });
+  const snippets = () => pageMessages.filter(m => m.type === 'show_snippet_in_page');
+
+  for (let i = 0; i < 3; i++) await requestHint(fake);
+  fake.fireCommand('show-snippet', TAB_ID);
+  await waitFor(() => snippets().length === 1);
+  assert.deepEqual(snippets()[0].payload, { ok: false, error: 'hints_left' });
+
+  for (let i = 0; i < 2; i++) await requestHint(fake);
+  fake.fireCommand('show-snippet', TAB_ID);
+  await waitFor(() => snippets().length === 2);
+  assert.equal(snippets()[1].payload.snippet, 'seen = {}');
+  const asked = server.requests.find(r => r.body.request === 'snippet');
+  assert.equal(asked.body.hintLevel, 5);
+});
+
+test('shortcuts pressed outside LeetCode do nothing', async () => {
+  const { fake, pageMessages } = setup();
+  fake.tabs[0].url = 'https://example.com/';
+  fake.fireCommand('next-hint', TAB_ID);
+  fake.fireCommand('toggle-hint-panel', TAB_ID);
+  await new Promise(r => setTimeout(r, 50));
+  assert.deepEqual(pageMessages, []);
+});
+
+test('rate_hint stores the rating with the request the hint came from', async () => {
+  const { fake } = setup();
+  const first = await requestHint(fake);
+  const at = first.history[0].at;
+
+  const resp = await fake.sendToBackground({ type: 'rate_hint', tabId: TAB_ID, at, rating: 'too_revealing' });
+  assert.deepEqual(resp, { ok: true, rating: 'too_revealing', sent: false });
+
+  const entry = fake.dump().leetmentor_feedback[`two-sum@${at}`];
+  assert.equal(entry.rating, 'too_revealing');
+  assert.equal(entry.hint, twoSum.hints[0]);
+  assert.equal(entry.level, 1);
+  assert.equal(entry.context.snippet, CONTEXT.snippet);
+  assert.equal(entry.context.hintLevel, 1);
+  assert.deepEqual(entry.context.ladder, Ladder.DEFAULT_LADDER);
+
+  // the history the popup and the panel get shows it
+  const second = await requestHint(fake);
+  assert.deepEqual(second.history.map(h => h.rating), ['too_revealing', '']);
+  const history = await fake.sendToBackground({ type: 'get_hint_history', tabId: TAB_ID });
+  assert.deepEqual(history.hints.map(h => h.rating), ['too_revealing', '']);
+
+  await fake.sendToBackground({ type: 'rate_hint', tabId: TAB_ID, at, rating: '' });
+  assert.deepEqual(fake.dump().leetmentor_feedback, {});
+
+  assert.deepEqual(await fake.sendToBackground({ type: 'rate_hint', tabId: TAB_ID, at, rating: 'meh' }), { ok: false, error: 'invalid_rating' });
+  assert.deepEqual(await fake.sendToBackground({ type: 'rate_hint', tabId: TAB_ID, at: 1, rating: 'up' }), { ok: false, error: 'no_such_hint' });
+});
+
+test('ratings go to the server\'s /feedback only when sharing and sending code are both on', async () => {
+  const server = fakeServer(body => jsonResponse(body.rating
+    ? { ok: true, apiVersion: 1, stored: true }
+    : { ok: true, apiVersion: 1, source: 'llm', cached: false, hint: 'Look up each complement.' }));
+  const settings = { allowSendCodeToServer: true, streamHints: false, serverUrl: 'http://mentor.test/hint' };
+  const { fake } = setup({ settings, fetch: server.fetch });
+  const { history } = await requestHint(fake);
+  const rate = rating => fake.sendToBackground({ type: 'rate_hint', tabId: TAB_ID, at: history[0].at, rating });
+
+  assert.equal((await rate('up')).sent, false);
+  assert.equal(server.requests.length, 1, 'only the /hint request');
+
+  await new Promise(r => fake.chrome.storage.local.set({ leetmentor_settings: { ...settings, shareFeedback: true } }, r));
+  const resp = await rate('too_vague');
+  assert.equal(resp.sent, true);
+  const { url, body } = server.requests[1];
+  assert.equal(url, 'http://mentor.test/feedback');
+  assert.equal(body.apiVersion, 1);
+  assert.equal(body.rating, 'too_vague');
+  assert.equal(body.hint, 'Look up each complement.');
+  assert.equal(body.source, 'server');
+  assert.equal(body.problemId, CONTEXT.problemId);
+  assert.equal(body.context.snippet, CONTEXT.snippet);
+});
+
+test('a rating the server refuses is still kept locally', async () => {
+  const server = fakeServer(body => (body.rating
+    ? jsonResponse({ ok: false, apiVersion: 1, error: { code: 'feedback_disabled', message: 'no feedback log' } }, 404)
+    : jsonResponse({ ok: true, apiVersion: 1, source: 'llm', cached: false, hint: 'Look up each complement.' })));
+  const { fake } = setup({ settings: { allowSendCodeToServer: true, shareFeedback: true, streamHints: false }, fetch: server.fetch });
+  const { history } = await requestHint(fake);
+
+  const resp = await fake.sendToBackground({ type: 'rate_hint', tabId: TAB_ID, at: history[0].at, rating: 'down' });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.sent, false);
+  assert.match(resp.notice, /feedback_disabled/);
+  assert.equal(Object.values(fake.dump().leetmentor_feedback)[0].rating, 'down');
+});
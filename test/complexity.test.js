@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { targetComplexity, estimateComplexity, analyzeComplexity, formatTerm } = require('../extension/lib/complexity');
+
+const code = lines => lines.join('\n');
+const timeOf = (lines, language) => estimateComplexity(code(lines), { language }).time;
+
+const PY_BRUTE = [
+  'class Solution:',
+  '    def twoSum(self, nums, target):',
+  '        for i in range(len(nums)):',
+  '            for j in range(i + 1, len(nums)):',
+  '                if nums[i] + nums[j] == target:',
+  '                    return [i, j]'
+];
+const PY_HASH = [
+  'class Solution:',
+  '    def twoSum(self, nums, target):',
+  '        seen = {}',
+  '        for i, x in enumerate(nums):',
+  '            if target - x in seen:',
+  '                return [seen[target - x], i]',
+  '            seen[x] = i'
+];
+
+test('targetComplexity reads the largest input size from the constraints', () => {
+  assert.deepEqual(
+    targetComplexity(['2 <= nums.length <= 10^4', '-10^9 <= nums[i] <= 10^9', 'Only one valid answer exists.']),
+    { n: 10000, nLabel: '10^4', time: 'O(n^2)', term: { poly: 2, log: 0, exp: 0 } }
+  );
+  assert.equal(targetComplexity(['1 <= s.length <= 5 * 10^4']).time, 'O(n log n)');
+  assert.equal(targetComplexity(['1 <= s.length <= 5 * 10^4']).nLabel, '5 * 10^4');
+  assert.equal(targetComplexity(['The number of nodes in the tree is in the range [0, 10^5].']).n, 100000);
+  assert.equal(targetComplexity(['1 <= m, n <= 300']).time, 'O(n^3)');
+  assert.equal(targetComplexity(['1 <= n <= 20']).time, 'O(2^n)');
+  assert.equal(targetComplexity(['1 ≤ n ≤ 10⁶']).n, 1e6);
+  assert.equal(targetComplexity(['-10^9 <= nums[i] <= 10^9']), null);
+  assert.equal(targetComplexity([]), null);
+});
+
+test('loop nesting sets the time estimate', () => {
+  assert.equal(timeOf(PY_BRUTE, 'Python3'), 'O(n^2)');
+  assert.equal(timeOf(PY_HASH, 'Python3'), 'O(n)');
+  assert.equal(timeOf([
+    'func twoSum(nums []int, target int) []int {',
+    '\tfor i := 0; i < len(nums); i++ {',
+    '\t\tfor j := i + 1; j < len(nums); j++ {',
+    '\t\t\tif nums[i]+nums[j] == target {',
+    '\t\t\t\treturn []int{i, j}',
+    '\t\t\t}',
+    '\t\t}',
+    '\t}',
+    '\treturn nil',
+    '}'
+  ], 'golang'), 'O(n^2)');
+});
+
+test('callback loops that open a block nest like loop headers', () => {
+  const nested = estimateComplexity(code([
+    'var f = function(nums) {',
+    '    nums.forEach(x => {',
+    '        nums.forEach(y => {});',
+    '    });',
+    '};'
+  ]), { language: 'javascript' });
+  assert.equal(nested.time, 'O(n^2)');
+  assert.deepEqual(nested.bottleneck, { line: 3, text: 'nums.forEach(y => {});', kind: 'inline', depth: 2 });
+  assert.equal(analyzeComplexity(code(['nums.forEach(x => {', '  nums.forEach(y => {});', '});']), { language: 'JavaScript' }).note,
+    'About O(n^2), driven by 2 nested loops (innermost at line 2).');
+
+  assert.equal(timeOf([
+    'for (const x of nums) {',
+    '    const big = nums.filter(y => {',
+    '        return y > x;',
+    '    });',
+    '}',
+    'nums.map(x => x * 2);'
+  ], 'javascript'), 'O(n^2)');
+});
+
+test('constant and halving loops do not count as linear', () => {
+  assert.equal(timeOf([
+    'for (int c = 0; c < 26; c++) {',
+    '    for (int i = 0; i < n; i++) {',
+    '        cnt[c] += s[i] == c;',
+    '    }',
+    '}'
+  ], 'cpp'), 'O(n)');
+  assert.equal(timeOf([
+    'int search(vector<int>& nums, int target) {',
+    '    int lo = 0, hi = nums.size() - 1;',
+    '    while (lo <= hi) {',
+    '        int mid = lo + (hi - lo) / 2;',
+    '        if (nums[mid] == target) return mid;',
+    '        if (nums[mid] < target) lo = mid + 1;',
+    '        else hi = mid - 1;',
+    '    }',
+    '    return -1;',
+    '}'
+  ], 'cpp'), 'O(log n)');
+});
+
+test('sorts and linear scans inside loops multiply', () => {
+  const sortInLoop = estimateComplexity(code([
+    'var f = function(nums) {',
+    '    for (let i = 0; i < nums.length; i++) {',
+    '        nums.sort((a, b) => a - b);',
+    '    }',
+    '};'
+  ]), { language: 'javascript' });
+  assert.equal(sortInLoop.time, 'O(n^2 log n)');
+  assert.equal(sortInLoop.bottleneck.kind, 'sort');
+
+  const scan = estimateComplexity(code([
+    'for (int i = 0; i < nums.length; i++) {',
+    '    int j = seen.indexOf(target - nums[i]);',
+    '    seen.add(nums[i]);',
+    '}'
+  ]), { language: 'java' });
+  assert.equal(scan.time, 'O(n^2)');
+  assert.deepEqual(scan.bottleneck, { line: 2, text: 'int j = seen.indexOf(target - nums[i]);', kind: 'scan', depth: 1 });
+});
+
+test('recursion: branching without memoization is exponential', () => {
+  const fib = [
+    'class Solution:',
+    '    def climbStairs(self, n):',
+    '        def go(k):',
+    '            if k <= 1: return 1',
+    '            return go(k - 1) + go(k - 2)',
+    '        return go(n)'
+  ];
+  assert.equal(timeOf(fib, 'python'), 'O(2^n)');
+  const memo = fib.slice(0, 2).concat(['        @cache'], fib.slice(2));
+  assert.equal(timeOf(memo, 'python'), 'O(n)');
+  assert.equal(timeOf([
+    'def mergeSort(a):',
+    '    if len(a) <= 1: return a',
+    '    mid = len(a) // 2',
+    '    left = mergeSort(a[:mid])',
+    '    right = mergeSort(a[mid:])',
+    '    out = []',
+    '    for x in left + right:',
+    '        out.append(x)',
+    '    return out'
+  ], 'python'), 'O(n log n)');
+});
+
+test('space counts input-sized allocations and the recursion stack', () => {
+  assert.equal(estimateComplexity(code(PY_BRUTE), { language: 'python' }).space, 'O(1)');
+  assert.equal(estimateComplexity(code(PY_HASH), { language: 'python' }).space, 'O(n)');
+  assert.equal(estimateComplexity('dp = [[0] * (m + 1) for _ in range(n + 1)]\nfor i in range(n):\n    dp[i][0] = 1', { language: 'python' }).space, 'O(n^2)');
+  assert.equal(estimateComplexity('int[] memo = new int[n + 1];', { language: 'java' }).space, 'O(n)');
+});
+
+test('comments and strings are ignored', () => {
+  assert.equal(timeOf([
+    '// for (int i = 0; i < n; i++)',
+    '/* while (true) {',
+    '   for (;;) */',
+    'int x = 0; String s = "for (a in b)";'
+  ], 'java'), 'O(1)');
+  // "//" is floor division in Python, not a comment
+  assert.equal(timeOf(['while n > 1:', '    n //= 2'], 'python'), 'O(log n)');
+});
+
+test('analyzeComplexity compares the estimate with the target', () => {
+  const slow = analyzeComplexity(code(PY_BRUTE), { language: 'python3', constraints: ['2 <= nums.length <= 10^5'] });
+  assert.equal(slow.time, 'O(n^2)');
+  assert.deepEqual(slow.target, { n: 100000, nLabel: '10^5', time: 'O(n log n)' });
+  assert.equal(slow.method, 'heuristic');
+  assert.equal(slow.note, 'About O(n^2) because of 2 nested loops (innermost at line 4), but n up to 10^5 needs O(n log n) or better — avoid re-scanning the input in the inner loop (hash map, sorting with two pointers, prefix sums).');
+
+  const fast = analyzeComplexity(code(PY_HASH), { language: 'python3', constraints: ['2 <= nums.length <= 10^5'] });
+  assert.match(fast.note, /^About O\(n\), within the O\(n log n\) that n up to 10\^5 allows/);
+
+  assert.equal(analyzeComplexity(code(PY_HASH)).note, 'About O(n), driven by the loop at line 4.');
+  assert.equal(analyzeComplexity('  \n').note, 'No code to analyze yet.');
+});
+
+test('formatTerm', () => {
+  assert.equal(formatTerm({ poly: 0, log: 0, exp: 0 }), 'O(1)');
+  assert.equal(formatTerm({ poly: 2, log: 1, exp: 0 }), 'O(n^2 log n)');
+  assert.equal(formatTerm({ poly: 0, log: 2, exp: 0 }), 'O(log^2 n)');
+  assert.equal(formatTerm({ poly: 1, log: 0, exp: 1 }), 'O(2^n)');
+});
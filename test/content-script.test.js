@@ -0,0 +1,270 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChromeFake } = require('./helpers/chrome-fake');
+const { loadBackground, loadContentScript, waitFor } = require('./helpers/load-extension');
+const corePack = require('../extension/hintpacks/core.json');
+
+const TAB_ID = 3;
+const TWO_SUM_URL = 'https://leetcode.com/problems/two-sum/description/';
+
+function setup(t) {
+  const fake = createChromeFake({ tabs: [{ id: TAB_ID, url: TWO_SUM_URL, active: true }] });
+  const page = loadContentScript(fake, TAB_ID);
+  t.after(() => page.close());
+  return { fake, page };
+}
+
+const sendToTab = (fake, msg) => new Promise(resolve => fake.chrome.tabs.sendMessage(TAB_ID, msg, resolve));
+
+// the hint panel lives in a shadow root
+const panelRoot = page => {
+  const host = page.document.getElementById('leetmentor-hint-panel');
+  return host && host.shadowRoot;
+};
+
+test('collect_context scrapes the problem page and the editor', async t => {
+  const { fake } = setup(t);
+  const ctx = await sendToTab(fake, { type: 'collect_context' });
+
+  assert.equal(ctx.problemId, '/problems/two-sum/description');
+  assert.equal(ctx.url, TWO_SUM_URL);
+  assert.equal(ctx.snippet, 'class Solution:\n    def twoSum(self, nums, target):\n        return []');
+  assert.equal(ctx.language, 'Python3');
+  assert.equal(ctx.failure, '');
+  assert.equal(ctx.cursor, null);
+
+  const p = ctx.problem;
+  assert.equal(p.slug, 'two-sum');
+  assert.equal(p.title, 'Two Sum');
+  assert.equal(p.difficulty, 'Easy');
+  assert.match(p.statement, /^Given an array of integers nums/);
+  assert.deepEqual(p.tags, ['Array', 'Hash Table']);
+  assert.equal(p.examples.length, 2);
+  assert.deepEqual(p.examples[0], {
+    input: 'nums = [2,7,11,15], target = 9',
+    output: '[0,1]',
+    explanation: 'Because nums[0] + nums[1] == 9, we return [0, 1].'
+  });
+  assert.deepEqual(p.constraints, ['2 <= nums.length <= 10^4', '-10^9 <= nums[i] <= 10^9', 'Only one valid answer exists.']);
+});
+
+test('the content script reports editor contents to the background', async t => {
+  const fake = createChromeFake({ tabs: [{ id: TAB_ID, url: TWO_SUM_URL }] });
+  const received = [];
+  fake.chrome.runtime.onMessage.addListener((msg, sender) => { received.push({ msg, sender }); });
+  const page = loadContentScript(fake, TAB_ID);
+  t.after(() => page.close());
+
+  const { msg, sender } = await waitFor(() => received.find(r => r.msg.type === 'editor_input'));
+  assert.equal(msg.payload.problemId, '/problems/two-sum/description');
+  assert.match(msg.payload.snippet, /def twoSum/);
+  assert.equal(sender.tab.id, TAB_ID);
+});
+
+test('show_hint_in_page renders the panel with the hint history', async t => {
+  const { fake, page } = setup(t);
+  const history = [
+    { level: 1, text: 'first hint', source: 'local', at: Date.now() },
+    { level: 2, text: 'second hint', source: 'server', at: Date.now() }
+  ];
+  const resp = await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'second hint', level: 2, history } });
+  assert.deepEqual(resp, { ok: true });
+
+  const root = panelRoot(page);
+  assert.ok(root);
+  assert.equal(root.querySelector('.lm-hint-text').textContent, 'second hint');
+  assert.equal(root.querySelector('.lm-panel-header .lm-level-badge').textContent, 'L2');
+  const items = [...root.querySelectorAll('.lm-history-item .lm-history-text')].map(el => el.textContent);
+  assert.deepEqual(items, ['first hint', 'second hint']);
+  assert.equal(root.querySelector('.lm-hint-history').open, false);
+  assert.equal(root.querySelector('.lm-next-hint').disabled, false);
+  assert.equal(root.querySelector('.lm-show-snippet').disabled, true);
+  assert.equal(page.document.querySelector('.lm-hint-text'), null, 'nothing leaks into the page DOM');
+
+  // a new hint replaces the panel's content; the limit notice opens the history and offers the excerpt
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'Reached Maximum hint limit.', askForCode: true, history } });
+  assert.equal(page.document.querySelectorAll('#leetmentor-hint-panel').length, 1);
+  assert.equal(panelRoot(page).querySelector('.lm-hint-history').open, true);
+  assert.equal(panelRoot(page).querySelector('.lm-next-hint').disabled, true);
+  assert.equal(panelRoot(page).querySelector('.lm-show-snippet').disabled, false);
+
+  assert.deepEqual(await sendToTab(fake, { type: 'hide_hint_in_page' }), { ok: true });
+  assert.equal(page.document.getElementById('leetmentor-hint-panel'), null);
+});
+
+test('hint_stream updates one panel in place', async t => {
+  const { fake, page } = setup(t);
+  await sendToTab(fake, { type: 'hint_stream', payload: { text: 'Look up', level: 1 } });
+  await sendToTab(fake, { type: 'hint_stream', payload: { text: 'Look up each complement', level: 1 } });
+
+  assert.equal(page.document.querySelectorAll('#leetmentor-hint-panel').length, 1);
+  const root = panelRoot(page);
+  assert.equal(root.querySelector('.lm-panel').dataset.streaming, 'true');
+  assert.equal(root.querySelector('.lm-hint-text').textContent, 'Look up each complement');
+  assert.equal(root.querySelector('.lm-next-hint').disabled, true);
+});
+
+test('code in a hint is rendered as a code block', async t => {
+  const { fake, page } = setup(t);
+  const hintText = 'Store what you have seen:\nseen = {}\nfor i, x in enumerate(nums):\n    seen[x] = i';
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText, level: 3 } });
+
+  const root = panelRoot(page);
+  assert.equal(root.querySelector('.lm-text-block').textContent, 'Store what you have seen:');
+  assert.equal(root.querySelector('pre.lm-code-block code').textContent, 'seen = {}\nfor i, x in enumerate(nums):\n    seen[x] = i');
+});
+
+test('request_hint end to end: background, content script and page panel', async t => {
+  const { fake, page } = setup(t);
+  loadBackground(fake);
+
+  const resp = await fake.sendToBackground({ type: 'request_hint', tabId: TAB_ID });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.hint, corePack.problems['two-sum'].hints[0]);
+
+  const root = await waitFor(() => panelRoot(page));
+  assert.equal(root.querySelector('.lm-hint-text').textContent, resp.hint);
+  assert.equal(fake.log.executeScript.length, 0, 'the running content script answered');
+});
+
+test('Next hint and Show snippet in the panel go through the background', async t => {
+  const { fake, page } = setup(t);
+  loadBackground(fake);
+  await fake.sendToBackground({ type: 'request_hint', tabId: TAB_ID });
+  const hints = corePack.problems['two-sum'].hints;
+
+  const text = () => panelRoot(page).querySelector('.lm-hint-text').textContent;
+  await waitFor(() => panelRoot(page) && text() === hints[0]);
+  panelRoot(page).querySelector('.lm-next-hint').click();
+  await waitFor(() => text() === hints[1]);
+  panelRoot(page).querySelector('.lm-next-hint').click();
+  await waitFor(() => text() === hints[2]);
+  panelRoot(page).querySelector('.lm-next-hint').click();
+  await waitFor(() => /Reached Maximum hint limit/.test(text()));
+
+  panelRoot(page).querySelector('.lm-show-snippet').click();
+  const code = await waitFor(() => panelRoot(page).querySelector('.lm-panel-snippet:not([hidden]) code'));
+  assert.match(code.textContent, /def twoSum/);
+});
+
+test('hints in the panel are rated through the background', async t => {
+  const { fake, page } = setup(t);
+  loadBackground(fake);
+  await fake.sendToBackground({ type: 'request_hint', tabId: TAB_ID });
+
+  const root = await waitFor(() => panelRoot(page) && panelRoot(page).querySelector('.lm-rating') && panelRoot(page));
+  // the current hint and its history entry
+  assert.equal(root.querySelectorAll('.lm-rating').length, 2);
+  const pressed = () => [...root.querySelectorAll('.lm-rate[aria-pressed="true"]')].map(b => b.dataset.rating);
+  assert.deepEqual(pressed(), []);
+
+  root.querySelector('.lm-rating .lm-rate[data-rating="too_vague"]').click();
+  await waitFor(() => pressed().length === 2);
+  assert.deepEqual(pressed(), ['too_vague', 'too_vague']);
+  assert.equal(Object.values(fake.dump().leetmentor_feedback)[0].rating, 'too_vague');
+
+  // pressing it again takes the rating back
+  root.querySelector('.lm-history-item .lm-rate[data-rating="too_vague"]').click();
+  await waitFor(() => pressed().length === 0);
+  assert.deepEqual(fake.dump().leetmentor_feedback, {});
+});
+
+test('the panel docks, minimizes and remembers it', async t => {
+  const { fake, page } = setup(t);
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'a hint', level: 1 } });
+
+  const panel = panelRoot(page).querySelector('.lm-panel');
+  assert.equal(panel.dataset.dock, 'none');
+  panelRoot(page).querySelector('.lm-panel-dock[data-dock="left"]').click();
+  panelRoot(page).querySelector('.lm-panel-minimize').click();
+  assert.equal(panel.dataset.dock, 'left');
+  assert.equal(panel.dataset.minimized, 'true');
+  const saved = await waitFor(() => fake.dump().leetmentor_panel);
+  assert.deepEqual(saved, { dock: 'left', x: null, y: null, minimized: true });
+
+  // a page loaded later opens the panel where it was left
+  page.close();
+  const again = loadContentScript(fake, TAB_ID);
+  t.after(() => again.close());
+  await new Promise(r => setTimeout(r, 20));
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'another hint', level: 2 } });
+  const restored = panelRoot(again).querySelector('.lm-panel');
+  assert.equal(restored.dataset.dock, 'left');
+  assert.equal(restored.dataset.minimized, 'true');
+});
+
+test('toggle_hint_panel hides the panel and brings back the last hint', async t => {
+  const { fake, page } = setup(t);
+  assert.deepEqual(await sendToTab(fake, { type: 'toggle_hint_panel' }), { ok: true, visible: true });
+  assert.match(panelRoot(page).querySelector('.lm-hint-text').textContent, /No hint yet/);
+
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'a hint', level: 1 } });
+  assert.deepEqual(await sendToTab(fake, { type: 'toggle_hint_panel' }), { ok: true, visible: false });
+  assert.equal(panelRoot(page), null);
+  await sendToTab(fake, { type: 'toggle_hint_panel' });
+  assert.equal(panelRoot(page).querySelector('.lm-hint-text').textContent, 'a hint');
+});
+
+test('show_snippet_in_page shows the excerpt or why there is none', async t => {
+  const { fake, page } = setup(t);
+  await sendToTab(fake, { type: 'show_snippet_in_page', payload: { ok: false, error: 'hints_left' } });
+  assert.equal(panelRoot(page).querySelector('.lm-panel-status').textContent, 'The code excerpt unlocks after the last hint.');
+
+  await sendToTab(fake, { type: 'show_snippet_in_page', payload: { ok: true, snippet: 'seen = {}', source: 'offline', notice: 'server down' } });
+  assert.equal(panelRoot(page).querySelector('.lm-panel-snippet code').textContent, 'seen = {}');
+  assert.equal(panelRoot(page).querySelector('.lm-panel-note').textContent, 'server down');
+});
+
+test('the panel follows LeetCode\'s theme', async t => {
+  const { fake, page } = setup(t);
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'a hint', level: 1 } });
+  const panel = panelRoot(page).querySelector('.lm-panel');
+  assert.equal(panel.dataset.theme, 'light');
+
+  page.document.documentElement.classList.add('dark');
+  await waitFor(() => panel.dataset.theme === 'dark');
+  page.document.documentElement.classList.remove('dark');
+  await waitFor(() => panel.dataset.theme === 'light');
+});
+
+test('follow-up questions typed in the panel are answered in place', async t => {
+  const { fake, page } = setup(t);
+  loadBackground(fake);
+  await fake.sendToBackground({ type: 'request_hint', tabId: TAB_ID });
+
+  const form = await waitFor(() => panelRoot(page) && panelRoot(page).querySelector('.lm-chat-form'));
+  form.querySelector('.lm-chat-input').value = 'Why a map?';
+  form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+
+  const turns = () => [...panelRoot(page).querySelectorAll('.lm-chat-turn')].map(el => el.textContent);
+  await waitFor(() => turns().length === 2 && turns()[1] !== '…');
+  assert.equal(turns()[0], 'Why a map?');
+  assert.match(turns()[1], /answered by the LeetMentor server/);
+});
+
+test('nudges have no question box', async t => {
+  const { fake, page } = setup(t);
+  await sendToTab(fake, { type: 'show_hint_in_page', payload: { hintText: 'stuck?', level: 0, nudge: true } });
+  assert.ok(panelRoot(page).querySelector('.lm-next-hint'));
+  assert.equal(panelRoot(page).querySelector('.lm-chat-form'), null);
+});
+
+test('constraints keep their <sup> exponents', async t => {
+  const fake = createChromeFake({ tabs: [{ id: TAB_ID, url: TWO_SUM_URL }] });
+  const html = `<!doctype html><html><body>
+    <div data-track-load="description_content">
+      <p>Given an array of integers nums and an integer target, return indices of the two numbers.</p>
+      <p><strong>Constraints:</strong></p>
+      <ul>
+        <li><code>2 &lt;= nums.length &lt;= 10<sup>4</sup></code></li>
+        <li><code>-10<sup>9</sup> &lt;= nums[i] &lt;= 10<sup>9</sup></code></li>
+        <li><strong>Only one valid answer exists.</strong></li>
+      </ul>
+    </div></body></html>`;
+  const page = loadContentScript(fake, TAB_ID, { html });
+  t.after(() => page.close());
+
+  const ctx = await sendToTab(fake, { type: 'collect_context' });
+  assert.deepEqual(ctx.problem.constraints, ['2 <= nums.length <= 10^4', '-10^9 <= nums[i] <= 10^9', 'Only one valid answer exists.']);
+});
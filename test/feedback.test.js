@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hintId, rememberContext, recordRating, withRatings, feedbackPayload, isRating } = require('../extension/lib/feedback');
+
+const T0 = 1_760_000_000_000;
+const hint = (at, fields = {}) => ({ level: 1, text: 'Think about complements.', source: 'local', at, ...fields });
+const CONTEXT = { problemId: '/problems/two-sum/', url: 'https://leetcode.com/problems/two-sum/', snippet: 'return []', hintLevel: 1 };
+
+test('isRating accepts the four ratings only', () => {
+  for (const r of ['up', 'down', 'too_revealing', 'too_vague']) assert.equal(isRating(r), true);
+  assert.equal(isRating('meh'), false);
+  assert.equal(isRating(''), false);
+});
+
+test('rememberContext keeps the newest hint requests', () => {
+  const all = {};
+  for (let i = 0; i < 4; i++) rememberContext(all, hintId('two-sum', T0 + i), { ...CONTEXT, hintLevel: i + 1 }, T0 + i, 3);
+  assert.deepEqual(Object.keys(all).sort(), [1, 2, 3].map(i => `two-sum@${T0 + i}`));
+  assert.equal(all[`two-sum@${T0 + 3}`].context.hintLevel, 4);
+});
+
+test('recordRating keeps one rating per hint with its context; an empty rating takes it back', () => {
+  const all = {};
+  recordRating(all, 'two-sum', hint(T0), 'up', { context: CONTEXT, now: T0 + 10 });
+  recordRating(all, 'two-sum', hint(T0), 'too_revealing', { now: T0 + 20 });
+  const entry = all[`two-sum@${T0}`];
+  assert.equal(Object.keys(all).length, 1);
+  assert.equal(entry.rating, 'too_revealing');
+  assert.equal(entry.ratedAt, T0 + 20);
+  assert.equal(entry.hint, 'Think about complements.');
+  assert.deepEqual(entry.context, CONTEXT, 'a re-rating keeps the context it had');
+
+  recordRating(all, 'two-sum', hint(T0), '', { now: T0 + 30 });
+  assert.deepEqual(all, {});
+});
+
+test('recordRating drops the oldest ratings past the limit', () => {
+  const all = {};
+  for (let i = 0; i < 3; i++) recordRating(all, 'two-sum', hint(T0 + i), 'down', { now: T0 + i, limit: 2 });
+  assert.deepEqual(Object.keys(all).sort(), [`two-sum@${T0 + 1}`, `two-sum@${T0 + 2}`]);
+});
+
+test('withRatings marks each history entry and feedbackPayload carries the request context', () => {
+  const all = recordRating({}, 'two-sum', hint(T0 + 1, { level: 2 }), 'too_vague', { context: CONTEXT, now: T0 + 5 });
+  const history = withRatings([hint(T0), hint(T0 + 1, { level: 2 })], 'two-sum', all);
+  assert.deepEqual(history.map(h => h.rating), ['', 'too_vague']);
+
+  assert.deepEqual(feedbackPayload(all[`two-sum@${T0 + 1}`]), {
+    problemId: '/problems/two-sum/',
+    url: 'https://leetcode.com/problems/two-sum/',
+    hintLevel: 2,
+    hint: 'Think about complements.',
+    source: 'local',
+    rating: 'too_vague',
+    ratedAt: T0 + 5,
+    context: CONTEXT
+  });
+  const bare = feedbackPayload(recordRating({}, 'two-sum', hint(T0), 'up', { now: T0 })[`two-sum@${T0}`]);
+  assert.equal(bare.problemId, 'two-sum');
+  assert.equal(bare.context, undefined);
+});
@@ -0,0 +1,247 @@
+// chrome-fake.js — in-memory stand-in for the chrome.* APIs the extension uses.
+//
+// One fake models the whole browser: `chrome` is what the background worker sees,
+// contentChrome(tabId) is what a content script in that tab sees. Messages are routed
+// between the two the way Chrome does it (callbacks fire asynchronously, values are
+// copied, a missing receiver sets runtime.lastError).
+
+const NO_RECEIVER = 'Could not establish connection. Receiving end does not exist.';
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: fn => listeners.push(fn),
+    removeListener: fn => {
+      const i = listeners.indexOf(fn);
+      if (i >= 0) listeners.splice(i, 1);
+    },
+    hasListener: fn => listeners.includes(fn)
+  };
+}
+
+const copy = v => (v === undefined ? undefined : structuredClone(v));
+
+function createChromeFake({ tabs = [], storage = {} } = {}) {
+  const store = new Map(Object.entries(copy(storage)));
+  const tabList = tabs.map(t => ({ active: false, ...t }));
+  const tabListeners = new Map(); // tabId -> onMessage listeners of its content scripts
+  const alarms = new Map();
+  const granted = new Set();
+  const log = { messagesToTabs: [], executeScript: [], openOptionsPage: 0, createdTabs: [], notifications: [] };
+  const hooks = { onExecuteScript: null };
+
+  const runtimeOnMessage = createEvent();
+  const storageOnChanged = createEvent();
+  const alarmsOnAlarm = createEvent();
+  const commandsOnCommand = createEvent();
+  const notificationsOnClicked = createEvent();
+
+  // runtime.lastError is only set while the callback that caused it runs
+  const runtime = {
+    id: 'leetmentor',
+    lastError: undefined,
+    onMessage: runtimeOnMessage,
+    getURL: path => `chrome-extension://leetmentor/${String(path).replace(/^\/+/, '')}`,
+    openOptionsPage: cb => {
+      log.openOptionsPage++;
+      later(cb);
+    }
+  };
+
+  function later(cb, value, error) {
+    if (typeof cb !== 'function') return;
+    setTimeout(() => {
+      runtime.lastError = error ? { message: error } : undefined;
+      try {
+        cb(copy(value));
+      } finally {
+        runtime.lastError = undefined;
+      }
+    }, 0);
+  }
+
+  // Delivers msg to listeners; the first sendResponse wins. Resolves to
+  // { handled, response } once a response arrives or no listener kept the channel open.
+  function dispatch(listeners, msg, sender) {
+    return new Promise(resolve => {
+      if (!listeners.length) return resolve({ handled: false });
+      let done = false;
+      const sendResponse = value => {
+        if (done) return;
+        done = true;
+        resolve({ handled: true, response: copy(value) });
+      };
+      let keepOpen = false;
+      for (const fn of [...listeners]) {
+        if (fn(copy(msg), sender, sendResponse) === true) keepOpen = true;
+      }
+      if (!keepOpen && !done) {
+        done = true;
+        resolve({ handled: true, response: undefined });
+      }
+    });
+  }
+
+  function changesFor(before, keys) {
+    const changes = {};
+    for (const key of keys) {
+      const oldValue = before.get(key);
+      const newValue = store.get(key);
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+      changes[key] = {};
+      if (oldValue !== undefined) changes[key].oldValue = copy(oldValue);
+      if (newValue !== undefined) changes[key].newValue = copy(newValue);
+    }
+    if (Object.keys(changes).length) {
+      setTimeout(() => storageOnChanged.listeners.forEach(fn => fn(copy(changes), 'local')), 0);
+    }
+  }
+
+  const local = {
+    get(keys, cb) {
+      let out = {};
+      if (keys == null) out = Object.fromEntries(store);
+      else if (typeof keys === 'string') out = store.has(keys) ? { [keys]: store.get(keys) } : {};
+      else if (Array.isArray(keys)) keys.forEach(k => { if (store.has(k)) out[k] = store.get(k); });
+      else Object.entries(keys).forEach(([k, d]) => { out[k] = store.has(k) ? store.get(k) : d; });
+      later(cb, out);
+    },
+    set(items, cb) {
+      const before = new Map(store);
+      Object.entries(copy(items)).forEach(([k, v]) => store.set(k, v));
+      changesFor(before, Object.keys(items));
+      later(cb);
+    },
+    remove(keys, cb) {
+      const list = Array.isArray(keys) ? keys : [keys];
+      const before = new Map(store);
+      list.forEach(k => store.delete(k));
+      changesFor(before, list);
+      later(cb);
+    },
+    clear(cb) {
+      const before = new Map(store);
+      store.clear();
+      changesFor(before, [...before.keys()]);
+      later(cb);
+    }
+  };
+
+  const findTab = id => tabList.find(t => t.id === id);
+
+  const chrome = {
+    runtime,
+    storage: { local, onChanged: storageOnChanged },
+    tabs: {
+      query(query, cb) {
+        const match = tabList.filter(t => !(query && query.active) || t.active);
+        later(cb, match);
+      },
+      create(props, cb) {
+        log.createdTabs.push(copy(props));
+        later(cb, { id: 1000 + log.createdTabs.length, ...props });
+      },
+      get(tabId, cb) {
+        const tab = findTab(tabId);
+        later(cb, tab, tab ? null : `No tab with id: ${tabId}.`);
+      },
+      sendMessage(tabId, msg, cb) {
+        log.messagesToTabs.push({ tabId, msg: copy(msg) });
+        const tab = findTab(tabId);
+        dispatch(tabListeners.get(tabId) || [], msg, { id: runtime.id, url: tab && tab.url }).then(r => {
+          later(cb, r.response, r.handled ? null : NO_RECEIVER);
+        });
+      }
+    },
+    scripting: {
+      executeScript(injection, cb) {
+        log.executeScript.push(copy(injection));
+        const tabId = injection && injection.target && injection.target.tabId;
+        if (!findTab(tabId)) return later(cb, undefined, `No tab with id: ${tabId}`);
+        if (hooks.onExecuteScript) hooks.onExecuteScript(tabId, injection.files || []);
+        later(cb, [{ frameId: 0, result: null }]);
+      }
+    },
+    commands: {
+      onCommand: commandsOnCommand,
+      getAll(cb) { later(cb, []); }
+    },
+    alarms: {
+      onAlarm: alarmsOnAlarm,
+      create(name, info) { alarms.set(name, { name, ...info }); },
+      get(name, cb) { later(cb, alarms.get(name)); },
+      clear(name, cb) { later(cb, alarms.delete(name)); }
+    },
+    notifications: {
+      onClicked: notificationsOnClicked,
+      create(id, options, cb) {
+        log.notifications.push({ id, options: copy(options) });
+        later(cb, id);
+      },
+      clear(id, cb) { later(cb, true); }
+    },
+    permissions: {
+      contains(p, cb) { later(cb, (p.origins || []).every(o => granted.has(o))); },
+      request(p, cb) { (p.origins || []).forEach(o => granted.add(o)); later(cb, true); },
+      remove(p, cb) { (p.origins || []).forEach(o => granted.delete(o)); later(cb, true); }
+    }
+  };
+
+  // The chrome object seen by content scripts in tabId.
+  function contentChrome(tabId) {
+    const onMessage = createEvent();
+    tabListeners.set(tabId, onMessage.listeners);
+    return {
+      runtime: {
+        id: runtime.id,
+        get lastError() { return runtime.lastError; },
+        onMessage,
+        getURL: runtime.getURL,
+        sendMessage(msg, cb) {
+          const sender = { id: runtime.id, tab: copy(findTab(tabId)) };
+          dispatch(runtimeOnMessage.listeners, msg, sender).then(r => {
+            later(cb, r.response, r.handled ? null : NO_RECEIVER);
+          });
+        }
+      },
+      storage: chrome.storage
+    };
+  }
+
+  // Sends a message to the background listeners the way the popup does.
+  function sendToBackground(msg) {
+    return dispatch(runtimeOnMessage.listeners, msg, { id: runtime.id }).then(r => r.response);
+  }
+
+  function fireAlarm(name) {
+    alarmsOnAlarm.listeners.forEach(fn => fn({ name, scheduledTime: Date.now() }));
+  }
+
+  function clickNotification(id) {
+    notificationsOnClicked.listeners.forEach(fn => fn(id));
+  }
+
+  // a keyboard shortcut pressed while tabId is the active tab
+  function fireCommand(command, tabId) {
+    const tab = findTab(tabId);
+    commandsOnCommand.listeners.forEach(fn => fn(command, copy(tab)));
+  }
+
+  return {
+    chrome,
+    contentChrome,
+    sendToBackground,
+    fireAlarm,
+    fireCommand,
+    clickNotification,
+    hooks,
+    log,
+    tabs: tabList,
+    alarms,
+    dump: () => copy(Object.fromEntries(store)),
+    detachTab: tabId => tabListeners.delete(tabId)
+  };
+}
+
+module.exports = { createChromeFake, NO_RECEIVER };
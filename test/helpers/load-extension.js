@@ -0,0 +1,105 @@
+// load-extension.js — runs the real extension scripts against the chrome fake.
+//
+// loadBackground() evaluates background.js in a vm context shaped like a service worker
+// (self, importScripts, fetch for chrome-extension:// URLs). loadContentScript() opens a
+// jsdom page and evaluates the manifest's content scripts in it.
+//
+// Objects created inside the vm context have that context's prototypes, so compare them
+// with assert.deepStrictEqual only after they went through the fake (which copies values).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+
+const readExtensionFile = file => fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+
+function captureConsole(logs) {
+  const push = level => (...args) => logs.push({ level, text: args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ') });
+  return { log: push('log'), info: push('info'), warn: push('warn'), error: push('error'), debug: push('debug') };
+}
+
+// Serves extension files for chrome.runtime.getURL() URLs; everything else goes to `fetch`.
+function extensionFetch(fetchImpl) {
+  return async (url, init) => {
+    const u = String(url);
+    if (u.startsWith('chrome-extension://')) {
+      const file = new URL(u).pathname.replace(/^\/+/, '');
+      try {
+        return new Response(readExtensionFile(file), { status: 200, headers: { 'Content-Type': 'application/json' } });
+      } catch (e) {
+        return new Response('not found', { status: 404 });
+      }
+    }
+    if (!fetchImpl) throw new TypeError('fetch failed');
+    return fetchImpl(u, init);
+  };
+}
+
+// fetch: optional implementation for server calls (defaults to "server unreachable")
+function loadBackground(fake, { fetch: fetchImpl } = {}) {
+  const logs = [];
+  const context = {
+    chrome: fake.chrome,
+    console: captureConsole(logs),
+    fetch: extensionFetch(fetchImpl),
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    AbortController,
+    TextDecoder,
+    TextEncoder,
+    URL,
+    Response,
+    structuredClone
+  };
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (const file of files) vm.runInContext(readExtensionFile(file), context, { filename: file });
+  };
+  vm.createContext(context);
+  vm.runInContext(readExtensionFile('background.js'), context, { filename: 'background.js' });
+  return { context, logs };
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Returns { window, document, close }; always call close() — the content script starts
+// intervals and observers that would otherwise keep the test process alive.
+function loadContentScript(fake, tabId, { html = fixture('leetcode-two-sum.html'), url } = {}) {
+  const tab = fake.tabs.find(t => t.id === tabId);
+  const dom = new JSDOM(html, { url: url || (tab && tab.url), runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  window.chrome = fake.contentChrome(tabId);
+  window.console = captureConsole([]);
+  const files = manifest.content_scripts[0].js;
+  for (const file of files) window.eval(readExtensionFile(file));
+  return {
+    window,
+    document: window.document,
+    close: () => {
+      fake.detachTab(tabId);
+      window.close();
+    }
+  };
+}
+
+// polls until check() returns something truthy
+async function waitFor(check, { timeoutMs = 2000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('waitFor: condition not met in time');
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+}
+
+module.exports = { EXTENSION_DIR, manifest, fixture, loadBackground, loadContentScript, waitFor };
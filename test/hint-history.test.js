@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { formatHintTime, renderRatingRow, showRating, buildHistoryItem } = require('../extension/lib/hint-history');
+const { RATING_VALUES } = require('../extension/lib/feedback');
+
+const pressed = row => [...row.querySelectorAll('.lm-rate')].filter(b => b.getAttribute('aria-pressed') === 'true').map(b => b.dataset.rating);
+
+test('formatHintTime shows the time for today and the date before that', () => {
+  const now = new Date(2026, 9, 19, 15, 30).getTime();
+  assert.equal(formatHintTime(new Date(2026, 9, 19, 9, 5).getTime(), now), new Date(2026, 9, 19, 9, 5).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+  assert.equal(formatHintTime(new Date(2026, 9, 18, 9, 5).getTime(), now), new Date(2026, 9, 18).toLocaleDateString());
+});
+
+test('renderRatingRow draws one button per rating and reports the toggled one', () => {
+  const { document } = new JSDOM('<!doctype html><div id="row" class="hidden"><span>old</span></div>').window;
+  const hint = { at: 1700000000000, level: 1, text: 'Keep a map.', rating: 'up' };
+  const rated = [];
+  const row = renderRatingRow(document.getElementById('row'), hint, rating => rated.push(rating));
+
+  assert.deepEqual([...row.querySelectorAll('.lm-rate')].map(b => b.dataset.rating), RATING_VALUES);
+  assert.equal(row.querySelector('span'), null, 'earlier buttons are replaced');
+  assert.ok(row.classList.contains('lm-rating') && row.classList.contains('hidden'));
+  assert.equal(row.dataset.at, '1700000000000');
+  assert.deepEqual(pressed(row), ['up']);
+
+  row.querySelector('[data-rating="too_vague"]').click();
+  row.querySelector('[data-rating="up"]').click();
+  assert.deepEqual(rated, ['too_vague', ''], 'pressing the chosen rating again takes it back');
+});
+
+test('showRating marks the rating on every row of that hint only', () => {
+  const { document } = new JSDOM('<!doctype html><body></body>').window;
+  const hint = { at: 1, level: 2, text: 'Look up target - x.', rating: '' };
+  const other = { at: 2, level: 3, text: 'seen = {}', rating: 'down' };
+  const current = renderRatingRow(document.createElement('div'), hint, () => {});
+  const li = buildHistoryItem(document, hint);
+  const historyRow = li.appendChild(renderRatingRow(document.createElement('div'), hint, () => {}));
+  const otherRow = renderRatingRow(document.createElement('div'), other, () => {});
+  document.body.append(current, li, otherRow);
+
+  showRating(document, 1, 'too_revealing');
+  assert.deepEqual(pressed(current), ['too_revealing']);
+  assert.deepEqual(pressed(historyRow), ['too_revealing']);
+  assert.deepEqual(pressed(otherRow), ['down']);
+
+  assert.equal(li.className, 'lm-history-item');
+  assert.equal(li.querySelector('.lm-level-badge').textContent, 'L2');
+  assert.equal(li.querySelector('.lm-history-text').textContent, 'Look up target - x.');
+});
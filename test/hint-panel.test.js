@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const {
+  detectTheme, splitCodeBlocks, clampPosition, dropPosition, normalizeState, createHintPanel
+} = require('../extension/lib/hint-panel');
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+test('splitCodeBlocks separates prose from fenced and unfenced code', () => {
+  assert.deepEqual(splitCodeBlocks('Keep a map.\n```python\nseen = {}\n```\nThen look up `target - x`.'), [
+    { type: 'text', text: 'Keep a map.' },
+    { type: 'code', text: 'seen = {}' },
+    { type: 'text', text: 'Then look up `target - x`.' }
+  ]);
+  assert.deepEqual(splitCodeBlocks('Scan once:\nfor (int i = 0; i < n; i++) {\n  if (seen.count(t - a[i])) return;\n}'), [
+    { type: 'text', text: 'Scan once:' },
+    { type: 'code', text: 'for (int i = 0; i < n; i++) {\n  if (seen.count(t - a[i])) return;\n}' }
+  ]);
+});
+
+test('splitCodeBlocks leaves prose alone', () => {
+  assert.deepEqual(splitCodeBlocks('Use i = 0 as the start.'), [{ type: 'text', text: 'Use i = 0 as the start.' }]);
+  assert.deepEqual(splitCodeBlocks('for each number, check its complement\nreturn both indices'), [
+    { type: 'text', text: 'for each number, check its complement\nreturn both indices' }
+  ]);
+  assert.deepEqual(splitCodeBlocks(''), []);
+});
+
+test('clampPosition keeps the panel inside the viewport', () => {
+  assert.deepEqual(clampPosition({ x: -40, y: 900 }, { width: 340, height: 200 }, VIEWPORT), { x: 0, y: 600 });
+  assert.deepEqual(clampPosition({ x: 812.6, y: 10 }, { width: 340, height: 200 }, VIEWPORT), { x: 660, y: 10 });
+});
+
+test('dropPosition docks near the side edges and floats elsewhere', () => {
+  assert.deepEqual(dropPosition({ x: 10, y: 300, width: 340, height: 200 }, VIEWPORT), { dock: 'left', x: null, y: null });
+  assert.deepEqual(dropPosition({ x: 650, y: 300, width: 340, height: 200 }, VIEWPORT), { dock: 'right', x: null, y: null });
+  assert.deepEqual(dropPosition({ x: 300, y: 700, width: 340, height: 200 }, VIEWPORT), { dock: null, x: 300, y: 600 });
+});
+
+test('normalizeState drops unknown docks and half positions', () => {
+  assert.deepEqual(normalizeState({ dock: 'top', x: 5, minimized: 1 }), { dock: null, x: null, y: null, minimized: true });
+  assert.deepEqual(normalizeState(null), { dock: null, x: null, y: null, minimized: false });
+});
+
+test('detectTheme reads LeetCode\'s dark mode markers', () => {
+  const { document } = new JSDOM('<!doctype html><html><body></body></html>').window;
+  assert.equal(detectTheme(document), 'light');
+  document.documentElement.style.colorScheme = 'dark';
+  assert.equal(detectTheme(document), 'dark');
+  document.documentElement.style.colorScheme = '';
+  document.documentElement.classList.add('dark');
+  assert.equal(detectTheme(document), 'dark');
+});
+
+test('dragging the header moves the panel and saves where it was dropped', t => {
+  const { window } = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+  t.after(() => window.close());
+  const saved = [];
+  const panel = createHintPanel(window.document, { state: { dock: 'right' }, onStateChange: s => saved.push(s) });
+  panel.render({ text: 'a hint', level: 1 });
+
+  const header = panel.root.querySelector('.lm-panel-header');
+  const pointer = (type, x, y) => header.dispatchEvent(new window.MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true, cancelable: true }));
+  pointer('pointerdown', 100, 100);
+  pointer('pointermove', 400, 300);
+  assert.equal(saved.length, 0, 'nothing is saved mid-drag');
+  pointer('pointerup', 400, 300);
+
+  const el = panel.root.querySelector('.lm-panel');
+  assert.equal(el.dataset.dock, 'none');
+  assert.equal(el.style.left, '300px');
+  assert.equal(el.style.top, '200px');
+  assert.deepEqual(saved, [{ dock: null, x: 300, y: 200, minimized: false }]);
+
+  // a pointerup without a drag is ignored
+  pointer('pointerup', 0, 0);
+  assert.equal(saved.length, 1);
+  panel.destroy();
+  assert.equal(window.document.getElementById('leetmentor-hint-panel'), null);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeProblemId,
+  problemSlugFromContext,
+  nextHintStep,
+  bumpHintCount,
+  appendHintHistory,
+  appendChatTurns,
+  conversationFor
+} = require('../extension/lib/hint-progress');
+
+test('normalizeProblemId reduces paths and URLs to the slug', () => {
+  assert.equal(normalizeProblemId('/problems/Two-Sum/description/'), 'two-sum');
+  assert.equal(normalizeProblemId('https://leetcode.com/problems/3sum/?envType=study'), '3sum');
+  assert.equal(normalizeProblemId('/two-sum/'), 'two-sum');
+  assert.equal(normalizeProblemId(''), '');
+  assert.equal(normalizeProblemId(null), '');
+});
+
+test('problemSlugFromContext prefers problemId, then url, then "unknown"', () => {
+  assert.equal(problemSlugFromContext({ problemId: '/problems/two-sum', url: 'https://leetcode.com/problems/3sum/' }), 'two-sum');
+  assert.equal(problemSlugFromContext({ url: 'https://leetcode.com/problems/3sum/' }), '3sum');
+  assert.equal(problemSlugFromContext({}), 'unknown');
+  assert.equal(problemSlugFromContext(null), 'unknown');
+});
+
+test('nextHintStep climbs the levels and asks for code past maxHints', () => {
+  assert.deepEqual(nextHintStep(0, 3), { count: 1, level: 1, exhausted: false, askForCode: false });
+  assert.deepEqual(nextHintStep(2, 3), { count: 3, level: 3, exhausted: false, askForCode: false });
+  assert.deepEqual(nextHintStep(3, 3), { count: 4, level: 3, exhausted: true, askForCode: true });
+  assert.deepEqual(nextHintStep(9, 3), { count: 10, level: 3, exhausted: true, askForCode: true });
+  assert.deepEqual(nextHintStep(1, 1), { count: 2, level: 1, exhausted: true, askForCode: true });
+  assert.deepEqual(nextHintStep(undefined, 2), { count: 1, level: 1, exhausted: false, askForCode: false });
+});
+
+test('nextHintStep offers no code when the ladder turns excerpts off', () => {
+  assert.deepEqual(nextHintStep(4, 5, { offerSnippet: false }), { count: 5, level: 5, exhausted: false, askForCode: false });
+  assert.deepEqual(nextHintStep(5, 5, { offerSnippet: false }), { count: 6, level: 5, exhausted: true, askForCode: false });
+});
+
+test('bumpHintCount keeps firstAt and never lowers the count', () => {
+  const all = bumpHintCount({}, 'two-sum', 1, 100);
+  assert.deepEqual(all, { 'two-sum': { count: 1, firstAt: 100, updatedAt: 100 } });
+  bumpHintCount(all, 'two-sum', 3, 200);
+  bumpHintCount(all, 'two-sum', 2, 300); // e.g. a stale count from a second tab
+  assert.deepEqual(all['two-sum'], { count: 3, firstAt: 100, updatedAt: 300 });
+});
+
+test('appendHintHistory appends oldest first and keeps the last `limit` entries', () => {
+  let all = {};
+  for (let i = 1; i <= 4; i++) all = appendHintHistory(all, 'two-sum', { level: i, text: `hint ${i}`, source: 'local' }, i * 10, 3);
+  assert.deepEqual(all['two-sum'].map(h => h.text), ['hint 2', 'hint 3', 'hint 4']);
+  assert.deepEqual(all['two-sum'][2], { level: 4, text: 'hint 4', source: 'local', at: 40 });
+
+  all = appendHintHistory({ 'two-sum': 'corrupt' }, 'two-sum', { level: 1, text: 'x', source: 'server' }, 1, 20);
+  assert.equal(all['two-sum'].length, 1);
+});
+
+test('appendChatTurns stores questions and answers per problem, capped at `limit`', () => {
+  let all = {};
+  for (let i = 1; i <= 3; i++) {
+    all = appendChatTurns(all, 'two-sum', [{ role: 'user', text: `q${i}` }, { role: 'mentor', text: `a${i}` }], i * 10, 4);
+  }
+  assert.deepEqual(all['two-sum'].map(t => t.text), ['q2', 'a2', 'q3', 'a3']);
+  assert.deepEqual(all['two-sum'][3], { role: 'mentor', text: 'a3', at: 30 });
+});
+
+test('conversationFor merges hints and follow-ups by time and keeps the latest turns', () => {
+  const hints = [
+    { level: 1, text: 'h1', source: 'local', at: 10 },
+    { level: 2, text: 'h2', source: 'server', at: 30 }
+  ];
+  const chat = [
+    { role: 'user', text: 'q1', at: 20 },
+    { role: 'mentor', text: 'a1', at: 20 }
+  ];
+  assert.deepEqual(conversationFor(hints, chat, 10), [
+    { role: 'hint', level: 1, text: 'h1' },
+    { role: 'user', text: 'q1' },
+    { role: 'mentor', text: 'a1' },
+    { role: 'hint', level: 2, text: 'h2' }
+  ]);
+  assert.deepEqual(conversationFor(hints, chat, 2).map(t => t.text), ['a1', 'h2']);
+  assert.deepEqual(conversationFor([], undefined, 5), []);
+});
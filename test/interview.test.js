@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Interview = require('../extension/lib/interview');
+const { normalizeSettings } = require('../extension/lib/settings');
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 9, 12, 18, 0);
+const SETTINGS = normalizeSettings({ interviewHintDelayMinutes: 5, interviewMaxHints: 2 });
+const EASY = { title: 'Two Sum', difficulty: 'Easy' };
+
+const session = () => Interview.startSession(T0);
+
+test('the first event of a problem starts its clock, with the time of its difficulty', () => {
+  const s = session();
+  Interview.recordEvent(s, 'two-sum', { kind: 'edit' }, T0 + MIN);
+  Interview.recordEvent(s, 'two-sum', { kind: 'run', meta: EASY, tabId: 7 }, T0 + 2 * MIN);
+  const p = s.problems['two-sum'];
+  assert.equal(p.startedAt, T0 + MIN);
+  assert.equal(p.tabId, 7);
+  assert.equal(Interview.deadlineOf(p, SETTINGS), T0 + 21 * MIN);
+  assert.equal(Interview.minutesFor('', SETTINGS), 35, 'unknown difficulty gets the Medium time');
+  assert.equal(Interview.minutesFor('Hard', SETTINGS), 50);
+
+  assert.deepEqual(Interview.recordEvent({}, 'two-sum', { kind: 'edit' }, T0), {}, 'nothing is recorded without a session');
+});
+
+test('hints stay locked for the delay and stop at the cap', () => {
+  const s = session();
+  Interview.recordEvent(s, 'two-sum', { kind: 'view', meta: EASY }, T0);
+  const p = s.problems['two-sum'];
+  assert.deepEqual(Interview.hintGate(p, SETTINGS, T0 + MIN), { ok: false, error: 'interview_locked', unlocksAt: T0 + 5 * MIN });
+  assert.deepEqual(Interview.hintGate(p, SETTINGS, T0 + 5 * MIN), { ok: true });
+
+  Interview.recordEvent(s, 'two-sum', { kind: 'hint', level: 1 }, T0 + 6 * MIN);
+  Interview.recordEvent(s, 'two-sum', { kind: 'hint', level: 2 }, T0 + 7 * MIN);
+  assert.deepEqual(Interview.hintGate(p, SETTINGS, T0 + 8 * MIN), { ok: false, error: 'interview_hint_limit' });
+  assert.equal(Interview.problemStatus(p, SETTINGS, T0 + 8 * MIN).hintsLeft, 0);
+});
+
+test('a solved problem loses points per hint level, excerpt, rejected submission and overtime', () => {
+  const s = session();
+  const at = m => T0 + m * MIN;
+  Interview.recordEvent(s, 'two-sum', { kind: 'view', meta: EASY }, at(0));
+  Interview.recordEvent(s, 'two-sum', { kind: 'hint', level: 1 }, at(6));
+  Interview.recordEvent(s, 'two-sum', { kind: 'hint', level: 2 }, at(8));
+  Interview.recordEvent(s, 'two-sum', { kind: 'fail', action: 'run' }, at(9));
+  Interview.recordEvent(s, 'two-sum', { kind: 'fail', action: 'submit' }, at(10));
+  Interview.recordEvent(s, 'two-sum', { kind: 'pass', action: 'run' }, at(11));
+  Interview.recordEvent(s, 'two-sum', { kind: 'pass', action: 'submit' }, at(12));
+  Interview.recordEvent(s, 'two-sum', { kind: 'snippet' }, at(13));
+
+  const p = s.problems['two-sum'];
+  assert.equal(p.solvedAt, at(12));
+  assert.equal(p.snippets, 0, 'nothing counts once solved');
+  assert.deepEqual(Interview.scoreProblem(p, SETTINGS, at(30)), {
+    solved: true,
+    overtime: false,
+    deductions: { hints: 30, snippets: 0, failures: 5, overtime: 0 },
+    score: 65
+  });
+
+  Interview.recordEvent(s, 'word-ladder', { kind: 'edit', meta: { difficulty: 'Hard' } }, at(13));
+  Interview.recordEvent(s, 'word-ladder', { kind: 'snippet' }, at(40));
+  Interview.recordEvent(s, 'word-ladder', { kind: 'pass', action: 'submit' }, at(70));
+  const late = Interview.scoreProblem(s.problems['word-ladder'], SETTINGS, at(80));
+  assert.equal(late.overtime, true);
+  assert.equal(late.score, 100 - 25 - 20);
+});
+
+test('the summary lists problems in order and unsolved ones score 0', () => {
+  const s = session();
+  Interview.recordEvent(s, 'two-sum', { kind: 'view', meta: EASY }, T0 + MIN);
+  Interview.recordEvent(s, 'two-sum', { kind: 'pass', action: 'submit' }, T0 + 11 * MIN);
+  Interview.recordEvent(s, 'lru-cache', { kind: 'edit', meta: { title: 'LRU Cache', difficulty: 'Medium' } }, T0 + 12 * MIN);
+  Interview.recordEvent(s, 'lru-cache', { kind: 'hint', level: 1 }, T0 + 20 * MIN);
+
+  const ended = Interview.endSession(s, SETTINGS, T0 + 60 * MIN);
+  assert.equal(ended.active, false);
+  const summary = ended.summary;
+  assert.deepEqual(summary.problems.map(p => [p.slug, p.solved, p.score, p.timeMs / MIN]), [
+    ['two-sum', true, 100, 10],
+    ['lru-cache', false, 0, 48]
+  ]);
+  assert.equal(summary.problems[1].overtime, true);
+  assert.deepEqual([summary.score, summary.maxScore, summary.solved], [100, 200, 1]);
+  assert.equal(summary.endedAt - summary.startedAt, 60 * MIN);
+  assert.deepEqual(Interview.endSession(ended, SETTINGS, T0 + 90 * MIN), ended, 'ending twice keeps the summary');
+});
+
+test('nextDeadline is the earliest countdown still running', () => {
+  const s = session();
+  Interview.recordEvent(s, 'two-sum', { kind: 'view', meta: EASY }, T0);
+  Interview.recordEvent(s, 'lru-cache', { kind: 'view', meta: { difficulty: 'Medium' } }, T0);
+  assert.equal(Interview.nextDeadline(s, SETTINGS), T0 + 20 * MIN);
+  s.problems['two-sum'].timeUpAt = T0 + 20 * MIN;
+  assert.equal(Interview.nextDeadline(s, SETTINGS), T0 + 35 * MIN);
+  Interview.recordEvent(s, 'lru-cache', { kind: 'pass', action: 'submit' }, T0 + 30 * MIN);
+  assert.equal(Interview.nextDeadline(s, SETTINGS), 0);
+});
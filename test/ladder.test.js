@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_LADDER, validateLadder, normalizeLadder, levelSpec, offlineLevel } = require('../extension/lib/ladder');
+
+test('validateLadder fills limits from the default level with the same code policy', () => {
+  const { ok, ladder } = validateLadder({ levels: [{ instruction: 'Name the pattern.' }, { name: 'Fix', instruction: 'Point at the line.', code: 'lines', maxLines: 2 }] });
+  assert.equal(ok, true);
+  assert.equal(ladder.offerSnippet, true);
+  assert.deepEqual(ladder.levels[0], { name: 'Level 1', instruction: 'Name the pattern.', code: 'none', maxSentences: 1, maxLines: 1, temperature: 0 });
+  assert.deepEqual(ladder.levels[1], { name: 'Fix', instruction: 'Point at the line.', code: 'lines', maxSentences: 3, maxLines: 2, temperature: 0.2 });
+});
+
+test('validateLadder reports every bad field', () => {
+  assert.deepEqual(validateLadder([]).errors, ['ladder must be a JSON object']);
+  assert.equal(validateLadder({ levels: [] }).ok, false);
+  assert.equal(validateLadder({ levels: Array(7).fill({ instruction: 'x' }) }).ok, false);
+  const { ok, errors } = validateLadder({ offerSnippet: 'no', levels: [{ code: 'full', maxSentences: 9, temperature: 2 }] });
+  assert.equal(ok, false);
+  assert.deepEqual(errors, [
+    'offerSnippet must be true or false',
+    'level 1: code must be one of none, pseudo, lines',
+    'level 1: instruction must be a non-empty string (max 400 chars)',
+    'level 1: maxSentences must be an integer between 1 and 5',
+    'level 1: temperature must be a number between 0 and 1'
+  ]);
+});
+
+test('normalizeLadder keeps a valid ladder and maps the old maxHints onto the default', () => {
+  const custom = { offerSnippet: false, levels: [{ instruction: 'Only one hint.' }] };
+  assert.equal(normalizeLadder(custom).levels.length, 1);
+  assert.equal(normalizeLadder(custom).offerSnippet, false);
+  assert.deepEqual(normalizeLadder(undefined), DEFAULT_LADDER);
+  assert.deepEqual(normalizeLadder(undefined, { levelCount: 2 }).levels.map(l => l.name), ['Conceptual', 'Algorithmic']);
+  assert.equal(normalizeLadder({ levels: 'x' }, { levelCount: 9 }).levels.length, 3);
+});
+
+test('levelSpec clamps and offlineLevel spreads long ladders over three hints', () => {
+  assert.equal(levelSpec(DEFAULT_LADDER, 9).name, 'Near-fix');
+  assert.equal(levelSpec(DEFAULT_LADDER, 0).name, 'Conceptual');
+  assert.deepEqual([1, 2, 3].map(l => offlineLevel(l, 3)), [1, 2, 3]);
+  assert.deepEqual([1, 2].map(l => offlineLevel(l, 2)), [1, 2]);
+  assert.deepEqual([1, 2, 3, 4, 5].map(l => offlineLevel(l, 5)), [1, 2, 2, 3, 3]);
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(l => offlineLevel(l, 6, 2)), [1, 1, 1, 2, 2, 2]);
+});
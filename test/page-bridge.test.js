@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const { EXTENSION_DIR, waitFor } = require('./helpers/load-extension');
+
+// a Monaco model that counts its live content listeners
+function fakeModel(text) {
+  const listeners = new Set();
+  return {
+    listeners,
+    getValue: () => text,
+    getValueLength: () => text.length,
+    getLineCount: () => text.split('\n').length,
+    getLanguageId: () => 'python',
+    isDisposed: () => false,
+    onDidChangeContent(fn) {
+      listeners.add(fn);
+      return { dispose: () => listeners.delete(fn) };
+    },
+    change() {
+      for (const fn of listeners) fn();
+    }
+  };
+}
+
+test('switching models drops the listener on the old one', async t => {
+  const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'https://leetcode.com/problems/two-sum/', runScripts: 'outside-only' });
+  const { window } = dom;
+  t.after(() => window.close());
+
+  const first = fakeModel('def twoSum(): pass');
+  const second = fakeModel('def addTwoNumbers(): pass');
+  let current = first;
+  const editor = { hasTextFocus: () => true, getModel: () => current, getPosition: () => null };
+  window.monaco = { editor: { getEditors: () => [editor], getModels: () => [current] } };
+
+  const posted = [];
+  window.addEventListener('message', e => { if (e.data && e.data.type === 'editor_changed') posted.push(e.data.state.text); });
+  window.eval(fs.readFileSync(path.join(EXTENSION_DIR, 'page-bridge.js'), 'utf8'));
+  assert.equal(first.listeners.size, 1);
+
+  // the single-page app moves to another problem; the bridge re-checks every 1.5s
+  current = second;
+  await waitFor(() => second.listeners.size === 1, { timeoutMs: 3000 });
+  assert.equal(first.listeners.size, 0);
+
+  // the switch itself posts the new model's text; messages arrive asynchronously
+  await waitFor(() => posted.includes('def addTwoNumbers(): pass'));
+  posted.length = 0;
+  first.change();
+  second.change();
+  await waitFor(() => posted.length > 0);
+  await new Promise(r => setTimeout(r, 250));
+  assert.deepEqual(posted, ['def addTwoNumbers(): pass']);
+});
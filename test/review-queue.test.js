@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recordSolve, dueReviews, solveQuality, sm2, usageSince, nextReminderAt, addDays } = require('../extension/lib/review-queue');
+
+const T0 = new Date(2026, 9, 12, 18, 30).getTime(); // local time
+const DAY = 24 * 60 * 60 * 1000;
+
+// attempt-log record (lib/attempt-log.js) as it looks after an accepted submission
+const record = (fields = {}) => ({
+  slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy', hints: {}, snippets: 0, failures: {}, ...fields
+});
+
+test('solveQuality charges hint depth, code excerpts and failed attempts', () => {
+  assert.equal(solveQuality({}, 3), 5);
+  assert.equal(solveQuality({ maxLevel: 1 }, 3), 4);
+  assert.equal(solveQuality({ maxLevel: 3 }, 3), 2);
+  assert.equal(solveQuality({ maxLevel: 1, snippets: 1 }, 3), 2);
+  assert.equal(solveQuality({ failures: 1 }, 3), 4);
+  assert.equal(solveQuality({ maxLevel: 3, snippets: 1, failures: 4 }, 3), 0);
+  assert.equal(solveQuality({ maxLevel: 1 }, 1), 2, 'the last hint of a shorter ladder is the deepest');
+});
+
+test('sm2 grows the interval on good recalls and starts over below 3', () => {
+  let s = { ease: 2.5, interval: 0, repetitions: 0 };
+  s = sm2(s, 4);
+  assert.deepEqual([s.interval, s.repetitions], [1, 1]);
+  s = sm2(s, 4);
+  assert.deepEqual([s.interval, s.repetitions], [6, 2]);
+  assert.equal(s.ease, 2.5);
+  s = sm2(s, 5);
+  assert.deepEqual([s.interval, s.repetitions], [15, 3]);
+  assert.equal(s.ease, 2.6);
+  s = sm2(s, 1);
+  assert.deepEqual([s.interval, s.repetitions], [1, 0]);
+  assert.ok(s.ease >= 1.3);
+});
+
+test('a clean first solve is not queued; one with deep hints is due tomorrow', () => {
+  const all = {};
+  recordSolve(all, record(), { now: T0 });
+  assert.deepEqual(all, {});
+
+  recordSolve(all, record({ hints: { 1: 1, 2: 1, 3: 1 }, failures: { wrong_answer: 1 } }), { now: T0 });
+  const e = all['two-sum'];
+  assert.equal(e.title, 'Two Sum');
+  assert.equal(e.quality, 1);
+  assert.equal(e.interval, 1);
+  assert.equal(e.due, addDays(T0, 1));
+  assert.deepEqual(dueReviews(all, T0), []);
+  assert.deepEqual(dueReviews(all, T0 + DAY).map(r => r.slug), ['two-sum']);
+});
+
+test('only help asked for since the last scoring counts towards a review', () => {
+  const first = record({ hints: { 1: 1, 2: 1 } });
+  const all = recordSolve({}, first, { now: T0 });
+  assert.equal(all['two-sum'].quality, 3);
+
+  // accepted again the same day: not a review, only the baseline moves
+  recordSolve(all, record({ hints: { 1: 1, 2: 1, 3: 1 } }), { now: T0 + 60 * 1000 });
+  assert.equal(all['two-sum'].repetitions, 1);
+  assert.deepEqual(usageSince(record({ hints: { 1: 1, 2: 1, 3: 1 } }), all['two-sum'].baseline), { maxLevel: 0, snippets: 0, failures: 0 });
+
+  // reviewed cleanly when due
+  recordSolve(all, record({ hints: { 1: 1, 2: 1, 3: 1 } }), { now: T0 + DAY });
+  const e = all['two-sum'];
+  assert.equal(e.quality, 5);
+  assert.equal(e.repetitions, 2);
+  assert.equal(e.interval, 6);
+  assert.equal(e.due, addDays(T0 + DAY, 6));
+});
+
+test('dueReviews lists the most overdue first', () => {
+  const all = {
+    'a': { slug: 'a', due: addDays(T0, 0) },
+    'b': { slug: 'b', due: addDays(T0, -3) },
+    'c': { slug: 'c', due: addDays(T0, 2) }
+  };
+  assert.deepEqual(dueReviews(all, T0).map(r => r.slug), ['b', 'a']);
+});
+
+test('nextReminderAt picks the next occurrence of the hour', () => {
+  assert.equal(nextReminderAt(T0, 20), new Date(2026, 9, 12, 20, 0).getTime());
+  assert.equal(nextReminderAt(T0, 9), new Date(2026, 9, 13, 9, 0).getTime());
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { languageLabel, genericStarter, starterFor, dedentLines, codeExcerpt } = require('../extension/lib/snippet');
+const corePack = require('../extension/hintpacks/core.json');
+
+const twoSum = corePack.problems['two-sum'];
+
+const CODE = [
+  'class Solution:',
+  '    def twoSum(self, nums, target):',
+  '        seen = {}',
+  '',
+  '        for i, x in enumerate(nums):',
+  '            if target - x in seen:',
+  '                return [seen[target - x], i]',
+  '            seen[x] = i'
+].join('\n');
+
+test('languageLabel names the editor language for prompts', () => {
+  assert.equal(languageLabel('Python3'), 'Python 3');
+  assert.equal(languageLabel('cpp'), 'C++');
+  assert.equal(languageLabel('golang'), 'Go');
+  assert.equal(languageLabel('Elixir'), 'Elixir');
+});
+
+test('genericStarter covers the main languages and falls back to C', () => {
+  assert.match(genericStarter('Python3'), /^class Solution:\n {4}def solve/);
+  assert.match(genericStarter('Java'), /^public int solve/);
+  assert.match(genericStarter('C++'), /vector<int>&/);
+  assert.match(genericStarter('JavaScript'), /^var solve = function/);
+  assert.match(genericStarter('Go'), /^func solve[^\n]*\n\t\/\//);
+  assert.match(genericStarter('Elixir'), /^int solve\(\)/);
+  assert.equal(genericStarter(''), genericStarter('c'));
+});
+
+test('starterFor prefers the hint pack, then the generic starter for the language', () => {
+  assert.equal(starterFor(twoSum, 'Python3'), twoSum.starters.python);
+  assert.equal(starterFor(twoSum, 'golang'), twoSum.starters.go);
+  assert.equal(starterFor(twoSum, 'TypeScript'), genericStarter('typescript'));
+  assert.equal(starterFor(twoSum, ''), twoSum.starters.c);
+  assert.equal(starterFor(twoSum, 'Elixir'), twoSum.starters.c);
+  assert.equal(starterFor(null, 'Java'), genericStarter('java'));
+  assert.equal(starterFor(null, ''), genericStarter('c'));
+});
+
+test('dedentLines removes only the shared indentation', () => {
+  assert.deepEqual(dedentLines(['    a = 1', '', '        b = 2  ']), ['a = 1', '', '    b = 2']);
+  assert.deepEqual(dedentLines(['\tif x {', '\t\treturn', '\t}']), ['if x {', '\treturn', '}']);
+  assert.deepEqual(dedentLines(['  ', '']), []);
+});
+
+test('codeExcerpt keeps indentation and skips blank lines', () => {
+  assert.equal(codeExcerpt(CODE), 'class Solution:\n    def twoSum(self, nums, target):\n        seen = {}');
+  assert.equal(codeExcerpt(''), '');
+  assert.equal(codeExcerpt('\n  \n'), '');
+});
+
+test('codeExcerpt starts one line above the cursor', () => {
+  assert.equal(
+    codeExcerpt(CODE, { aroundLine: 6 }),
+    'for i, x in enumerate(nums):\n    if target - x in seen:\n        return [seen[target - x], i]'
+  );
+  // cursor past the end: the last lines
+  assert.equal(codeExcerpt(CODE, { aroundLine: 99, maxLines: 2 }), '    return [seen[target - x], i]\nseen[x] = i');
+});
+
+test('codeExcerpt stays within maxChars on whole lines', () => {
+  const out = codeExcerpt(CODE, { maxChars: 40 });
+  assert.equal(out, 'class Solution:');
+});